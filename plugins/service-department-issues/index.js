@@ -0,0 +1,86 @@
+/**
+ * Service Department Issues
+ * Example extraction plugin: picks up service-department problems at a
+ * dealership, suggests a follow-up for serious ones and shows the open
+ * issues on the executive dashboard.
+ */
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+export default {
+    type: 'service_issue',
+    description: 'Problems in a dealership\'s service department (workflow, staffing, tooling, customer complaints)',
+    prompt: 'dealershipName, issue, severity (low|medium|high|critical), area (scheduling|staffing|parts|tooling|customer), customerImpact',
+
+    schema: {
+        dealershipName: { type: 'string', required: true },
+        issue: { type: 'string', required: true },
+        severity: { type: 'string', required: true, enum: SEVERITIES },
+        area: { type: 'string', enum: ['scheduling', 'staffing', 'parts', 'tooling', 'customer'] },
+        customerImpact: { type: 'string' }
+    },
+
+    async handle({ extraction, memberId, db }) {
+        const { dealershipName, issue, severity } = extraction.data;
+        if (severity !== 'high' && severity !== 'critical') return;
+
+        await db.query(`
+            INSERT INTO ai_follow_ups (
+                member_id, suggestion_text, reason, priority, suggested_date
+            ) VALUES ($1, $2, $3, $4, CURRENT_DATE + INTERVAL '1 day')
+        `, [
+            memberId,
+            `Check in with ${dealershipName}'s service manager`,
+            `Service issue: ${issue}`,
+            severity
+        ]);
+    },
+
+    widgets: [
+        {
+            id: 'open-issues',
+            title: 'Service Issues',
+            type: 'list',
+            description: 'Service department issues reported recently, most severe first',
+            async load({ db, days }) {
+                const result = await db.query(`
+                    SELECT content->>'dealershipName' AS dealership,
+                           content->>'issue' AS issue,
+                           content->>'severity' AS severity,
+                           created_at
+                    FROM update_extractions
+                    WHERE extraction_type = 'service_issue'
+                      AND created_at >= NOW() - ($1 || ' days')::INTERVAL
+                    ORDER BY array_position($2::text[], content->>'severity') DESC, created_at DESC
+                    LIMIT 10
+                `, [days, SEVERITIES]);
+
+                return result.rows.map(row => ({
+                    label: row.dealership,
+                    detail: row.issue,
+                    badge: row.severity,
+                    at: row.created_at
+                }));
+            }
+        },
+        {
+            id: 'issue-count',
+            title: 'Service Issues Reported',
+            type: 'metric',
+            async load({ db, days }) {
+                const result = await db.query(`
+                    SELECT COUNT(*) AS total,
+                           COUNT(*) FILTER (WHERE content->>'severity' IN ('high', 'critical')) AS serious
+                    FROM update_extractions
+                    WHERE extraction_type = 'service_issue'
+                      AND created_at >= NOW() - ($1 || ' days')::INTERVAL
+                `, [days]);
+
+                return {
+                    value: Number(result.rows[0].total),
+                    detail: `${result.rows[0].serious} high or critical`
+                };
+            }
+        }
+    ]
+};
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * ANALYTICS BACKFILL
+ * Reconstruct daily analytics snapshots from deal history, team updates and
+ * deal activities, then rebuild the weekly and monthly rollups over them
+ *
+ * Usage:
+ *   node scripts/backfill-analytics.js [--days 90]
+ *   node scripts/backfill-analytics.js --from 2025-01-01 [--to 2025-06-30] [--overwrite]
+ *   node scripts/backfill-analytics.js --skip-rollup
+ */
+
+import { program } from 'commander';
+import { config } from 'dotenv';
+import chalk from 'chalk';
+import { db } from '../src/core/database/connection.js';
+import { SnapshotBackfillService } from '../src/core/analytics/snapshot-backfill.js';
+import { SnapshotRollupJob } from '../src/core/analytics/snapshot-rollup.js';
+
+// Load environment variables
+config();
+
+program
+    .name('backfill-analytics')
+    .description('Backfill daily analytics snapshots and their weekly and monthly rollups')
+    .version('1.0.0')
+    .option('--from <date>', 'First day to backfill (YYYY-MM-DD)')
+    .option('--to <date>', 'Last day to backfill (YYYY-MM-DD, default yesterday)')
+    .option('--days <count>', 'Days up to --to when --from is not given', value => parseInt(value, 10), 90)
+    .option('--overwrite', 'Replace days that already have daily snapshots')
+    .option('--skip-rollup', 'Only write daily snapshots')
+    .action(async options => {
+        try {
+            await db.connect();
+
+            const result = await new SnapshotBackfillService({ db }).backfill({
+                from: options.from || null,
+                to: options.to || null,
+                days: options.days,
+                overwrite: Boolean(options.overwrite)
+            });
+            console.log(chalk.green(
+                `Backfilled ${result.written} day(s) from ${result.from} to ${result.to} (${result.rows} snapshots)`
+            ));
+            if (result.skipped > 0) {
+                console.log(chalk.gray(`Skipped ${result.skipped} day(s) that already had snapshots (use --overwrite to replace)`));
+            }
+
+            if (!options.skipRollup && result.from <= result.to) {
+                // Through today, so the current week and month include live snapshots
+                const rollup = await new SnapshotRollupJob({ db }).rollup({
+                    from: result.from,
+                    to: new Date().toLocaleDateString('en-CA')
+                });
+                console.log(chalk.green(`Rolled up ${rollup.weekly} weekly and ${rollup.monthly} monthly snapshots`));
+            }
+        } catch (error) {
+            console.error(chalk.red(`❌ ${error.message}`));
+            process.exitCode = 1;
+        } finally {
+            await db.close();
+        }
+    });
+
+program.parse();
@@ -21,7 +21,6 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const CONFIG_PATH = path.join(__dirname, 'config', 'team-config.json');
-const AUTH_PATH = path.join(__dirname, 'src', 'middleware', 'auth.js');
 
 function generatePassword(length = 12) {
     return crypto.randomBytes(length).toString('base64').slice(0, length);
@@ -97,24 +96,12 @@ async function bulkImport(csvPath) {
     // Save config
     await fs.writeFile(CONFIG_PATH, JSON.stringify(config, null, 2));
     
-    // Update auth.js
-    const authContent = await fs.readFile(AUTH_PATH, 'utf8');
-    const usersObj = Object.keys(config.team.members).map(username => {
-        return `        '${username}': process.env.${username.toUpperCase()}_PASSWORD || 'changeme${Math.random().toString(36).substr(2, 6)}'`;
-    }).join(',\n');
-    
-    const newAuthContent = authContent.replace(
-        /const users = \{[\s\S]*?\};/,
-        `const users = {\n${usersObj}\n    };`
-    );
-    
-    await fs.writeFile(AUTH_PATH, newAuthContent);
-    
     // Generate credentials file
     const credentialsPath = path.join(__dirname, `credentials-${Date.now()}.txt`);
     let credentialsContent = 'TEAM CRM CREDENTIALS\n';
     credentialsContent += '====================\n\n';
-    credentialsContent += 'Add these to your Render environment variables:\n\n';
+    credentialsContent += 'Add these to your Render environment variables.\n';
+    credentialsContent += 'Each one is a first-login password; it is hashed into the database on first sign-in.\n\n';
     
     for (const [username, password] of Object.entries(passwords)) {
         credentialsContent += `${username.toUpperCase()}_PASSWORD=${password}\n`;
@@ -19,7 +19,6 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const CONFIG_PATH = path.join(__dirname, '..', 'config', 'team-config.json');
-const AUTH_PATH = path.join(__dirname, '..', 'src', 'middleware', 'auth.js');
 const ENV_PATH = path.join(__dirname, '..', '.env');
 
 // Colors for console output
@@ -56,28 +55,6 @@ async function saveConfig(config) {
     }
 }
 
-async function updateAuthFile(users) {
-    try {
-        const authContent = await fs.readFile(AUTH_PATH, 'utf8');
-        
-        // Build new users object
-        const usersObj = Object.keys(users).map(username => {
-            return `        '${username}': process.env.${username.toUpperCase()}_PASSWORD || 'changeme${Math.random().toString(36).substr(2, 6)}'`;
-        }).join(',\n');
-        
-        // Replace the users object in auth.js
-        const newAuthContent = authContent.replace(
-            /const users = \{[\s\S]*?\};/,
-            `const users = {\n${usersObj}\n    };`
-        );
-        
-        await fs.writeFile(AUTH_PATH, newAuthContent);
-        console.log(`${colors.green}✓ Auth file updated${colors.reset}`);
-    } catch (error) {
-        console.error(`${colors.red}Error updating auth file:${colors.reset}`, error.message);
-    }
-}
-
 async function updateEnvFile(username, password) {
     try {
         let envContent = '';
@@ -132,9 +109,6 @@ async function addUser(username, name, role) {
     // Save config
     await saveConfig(config);
     
-    // Update auth.js
-    await updateAuthFile(config.team.members);
-    
     // Update .env
     await updateEnvFile(username, password);
     
@@ -180,7 +154,6 @@ async function removeUser(username) {
         if (data.toString().trim().toLowerCase() === 'yes') {
             delete config.team.members[username];
             await saveConfig(config);
-            await updateAuthFile(config.team.members);
             console.log(`${colors.green}✓ User '${username}' removed${colors.reset}`);
         } else {
             console.log('Cancelled');
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * DATABASE MIGRATIONS
+ * Apply, roll back and inspect the numbered migrations in
+ * src/core/database/migrations
+ *
+ * Usage:
+ *   node scripts/migrate.js up [--to 005]
+ *   node scripts/migrate.js down [--steps 2 | --to 005]
+ *   node scripts/migrate.js status
+ *   node scripts/migrate.js create add_deal_risk_scores
+ */
+
+import { program } from 'commander';
+import { config } from 'dotenv';
+import chalk from 'chalk';
+import { db } from '../src/core/database/connection.js';
+import { MigrationRunner } from '../src/core/database/migration-runner.js';
+
+// Load environment variables
+config();
+
+/**
+ * Run fn with a MigrationRunner on one pooled connection, then close the pool
+ */
+async function withRunner(fn) {
+    try {
+        await db.connect();
+        const client = await db.pool.connect();
+        try {
+            await fn(new MigrationRunner(client));
+        } finally {
+            client.release();
+        }
+    } catch (error) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        process.exitCode = 1;
+    } finally {
+        await db.close();
+    }
+}
+
+function parseVersion(value) {
+    if (!/^\d{1,3}$/.test(value)) {
+        throw new Error(`Invalid migration version "${value}" (expected e.g. 005)`);
+    }
+    return value.padStart(3, '0');
+}
+
+program
+    .name('migrate')
+    .description('Manage database schema migrations')
+    .version('1.0.0');
+
+program
+    .command('up')
+    .description('Apply pending migrations')
+    .option('--to <version>', 'Stop after this migration version', parseVersion)
+    .action(options => withRunner(async runner => {
+        const applied = await runner.migrate({ to: options.to || null });
+        console.log(applied.length > 0
+            ? chalk.green(`Applied ${applied.length} migration(s)`)
+            : chalk.gray('Database is up to date'));
+    }));
+
+program
+    .command('down')
+    .description('Roll back the most recent migration(s)')
+    .option('--steps <count>', 'Number of migrations to roll back', value => parseInt(value, 10), 1)
+    .option('--to <version>', 'Roll back every migration after this version', parseVersion)
+    .action(options => withRunner(async runner => {
+        const rolledBack = await runner.rollback({ steps: options.steps, to: options.to || null });
+        console.log(rolledBack.length > 0
+            ? chalk.green(`Rolled back ${rolledBack.length} migration(s)`)
+            : chalk.gray('Nothing to roll back'));
+    }));
+
+program
+    .command('status')
+    .description('Show which migrations have run')
+    .action(() => withRunner(async runner => {
+        const { migrations, pending, unknown, changed } = await runner.status();
+
+        for (const migration of migrations) {
+            const mark = migration.applied ? chalk.green('✓') : chalk.yellow('•');
+            const when = migration.applied ? chalk.gray(new Date(migration.executedAt).toLocaleString()) : chalk.yellow('pending');
+            const notes = [
+                migration.reversible ? null : 'no down',
+                migration.changed ? chalk.red('edited after it ran') : null
+            ].filter(Boolean).join(', ');
+
+            console.log(`${mark} ${migration.filename.padEnd(40)} ${when}${notes ? `  (${notes})` : ''}`);
+        }
+
+        for (const filename of unknown) {
+            console.log(`${chalk.red('✗')} ${filename.padEnd(40)} ${chalk.red('applied, but not in this release')}`);
+        }
+
+        console.log(`\n${pending.length} pending, ${unknown.length} unknown, ${changed.length} edited`);
+        if (pending.length > 0 || unknown.length > 0) process.exitCode = 1;
+    }));
+
+program
+    .command('create <name>')
+    .description('Create the next numbered up/down migration files')
+    .action(async name => {
+        try {
+            const files = await new MigrationRunner(null).create(name);
+            files.forEach(file => console.log(chalk.green(`Created src/core/database/migrations/${file}`)));
+        } catch (error) {
+            console.error(chalk.red(`❌ ${error.message}`));
+            process.exitCode = 1;
+        }
+    });
+
+program.parse(process.argv);
+
+// Show help if no command provided
+if (!process.argv.slice(2).length) {
+    program.outputHelp();
+}
@@ -6,7 +6,7 @@
  */
 
 import { AdminAPI } from '../src/api/admin-api.js';
-import { createConnection } from '../src/utils/database-pool.js';
+import { db } from '../src/core/database/connection.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -16,8 +16,6 @@ const __dirname = path.dirname(__filename);
 async function syncTeamToDatabase() {
     console.log('🔄 Syncing team members from config to database...');
     
-    let db;
-    
     try {
         // Load config
         const admin = new AdminAPI(path.join(__dirname, '../config/team-config.json'));
@@ -25,9 +23,8 @@ async function syncTeamToDatabase() {
         
         console.log(`📋 Found ${Object.keys(config.team.members).length} team members in config`);
         
-        // Connect to database
-        db = createConnection();
-        await db.query('SELECT 1'); // Test connection
+        // Connect to database (brings the schema up to date first)
+        await db.initialize();
         console.log('✅ Database connected');
         
         let syncedCount = 0;
@@ -86,9 +83,7 @@ async function syncTeamToDatabase() {
         console.error('❌ Sync failed:', error.message);
         process.exit(1);
     } finally {
-        if (db) {
-            await db.end();
-        }
+        await db.close();
     }
 }
 
@@ -5,6 +5,8 @@
 
 import { EnhancedMemoryIntegration } from '../core/memory/enhanced-memory-integration.js';
 import { ProactiveConversationalAI } from './proactive-conversational-ai.js';
+import { LLMRouter } from './llm/llm-router.js';
+import { promptRegistry } from './prompts/prompt-registry.js';
 import { logger } from '../utils/logger.js';
 
 export class ContextAwareAI {
@@ -31,7 +33,6 @@ export class ContextAwareAI {
         
         // Initialize Supermemory-based systems
         this.memoryEngine = new EnhancedMemoryIntegration({
-            apiKey: this.config.openRouterApiKey,
             collection: 'context-aware-ai-main',
             baseUrl: process.env.SUPERMEMORY_BASE_URL || 'https://api.supermemory.ai'
         });
@@ -41,13 +42,9 @@ export class ContextAwareAI {
         
         this.logger = logger.child({ component: 'ContextAwareAI' });
         
-        // AI models configuration
-        this.models = {
-            conversation: 'anthropic/claude-3-5-sonnet-20241022',
-            analysis: 'anthropic/claude-3-opus-20240229',
-            quick: 'openai/gpt-4o-mini',
-            executive: 'anthropic/claude-3-opus-20240229'
-        };
+        // Model calls go through the shared router; tasks map to ai_configuration.models
+        this.llm = config.llm || new LLMRouter();
+        this.prompts = config.prompts || promptRegistry;
         
         // Response statistics
         this.stats = {
@@ -70,9 +67,9 @@ export class ContextAwareAI {
         try {
             // Initialize Supermemory integration
             if (this.memoryEngine.enabled) {
-                this.logger.info('Context-Aware AI system initialized successfully with Supermemory');
+                this.logger.info('Context-Aware AI system initialized successfully with memory', { backend: this.memoryEngine.backend });
             } else {
-                this.logger.info('Context-Aware AI system initialized without memory (Supermemory not available)');
+                this.logger.info('Context-Aware AI system initialized without memory');
             }
             
             this.logger.info('Context-Aware AI system with proactive capabilities initialized');
@@ -112,15 +109,17 @@ export class ContextAwareAI {
             const memoryContext = await this.getRelevantContext(message, context);
             
             // Step 3: Build enhanced prompt with context
+            const persona = this.prompts.render(isExecutive ? 'chat.executive' : 'chat.member', {}, memberName);
             const enhancedPrompt = await this.buildEnhancedPrompt(
                 message, 
                 messageAnalysis, 
                 memoryContext, 
-                context
+                context,
+                persona.text
             );
             
             // Step 4: Generate AI response
-            const aiResponse = await this.callAIModel(enhancedPrompt, context);
+            const aiResponse = await this.callAIModel(enhancedPrompt, context, persona);
             
             // Step 5: Enhance response with follow-ups and suggestions
             const enhancedResponse = await this.enhanceResponse(
@@ -130,6 +129,13 @@ export class ContextAwareAI {
                 context
             );
             
+            enhancedResponse.prompt = {
+                runId: persona.runId || null,
+                key: persona.key,
+                version: persona.version,
+                arm: persona.arm
+            };
+            
             // Step 6: Store conversation in memory
             await this.storeConversationMemory(
                 message, 
@@ -271,20 +277,14 @@ export class ContextAwareAI {
     /**
      * Build enhanced prompt with context and memory
      */
-    async buildEnhancedPrompt(message, analysis, memoryContext, context) {
+    async buildEnhancedPrompt(message, analysis, memoryContext, context, persona = null) {
         try {
             const { memberName, isExecutive } = context;
             
             let promptParts = [];
             
-            // System context
-            if (isExecutive) {
-                promptParts.push(`Hey there! You're the go-to person for helping our executives make sense of what's happening with the team. 
-                Think of yourself as that smart analyst who knows how to spot patterns and give solid advice about the big picture stuff.`);
-            } else {
-                promptParts.push(`Hey! You're like that super helpful colleague who remembers everything and always knows what's going on. 
-                You help team members by connecting the dots between conversations and spotting patterns we might miss.`);
-            }
+            // System context: the persona prompt for executives or team members
+            promptParts.push(persona || this.prompts.render(isExecutive ? 'chat.executive' : 'chat.member', {}, memberName).text);
             
             // Add conversation context
             if (memoryContext.conversation.length > 0) {
@@ -370,44 +370,39 @@ export class ContextAwareAI {
     }
     
     /**
-     * Call AI model with enhanced prompt
+     * Call AI model with enhanced prompt. With a rendered persona prompt, the
+     * call is recorded as a prompt run and persona.runId is set.
      */
-    async callAIModel(prompt, context) {
+    async callAIModel(prompt, context, persona = null) {
         try {
-            const { isExecutive, urgency } = context;
+            const startTime = Date.now();
+            const { isExecutive, urgency, memberName } = context;
             
-            // Select appropriate model
-            let model = this.models.conversation;
+            // Conversational reply either way; executives and urgent updates get the stronger models
+            let model = null;
             if (isExecutive) {
-                model = this.models.executive;
+                model = this.llm.models.summary;
             } else if (urgency === 'urgent') {
-                model = this.models.analysis;
+                model = this.llm.models.analysis;
             }
             
-            const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.config.openRouterApiKey}`,
-                    'Content-Type': 'application/json',
-                    'HTTP-Referer': 'http://localhost:8080',
-                    'X-Title': 'Team CRM Context-Aware AI'
-                },
-                body: JSON.stringify({
-                    model: model,
-                    messages: [
-                        { role: 'user', content: prompt }
-                    ],
-                    temperature: this.config.temperature,
-                    max_tokens: this.config.maxTokens
-                })
+            const response = await this.llm.chat({
+                task: 'conversation',
+                model,
+                feature: 'chat',
+                memberName,
+                messages: [
+                    { role: 'user', content: prompt }
+                ],
+                temperature: this.config.temperature,
+                maxTokens: this.config.maxTokens
             });
             
-            if (!response.ok) {
-                throw new Error(`AI API request failed: ${response.status}`);
+            if (persona) {
+                persona.runId = await this.prompts.recordRun(persona, { response, latencyMs: Date.now() - startTime });
             }
             
-            const data = await response.json();
-            return data.choices[0].message.content;
+            return response.content;
             
         } catch (error) {
             this.logger.error('AI model call failed', { error });
@@ -0,0 +1,83 @@
+/**
+ * Anthropic provider (Messages API)
+ */
+
+import { LLMProvider } from './llm-provider.js';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+const MODEL_ALIASES = {
+    'claude-3-opus': 'claude-3-opus-20240229',
+    'claude-3-sonnet': 'claude-3-sonnet-20240229',
+    'claude-3-haiku': 'claude-3-haiku-20240307'
+};
+
+export class AnthropicProvider extends LLMProvider {
+    constructor(options = {}) {
+        super('anthropic', options);
+
+        this.baseUrl = (options.baseUrl || process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com').replace(/\/$/, '');
+        this.apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+        this.defaultModel = options.defaultModel || process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-20241022';
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    /**
+     * Accepts short names and OpenRouter ids; models from other vendors use the default
+     */
+    resolveModel(model) {
+        const name = model.startsWith('anthropic/') ? model.slice('anthropic/'.length) : model;
+
+        if (MODEL_ALIASES[name]) return MODEL_ALIASES[name];
+        if (name.startsWith('claude-')) return name;
+
+        this.logger.debug('Model not served by Anthropic, using default', { model, defaultModel: this.defaultModel });
+        return this.defaultModel;
+    }
+
+    async chat({ model, messages, temperature = 0.3, maxTokens = 2000 }) {
+        if (!this.apiKey) {
+            throw new Error('Anthropic API key is not configured');
+        }
+
+        // System prompts are a top-level field rather than a message
+        const system = messages
+            .filter(message => message.role === 'system')
+            .map(message => message.content)
+            .join('\n\n');
+
+        const body = {
+            model,
+            max_tokens: maxTokens,
+            temperature,
+            messages: messages.filter(message => message.role !== 'system')
+        };
+        if (system) {
+            body.system = system;
+        }
+
+        const data = await this.postJSON(`${this.baseUrl}/v1/messages`, {
+            'x-api-key': this.apiKey,
+            'anthropic-version': ANTHROPIC_VERSION
+        }, body);
+
+        if (!Array.isArray(data.content)) {
+            throw new Error('Invalid anthropic response format');
+        }
+
+        return {
+            content: data.content
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join(''),
+            model: data.model || model,
+            usage: {
+                inputTokens: data.usage?.input_tokens || 0,
+                outputTokens: data.usage?.output_tokens || 0
+            }
+        };
+    }
+}
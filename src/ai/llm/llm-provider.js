@@ -0,0 +1,55 @@
+/**
+ * LLM Provider base class
+ * Every provider takes the same chat request and returns the same response shape:
+ *   chat({ model, messages, temperature, maxTokens, task })
+ *     -> { content, model, usage: { inputTokens, outputTokens } }
+ */
+
+import { logger } from '../../utils/logger.js';
+
+const DEFAULT_TIMEOUT_MS = 60000;
+
+export class LLMProvider {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+        this.logger = logger.child({ component: 'LLMProvider', provider: name });
+    }
+
+    /**
+     * Whether the provider has what it needs (API key, server URL) to make calls
+     */
+    isConfigured() {
+        return true;
+    }
+
+    /**
+     * Map a configured model name to the id this provider expects
+     */
+    resolveModel(model) {
+        return model;
+    }
+
+    async chat() {
+        throw new Error(`The ${this.name} provider does not implement chat`);
+    }
+
+    /**
+     * POST a JSON body and return the parsed response, failing on non-2xx
+     */
+    async postJSON(url, headers, body) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(this.timeout)
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`${this.name} request failed: ${response.status} - ${errorText.slice(0, 500)}`);
+        }
+
+        return response.json();
+    }
+}
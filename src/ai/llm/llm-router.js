@@ -0,0 +1,230 @@
+/**
+ * LLM Router
+ * Picks the provider and model for each task from ai_configuration in team-config.json:
+ *
+ *   "ai_configuration": {
+ *     "provider": "openrouter",                     // default provider
+ *     "models": {
+ *       "extraction": "claude-3-sonnet",            // default provider
+ *       "analysis": "local:llama3.1",              // provider:model
+ *       "summary": { "provider": "anthropic", "model": "claude-3-opus" }
+ *     }
+ *   }
+ *
+ * LLM_PROVIDER in the environment sends every task to one provider
+ * (LLM_PROVIDER=fixture keeps the whole pipeline offline). Without it, the
+ * default provider is the first one with credentials; having none is an error
+ * outside NODE_ENV=test.
+ */
+
+import { logger } from '../../utils/logger.js';
+import { OpenRouterProvider } from './openrouter-provider.js';
+import { AnthropicProvider } from './anthropic-provider.js';
+import { OpenAICompatibleProvider } from './openai-compatible-provider.js';
+import { FixtureProvider } from './fixture-provider.js';
+
+export const LLM_PROVIDERS = ['openrouter', 'anthropic', 'local', 'fixture'];
+
+export const LLM_TASKS = ['extraction', 'analysis', 'summary', 'conversation'];
+
+// Usage is reported by feature; tasks map to one unless the caller names it
+const TASK_FEATURES = {
+    extraction: 'extraction',
+    analysis: 'summary',
+    summary: 'summary',
+    conversation: 'chat'
+};
+
+export const NO_PROVIDER_ERROR = 'No LLM provider configured: set OPENROUTER_API_KEY, ANTHROPIC_API_KEY or LOCAL_LLM_BASE_URL, or LLM_PROVIDER=fixture for offline responses';
+
+const DEFAULT_TASK_MODELS = {
+    extraction: 'claude-3-sonnet',
+    analysis: 'claude-3-opus',
+    summary: 'claude-3-opus',
+    conversation: 'claude-3-sonnet'
+};
+
+/**
+ * Create a provider by name
+ */
+export function createProvider(name, options = {}) {
+    switch (name) {
+    case 'openrouter':
+        return new OpenRouterProvider(options);
+    case 'anthropic':
+        return new AnthropicProvider(options);
+    case 'local':
+        return new OpenAICompatibleProvider(options);
+    case 'fixture':
+        return new FixtureProvider(options);
+    default:
+        throw new Error(`Invalid LLM provider: ${name} (choose from ${LLM_PROVIDERS.join(', ')})`);
+    }
+}
+
+export class LLMRouter {
+    constructor(config = {}, options = {}) {
+        this.logger = logger.child({ component: 'LLMRouter' });
+        this.options = options;
+        this.providers = new Map(Object.entries(options.providers || {}));
+
+        // Records tokens and cost per call and enforces member budgets (AIUsageService)
+        this.usageTracker = options.usageTracker || null;
+
+        this.updateConfiguration(config);
+    }
+
+    /**
+     * Re-read provider and model routing from a (new) team config. Throws
+     * before changing anything when the provider is invalid.
+     */
+    updateConfiguration(config = {}) {
+        const aiConfig = config.ai_configuration || {};
+
+        const forcedProvider = this.normalizeProvider(this.options.provider || process.env.LLM_PROVIDER);
+        const defaultProvider = forcedProvider ||
+            this.normalizeProvider(aiConfig.provider) ||
+            this.detectProvider();
+
+        this.forcedProvider = forcedProvider;
+        this.defaultProvider = defaultProvider;
+        this.models = { ...DEFAULT_TASK_MODELS, ...aiConfig.models };
+        this.usageTracker?.configure(config);
+
+        this.logger.info('LLM routing configured', {
+            provider: this.defaultProvider,
+            forced: Boolean(this.forcedProvider),
+            models: this.models
+        });
+    }
+
+    normalizeProvider(name) {
+        if (!name) return null;
+
+        const provider = String(name).trim().toLowerCase();
+        if (!LLM_PROVIDERS.includes(provider)) {
+            throw new Error(`Invalid LLM provider: ${name} (choose from ${LLM_PROVIDERS.join(', ')})`);
+        }
+        return provider;
+    }
+
+    /**
+     * First provider with credentials. Fixture responses are only used when
+     * asked for (LLM_PROVIDER=fixture) or under NODE_ENV=test, so canned
+     * answers are never passed off as real ones.
+     */
+    detectProvider() {
+        if (process.env.OPENROUTER_API_KEY) return 'openrouter';
+        if (process.env.ANTHROPIC_API_KEY) return 'anthropic';
+        if (process.env.LOCAL_LLM_BASE_URL) return 'local';
+
+        if (process.env.NODE_ENV === 'test') {
+            this.logger.warn('No LLM provider configured - using offline fixture responses under NODE_ENV=test');
+            return 'fixture';
+        }
+
+        throw new Error(NO_PROVIDER_ERROR);
+    }
+
+    /**
+     * Provider and model for a task, or for an explicitly requested model
+     */
+    resolve(task, model = null) {
+        const spec = model || this.models[task] || this.models.conversation;
+
+        let route;
+        if (typeof spec === 'object') {
+            route = { provider: this.normalizeProvider(spec.provider) || this.defaultProvider, model: spec.model };
+        } else {
+            const separator = spec.indexOf(':');
+            const prefix = separator > 0 ? spec.slice(0, separator).toLowerCase() : null;
+
+            route = LLM_PROVIDERS.includes(prefix)
+                ? { provider: prefix, model: spec.slice(separator + 1) }
+                : { provider: this.defaultProvider, model: spec };
+        }
+
+        if (this.forcedProvider) {
+            route.provider = this.forcedProvider;
+        }
+
+        return route;
+    }
+
+    getProvider(name) {
+        if (!this.providers.has(name)) {
+            const options = {};
+
+            // LLM_FIXTURE_RECORD=<provider> records unmatched fixture requests from a real provider
+            if (name === 'fixture' && process.env.LLM_FIXTURE_RECORD) {
+                options.recordWith = this.getProvider(this.normalizeProvider(process.env.LLM_FIXTURE_RECORD));
+            }
+
+            this.providers.set(name, createProvider(name, options));
+        }
+
+        return this.providers.get(name);
+    }
+
+    /**
+     * Send a chat request through the provider routed for the task. Calls made
+     * for a member count against their daily budget; over budget, this throws
+     * an error with code AI_BUDGET_EXCEEDED before reaching the provider.
+     */
+    async chat({ task = 'conversation', model = null, messages, temperature, maxTokens, feature = null, memberName = null }) {
+        const route = this.resolve(task, model);
+        const provider = this.getProvider(route.provider);
+        const resolvedModel = provider.resolveModel(route.model);
+
+        const usage = {
+            memberName,
+            feature: feature || TASK_FEATURES[task] || task,
+            task,
+            provider: provider.name,
+            model: resolvedModel
+        };
+        await this.usageTracker?.assertWithinBudget(usage);
+
+        const startTime = Date.now();
+        let response;
+        try {
+            response = await provider.chat({
+                task,
+                model: resolvedModel,
+                messages,
+                temperature,
+                maxTokens
+            });
+        } catch (error) {
+            await this.usageTracker?.record({
+                ...usage,
+                latencyMs: Date.now() - startTime,
+                status: 'error',
+                error: error.message
+            });
+            throw error;
+        }
+
+        await this.usageTracker?.record({
+            ...usage,
+            model: response.model || resolvedModel,
+            inputTokens: response.usage?.inputTokens || 0,
+            outputTokens: response.usage?.outputTokens || 0,
+            latencyMs: Date.now() - startTime
+        });
+
+        return {
+            ...response,
+            provider: provider.name,
+            task
+        };
+    }
+
+    getStatus() {
+        return {
+            provider: this.defaultProvider,
+            forced: Boolean(this.forcedProvider),
+            routes: Object.fromEntries(Object.keys(this.models).map(task => [task, this.resolve(task)]))
+        };
+    }
+}
@@ -0,0 +1,54 @@
+/**
+ * OpenAI-compatible provider for local servers (Ollama, LM Studio, vLLM, llama.cpp)
+ * and anything else that speaks POST /chat/completions
+ */
+
+import { LLMProvider } from './llm-provider.js';
+
+export class OpenAICompatibleProvider extends LLMProvider {
+    constructor(options = {}) {
+        super(options.name || 'local', options);
+
+        this.baseUrl = (options.baseUrl || process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1').replace(/\/$/, '');
+        this.apiKey = options.apiKey !== undefined ? options.apiKey : process.env.LOCAL_LLM_API_KEY;
+
+        // Local servers rarely host the configured model names, so one model can stand in for all of them
+        this.modelOverride = options.model !== undefined ? options.model : process.env.LOCAL_LLM_MODEL;
+        this.extraHeaders = options.headers || {};
+    }
+
+    isConfigured() {
+        return Boolean(this.baseUrl);
+    }
+
+    resolveModel(model) {
+        return this.modelOverride || model;
+    }
+
+    async chat({ model, messages, temperature = 0.3, maxTokens = 2000 }) {
+        const headers = { ...this.extraHeaders };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        const data = await this.postJSON(`${this.baseUrl}/chat/completions`, headers, {
+            model,
+            messages,
+            temperature,
+            max_tokens: maxTokens
+        });
+
+        if (!data.choices?.[0]?.message) {
+            throw new Error(`Invalid ${this.name} response format`);
+        }
+
+        return {
+            content: data.choices[0].message.content || '',
+            model: data.model || model,
+            usage: {
+                inputTokens: data.usage?.prompt_tokens || 0,
+                outputTokens: data.usage?.completion_tokens || 0
+            }
+        };
+    }
+}
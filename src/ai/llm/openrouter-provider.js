@@ -0,0 +1,49 @@
+/**
+ * OpenRouter provider
+ * OpenAI-compatible API with vendor-prefixed model ids (anthropic/..., openai/...)
+ */
+
+import { OpenAICompatibleProvider } from './openai-compatible-provider.js';
+
+// Short names used in team-config.json
+const MODEL_ALIASES = {
+    'claude-3-opus': 'anthropic/claude-3-opus',
+    'claude-3-sonnet': 'anthropic/claude-3-sonnet',
+    'claude-3-haiku': 'anthropic/claude-3-haiku',
+    'gpt-4-turbo': 'openai/gpt-4-turbo',
+    'gpt-4': 'openai/gpt-4',
+    'gpt-3.5-turbo': 'openai/gpt-3.5-turbo'
+};
+
+export class OpenRouterProvider extends OpenAICompatibleProvider {
+    constructor(options = {}) {
+        super({
+            name: 'openrouter',
+            baseUrl: options.baseUrl || 'https://openrouter.ai/api/v1',
+            apiKey: options.apiKey || process.env.OPENROUTER_API_KEY,
+            model: null,
+            headers: {
+                'HTTP-Referer': options.referer || 'https://team-crm-foundation.local',
+                'X-Title': 'Team CRM Foundation'
+            },
+            timeout: options.timeout
+        });
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    resolveModel(model) {
+        if (model.includes('/')) return model;
+        return MODEL_ALIASES[model] || model;
+    }
+
+    async chat(request) {
+        if (!this.apiKey) {
+            throw new Error('OpenRouter API key is not configured');
+        }
+
+        return super.chat(request);
+    }
+}
@@ -73,7 +73,6 @@ export class ProactiveConversationalAI {
         try {
             if (!this.userMemories.has(userId)) {
                 const memory = new EnhancedMemoryIntegration({
-                    apiKey: this.config.openRouterApiKey,
                     collection: `conversation-${userId}`,
                     baseUrl: process.env.SUPERMEMORY_BASE_URL || 'https://api.supermemory.ai'
                 });
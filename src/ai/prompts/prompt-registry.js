@@ -0,0 +1,361 @@
+/**
+ * Prompt Registry
+ * Versioned prompts for extraction, executive summaries and chat. Each call
+ * resolves a prompt to a version through the promptOptimization experiment:
+ * the user's variant is the "arm", and each arm (or 'default' outside the
+ * experiment) is assigned a version. Assignments come from the variant's
+ * "prompts" map in feature-flags.json unless an admin sets one here.
+ *
+ * Every call made with a registry prompt is recorded as a run (tokens,
+ * latency, confidence); thumbs up/down feedback attaches to runs, and the
+ * experiment report compares arms on those metrics.
+ */
+
+import crypto from 'crypto';
+import { db } from '../../core/database/connection.js';
+import { featureFlagService } from '../../core/flags/feature-flag-service.js';
+import { logger } from '../../utils/logger.js';
+import { DEFAULT_PROMPTS, PROMPT_KEYS } from './default-prompts.js';
+
+export const DEFAULT_ARM = 'default';
+
+export const PROMPT_EXPERIMENT_FLAG = 'promptOptimization';
+
+const FEEDBACK_RATINGS = { up: 1, down: -1 };
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export class PromptRegistry {
+    constructor(options = {}) {
+        this.logger = logger.child({ component: 'PromptRegistry' });
+        this.db = options.db || db;
+        this.flagService = options.flagService || featureFlagService;
+        this.experimentFlag = options.experimentFlag || PROMPT_EXPERIMENT_FLAG;
+
+        // key -> Map(version -> { key, version, template, description, builtIn, createdBy })
+        this.versions = new Map();
+        for (const [key, versions] of Object.entries(DEFAULT_PROMPTS)) {
+            this.versions.set(key, new Map(Object.entries(versions).map(([version, prompt]) => [
+                version,
+                { key, version, ...prompt, builtIn: true, createdBy: null }
+            ])));
+        }
+
+        // "<key>:<arm>" -> version, set by admins
+        this.assignments = new Map();
+    }
+
+    /**
+     * Whether versions, assignments and runs can be persisted
+     */
+    isAvailable() {
+        return Boolean(this.db?.initialized);
+    }
+
+    /**
+     * Load admin-added versions and assignments
+     */
+    async initialize() {
+        if (!this.isAvailable()) return;
+
+        try {
+            const versions = await this.db.query('SELECT * FROM prompt_versions ORDER BY created_at');
+            for (const row of versions.rows) {
+                this.versions.get(row.prompt_key)?.set(row.version, this.toVersion(row));
+            }
+
+            const assignments = await this.db.query('SELECT * FROM prompt_assignments');
+            for (const row of assignments.rows) {
+                this.assignments.set(`${row.prompt_key}:${row.arm}`, row.version);
+            }
+        } catch (error) {
+            this.logger.error('Failed to load prompt versions', { error: error.message });
+        }
+    }
+
+    /**
+     * The prompt experiment and its arms, from feature-flags.json
+     */
+    getExperiment() {
+        const experiment = this.flagService.flags[this.experimentFlag]?.experiment;
+        return experiment ? { flag: this.experimentFlag, ...experiment } : null;
+    }
+
+    /**
+     * Experiment arm for a member: their variant, or 'default' when the
+     * experiment doesn't apply to them
+     */
+    armFor(memberName) {
+        const { variant } = this.flagService.evaluate(
+            this.experimentFlag,
+            this.flagService.contextFor(memberName ? { username: memberName } : null)
+        );
+        return variant || DEFAULT_ARM;
+    }
+
+    /**
+     * Version assigned to an arm: an admin assignment, then the variant's
+     * "prompts" map, then the default arm, then v1
+     */
+    versionFor(key, arm) {
+        const variant = this.getExperiment()?.variants.find(candidate => candidate.name === arm);
+        const candidates = [
+            this.assignments.get(`${key}:${arm}`),
+            variant?.prompts?.[key],
+            this.assignments.get(`${key}:${DEFAULT_ARM}`),
+            'v1'
+        ];
+
+        return candidates.find(version => version && this.versions.get(key)?.has(version));
+    }
+
+    /**
+     * Render a prompt for a member. Returns the text plus the key, version,
+     * experiment and arm to pass to recordRun.
+     */
+    render(key, vars = {}, memberName = null) {
+        if (!this.versions.has(key)) {
+            throw new Error(`Invalid prompt key: ${key} (choose from ${PROMPT_KEYS.join(', ')})`);
+        }
+
+        const arm = this.armFor(memberName);
+        const version = this.versionFor(key, arm);
+
+        return {
+            key,
+            version,
+            arm,
+            experiment: arm === DEFAULT_ARM ? null : this.getExperiment()?.name || null,
+            memberName,
+            text: this.interpolate(this.versions.get(key).get(version).template, vars)
+        };
+    }
+
+    interpolate(template, vars) {
+        return template
+            .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, name, inner) => (this.hasValue(vars[name]) ? inner : ''))
+            .replace(/\{\{(\w+)\}\}/g, (match, name) => (this.hasValue(vars[name]) ? String(vars[name]) : ''));
+    }
+
+    hasValue(value) {
+        return value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+    }
+
+    /**
+     * Record one model call made with a rendered prompt. Never throws; returns
+     * the run id for feedback, or null when runs can't be stored.
+     */
+    async recordRun(prompt, { response = null, latencyMs = null, success = true, confidence = null } = {}) {
+        if (!prompt || !this.isAvailable()) return null;
+
+        const id = crypto.randomUUID();
+        try {
+            await this.db.query(`
+                INSERT INTO prompt_runs (id, prompt_key, version, experiment, arm, member_name, model,
+                    input_tokens, output_tokens, latency_ms, success, confidence)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+            `, [
+                id,
+                prompt.key,
+                prompt.version,
+                prompt.experiment,
+                prompt.arm,
+                prompt.memberName,
+                response?.model || null,
+                response?.usage?.inputTokens || 0,
+                response?.usage?.outputTokens || 0,
+                latencyMs,
+                success,
+                typeof confidence === 'number' ? Math.min(Math.max(confidence, 0), 1) : null
+            ]);
+            return id;
+        } catch (error) {
+            this.logger.error('Failed to record prompt run', { key: prompt.key, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Thumbs up/down on a run; a user's later vote replaces their earlier one.
+     * Returns null when the run doesn't exist, including ids that aren't UUIDs.
+     */
+    async recordFeedback(runId, { rating, comment = null, username = null }) {
+        if (typeof rating !== 'string' || !Object.hasOwn(FEEDBACK_RATINGS, rating)) {
+            throw new Error(`Invalid rating: use ${Object.keys(FEEDBACK_RATINGS).join(' or ')}`);
+        }
+        if (!UUID_PATTERN.test(String(runId))) return null;
+
+        const run = await this.db.query('SELECT id FROM prompt_runs WHERE id = $1', [runId]);
+        if (run.rows.length === 0) return null;
+
+        const result = await this.db.query(`
+            INSERT INTO prompt_feedback (run_id, rating, comment, username)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (run_id, COALESCE(username, ''))
+            DO UPDATE SET rating = EXCLUDED.rating, comment = EXCLUDED.comment, created_at = CURRENT_TIMESTAMP
+            RETURNING *
+        `, [runId, FEEDBACK_RATINGS[rating], comment, username]);
+
+        return result.rows[0];
+    }
+
+    /**
+     * Every prompt with its versions and the version each arm gets
+     */
+    listPrompts() {
+        const arms = [DEFAULT_ARM, ...(this.getExperiment()?.variants.map(variant => variant.name) || [])];
+
+        return PROMPT_KEYS.map(key => ({
+            key,
+            versions: [...this.versions.get(key).values()],
+            assignments: Object.fromEntries(arms.map(arm => [arm, this.versionFor(key, arm)]))
+        }));
+    }
+
+    getPrompt(key) {
+        return this.listPrompts().find(prompt => prompt.key === key) || null;
+    }
+
+    /**
+     * Add the next version of a prompt (v3, v4, ...)
+     */
+    async addVersion(key, { template, description = null, createdBy = null }) {
+        const versions = this.versions.get(key);
+        if (!versions) return null;
+
+        if (typeof template !== 'string' || template.trim() === '') {
+            throw new Error('Invalid prompt: template is required');
+        }
+
+        const next = Math.max(...[...versions.keys()].map(version => parseInt(version.slice(1)) || 0)) + 1;
+        const result = await this.db.query(`
+            INSERT INTO prompt_versions (prompt_key, version, template, description, created_by)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING *
+        `, [key, `v${next}`, template, description, createdBy]);
+
+        const version = this.toVersion(result.rows[0]);
+        versions.set(version.version, version);
+        this.logger.info('Prompt version added', { key, version: version.version, createdBy });
+
+        return version;
+    }
+
+    /**
+     * Point an experiment arm (or 'default') at a version
+     */
+    async assignVersion(key, { arm, version, assignedBy = null }) {
+        const versions = this.versions.get(key);
+        if (!versions) return null;
+
+        const arms = [DEFAULT_ARM, ...(this.getExperiment()?.variants.map(variant => variant.name) || [])];
+        if (!arms.includes(arm)) {
+            throw new Error(`Invalid arm: choose from ${arms.join(', ')}`);
+        }
+        if (!versions.has(version)) {
+            throw new Error(`Invalid version for ${key}: ${version}`);
+        }
+
+        await this.db.query(`
+            INSERT INTO prompt_assignments (prompt_key, arm, version, assigned_by)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (prompt_key, arm)
+            DO UPDATE SET version = EXCLUDED.version, assigned_by = EXCLUDED.assigned_by, updated_at = CURRENT_TIMESTAMP
+        `, [key, arm, version, assignedBy]);
+
+        this.assignments.set(`${key}:${arm}`, version);
+        this.logger.info('Prompt version assigned', { key, arm, version, assignedBy });
+
+        return this.getPrompt(key);
+    }
+
+    /**
+     * Compare arms and versions on the experiment metrics: response quality
+     * (thumbs and model confidence), token usage and response time
+     */
+    async getExperimentReport({ days = 30, key = null } = {}) {
+        if (key && !this.versions.has(key)) {
+            throw new Error(`Invalid prompt key: ${key} (choose from ${PROMPT_KEYS.join(', ')})`);
+        }
+
+        const params = [days];
+        let keyFilter = '';
+        if (key) {
+            params.push(key);
+            keyFilter = `AND r.prompt_key = $${params.length}`;
+        }
+
+        const result = await this.db.query(`
+            SELECT r.prompt_key, r.arm, r.version,
+                COUNT(*) AS runs,
+                COUNT(*) FILTER (WHERE r.success) AS successful_runs,
+                AVG(r.input_tokens) AS avg_input_tokens,
+                AVG(r.output_tokens) AS avg_output_tokens,
+                AVG(r.latency_ms) AS avg_latency_ms,
+                AVG(r.confidence) AS avg_confidence,
+                COALESCE(SUM(f.thumbs_up), 0) AS thumbs_up,
+                COALESCE(SUM(f.thumbs_down), 0) AS thumbs_down
+            FROM prompt_runs r
+            LEFT JOIN (
+                SELECT run_id,
+                    COUNT(*) FILTER (WHERE rating = 1) AS thumbs_up,
+                    COUNT(*) FILTER (WHERE rating = -1) AS thumbs_down
+                FROM prompt_feedback
+                GROUP BY run_id
+            ) f ON f.run_id = r.id
+            WHERE r.created_at >= CURRENT_DATE - ($1::int - 1) ${keyFilter}
+            GROUP BY r.prompt_key, r.arm, r.version
+            ORDER BY r.prompt_key, r.arm, r.version
+        `, params);
+
+        const experiment = this.getExperiment();
+
+        return {
+            days,
+            experiment: experiment ? { flag: experiment.flag, name: experiment.name, metrics: experiment.metrics || [] } : null,
+            arms: result.rows.map(row => this.toArmMetrics(row))
+        };
+    }
+
+    toArmMetrics(row) {
+        const thumbsUp = Number(row.thumbs_up);
+        const thumbsDown = Number(row.thumbs_down);
+        const round = (value, places = 1) => (value === null ? null : Number(Number(value).toFixed(places)));
+
+        return {
+            key: row.prompt_key,
+            arm: row.arm,
+            version: row.version,
+            runs: Number(row.runs),
+            successRate: round(Number(row.successful_runs) / Number(row.runs), 3),
+            responseQuality: {
+                thumbsUp,
+                thumbsDown,
+                approvalRate: thumbsUp + thumbsDown > 0 ? round(thumbsUp / (thumbsUp + thumbsDown), 3) : null,
+                avgConfidence: round(row.avg_confidence, 3)
+            },
+            tokenUsage: {
+                avgInputTokens: round(row.avg_input_tokens),
+                avgOutputTokens: round(row.avg_output_tokens)
+            },
+            responseTime: {
+                avgLatencyMs: round(row.avg_latency_ms, 0)
+            }
+        };
+    }
+
+    toVersion(row) {
+        return {
+            key: row.prompt_key,
+            version: row.version,
+            template: row.template,
+            description: row.description,
+            builtIn: false,
+            createdBy: row.created_by,
+            createdAt: row.created_at
+        };
+    }
+}
+
+// Export singleton instance
+export const promptRegistry = new PromptRegistry();
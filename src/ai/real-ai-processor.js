@@ -3,20 +3,24 @@
  * Replaces the mock keyword-based extraction with actual AI processing
  */
 
-import fetch from 'node-fetch';
 import { logger } from '../utils/logger.js';
+import { LLMRouter } from './llm/llm-router.js';
+import { BUDGET_EXCEEDED } from '../core/usage/ai-usage-service.js';
+import { promptRegistry } from './prompts/prompt-registry.js';
 
 export class RealAIProcessor {
     constructor(config = {}) {
         this.config = {
-            apiKey: config.apiKey || process.env.OPENROUTER_API_KEY,
-            baseUrl: 'https://openrouter.ai/api/v1',
-            defaultModel: 'anthropic/claude-3-5-sonnet-20241022',
-            timeout: 30000,
             maxRetries: 3,
             ...config
         };
         
+        // Provider and model come from the 'extraction' route
+        this.llm = config.llm || new LLMRouter();
+        
+        // System prompt versions and experiment arms
+        this.prompts = config.prompts || promptRegistry;
+        
         this.logger = logger.child({ component: 'RealAIProcessor' });
         this.stats = {
             requestsProcessed: 0,
@@ -31,6 +35,8 @@ export class RealAIProcessor {
      */
     async processTeamUpdate(memberName, updateText, memberConfig = {}, memoryContext = null) {
         const startTime = Date.now();
+        let systemPrompt = null;
+        let response = null;
         
         try {
             this.logger.info('Processing team update with AI', {
@@ -40,14 +46,20 @@ export class RealAIProcessor {
             });
 
             // Create context-aware prompt
-            const systemPrompt = this.buildSystemPrompt(memberName, memberConfig);
+            systemPrompt = this.buildSystemPrompt(memberName, memberConfig);
             const analysisPrompt = this.buildAnalysisPromptWithMemory(updateText, memberName, memberConfig, memoryContext);
 
             // Make AI request with retries
-            const response = await this.makeAIRequest(systemPrompt, analysisPrompt);
+            response = await this.makeAIRequest(systemPrompt.text, analysisPrompt, 0, memberName);
             
             // Parse and validate response
-            const analysis = this.parseAIResponse(response);
+            const analysis = this.parseAIResponse(response.content);
+            
+            const promptRunId = await this.prompts.recordRun(systemPrompt, {
+                response,
+                latencyMs: Date.now() - startTime,
+                confidence: analysis.metadata.overallConfidence
+            });
             
             // Update statistics
             this.updateStats(startTime, true);
@@ -64,9 +76,10 @@ export class RealAIProcessor {
                 processingTime: (Date.now() - startTime) / 1000,
                 analysis,
                 metadata: {
-                    modelUsed: this.config.defaultModel,
+                    modelUsed: this.llm.resolve('extraction').model,
                     timestamp: new Date().toISOString(),
-                    processingVersion: '2.0.0'
+                    processingVersion: '2.0.0',
+                    prompt: this.describePrompt(systemPrompt, promptRunId)
                 }
             };
 
@@ -74,32 +87,39 @@ export class RealAIProcessor {
             this.updateStats(startTime, false, error);
             this.logger.error('AI processing failed', { error, memberName });
             
+            // A reply that can't be parsed counts against the prompt version
+            if (response) {
+                await this.prompts.recordRun(systemPrompt, { response, latencyMs: Date.now() - startTime, success: false });
+            }
+            
             // Return graceful fallback
             return this.createFallbackResponse(memberName, updateText, error);
         }
     }
 
     /**
-     * Build system prompt for AI context
+     * Render the extraction system prompt from the registry (version depends
+     * on the member's prompt experiment arm)
      */
     buildSystemPrompt(memberName, memberConfig) {
-        const role = memberConfig.role || 'Team Member';
-        const focusAreas = memberConfig.focus_areas || [];
-        
-        return `Hey, I need your help with something. You know how we're always trying to keep track of what everyone's working on? Well, ${memberName} just dropped an update and I could use your sharp eye to catch the important stuff.
-
-Quick background - ${memberName} is our ${role}${focusAreas.length > 0 ? ` who mainly works on ${focusAreas.join(', ')}` : ''}. You know them, right?
-
-Here's what I'm looking for when you read their update:
-- Any to-dos that need to happen (and who's on the hook for them)
-- Client situations that might need some love or extra attention
-- Anything that sounds like it could blow up if we don't handle it
-- Revenue stuff - both the good opportunities and the "uh oh" moments
-- Things that the bosses might want to know about sooner rather than later
-
-You're really good at reading between the lines, so trust your gut. If something feels important but you can't quite put your finger on why, just flag it anyway. And hey, if you're not totally sure about something, just let me know your confidence level - we're all just doing our best here.
+        return this.prompts.render('extraction', {
+            memberName,
+            role: memberConfig.role || 'Team Member',
+            focusAreas: (memberConfig.focus_areas || []).join(', ')
+        }, memberName);
+    }
 
-Oh, one more thing - can you format your thoughts as JSON? Makes it easier for me to process. Thanks!`;
+    /**
+     * Prompt version details returned with results, so feedback can be tied to the run
+     */
+    describePrompt(prompt, runId) {
+        return {
+            runId,
+            key: prompt.key,
+            version: prompt.version,
+            arm: prompt.arm,
+            experiment: prompt.experiment
+        };
     }
 
     /**
@@ -215,55 +235,36 @@ Look, I know this is a lot of structure, but don't stress about filling in every
     }
 
     /**
-     * Make AI request with error handling and retries
+     * Make AI request with error handling and retries; resolves to the router
+     * response (content, model, usage)
      */
-    async makeAIRequest(systemPrompt, userPrompt, retryCount = 0) {
+    async makeAIRequest(systemPrompt, userPrompt, retryCount = 0, memberName = null) {
         try {
-            const response = await fetch(`${this.config.baseUrl}/chat/completions`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.config.apiKey}`,
-                    'Content-Type': 'application/json',
-                    'HTTP-Referer': 'https://team-crm-foundation.local',
-                    'X-Title': 'Team CRM Foundation'
-                },
-                body: JSON.stringify({
-                    model: this.config.defaultModel,
-                    messages: [
-                        {
-                            role: 'system',
-                            content: systemPrompt
-                        },
-                        {
-                            role: 'user', 
-                            content: userPrompt
-                        }
-                    ],
-                    max_tokens: 4000,
-                    temperature: 0.3, // Lower temperature for more consistent extraction
-                    top_p: 0.9
-                }),
-                timeout: this.config.timeout
+            const response = await this.llm.chat({
+                task: 'extraction',
+                memberName,
+                messages: [
+                    {
+                        role: 'system',
+                        content: systemPrompt
+                    },
+                    {
+                        role: 'user', 
+                        content: userPrompt
+                    }
+                ],
+                maxTokens: 4000,
+                temperature: 0.3 // Lower temperature for more consistent extraction
             });
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`AI API request failed: ${response.status} - ${errorText}`);
-            }
-
-            const data = await response.json();
-            
-            if (!data.choices || !data.choices[0] || !data.choices[0].message) {
-                throw new Error('Invalid AI response format');
-            }
-
-            return data.choices[0].message.content;
+            return response;
 
         } catch (error) {
-            if (retryCount < this.config.maxRetries) {
+            // Retrying won't help until tomorrow's budget
+            if (retryCount < this.config.maxRetries && error.code !== BUDGET_EXCEEDED) {
                 this.logger.warn(`AI request failed, retrying (${retryCount + 1}/${this.config.maxRetries})`, { error });
                 await this.delay(1000 * (retryCount + 1)); // Exponential backoff
-                return this.makeAIRequest(systemPrompt, userPrompt, retryCount + 1);
+                return this.makeAIRequest(systemPrompt, userPrompt, retryCount + 1, memberName);
             }
             
             throw error;
@@ -311,6 +312,7 @@ Look, I know this is a lot of structure, but don't stress about filling in every
 
         // Use basic keyword extraction as fallback
         const fallbackAnalysis = this.basicExtraction(updateText, memberName);
+        const overBudget = error?.code === BUDGET_EXCEEDED;
 
         return {
             success: false,
@@ -318,8 +320,10 @@ Look, I know this is a lot of structure, but don't stress about filling in every
             processingTime: 0.1,
             analysis: fallbackAnalysis,
             error: {
-                message: 'Hey, looks like our AI buddy is taking a coffee break. I did a quick scan with some basic keyword matching instead - not as thorough, but better than nothing!',
-                type: 'ai_service_busy',
+                message: overBudget
+                    ? 'You\'ve used up today\'s AI budget, so I did a quick scan with basic keyword matching instead. Full AI analysis is back tomorrow!'
+                    : 'Hey, looks like our AI buddy is taking a coffee break. I did a quick scan with some basic keyword matching instead - not as thorough, but better than nothing!',
+                type: overBudget ? 'ai_budget_exhausted' : 'ai_service_busy',
                 fallbackUsed: true
             },
             metadata: {
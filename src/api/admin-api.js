@@ -8,6 +8,11 @@ import path from 'path';
 import crypto from 'crypto';
 import multer from 'multer';
 import { fileURLToPath } from 'url';
+import { requireRole } from '../middleware/auth.js';
+import { accountService as defaultAccountService, ROLES } from '../core/auth/account-service.js';
+import { apiTokenService as defaultApiTokenService } from '../core/auth/api-token-service.js';
+import { teamConfigWatcher as defaultConfigWatcher } from '../core/config/team-config-watcher.js';
+import { db } from '../core/database/connection.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -15,10 +20,12 @@ const __dirname = path.dirname(__filename);
 const upload = multer({ dest: '/tmp' });
 
 export class AdminAPI {
-    constructor(configPath, orchestrator) {
+    constructor(configPath, orchestrator, accountService = defaultAccountService, apiTokenService = defaultApiTokenService, configWatcher = defaultConfigWatcher) {
         this.configPath = configPath || path.join(__dirname, '../../config/team-config.json');
-        this.authPath = path.join(__dirname, '../middleware/auth.js');
         this.orchestrator = orchestrator;
+        this.accountService = accountService;
+        this.apiTokenService = apiTokenService;
+        this.configWatcher = configWatcher;
     }
 
     /**
@@ -28,19 +35,24 @@ export class AdminAPI {
         const router = express.Router();
 
         // Protect all admin routes
-        router.use(this.requireAdminAuth);
+        router.use(requireRole('admin'));
 
         // Get all users
         router.get('/users', async (req, res) => {
             try {
                 const config = await this.loadConfig();
+                const accounts = await this.accountService.listAccounts();
                 const users = {};
 
-                // Combine team members and executives
+                // Combine team members, executives and login accounts
                 Object.entries(config.team.members).forEach(([username, member]) => {
+                    const account = accounts.find(a => a.username === username);
                     users[username] = {
                         ...member,
-                        isExecutive: config.team.executives.some(e => e.id === username)
+                        isExecutive: config.team.executives.some(e => e.id === username),
+                        accessRole: account?.role || this.accountService.defaultRoleFor(username, config),
+                        hasPassword: account?.hasPassword || false,
+                        lastLoginAt: account?.lastLoginAt || null
                     };
                 });
 
@@ -53,12 +65,16 @@ export class AdminAPI {
         // Add new user
         router.post('/users', async (req, res) => {
             try {
-                const { username, name, role, isExecutive } = req.body;
+                const { username, name, role, isExecutive, accessRole } = req.body;
 
                 if (!username || !name || !role) {
                     return res.status(400).json({ error: 'Hey there! We need the username, name, and role to create a new user. Mind filling those in?' });
                 }
 
+                if (accessRole && !ROLES.includes(accessRole)) {
+                    return res.status(400).json({ error: `Access role must be one of: ${ROLES.join(', ')}` });
+                }
+
                 const config = await this.loadConfig();
 
                 // Check if user exists
@@ -106,7 +122,13 @@ export class AdminAPI {
                 }
 
                 await this.saveConfig(config);
-                await this.updateAuthFile(config.team.members);
+
+                const credentials = await this.provisionAccount(
+                    username,
+                    config.team.members[username],
+                    password,
+                    accessRole || (isExecutive ? 'executive' : 'member')
+                );
 
                 // Reload orchestrator team members if available
                 let reloadStatus = false;
@@ -118,7 +140,7 @@ export class AdminAPI {
                 res.json({ 
                     success: true, 
                     password: password,
-                    envVar: `${username.toUpperCase()}_PASSWORD=${password}`,
+                    ...credentials,
                     assistantsReloaded: reloadStatus
                 });
 
@@ -205,7 +227,11 @@ export class AdminAPI {
                 config.team.executives = config.team.executives.filter(e => e.id !== username);
 
                 await this.saveConfig(config);
-                await this.updateAuthFile(config.team.members);
+
+                // Revoke login access; history tied to the member is kept
+                if (this.accountService.isAvailable()) {
+                    await this.accountService.setActive(username, false);
+                }
 
                 // Reload orchestrator team members if available
                 let reloadStatus = false;
@@ -268,7 +294,17 @@ export class AdminAPI {
                 }
 
                 await this.saveConfig(config);
-                await this.updateAuthFile(config.team.members);
+
+                for (const user of users) {
+                    if (!passwords[user.username]) continue;
+
+                    await this.provisionAccount(
+                        user.username,
+                        config.team.members[user.username],
+                        passwords[user.username],
+                        user.is_executive?.toLowerCase() === 'yes' ? 'executive' : 'member'
+                    );
+                }
 
                 // Clean up uploaded file
                 await fs.unlink(req.file.path);
@@ -292,6 +328,91 @@ export class AdminAPI {
             }
         });
 
+        // Change a user's access role
+        router.put('/users/:username/role', async (req, res) => {
+            try {
+                const { role } = req.body;
+
+                if (!ROLES.includes(role)) {
+                    return res.status(400).json({ error: `Access role must be one of: ${ROLES.join(', ')}` });
+                }
+
+                if (req.params.username === req.user?.username && role !== 'admin') {
+                    return res.status(400).json({ error: 'You can\'t remove your own admin access. Ask another admin to do it.' });
+                }
+
+                const updated = await this.accountService.setRole(req.params.username, role);
+                if (!updated) {
+                    return res.status(404).json({ error: 'Hmm, can\'t find that user. Double-check the username?' });
+                }
+
+                res.json({ success: true, username: req.params.username, role });
+
+            } catch (error) {
+                res.status(this.accountService.isAvailable() ? 500 : 503).json({ error: error.message });
+            }
+        });
+
+        // Reset a user's password
+        router.post('/users/:username/password', async (req, res) => {
+            try {
+                const password = req.body.password || this.generatePassword(16);
+
+                const updated = await this.accountService.setPassword(req.params.username, password);
+                if (!updated) {
+                    return res.status(404).json({ error: 'Hmm, can\'t find that user. Double-check the username?' });
+                }
+
+                res.json({
+                    success: true,
+                    username: req.params.username,
+                    password: req.body.password ? undefined : password
+                });
+
+            } catch (error) {
+                const statusCode = error.message.startsWith('Invalid') ? 400 :
+                    this.accountService.isAvailable() ? 500 : 503;
+                res.status(statusCode).json({ error: error.message });
+            }
+        });
+
+        // All API tokens with owner and last-used time
+        router.get('/tokens', async (req, res) => {
+            try {
+                if (!this.apiTokenService.isAvailable()) {
+                    return res.status(503).json({ error: 'API tokens require a database connection' });
+                }
+
+                const tokens = await this.apiTokenService.listTokens({
+                    includeRevoked: req.query.includeRevoked === 'true'
+                });
+
+                res.json({ tokens });
+
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Revoke any user's API token
+        router.delete('/tokens/:tokenId', async (req, res) => {
+            try {
+                if (!this.apiTokenService.isAvailable()) {
+                    return res.status(503).json({ error: 'API tokens require a database connection' });
+                }
+
+                const revoked = await this.apiTokenService.revokeToken(req.params.tokenId);
+                if (!revoked) {
+                    return res.status(404).json({ error: 'Hmm, can\'t find an active token with that ID.' });
+                }
+
+                res.json({ success: true });
+
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
         // Manual reload endpoint for orchestrator team members
         router.post('/reload-team-members', async (req, res) => {
             try {
@@ -306,6 +427,24 @@ export class AdminAPI {
             }
         });
 
+        // Re-read team-config.json now (applied only if it validates)
+        router.post('/settings/reload', async (req, res) => {
+            try {
+                if (!this.configWatcher.isWatching()) {
+                    return res.status(409).json({ error: 'Hot reload is off (hotReload feature flag) - restart to apply config changes' });
+                }
+
+                const result = await this.configWatcher.reload('admin');
+                res.status(result.applied ? 200 : 422).json({ success: result.applied, ...result });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        router.get('/settings/reload-status', (req, res) => {
+            res.json(this.configWatcher.getStatus());
+        });
+
         // System settings endpoints
         router.get('/settings', async (req, res) => {
             try {
@@ -331,8 +470,8 @@ export class AdminAPI {
                     ...req.body.processing
                 };
                 
-                await this.saveConfig(config);
-                res.json({ success: true });
+                const reload = await this.saveConfig(config);
+                res.json({ success: true, reload });
                 
             } catch (error) {
                 res.status(500).json({ error: error.message });
@@ -354,8 +493,8 @@ export class AdminAPI {
                     config.ai_configuration.processing.memory_retention_days = req.body.memory_retention_days;
                 }
                 
-                await this.saveConfig(config);
-                res.json({ success: true });
+                const reload = await this.saveConfig(config);
+                res.json({ success: true, reload });
                 
             } catch (error) {
                 res.status(500).json({ error: error.message });
@@ -373,8 +512,8 @@ export class AdminAPI {
                     ...req.body
                 };
                 
-                await this.saveConfig(config);
-                res.json({ success: true });
+                const reload = await this.saveConfig(config);
+                res.json({ success: true, reload });
                 
             } catch (error) {
                 res.status(500).json({ error: error.message });
@@ -547,17 +686,6 @@ export class AdminAPI {
         app.use('/api/admin', router);
     }
 
-    /**
-     * Middleware to require admin authentication
-     */
-    requireAdminAuth(req, res, next) {
-        // Check if user is authenticated and is an executive
-        if (!req.auth || (req.auth.user !== 'tre' && req.auth.user !== 'josh')) {
-            return res.status(403).json({ error: 'Hold up! You need admin privileges for this. Are you logged in as an admin?' });
-        }
-        next();
-    }
-
     /**
      * Generate secure password
      */
@@ -578,24 +706,35 @@ export class AdminAPI {
      */
     async saveConfig(config) {
         await fs.writeFile(this.configPath, JSON.stringify(config, null, 2));
+
+        // With hot reload on, apply the change now rather than waiting for the file watcher
+        if (this.configWatcher?.isWatching()) {
+            return this.configWatcher.reload('admin');
+        }
+        return null;
     }
 
     /**
-     * Update auth.js file
+     * Store a new user's password and role. Without a database the password
+     * can only be supplied through the environment, so that variable is returned.
      */
-    async updateAuthFile(members) {
-        const authContent = await fs.readFile(this.authPath, 'utf8');
-        
-        const usersObj = Object.keys(members).map(username => {
-            return `        '${username}': process.env.${username.toUpperCase()}_PASSWORD || 'changeme${Math.random().toString(36).substr(2, 6)}'`;
-        }).join(',\n');
-        
-        const newAuthContent = authContent.replace(
-            /const users = \{[\s\S]*?\};/,
-            `const users = {\n${usersObj}\n    };`
-        );
-        
-        await fs.writeFile(this.authPath, newAuthContent);
+    async provisionAccount(username, member, password, accessRole) {
+        if (!this.accountService.isAvailable()) {
+            return { envVar: `${username.toUpperCase()}_PASSWORD=${password}` };
+        }
+
+        try {
+            await this.accountService.createAccount(username, {
+                name: member.name,
+                role: member.role,
+                accessRole,
+                password
+            });
+            return {};
+        } catch (error) {
+            console.warn(`Failed to store credentials for ${username}:`, error.message);
+            return { envVar: `${username.toUpperCase()}_PASSWORD=${password}` };
+        }
     }
 
     /**
@@ -603,9 +742,6 @@ export class AdminAPI {
      */
     async addTeamMemberToDatabase(username, memberData) {
         try {
-            const { createConnection } = await import('../utils/database-pool.js');
-            const db = createConnection();
-            
             await db.query(`
                 INSERT INTO team_members 
                 (external_id, name, role, focus_areas, extraction_priorities, ai_model, active, created_at, updated_at)
@@ -627,7 +763,6 @@ export class AdminAPI {
                 memberData.ai_model
             ]);
             
-            await db.end();
             console.log(`Added/updated team member ${username} in database`);
         } catch (error) {
             console.error(`Failed to add team member ${username} to database:`, error);
@@ -640,9 +775,6 @@ export class AdminAPI {
      */
     async updateTeamMemberInDatabase(username, updates) {
         try {
-            const { createConnection } = await import('../utils/database-pool.js');
-            const db = createConnection();
-            
             const setParts = [];
             const values = [];
             let valueIndex = 1;
@@ -663,7 +795,6 @@ export class AdminAPI {
             }
             
             if (setParts.length === 0) {
-                await db.end();
                 return;
             }
             
@@ -677,7 +808,6 @@ export class AdminAPI {
             `;
             
             await db.query(query, values);
-            await db.end();
             
             console.log(`Updated team member ${username} in database`);
         } catch (error) {
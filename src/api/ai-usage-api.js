@@ -0,0 +1,91 @@
+/**
+ * AI usage API endpoints: token and cost report, call log and member budgets
+ */
+
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import { aiUsageService as defaultUsageService } from '../core/usage/ai-usage-service.js';
+
+const MAX_REPORT_DAYS = 90;
+
+export class AIUsageAPI {
+    constructor(usageService = defaultUsageService) {
+        this.logger = logger.child({ component: 'AIUsageAPI' });
+        this.usageService = usageService;
+
+        this.logger.info('AI usage API initialized');
+    }
+
+    /**
+     * Register AI usage endpoints (admin only, via /api/admin)
+     */
+    registerEndpoints(app) {
+        const router = express.Router();
+
+        // Usage is recorded in the database
+        router.use((req, res, next) => {
+            if (!this.usageService.isAvailable()) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'AI usage reporting requires a database connection'
+                });
+            }
+            next();
+        });
+
+        // Tokens and cost by member, feature, model and day, plus today's budgets
+        router.get('/', async (req, res) => {
+            try {
+                const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), MAX_REPORT_DAYS);
+
+                const report = await this.usageService.getUsageReport({
+                    days,
+                    memberName: req.query.member || null
+                });
+
+                res.json({
+                    success: true,
+                    data: report,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to build AI usage report');
+            }
+        });
+
+        // Recent model calls
+        router.get('/calls', async (req, res) => {
+            try {
+                const { member, feature, status, limit } = req.query;
+
+                const calls = await this.usageService.listCalls({
+                    memberName: member || null,
+                    feature,
+                    status,
+                    limit: Math.min(parseInt(limit) || 50, 200)
+                });
+
+                res.json({
+                    success: true,
+                    data: calls,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to list AI calls');
+            }
+        });
+
+        app.use('/api/admin/ai-usage', router);
+
+        this.logger.info('AI usage API endpoints registered');
+    }
+
+    handleError(res, error, message) {
+        this.logger.error(message, { error: error.message });
+
+        res.status(error.message.startsWith('Invalid') ? 400 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+}
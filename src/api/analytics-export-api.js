@@ -0,0 +1,176 @@
+/**
+ * Analytics export API endpoints: download an export for a date range and
+ * manage the schedules that email them
+ */
+
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import { analyticsExportService as defaultExportService } from '../core/analytics/analytics-export.js';
+
+export class AnalyticsExportAPI {
+    constructor(exportService = defaultExportService) {
+        this.logger = logger.child({ component: 'AnalyticsExportAPI' });
+        this.exportService = exportService;
+
+        this.logger.info('Analytics export API initialized');
+    }
+
+    /**
+     * Register export endpoints (admin only, via /api/admin)
+     */
+    registerEndpoints(app) {
+        const router = express.Router();
+
+        // Exports and schedules read from the database
+        router.use((req, res, next) => {
+            if (!this.exportService.isAvailable()) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'Analytics exports require a database connection'
+                });
+            }
+            next();
+        });
+
+        // Download an export (query: startDate, endDate, format)
+        router.get('/', async (req, res) => {
+            try {
+                const file = await this.exportService.createExport({
+                    startDate: req.query.startDate || null,
+                    endDate: req.query.endDate || null,
+                    format: req.query.format || 'xlsx'
+                });
+
+                res.setHeader('Content-Type', file.contentType);
+                res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+                res.send(file.body);
+            } catch (error) {
+                this.handleError(res, error, 'Failed to build analytics export');
+            }
+        });
+
+        // List schedules
+        router.get('/schedules', async (req, res) => {
+            try {
+                const schedules = await this.exportService.listSchedules();
+
+                res.json({
+                    success: true,
+                    data: schedules,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to list export schedules');
+            }
+        });
+
+        // Create a schedule (body: name, format, frequency, recipients)
+        router.post('/schedules', async (req, res) => {
+            try {
+                const { name, format, frequency, recipients } = req.body || {};
+
+                const schedule = await this.exportService.createSchedule({
+                    name,
+                    format,
+                    frequency,
+                    recipients,
+                    createdBy: req.user?.username || null
+                });
+
+                res.status(201).json({
+                    success: true,
+                    data: schedule,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to create export schedule');
+            }
+        });
+
+        // Update name, format, frequency, recipients or active
+        router.put('/schedules/:scheduleId', async (req, res) => {
+            try {
+                const { name, format, frequency, recipients, active } = req.body || {};
+
+                const schedule = await this.exportService.updateSchedule(req.params.scheduleId, {
+                    name,
+                    format,
+                    frequency,
+                    recipients,
+                    active
+                });
+                if (!schedule) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Hmm, can\'t find that export schedule.'
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    data: schedule,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to update export schedule');
+            }
+        });
+
+        // Delete a schedule
+        router.delete('/schedules/:scheduleId', async (req, res) => {
+            try {
+                const deleted = await this.exportService.deleteSchedule(req.params.scheduleId);
+                if (!deleted) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Hmm, can\'t find that export schedule.'
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    message: 'Export schedule deleted',
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to delete export schedule');
+            }
+        });
+
+        // Send a schedule's export now, for its period up to yesterday
+        router.post('/schedules/:scheduleId/send', async (req, res) => {
+            try {
+                const schedule = await this.exportService.getSchedule(req.params.scheduleId);
+                if (!schedule) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Hmm, can\'t find that export schedule.'
+                    });
+                }
+
+                const result = await this.exportService.sendScheduledExport(schedule);
+
+                res.json({
+                    success: result.status !== 'failed',
+                    data: result,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to send export');
+            }
+        });
+
+        app.use('/api/admin/exports', router);
+
+        this.logger.info('Analytics export API endpoints registered');
+    }
+
+    handleError(res, error, message) {
+        this.logger.error(message, { error: error.message });
+
+        res.status(error.message.startsWith('Invalid') ? 400 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+}
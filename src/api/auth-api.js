@@ -0,0 +1,223 @@
+/**
+ * Auth API endpoints for browser sessions and API tokens
+ */
+
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import { accountService as defaultAccountService } from '../core/auth/account-service.js';
+import { sessionService as defaultSessionService, SESSION_COOKIE } from '../core/auth/session-service.js';
+import { apiTokenService as defaultApiTokenService, TOKEN_SCOPES } from '../core/auth/api-token-service.js';
+
+export class AuthAPI {
+    constructor(options = {}) {
+        this.logger = logger.child({ component: 'AuthAPI' });
+        this.accountService = options.accountService || defaultAccountService;
+        this.sessionService = options.sessionService || defaultSessionService;
+        this.apiTokenService = options.apiTokenService || defaultApiTokenService;
+
+        this.logger.info('Auth API initialized');
+    }
+
+    /**
+     * Register auth API endpoints
+     */
+    registerEndpoints(app) {
+        const router = express.Router();
+
+        // Sign in and start a browser session
+        router.post('/login', async (req, res) => {
+            try {
+                const { username, password } = req.body;
+
+                if (!username || !password) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Username and password are both required'
+                    });
+                }
+
+                const account = await this.accountService.authenticate(String(username).trim(), String(password));
+                if (!account) {
+                    return res.status(401).json({
+                        success: false,
+                        error: 'That username and password don\'t match. Try again?'
+                    });
+                }
+
+                const session = await this.sessionService.createSession(account, {
+                    ipAddress: req.ip,
+                    userAgent: req.get('user-agent')
+                });
+
+                res.cookie(SESSION_COOKIE, session.cookieValue, this.sessionService.cookieOptions(session.expiresAt));
+
+                res.json({
+                    success: true,
+                    data: {
+                        user: this.publicUser(account),
+                        expiresAt: session.expiresAt
+                    },
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Login failed');
+            }
+        });
+
+        // End the current browser session
+        router.post('/logout', async (req, res) => {
+            try {
+                const cookie = this.sessionService.readCookie(req);
+                if (cookie) {
+                    await this.sessionService.revokeSession(cookie);
+                }
+
+                res.clearCookie(SESSION_COOKIE, this.sessionService.cookieOptions());
+                res.json({ success: true });
+            } catch (error) {
+                this.handleError(res, error, 'Logout failed');
+            }
+        });
+
+        // Who am I
+        router.get('/me', (req, res) => {
+            if (!req.user) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Please sign in to continue.'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: {
+                    user: this.publicUser(req.user),
+                    authMethod: req.authMethod,
+                    scopes: req.tokenScopes || null
+                },
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Token management needs a signed-in person and the database
+        const tokenRouter = express.Router();
+
+        tokenRouter.use((req, res, next) => {
+            if (!req.user) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Please sign in to continue.'
+                });
+            }
+
+            // A leaked token must not be able to mint more tokens
+            if (req.authMethod === 'token') {
+                return res.status(403).json({
+                    success: false,
+                    error: 'API tokens can\'t manage tokens. Sign in with your password instead.'
+                });
+            }
+
+            if (!this.apiTokenService.isAvailable()) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'API tokens require a database connection'
+                });
+            }
+
+            next();
+        });
+
+        // List my tokens
+        tokenRouter.get('/', async (req, res) => {
+            try {
+                const tokens = await this.apiTokenService.listTokens({ memberId: req.user.id });
+
+                res.json({
+                    success: true,
+                    data: tokens,
+                    scopes: TOKEN_SCOPES,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to list API tokens');
+            }
+        });
+
+        // Create a token
+        tokenRouter.post('/', async (req, res) => {
+            try {
+                const { name, scopes, expiresInDays } = req.body;
+
+                if (expiresInDays !== undefined && expiresInDays !== null &&
+                    (!Number.isInteger(Number(expiresInDays)) || Number(expiresInDays) < 1)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'expiresInDays must be a whole number of days'
+                    });
+                }
+
+                const token = await this.apiTokenService.createToken(req.user.id, {
+                    name,
+                    scopes: Array.isArray(scopes) ? scopes : ['read'],
+                    expiresInDays
+                });
+
+                this.logger.info('API token created', { username: req.user.username, tokenId: token.id, scopes: token.scopes });
+
+                res.status(201).json({
+                    success: true,
+                    data: token,
+                    message: 'Copy this token now. It won\'t be shown again.',
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to create API token');
+            }
+        });
+
+        // Revoke one of my tokens
+        tokenRouter.delete('/:tokenId', async (req, res) => {
+            try {
+                const revoked = await this.apiTokenService.revokeToken(req.params.tokenId, { memberId: req.user.id });
+                if (!revoked) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Hmm, can\'t find an active token with that ID.'
+                    });
+                }
+
+                this.logger.info('API token revoked', { username: req.user.username, tokenId: req.params.tokenId });
+
+                res.json({ success: true });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to revoke API token');
+            }
+        });
+
+        router.use('/tokens', tokenRouter);
+        app.use('/api/auth', router);
+
+        this.logger.info('Auth API endpoints registered');
+    }
+
+    /**
+     * Account fields that are safe to send to the browser
+     */
+    publicUser(account) {
+        return {
+            username: account.username,
+            name: account.name,
+            role: account.role
+        };
+    }
+
+    handleError(res, error, message) {
+        this.logger.error(message, { error: error.message });
+
+        res.status(error.message.startsWith('Invalid') ? 400 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+}
@@ -0,0 +1,323 @@
+/**
+ * Clients API endpoints for dealership and dealer group account management
+ */
+
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import { clientService as defaultClientService, TIMELINE_SOURCES } from '../core/clients/client-service.js';
+
+export class ClientsAPI {
+    constructor(clientService = defaultClientService) {
+        this.logger = logger.child({ component: 'ClientsAPI' });
+        this.clientService = clientService;
+
+        this.logger.info('Clients API initialized');
+    }
+
+    /**
+     * Register clients API endpoints
+     */
+    registerEndpoints(app) {
+        const router = express.Router();
+
+        // Every clients route needs the database
+        router.use((req, res, next) => {
+            if (!this.clientService.isAvailable()) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'Account management requires a database connection'
+                });
+            }
+            next();
+        });
+
+        // List clients
+        router.get('/', async (req, res) => {
+            try {
+                const { search, clientType, parentCompany, limit, offset } = req.query;
+
+                const result = await this.clientService.listClients({
+                    search,
+                    clientType,
+                    parentCompany,
+                    limit,
+                    offset
+                });
+
+                res.json({
+                    success: true,
+                    data: result.clients,
+                    pagination: {
+                        total: result.total,
+                        limit: result.limit,
+                        offset: result.offset
+                    },
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to list clients');
+            }
+        });
+
+        // Get a client with contacts, deals and hierarchy
+        router.get('/:clientId', async (req, res) => {
+            try {
+                const client = await this.clientService.getClientDetail(req.params.clientId);
+                if (!client) {
+                    return this.notFound(res);
+                }
+
+                res.json({
+                    success: true,
+                    data: client,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to get client');
+            }
+        });
+
+        // Create a client
+        router.post('/', async (req, res) => {
+            try {
+                const validationError = this.validateClient(req.body, true);
+                if (validationError) {
+                    return res.status(400).json({ success: false, error: validationError });
+                }
+
+                const client = await this.clientService.createClient(req.body);
+
+                res.status(201).json({
+                    success: true,
+                    data: client,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to create client');
+            }
+        });
+
+        // Update a client
+        router.put('/:clientId', async (req, res) => {
+            try {
+                const validationError = this.validateClient(req.body, false);
+                if (validationError) {
+                    return res.status(400).json({ success: false, error: validationError });
+                }
+
+                const client = await this.clientService.updateClient(req.params.clientId, req.body);
+                if (!client) {
+                    return this.notFound(res);
+                }
+
+                res.json({
+                    success: true,
+                    data: client,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to update client');
+            }
+        });
+
+        // Delete a client
+        router.delete('/:clientId', async (req, res) => {
+            try {
+                const deleted = await this.clientService.deleteClient(req.params.clientId);
+                if (!deleted) {
+                    return this.notFound(res);
+                }
+
+                res.json({ success: true });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to delete client');
+            }
+        });
+
+        // Dealer group hierarchy
+        router.get('/:clientId/hierarchy', async (req, res) => {
+            try {
+                const client = await this.clientService.getClient(req.params.clientId);
+                if (!client) {
+                    return this.notFound(res);
+                }
+
+                const hierarchy = await this.clientService.getHierarchy(client);
+
+                res.json({
+                    success: true,
+                    data: hierarchy,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to get client hierarchy');
+            }
+        });
+
+        // Account timeline
+        router.get('/:clientId/timeline', async (req, res) => {
+            try {
+                const sources = req.query.sources
+                    ? String(req.query.sources).split(',').filter(s => TIMELINE_SOURCES.includes(s))
+                    : null;
+
+                const timeline = await this.clientService.getTimeline(req.params.clientId, {
+                    limit: req.query.limit,
+                    since: req.query.since,
+                    sources
+                });
+                if (!timeline) {
+                    return this.notFound(res);
+                }
+
+                res.json({
+                    success: true,
+                    data: timeline,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to build client timeline');
+            }
+        });
+
+        // List contacts
+        router.get('/:clientId/contacts', async (req, res) => {
+            try {
+                const client = await this.clientService.getClient(req.params.clientId);
+                if (!client) {
+                    return this.notFound(res);
+                }
+
+                const contacts = await this.clientService.listContacts(client.id);
+
+                res.json({
+                    success: true,
+                    data: contacts,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to list contacts');
+            }
+        });
+
+        // Add a contact
+        router.post('/:clientId/contacts', async (req, res) => {
+            try {
+                if (!req.body.name || typeof req.body.name !== 'string') {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Contact name is required'
+                    });
+                }
+
+                const client = await this.clientService.getClient(req.params.clientId);
+                if (!client) {
+                    return this.notFound(res);
+                }
+
+                const contact = await this.clientService.createContact(client.id, req.body);
+
+                res.status(201).json({
+                    success: true,
+                    data: contact,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to create contact');
+            }
+        });
+
+        // Update a contact (including primary / decision-maker flags)
+        router.put('/:clientId/contacts/:contactId', async (req, res) => {
+            try {
+                const client = await this.clientService.getClient(req.params.clientId);
+                if (!client) {
+                    return this.notFound(res);
+                }
+
+                const contact = await this.clientService.updateContact(client.id, req.params.contactId, req.body);
+                if (!contact) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Contact not found for this client'
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    data: contact,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to update contact');
+            }
+        });
+
+        // Remove a contact
+        router.delete('/:clientId/contacts/:contactId', async (req, res) => {
+            try {
+                const client = await this.clientService.getClient(req.params.clientId);
+                if (!client) {
+                    return this.notFound(res);
+                }
+
+                const deleted = await this.clientService.deleteContact(client.id, req.params.contactId);
+                if (!deleted) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Contact not found for this client'
+                    });
+                }
+
+                res.json({ success: true });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to delete contact');
+            }
+        });
+
+        app.use('/api/clients', router);
+
+        this.logger.info('Clients API endpoints registered');
+    }
+
+    /**
+     * Returns an error message for invalid client payloads, or null
+     */
+    validateClient(body, requireName) {
+        if (requireName && (!body.name || typeof body.name !== 'string' || !body.name.trim())) {
+            return 'Client name is required';
+        }
+
+        if (body.name !== undefined && (typeof body.name !== 'string' || body.name.length > 255)) {
+            return 'Client name must be text under 255 characters';
+        }
+
+        if (body.parent_company && body.name && body.parent_company === body.name) {
+            return 'A client cannot be its own parent company';
+        }
+
+        for (const field of ['annual_revenue', 'employee_count']) {
+            if (body[field] !== undefined && body[field] !== null && Number.isNaN(Number(body[field]))) {
+                return `${field} must be a number`;
+            }
+        }
+
+        return null;
+    }
+
+    notFound(res) {
+        return res.status(404).json({
+            success: false,
+            error: 'Hmm, can\'t find that client. Double-check the client ID?'
+        });
+    }
+
+    handleError(res, error, message) {
+        this.logger.error(message, { error: error.message });
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+}
@@ -0,0 +1,316 @@
+/**
+ * Deals API endpoints for managing the sales pipeline
+ */
+
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import { ValidationMiddleware } from '../middleware/validation.js';
+import { dealService as defaultDealService, DEAL_STAGES } from '../core/deals/deal-service.js';
+import { dealRiskService as defaultDealRiskService } from '../core/deals/deal-risk-service.js';
+
+export class DealsAPI {
+    constructor(orchestrator, dealService = defaultDealService, dealRiskService = defaultDealRiskService) {
+        this.logger = logger.child({ component: 'DealsAPI' });
+        this.orchestrator = orchestrator;
+        this.dealService = dealService;
+        this.dealRiskService = dealRiskService;
+
+        // Stage changes notify the team through the orchestrator's notification system
+        if (orchestrator?.notificationSystem && !this.dealService.notificationSystem) {
+            this.dealService.notificationSystem = orchestrator.notificationSystem;
+        }
+
+        this.logger.info('Deals API initialized');
+    }
+
+    /**
+     * Register deals API endpoints
+     */
+    registerEndpoints(app) {
+        const router = express.Router();
+
+        // Every deals route needs the database
+        router.use((req, res, next) => {
+            if (!this.dealService.isAvailable()) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'Deal pipeline requires a database connection'
+                });
+            }
+            next();
+        });
+
+        // List deals with filters
+        router.get('/', async (req, res) => {
+            try {
+                const { owner, stage, priority, clientId, closeFrom, closeTo, open, search, limit, offset } = req.query;
+
+                const result = await this.dealService.listDeals({
+                    owner,
+                    stage,
+                    priority,
+                    clientId,
+                    closeFrom,
+                    closeTo,
+                    open: open === 'true',
+                    search,
+                    limit,
+                    offset
+                });
+
+                res.json({
+                    success: true,
+                    data: result.deals,
+                    pagination: {
+                        total: result.total,
+                        limit: result.limit,
+                        offset: result.offset
+                    },
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to list deals');
+            }
+        });
+
+        // Pipeline totals by stage
+        router.get('/pipeline', async (req, res) => {
+            try {
+                const stages = await this.dealService.getPipelineByStage({ owner: req.query.owner });
+
+                res.json({
+                    success: true,
+                    data: {
+                        stages: DEAL_STAGES.map(stage => {
+                            const row = stages.find(s => s.stage === stage);
+                            return {
+                                stage,
+                                dealCount: parseInt(row?.deal_count || 0),
+                                totalValue: parseFloat(row?.total_value || 0),
+                                monthlyValue: parseFloat(row?.monthly_value || 0),
+                                weightedValue: parseFloat(row?.weighted_value || 0)
+                            };
+                        })
+                    },
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to load pipeline');
+            }
+        });
+
+        // Open deals by their latest risk score
+        router.get('/risk', async (req, res) => {
+            try {
+                const deals = await this.dealRiskService.listRiskiestDeals({ limit: req.query.limit });
+
+                res.json({
+                    success: true,
+                    data: deals,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to load deal risk');
+            }
+        });
+
+        // Get a single deal
+        router.get('/:dealId', async (req, res) => {
+            try {
+                const deal = await this.dealService.getDeal(req.params.dealId);
+                if (!deal) {
+                    return this.notFound(res);
+                }
+
+                res.json({
+                    success: true,
+                    data: deal,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to get deal');
+            }
+        });
+
+        // Deal activity history
+        router.get('/:dealId/activities', async (req, res) => {
+            try {
+                const deal = await this.dealService.getDeal(req.params.dealId);
+                if (!deal) {
+                    return this.notFound(res);
+                }
+
+                const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+                const activities = await this.dealService.getDealActivities(deal.id, limit);
+
+                res.json({
+                    success: true,
+                    data: activities,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to get deal activities');
+            }
+        });
+
+        // Current risk score with its factors, and the daily score history
+        router.get('/:dealId/risk', async (req, res) => {
+            try {
+                const risk = await this.dealRiskService.scoreDeal(req.params.dealId);
+                if (!risk) {
+                    return this.notFound(res);
+                }
+
+                const history = await this.dealRiskService.getRiskHistory(risk.dealId, { days: req.query.days });
+
+                res.json({
+                    success: true,
+                    data: { ...risk, history },
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to score deal risk');
+            }
+        });
+
+        // Create a deal
+        router.post('/', ValidationMiddleware.createDealValidator(true), async (req, res) => {
+            try {
+                const deal = await this.dealService.createDeal(req.body, this.getActor(req));
+
+                res.status(201).json({
+                    success: true,
+                    data: deal,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to create deal');
+            }
+        });
+
+        // Update deal fields
+        router.put('/:dealId', ValidationMiddleware.createDealValidator(), async (req, res) => {
+            try {
+                const deal = await this.dealService.updateDeal(req.params.dealId, req.body, this.getActor(req));
+                if (!deal) {
+                    return this.notFound(res);
+                }
+
+                res.json({
+                    success: true,
+                    data: deal,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to update deal');
+            }
+        });
+
+        // Move a deal to a new stage
+        router.post('/:dealId/stage', async (req, res) => {
+            try {
+                const { stage, note, probability } = req.body;
+
+                if (!stage || !DEAL_STAGES.includes(stage)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `A valid stage is required: ${DEAL_STAGES.join(', ')}`
+                    });
+                }
+
+                const deal = await this.dealService.changeStage(req.params.dealId, stage, {
+                    actor: this.getActor(req),
+                    note,
+                    probability
+                });
+                if (!deal) {
+                    return this.notFound(res);
+                }
+
+                res.json({
+                    success: true,
+                    data: deal,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to change deal stage');
+            }
+        });
+
+        // Close a deal as won or lost
+        router.post('/:dealId/close', async (req, res) => {
+            try {
+                const { outcome, reason, actualCloseDate } = req.body;
+
+                if (!['won', 'lost'].includes(outcome)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Outcome must be "won" or "lost"'
+                    });
+                }
+
+                const deal = await this.dealService.closeDeal(req.params.dealId, {
+                    won: outcome === 'won',
+                    reason,
+                    actualCloseDate,
+                    actor: this.getActor(req)
+                });
+                if (!deal) {
+                    return this.notFound(res);
+                }
+
+                res.json({
+                    success: true,
+                    data: deal,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to close deal');
+            }
+        });
+
+        // Delete a deal
+        router.delete('/:dealId', async (req, res) => {
+            try {
+                const deleted = await this.dealService.deleteDeal(req.params.dealId);
+                if (!deleted) {
+                    return this.notFound(res);
+                }
+
+                res.json({ success: true });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to delete deal');
+            }
+        });
+
+        app.use('/api/deals', router);
+
+        this.logger.info('Deals API endpoints registered');
+    }
+
+    /**
+     * Who is making the change, always the signed-in user
+     */
+    getActor(req) {
+        return req.user?.username || null;
+    }
+
+    notFound(res) {
+        return res.status(404).json({
+            success: false,
+            error: 'Hmm, can\'t find that deal. Double-check the deal ID?'
+        });
+    }
+
+    handleError(res, error, message) {
+        this.logger.error(message, { error: error.message });
+
+        const statusCode = error.message.includes('not found') ||
+            error.message.includes('Invalid') ? 400 : 500;
+
+        res.status(statusCode).json({
+            success: false,
+            error: error.message
+        });
+    }
+}
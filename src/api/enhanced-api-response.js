@@ -28,6 +28,13 @@ export class EnhancedAPIResponse {
                 keyInsights: processingResult.extracted?.keyInsights || []
             },
             
+            // Model extractions (deal updates, risks, action items, ...)
+            aiExtractions: (processingResult.aiExtractions || []).map(extraction => ({
+                type: extraction.type,
+                confidence: extraction.confidence,
+                data: extraction.data || {}
+            })),
+            
             // Enhanced analysis data
             analysis: {
                 confidence: analysis.confidence || 0.5,
@@ -93,7 +100,8 @@ export class EnhancedAPIResponse {
                 processingVersion: processingResult.aiResult?.metadata?.processingVersion || '1.0.0',
                 modelUsed: processingResult.aiResult?.metadata?.modelUsed || 'unknown',
                 fallbackUsed: processingResult.fallbackUsed || false,
-                processingTime: processingResult.processingTime || 0
+                processingTime: processingResult.processingTime || 0,
+                prompt: processingResult.prompt || null
             }
         };
     }
@@ -4,137 +4,165 @@
  */
 
 import { ExecutiveSummaryEngine } from '../core/intelligence/executive-summary-engine.js';
+import { executiveIntelligenceService } from '../core/intelligence/executive-intelligence-service.js';
+import { requireRole } from '../middleware/auth.js';
+import { logger } from '../utils/logger.js';
+
+// Snoozes default to a day when no time is given
+const DEFAULT_SNOOZE_MINUTES = 24 * 60;
+
+const RECOMMENDED_ACTIONS = {
+    email_escalation: [
+        { action: 'brief_me', label: 'Read the Email', primary: true },
+        { action: 'call_member', label: 'Call Team Member', primary: false }
+    ],
+    keyword_escalation: [
+        { action: 'call_member', label: 'Call Team Member', primary: true },
+        { action: 'brief_me', label: 'Get Full Briefing', primary: false }
+    ],
+    ai_risk_flag: [
+        { action: 'brief_me', label: 'Get Full Briefing', primary: true },
+        { action: 'schedule_meeting', label: 'Schedule Executive Meeting', primary: false },
+        { action: 'call_member', label: 'Call Team Member', primary: false }
+    ],
+    executive_question: [
+        { action: 'call_member', label: 'Call Team Member', primary: true },
+        { action: 'wait_response', label: 'Wait for Response', primary: false }
+    ]
+};
 
 export class ExecutiveIntelligenceAPI {
-    constructor(orchestrator, memorySystem) {
+    constructor(orchestrator, memorySystem, service = executiveIntelligenceService) {
         this.orchestrator = orchestrator;
         this.memory = memorySystem;
-        this.interventions = [];
-        this.teamActivity = [];
-        this.executiveComments = [];
-        this.situationMetrics = {};
+        this.service = service;
         this.summaryEngine = new ExecutiveSummaryEngine();
-        
-        // Initialize intelligence system
+        this.logger = logger.child({ component: 'ExecutiveIntelligenceAPI' });
+
+        // Turn orchestrator escalations and updates into stored intelligence
         this.initializeIntelligenceSystem();
     }
 
     initializeIntelligenceSystem() {
-        // Mock current situations requiring executive attention
-        this.interventions = [
-            {
-                id: 'acme-negotiation',
-                type: 'deal_intervention',
-                title: 'Acme Corp Contract Negotiation Stalled',
-                description: 'Client pushing back on pricing structure. Deal value $500K at risk. They want executive-level discussion on terms.',
-                urgency: 'critical',
-                memberName: 'joe',
-                memberDisplayName: 'Joe Martinez',
-                dealValue: 500000,
-                timestamp: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
-                context: {
-                    clientName: 'Acme Corp',
-                    issueType: 'pricing_objection',
-                    dealStage: 'contract_negotiation',
-                    timelineRisk: 'high',
-                    competitorInvolved: false
-                },
-                recommendedActions: [
-                    { action: 'schedule_meeting', label: 'Schedule Executive Meeting', primary: true },
-                    { action: 'call_member', label: 'Call Joe Immediately', primary: false },
-                    { action: 'brief_me', label: 'Get Full Briefing', primary: false }
-                ]
-            },
-            {
-                id: 'techco-blocker',
-                type: 'meeting_required',
-                title: 'TechCo CEO Wants Executive Presentation',
-                description: 'Client CEO specifically requested executive-level presentation next week. Strategic partnership potential.',
-                urgency: 'high',
-                memberName: 'charlie',
-                memberDisplayName: 'Charlie Chen',
-                dealValue: 750000,
-                timestamp: new Date(Date.now() - 4 * 60 * 60 * 1000).toISOString(),
-                context: {
-                    clientName: 'TechCo',
-                    issueType: 'executive_meeting_request',
-                    dealStage: 'strategic_discussion',
-                    timelineRisk: 'medium',
-                    partnershipPotential: true
-                },
-                recommendedActions: [
-                    { action: 'join_meeting', label: 'Accept Meeting Request', primary: true },
-                    { action: 'brief_me', label: 'Preparation Briefing', primary: false },
-                    { action: 'call_member', label: 'Discuss with Charlie', primary: false }
-                ]
-            }
-        ];
-
-        // Mock team activity intelligence
-        this.teamActivity = [
-            {
-                id: 'joe-update-1',
-                memberName: 'joe',
-                memberDisplayName: 'Joe Martinez',
-                timestamp: new Date(Date.now() - 30 * 60 * 1000).toISOString(),
-                summary: 'Acme Corp pushing back on implementation timeline. They need 6-month phased approach instead of 3-month. Concerned about internal resource allocation.',
-                tags: ['Acme Corp', 'Timeline Adjustment', 'Resource Planning'],
+        if (!this.orchestrator?.on) return;
+
+        this.orchestrator.on('escalationCreated', (escalation) => {
+            this.recordEscalation(escalation).catch(error => {
+                this.logger.error('Failed to record escalation', { error: error.message, type: escalation.type });
+            });
+        });
+
+        this.orchestrator.on('updateProcessed', (update) => {
+            if (!update.updateText) return;
+
+            this.service.recordActivity({
+                memberName: update.memberName,
+                summary: update.updateText.substring(0, 1000),
+                tags: [],
+                context: { extractedItems: update.extractedItems || 0 },
+                source: update.source
+            }).catch(error => {
+                this.logger.error('Failed to record team activity', { error: error.message });
+            });
+        });
+    }
+
+    /**
+     * Store an orchestrator escalation as an intervention
+     */
+    async recordEscalation(escalation) {
+        const memberName = escalation.memberName || null;
+        const displayName = this.getMemberDisplayName(memberName) || 'the team';
+        const summary = (escalation.summary || '').substring(0, 500);
+
+        const details = {
+            email_escalation: {
+                title: `Email: ${escalation.subject || '(no subject)'}`,
+                description: escalation.reason,
                 context: {
-                    clientMood: 'cautious',
-                    dealRisk: 'medium',
-                    actionRequired: 'executive_guidance'
+                    emailFrom: escalation.source,
+                    subject: escalation.subject,
+                    reason: escalation.reason
                 }
             },
-            {
-                id: 'charlie-update-1',
-                memberName: 'charlie',
-                memberDisplayName: 'Charlie Chen',
-                timestamp: new Date(Date.now() - 1 * 60 * 60 * 1000).toISOString(),
-                summary: 'TechCo CEO very interested in strategic partnership beyond current deal. Mentioned potential for 3-year exclusive arrangement worth estimated $2M annually.',
-                tags: ['TechCo', 'Strategic Partnership', 'Opportunity $2M+'],
-                context: {
-                    clientMood: 'very_positive',
-                    dealRisk: 'low',
-                    actionRequired: 'executive_meeting'
-                }
+            keyword_escalation: {
+                title: `Keyword alert in ${displayName}'s update`,
+                description: summary || escalation.reason,
+                context: { ...escalation.context, reason: escalation.reason }
             },
-            {
-                id: 'joe-update-2',
-                memberName: 'joe',
-                memberDisplayName: 'Joe Martinez',
-                timestamp: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
-                summary: 'DataFlow Inc asking about competitive analysis. They want to understand how our solution compares to MegaCorp\'s offering. Need strategic positioning.',
-                tags: ['DataFlow Inc', 'Competitive Analysis', 'Positioning'],
-                context: {
-                    clientMood: 'analytical',
-                    dealRisk: 'medium',
-                    actionRequired: 'strategic_information'
-                }
+            ai_risk_flag: {
+                title: escalation.clientName
+                    ? `${escalation.clientName} flagged at risk`
+                    : `Risk flagged in ${displayName}'s update`,
+                description: summary || escalation.reason,
+                context: { ...escalation.context, reason: escalation.reason }
+            }
+        }[escalation.type];
+
+        if (!details) {
+            this.logger.warn('Ignoring escalation of unknown type', { type: escalation.type });
+            return null;
+        }
+
+        return this.createIntervention({
+            sourceType: escalation.type,
+            sourceRef: escalation.sourceRef,
+            memberName,
+            urgency: escalation.urgency,
+            dealValue: escalation.dealValue,
+            clientName: escalation.clientName,
+            ...details
+        });
+    }
+
+    /**
+     * Persist an intervention and announce it when it's new
+     */
+    async createIntervention(data) {
+        const { intervention, created } = await this.service.createIntervention({
+            recommendedActions: RECOMMENDED_ACTIONS[data.sourceType] || [],
+            ...data
+        });
+
+        const decorated = this.decorateIntervention(intervention);
+        if (created) {
+            this.orchestrator?.emit?.('interventionCreated', decorated);
+        }
+
+        return decorated;
+    }
+
+    /**
+     * Add display fields the dashboard expects
+     */
+    decorateIntervention(intervention) {
+        return {
+            ...intervention,
+            memberDisplayName: this.getMemberDisplayName(intervention.memberName),
+            context: {
+                ...intervention.context,
+                clientName: intervention.clientName || intervention.context?.clientName
             }
-        ];
-
-        // Mock situation metrics for context
-        this.situationMetrics = {
-            dealsRequiringAttention: 2,
-            executiveMeetingsRequested: 1,
-            revenueAtRisk: 500000,
-            blockersIdentified: 1,
-            teamUpdatesToday: 8,
-            strategicOpportunities: 1
         };
     }
 
     /**
      * Get all current items requiring executive intervention
      */
-    getExecutiveActions() {
-        const filteredActions = this.summaryEngine.filterAttentionItems(this.interventions);
-        const metrics = this.summaryEngine.generateSummaryMetrics(filteredActions, this.teamActivity);
-        
+    async getExecutiveActions() {
+        const interventions = await this.service.listInterventions();
+        const activities = this.summaryEngine.filterTeamActivity(await this.service.listActivity());
+
+        // Everything stored already passed an escalation rule, so rank rather than filter
+        const actions = interventions
+            .map(intervention => this.decorateIntervention(intervention))
+            .sort((a, b) => this.summaryEngine.calculatePriority(b) - this.summaryEngine.calculatePriority(a));
+        const metrics = this.summaryEngine.generateSummaryMetrics(actions, activities);
+
         return {
-            actions: filteredActions,
+            actions,
             summary: {
-                total: filteredActions.length,
+                total: actions.length,
                 critical: metrics.criticalItems,
                 high: metrics.highPriorityItems,
                 revenueAtRisk: metrics.totalRevenueAtRisk,
@@ -146,10 +174,14 @@ export class ExecutiveIntelligenceAPI {
     /**
      * Get real-time team activity intelligence
      */
-    getTeamActivity(limit = 10) {
-        const enhancedActivities = this.summaryEngine.filterTeamActivity(this.teamActivity);
-        const metrics = this.summaryEngine.generateSummaryMetrics(this.interventions, enhancedActivities);
-        
+    async getTeamActivity(limit = 10) {
+        const activities = (await this.service.listActivity()).map(activity => ({
+            ...activity,
+            memberDisplayName: this.getMemberDisplayName(activity.memberName)
+        }));
+        const enhancedActivities = this.summaryEngine.filterTeamActivity(activities);
+        const metrics = this.summaryEngine.generateSummaryMetrics([], enhancedActivities);
+
         return {
             activities: enhancedActivities.slice(0, limit),
             summary: {
@@ -164,8 +196,22 @@ export class ExecutiveIntelligenceAPI {
     /**
      * Get current situational metrics
      */
-    getSituationMetrics() {
-        return this.situationMetrics;
+    async getSituationMetrics() {
+        const interventions = await this.service.listInterventions();
+        const activities = this.summaryEngine.filterTeamActivity(await this.service.listActivity());
+        const metrics = this.summaryEngine.generateSummaryMetrics(interventions, activities);
+
+        const startOfDay = new Date();
+        startOfDay.setHours(0, 0, 0, 0);
+
+        return {
+            dealsRequiringAttention: interventions.filter(item => item.dealValue || item.clientName).length,
+            executiveMeetingsRequested: interventions.filter(item => item.context?.executiveMeetingRequested).length,
+            revenueAtRisk: metrics.totalRevenueAtRisk,
+            blockersIdentified: interventions.filter(item => item.urgency === 'critical').length,
+            teamUpdatesToday: await this.service.countActivitySince(startOfDay),
+            strategicOpportunities: metrics.strategicOpportunities
+        };
     }
 
     /**
@@ -201,84 +247,111 @@ export class ExecutiveIntelligenceAPI {
     /**
      * Post executive comment/question to team
      */
-    async postExecutiveComment(commentData) {
-        const comment = {
-            id: Date.now().toString(),
+    async postExecutiveComment(commentData, author = 'Executive') {
+        let intervention = null;
+
+        // Urgent questions to a specific member also need an answer tracked
+        if (commentData.assignee && (commentData.priority === 'urgent' || commentData.priority === 'high')) {
+            intervention = await this.createEscalation({
+                type: 'executive_question',
+                message: commentData.message,
+                assignee: commentData.assignee,
+                priority: commentData.priority
+            });
+        }
+
+        const comment = await this.service.createComment({
             message: commentData.message,
-            author: 'Executive',
-            timestamp: new Date().toISOString(),
+            author,
             assignee: commentData.assignee,
             priority: commentData.priority || 'normal',
-            status: 'sent',
-            responses: []
-        };
+            interventionId: intervention?.id
+        });
 
-        this.executiveComments.unshift(comment);
-
-        // Simulate team notification
-        if (commentData.assignee) {
-            console.log(`Executive comment sent to ${commentData.assignee}: ${commentData.message}`);
-            
-            // Create intervention if high priority
-            if (commentData.priority === 'urgent' || commentData.priority === 'high') {
-                this.createEscalation({
-                    type: 'executive_question',
-                    message: commentData.message,
-                    assignee: commentData.assignee,
-                    priority: commentData.priority
-                });
-            }
-        }
+        this.orchestrator?.emit?.('executiveComment', comment);
+
+        return { ...comment, responses: [] };
+    }
+
+    /**
+     * Reply to an executive comment
+     */
+    async respondToComment(commentId, message, author) {
+        const parent = await this.service.getComment(commentId);
+        if (!parent) return null;
 
-        return comment;
+        const response = await this.service.createComment({
+            parentId: parent.id,
+            interventionId: parent.interventionId,
+            message,
+            author,
+            assignee: parent.author,
+            priority: parent.priority
+        });
+
+        this.orchestrator?.emit?.('executiveComment', response);
+
+        return response;
     }
 
     /**
      * Get executive comments and team responses
      */
-    getExecutiveComments(limit = 10) {
+    async getExecutiveComments(limit = 10) {
         return {
-            comments: this.executiveComments.slice(0, limit)
+            comments: await this.service.listComments(limit)
         };
     }
 
     /**
      * Create escalation for executive attention
      */
-    createEscalation(escalationData) {
-        const escalation = {
-            id: Date.now().toString(),
-            type: escalationData.type,
+    async createEscalation(escalationData) {
+        return this.createIntervention({
+            sourceType: escalationData.type,
             title: `Executive Question: ${escalationData.message.substring(0, 50)}...`,
             description: escalationData.message,
             urgency: escalationData.priority === 'urgent' ? 'critical' : 'high',
             memberName: escalationData.assignee,
-            memberDisplayName: this.getMemberDisplayName(escalationData.assignee),
-            timestamp: new Date().toISOString(),
             context: {
                 questionType: 'executive_inquiry',
                 responseRequired: true,
                 priority: escalationData.priority
-            },
-            recommendedActions: [
-                { action: 'call_member', label: 'Call Team Member', primary: true },
-                { action: 'wait_response', label: 'Wait for Response', primary: false }
-            ]
-        };
+            }
+        });
+    }
 
-        this.interventions.unshift(escalation);
-        return escalation;
+    /**
+     * Apply an acknowledge/snooze/resolve action and announce the change
+     */
+    async updateIntervention(id, action, actor, body = {}) {
+        let intervention;
+
+        if (action === 'acknowledge') {
+            intervention = await this.service.acknowledgeIntervention(id, actor);
+        } else if (action === 'snooze') {
+            const until = body.until
+                ? new Date(body.until)
+                : new Date(Date.now() + (parseInt(body.minutes) || DEFAULT_SNOOZE_MINUTES) * 60 * 1000);
+            intervention = await this.service.snoozeIntervention(id, actor, until);
+        } else {
+            intervention = await this.service.resolveIntervention(id, actor, body.note || null);
+        }
+
+        if (!intervention) return null;
+
+        const decorated = this.decorateIntervention(intervention);
+        this.orchestrator?.emit?.('interventionUpdated', decorated);
+
+        return decorated;
     }
 
     /**
      * Helper to get member display name
      */
     getMemberDisplayName(memberName) {
-        const names = {
-            'joe': 'Joe Martinez',
-            'charlie': 'Charlie Chen'
-        };
-        return names[memberName] || memberName;
+        if (!memberName) return null;
+        return this.orchestrator?.config?.team?.members?.[memberName]?.name || memberName;
     }
 
     /**
@@ -286,19 +359,31 @@ export class ExecutiveIntelligenceAPI {
      */
     registerEndpoints(app) {
         // Executive intervention alerts
-        app.get('/api/executive-actions', (req, res) => {
-            res.json(this.getExecutiveActions());
+        app.get('/api/executive-actions', async (req, res) => {
+            try {
+                res.json(await this.getExecutiveActions());
+            } catch (error) {
+                this.handleError(res, error, 'Failed to load executive actions');
+            }
         });
 
         // Team activity intelligence
-        app.get('/api/team-activity', (req, res) => {
-            const limit = parseInt(req.query.limit) || 10;
-            res.json(this.getTeamActivity(limit));
+        app.get('/api/team-activity', async (req, res) => {
+            try {
+                const limit = parseInt(req.query.limit) || 10;
+                res.json(await this.getTeamActivity(limit));
+            } catch (error) {
+                this.handleError(res, error, 'Failed to load team activity');
+            }
         });
 
         // Situational metrics
-        app.get('/api/intelligence/metrics', (req, res) => {
-            res.json(this.getSituationMetrics());
+        app.get('/api/intelligence/metrics', async (req, res) => {
+            try {
+                res.json(await this.getSituationMetrics());
+            } catch (error) {
+                this.handleError(res, error, 'Failed to load situation metrics');
+            }
         });
 
         // Team performance context
@@ -307,64 +392,173 @@ export class ExecutiveIntelligenceAPI {
         });
 
         // Executive comments
-        app.get('/api/comments', (req, res) => {
-            const limit = parseInt(req.query.limit) || 10;
-            res.json(this.getExecutiveComments(limit));
+        app.get('/api/comments', async (req, res) => {
+            try {
+                const limit = parseInt(req.query.limit) || 10;
+                res.json(await this.getExecutiveComments(limit));
+            } catch (error) {
+                this.handleError(res, error, 'Failed to load comments');
+            }
         });
 
-        app.post('/api/comments', async (req, res) => {
+        // Only executives post comments; team members reply to them below
+        app.post('/api/comments', requireRole('executive'), async (req, res) => {
             try {
-                const comment = await this.postExecutiveComment(req.body);
+                if (!req.body.message) {
+                    return res.status(400).json({ success: false, error: 'A message is required' });
+                }
+
+                const comment = await this.postExecutiveComment(req.body, req.user?.name || 'Executive');
                 res.json({ success: true, comment });
             } catch (error) {
-                res.status(500).json({ error: error.message });
+                this.handleError(res, error, 'Failed to post comment');
             }
         });
 
-        // Add new update from team (for real-time updates)
-        app.post('/api/team-activity', (req, res) => {
-            const activity = {
-                id: Date.now().toString(),
-                memberName: req.body.memberName,
-                memberDisplayName: this.getMemberDisplayName(req.body.memberName),
-                timestamp: new Date().toISOString(),
-                summary: req.body.summary,
-                tags: req.body.tags || [],
-                context: req.body.context || {}
-            };
-
-            this.teamActivity.unshift(activity);
-            
-            // Keep only last 50 activities
-            if (this.teamActivity.length > 50) {
-                this.teamActivity = this.teamActivity.slice(0, 50);
+        // Team member reply to an executive comment
+        app.post('/api/comments/:id/responses', async (req, res) => {
+            try {
+                if (!req.body.message) {
+                    return res.status(400).json({ success: false, error: 'A message is required' });
+                }
+
+                const author = req.user?.username || req.body.memberName;
+                if (!author) {
+                    return res.status(400).json({ success: false, error: 'memberName is required' });
+                }
+
+                const response = await this.respondToComment(req.params.id, req.body.message, author);
+                if (!response) {
+                    return res.status(404).json({ success: false, error: 'Hmm, can\'t find that comment.' });
+                }
+
+                res.json({ success: true, response });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to post response');
             }
+        });
+
+        // Add new update from team (for real-time updates)
+        app.post('/api/team-activity', async (req, res) => {
+            try {
+                if (!req.body.summary) {
+                    return res.status(400).json({ success: false, error: 'A summary is required' });
+                }
+
+                const activity = await this.service.recordActivity({
+                    memberName: req.user?.username || req.body.memberName,
+                    summary: req.body.summary,
+                    tags: req.body.tags || [],
+                    context: req.body.context || {},
+                    source: 'api'
+                });
 
-            res.json({ success: true, activity });
+                res.json({
+                    success: true,
+                    activity: { ...activity, memberDisplayName: this.getMemberDisplayName(activity.memberName) }
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to record team activity');
+            }
         });
 
         // Clean dashboard endpoints
-        app.get('/api/executive/attention', (req, res) => {
-            const result = this.getExecutiveActions();
-            res.json({
-                success: true,
-                data: result.actions,
-                summary: result.summary
-            });
+        app.get('/api/executive/attention', async (req, res) => {
+            try {
+                const result = await this.getExecutiveActions();
+                res.json({
+                    success: true,
+                    data: result.actions,
+                    summary: result.summary
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to load attention items');
+            }
+        });
+
+        app.get('/api/executive/activity', async (req, res) => {
+            try {
+                const result = await this.getTeamActivity(15);
+                res.json({
+                    success: true,
+                    data: result.activities.map(activity => ({
+                        ...activity,
+                        updateText: activity.summary,
+                        insights: activity.executiveInsights,
+                        priority: activity.executivePriority
+                    })),
+                    summary: result.summary
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to load team activity');
+            }
+        });
+
+        // Intervention history and lifecycle
+        app.get('/api/executive/interventions', async (req, res) => {
+            try {
+                const interventions = await this.service.listInterventions({
+                    status: req.query.status || null,
+                    limit: Math.min(parseInt(req.query.limit) || 50, 200)
+                });
+
+                res.json({
+                    success: true,
+                    data: interventions.map(intervention => this.decorateIntervention(intervention)),
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to list interventions');
+            }
+        });
+
+        app.get('/api/executive/interventions/:id', async (req, res) => {
+            try {
+                const intervention = await this.service.getIntervention(req.params.id);
+                if (!intervention) {
+                    return res.status(404).json({ success: false, error: 'Hmm, can\'t find that intervention.' });
+                }
+
+                res.json({
+                    success: true,
+                    data: this.decorateIntervention(intervention),
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to load intervention');
+            }
         });
 
-        app.get('/api/executive/activity', (req, res) => {
-            const result = this.getTeamActivity(15);
-            res.json({
-                success: true,
-                data: result.activities.map(activity => ({
-                    ...activity,
-                    updateText: activity.summary,
-                    insights: activity.executiveInsights,
-                    priority: activity.executivePriority
-                })),
-                summary: result.summary
+        for (const action of ['acknowledge', 'snooze', 'resolve']) {
+            app.post(`/api/executive/interventions/:id/${action}`, async (req, res) => {
+                try {
+                    const actor = req.user?.username || 'executive';
+                    const intervention = await this.updateIntervention(req.params.id, action, actor, req.body);
+                    if (!intervention) {
+                        return res.status(404).json({
+                            success: false,
+                            error: 'Hmm, can\'t find an unresolved intervention with that ID.'
+                        });
+                    }
+
+                    res.json({
+                        success: true,
+                        data: intervention,
+                        timestamp: new Date().toISOString()
+                    });
+                } catch (error) {
+                    this.handleError(res, error, `Failed to ${action} intervention`);
+                }
             });
+        }
+    }
+
+    handleError(res, error, message) {
+        this.logger.error(message, { error: error.message });
+
+        res.status(error.message.startsWith('Invalid') ? 400 : 500).json({
+            success: false,
+            error: error.message
         });
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,156 @@
+/**
+ * Feature flag API endpoints: flag assignments for the signed-in user, and
+ * admin inspection, preview and overrides
+ */
+
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import { featureFlagService as defaultFlagService } from '../core/flags/feature-flag-service.js';
+import { accountService as defaultAccountService } from '../core/auth/account-service.js';
+
+export class FeatureFlagAPI {
+    constructor(flagService = defaultFlagService, accountService = defaultAccountService) {
+        this.logger = logger.child({ component: 'FeatureFlagAPI' });
+        this.flagService = flagService;
+        this.accountService = accountService;
+
+        this.logger.info('Feature flag API initialized');
+    }
+
+    /**
+     * Register feature flag endpoints
+     */
+    registerEndpoints(app) {
+        // Flag values and experiment variants for the signed-in user (used by the browser pages)
+        app.get('/api/flags', (req, res) => {
+            res.json({
+                success: true,
+                data: this.flagService.evaluateAll(this.flagService.contextFor(req.user)),
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        const admin = express.Router();
+
+        // Flag definitions, current rollout stage and overrides
+        admin.get('/', (req, res) => {
+            res.json({
+                success: true,
+                data: this.flagService.listFlags(),
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Re-read config/feature-flags.json
+        admin.post('/reload', async (req, res) => {
+            try {
+                const flags = await this.flagService.load();
+
+                res.json({
+                    success: true,
+                    data: flags,
+                    message: `${flags.length} feature flags loaded`,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to reload feature flags');
+            }
+        });
+
+        admin.get('/:flagName', (req, res) => {
+            const flag = this.flagService.getFlag(req.params.flagName);
+            if (!flag) return this.notFound(res);
+
+            res.json({
+                success: true,
+                data: flag,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // What a user would get (query: username, role, environment)
+        admin.get('/:flagName/evaluate', async (req, res) => {
+            try {
+                if (!this.flagService.getFlag(req.params.flagName)) return this.notFound(res);
+
+                const { username, environment } = req.query;
+                const role = req.query.role || (username ? await this.accountService.getRole(username) : null);
+                const context = this.flagService.contextFor(
+                    username ? { username, role } : null,
+                    environment ? { environment } : {}
+                );
+
+                res.json({
+                    success: true,
+                    data: this.flagService.evaluate(req.params.flagName, context),
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to evaluate feature flag');
+            }
+        });
+
+        // Force a value (or experiment variant) for everyone, or for one username
+        admin.put('/:flagName/override', async (req, res) => {
+            try {
+                const { value, variant, username } = req.body;
+
+                const override = await this.flagService.setOverride(req.params.flagName, {
+                    value,
+                    variant: variant ?? null,
+                    username: username || null,
+                    createdBy: req.user?.username || null
+                });
+                if (!override) return this.notFound(res);
+
+                res.json({
+                    success: true,
+                    data: override,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to override feature flag');
+            }
+        });
+
+        admin.delete('/:flagName/override', async (req, res) => {
+            try {
+                const cleared = await this.flagService.clearOverride(req.params.flagName, req.query.username || null);
+                if (!cleared) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Hmm, that flag has no override to clear.'
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    message: 'Override cleared',
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to clear feature flag override');
+            }
+        });
+
+        app.use('/api/admin/flags', admin);
+
+        this.logger.info('Feature flag API endpoints registered');
+    }
+
+    notFound(res) {
+        return res.status(404).json({
+            success: false,
+            error: 'Hmm, can\'t find that feature flag.'
+        });
+    }
+
+    handleError(res, error, message) {
+        this.logger.error(message, { error: error.message });
+
+        res.status(error.message.startsWith('Invalid') ? 400 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+}
@@ -0,0 +1,98 @@
+/**
+ * Forecast API endpoints: the bottom-up pipeline forecast by month, category
+ * and owner, what-if scenarios against it, and how past forecasts compared
+ * with what actually closed
+ */
+
+import { logger } from '../utils/logger.js';
+import { pipelineForecastService as defaultForecastService } from '../core/analytics/pipeline-forecast.js';
+import { forecastAccuracyService as defaultAccuracyService } from '../core/analytics/forecast-accuracy.js';
+
+export class ForecastAPI {
+    constructor(forecastService = defaultForecastService, accuracyService = defaultAccuracyService) {
+        this.logger = logger.child({ component: 'ForecastAPI' });
+        this.forecast = forecastService;
+        this.accuracy = accuracyService;
+
+        this.logger.info('Forecast API initialized');
+    }
+
+    /**
+     * Register forecast endpoints
+     */
+    registerEndpoints(app) {
+        // Forecasts are built from the deals table
+        app.use('/api/forecast', (req, res, next) => {
+            if (!this.forecast.isAvailable()) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'Forecasting requires a database connection'
+                });
+            }
+            next();
+        });
+
+        // Weighted pipeline by month, commit/best case/pipeline and per owner (query: months, owner)
+        app.get('/api/forecast', async (req, res) => {
+            try {
+                const forecast = await this.forecast.getForecast({
+                    months: req.query.months,
+                    owner: req.query.owner || null
+                });
+
+                res.json({
+                    success: true,
+                    data: forecast,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to build forecast');
+            }
+        });
+
+        // The forecast with deals slipped, re-weighted or dropped (body: changes, months, owner)
+        app.post('/api/forecast/what-if', async (req, res) => {
+            try {
+                const { changes, months, owner } = req.body || {};
+                const result = await this.forecast.runWhatIf({ changes, months, owner: owner || null });
+
+                res.json({
+                    success: true,
+                    data: result,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to run what-if forecast');
+            }
+        });
+
+        // Forecast against actual closed revenue by method and owner (query: periods, owner)
+        app.get('/api/forecast/accuracy', async (req, res) => {
+            try {
+                const report = await this.accuracy.getAccuracyReport({
+                    periods: req.query.periods,
+                    owner: req.query.owner || null
+                });
+
+                res.json({
+                    success: true,
+                    data: report,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to load forecast accuracy');
+            }
+        });
+
+        this.logger.info('Forecast API endpoints registered');
+    }
+
+    handleError(res, error, message) {
+        this.logger.error(message, { error: error.message });
+
+        res.status(error.message.startsWith('Invalid') ? 400 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+}
@@ -0,0 +1,201 @@
+/**
+ * Ingest API endpoints for uploading documents (PDF, Word, Excel, CSV, text)
+ */
+
+import express from 'express';
+import multer from 'multer';
+import path from 'path';
+import crypto from 'crypto';
+import fs from 'fs';
+import { logger } from '../utils/logger.js';
+import { documentIngestionService as defaultIngestionService, INGESTION_STATUSES } from '../core/ingestion/document-ingestion-service.js';
+
+const MAX_UPLOAD_BYTES = (parseInt(process.env.INGESTION_MAX_UPLOAD_MB) || 25) * 1024 * 1024;
+const MAX_FILES = 10;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export class IngestAPI {
+    constructor(ingestionService = defaultIngestionService) {
+        this.logger = logger.child({ component: 'IngestAPI' });
+        this.ingestionService = ingestionService;
+
+        // Keep the extension: FileProcessor picks the parser from it
+        this.upload = multer({
+            storage: multer.diskStorage({
+                destination: (req, file, callback) => {
+                    fs.mkdir(this.ingestionService.storageDir, { recursive: true }, error => {
+                        callback(error, this.ingestionService.storageDir);
+                    });
+                },
+                filename: (req, file, callback) => {
+                    callback(null, `${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`);
+                }
+            }),
+            limits: { fileSize: MAX_UPLOAD_BYTES, files: MAX_FILES },
+            fileFilter: (req, file, callback) => {
+                callback(null, this.ingestionService.isSupported(file.originalname));
+            }
+        }).fields([{ name: 'file', maxCount: 1 }, { name: 'files', maxCount: MAX_FILES }]);
+
+        this.logger.info('Ingest API initialized');
+    }
+
+    /**
+     * Register ingest API endpoints
+     */
+    registerEndpoints(app) {
+        const router = express.Router();
+
+        // Documents are tracked and their extractions stored in the database
+        router.use((req, res, next) => {
+            if (!this.ingestionService.isAvailable()) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'Document ingestion requires a database connection'
+                });
+            }
+            next();
+        });
+
+        // Upload one or more documents for processing
+        router.post('/', (req, res, next) => {
+            this.upload(req, res, error => {
+                if (!error) return next();
+
+                const message = error.code === 'LIMIT_FILE_SIZE'
+                    ? `That file is too big. The limit is ${MAX_UPLOAD_BYTES / (1024 * 1024)}MB.`
+                    : error.message;
+
+                res.status(400).json({ success: false, error: message });
+            });
+        }, async (req, res) => {
+            const files = [...(req.files?.file || []), ...(req.files?.files || [])];
+
+            try {
+                if (files.length === 0) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'No supported file uploaded. Send PDF, Word, Excel, CSV or text files as "file" or "files".'
+                    });
+                }
+
+                const { clientId, dealId } = req.body;
+                for (const [field, value] of Object.entries({ clientId, dealId })) {
+                    if (value && !UUID_PATTERN.test(value)) {
+                        await this.discard(files);
+                        return res.status(400).json({
+                            success: false,
+                            error: `${field} must be a valid ID`
+                        });
+                    }
+                }
+
+                const documents = [];
+                while (files.length > 0) {
+                    const file = files[0];
+                    documents.push(await this.ingestionService.ingestFile({
+                        filePath: file.path,
+                        originalName: file.originalname,
+                        mimeType: file.mimetype,
+                        size: file.size,
+                        memberName: req.user?.username || req.body.memberName,
+                        source: 'upload',
+                        clientId: clientId || null,
+                        dealId: dealId || null
+                    }));
+                    files.shift();
+                }
+
+                res.status(202).json({
+                    success: true,
+                    data: documents.map(document => this.toResponse(document)),
+                    message: `${documents.length} document${documents.length === 1 ? '' : 's'} queued for processing`,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                // Files already handed to the ingestion service are its to clean up
+                await this.discard(files);
+                this.handleError(res, error, 'Failed to ingest documents');
+            }
+        });
+
+        // List ingested documents
+        router.get('/', async (req, res) => {
+            try {
+                const { member, status, limit } = req.query;
+
+                if (status && !INGESTION_STATUSES.includes(status)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Invalid status: choose from ${INGESTION_STATUSES.join(', ')}`
+                    });
+                }
+
+                const documents = await this.ingestionService.listDocuments({
+                    memberName: member,
+                    status,
+                    limit: Math.min(parseInt(limit) || 50, 200)
+                });
+
+                res.json({
+                    success: true,
+                    data: documents.map(document => this.toResponse(document)),
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to list documents');
+            }
+        });
+
+        // Document status and its extractions
+        router.get('/:documentId', async (req, res) => {
+            try {
+                const document = await this.ingestionService.getDocument(req.params.documentId);
+                if (!document) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Hmm, can\'t find that document.'
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    data: {
+                        ...this.toResponse(document),
+                        extractions: await this.ingestionService.getDocumentExtractions(document)
+                    },
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to get document');
+            }
+        });
+
+        app.use('/api/ingest', router);
+
+        this.logger.info('Ingest API endpoints registered');
+    }
+
+    /**
+     * Document fields returned to clients (the stored path stays server-side)
+     */
+    toResponse(document) {
+        const response = { ...document };
+        delete response.stored_path;
+        return response;
+    }
+
+    async discard(files) {
+        await Promise.all(files.map(file => fs.promises.unlink(file.path).catch(() => {})));
+    }
+
+    handleError(res, error, message) {
+        this.logger.error(message, { error: error.message });
+
+        res.status(error.message.startsWith('Invalid') ? 400 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+}
@@ -0,0 +1,288 @@
+/**
+ * Memory API endpoints: semantic search over team memory, the updates and
+ * emails that search results link back to, and the memory inspector where
+ * members review, correct, export and delete what their assistant learned
+ */
+
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import { hasRole } from '../middleware/auth.js';
+import {
+    memoryQueryService as defaultMemoryQueryService,
+    MEMORY_SCOPES
+} from '../core/memory/memory-query-service.js';
+import { localMemoryStore as defaultMemoryStore } from '../core/memory/local-memory-store.js';
+import { memoryRetentionJob as defaultRetentionJob } from '../core/memory/memory-retention-job.js';
+
+const MAX_PAGE_SIZE = 200;
+
+export class MemoryAPI {
+    constructor(
+        memoryQueryService = defaultMemoryQueryService,
+        memoryStore = defaultMemoryStore,
+        retentionJob = defaultRetentionJob
+    ) {
+        this.logger = logger.child({ component: 'MemoryAPI' });
+        this.memory = memoryQueryService;
+        this.store = memoryStore;
+        this.retention = retentionJob;
+
+        this.logger.info('Memory API initialized');
+    }
+
+    /**
+     * Register memory endpoints
+     */
+    registerEndpoints(app) {
+        // Search (body: query, memberId, scopes, types, from, to, client, limit)
+        app.post('/api/memory/query', async (req, res) => {
+            if (!this.requireDatabase(res)) return;
+
+            const memberId = req.body.memberId || req.user?.username || null;
+            if (!this.canSeeMember(req, memberId)) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Hold up! You can only search your own memories.'
+                });
+            }
+
+            const executive = this.isExecutive(req);
+            const requestedScopes = toList(req.body.scopes);
+            if (requestedScopes.includes('executive') && !executive) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Hold up! Executive memories need executive access.'
+                });
+            }
+
+            try {
+                const results = await this.memory.query({
+                    query: req.body.query,
+                    memberId,
+                    scopes: requestedScopes.length > 0
+                        ? requestedScopes
+                        : MEMORY_SCOPES.filter(scope => executive || scope !== 'executive'),
+                    types: toList(req.body.types),
+                    from: req.body.from || null,
+                    to: req.body.to || null,
+                    client: req.body.client || null,
+                    limit: req.body.limit
+                });
+
+                res.json({
+                    success: true,
+                    data: results,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to search memory');
+            }
+        });
+
+        // The update or email behind a search result
+        app.get('/api/memory/sources/:type/:id', async (req, res) => {
+            if (!this.requireDatabase(res)) return;
+
+            try {
+                const source = await this.memory.getSource(req.params.type, req.params.id);
+                if (!source || !this.canSeeMember(req, source.memberId)) {
+                    return res.status(404).json({
+                        success: false,
+                        error: `Hmm, can't find that ${req.params.type}.`
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    data: source,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to load memory source');
+            }
+        });
+
+        // Memory inspector: members manage their own memories; executives
+        // can review anyone's and admins can change anyone's
+        const inspector = express.Router({ mergeParams: true });
+
+        inspector.use((req, res, next) => {
+            if (!this.requireDatabase(res)) return;
+
+            const writing = req.method !== 'GET';
+            const allowed = writing
+                ? this.canChangeMember(req, req.params.memberId)
+                : this.canSeeMember(req, req.params.memberId);
+            if (!allowed) {
+                return res.status(403).json({
+                    success: false,
+                    error: `Hold up! You can only ${writing ? 'change' : 'see'} your own memories.`
+                });
+            }
+
+            next();
+        });
+
+        // List (query: type, limit, offset)
+        inspector.get('/', async (req, res) => {
+            try {
+                const page = await this.store.listMemberMemories(req.params.memberId, {
+                    type: req.query.type || null,
+                    limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_PAGE_SIZE),
+                    offset: Math.max(parseInt(req.query.offset) || 0, 0)
+                });
+
+                res.json({
+                    success: true,
+                    data: { ...page, retentionDays: this.retention.retentionDays },
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to list memories');
+            }
+        });
+
+        // Everything, as a JSON download
+        inspector.get('/export', async (req, res) => {
+            try {
+                const memories = await this.store.exportMemberMemories(req.params.memberId);
+                const exportedAt = new Date().toISOString();
+
+                res.setHeader('Content-Disposition',
+                    `attachment; filename="memories-${req.params.memberId}-${exportedAt.slice(0, 10)}.json"`);
+                res.json({
+                    memberId: req.params.memberId,
+                    exportedAt,
+                    retentionDays: this.retention.retentionDays,
+                    count: memories.length,
+                    memories
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to export memories');
+            }
+        });
+
+        // Correct a memory (body: content)
+        inspector.patch('/:memoryId', async (req, res) => {
+            try {
+                const memory = await this.store.correctMemberMemory(
+                    req.params.memberId,
+                    req.params.memoryId,
+                    req.body.content,
+                    { correctedBy: req.user?.username || null }
+                );
+                if (!memory) return this.memoryNotFound(res);
+
+                res.json({
+                    success: true,
+                    data: memory,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to correct memory');
+            }
+        });
+
+        inspector.delete('/:memoryId', async (req, res) => {
+            try {
+                const deleted = await this.store.deleteMemberMemory(req.params.memberId, req.params.memoryId);
+                if (!deleted) return this.memoryNotFound(res);
+
+                this.logger.info('Memory deleted', {
+                    memberId: req.params.memberId,
+                    memoryId: req.params.memoryId,
+                    by: req.user?.username || null
+                });
+                res.json({
+                    success: true,
+                    data: { deleted: 1 },
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to delete memory');
+            }
+        });
+
+        // Right to forget: wipe everything
+        inspector.delete('/', async (req, res) => {
+            try {
+                const deleted = await this.store.deleteMemberMemories(req.params.memberId);
+
+                this.logger.info('All memories deleted', {
+                    memberId: req.params.memberId,
+                    deleted,
+                    by: req.user?.username || null
+                });
+                res.json({
+                    success: true,
+                    data: { deleted },
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to delete memories');
+            }
+        });
+
+        app.use('/api/members/:memberId/memories', inspector);
+
+        this.logger.info('Memory API endpoints registered');
+    }
+
+    memoryNotFound(res) {
+        return res.status(404).json({
+            success: false,
+            error: 'Hmm, can\'t find that memory.'
+        });
+    }
+
+    isExecutive(req) {
+        return Boolean(req.user && hasRole(req.user.role, 'executive'));
+    }
+
+    /**
+     * Members see their own memories; executives see everyone's
+     */
+    canSeeMember(req, memberId) {
+        if (!req.user) return true;
+        return this.isExecutive(req) || memberId === req.user.username;
+    }
+
+    /**
+     * Members change their own memories; admins can change anyone's
+     */
+    canChangeMember(req, memberId) {
+        if (!req.user) return true;
+        return hasRole(req.user.role, 'admin') || memberId === req.user.username;
+    }
+
+    /**
+     * Memories are stored in the database
+     */
+    requireDatabase(res) {
+        if (this.memory.isAvailable()) return true;
+
+        res.status(503).json({
+            success: false,
+            error: 'Memory requires a database connection'
+        });
+        return false;
+    }
+
+    handleError(res, error, message) {
+        this.logger.error(message, { error: error.message });
+
+        res.status(error.message.startsWith('Invalid') ? 400 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Accept both ['a', 'b'] and 'a,b'
+ */
+function toList(value) {
+    if (Array.isArray(value)) return value.map(String);
+    if (typeof value === 'string') return value.split(',').map(item => item.trim()).filter(Boolean);
+    return [];
+}
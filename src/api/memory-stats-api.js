@@ -31,10 +31,9 @@ export function registerMemoryStatsAPI(app, orchestrator) {
             
             // Get memory stats
             try {
-                // Search for all memories for this user
-                const memories = await assistant.memory.searchMemories({
-                    userId: memberId,
-                    limit: 1000 // Get count
+                // All memories for this user, newest first
+                const memories = await assistant.memory.getMemberMemories(memberId, {
+                    maxResults: 1000 // Get count
                 });
                 
                 // Get additional stats if available
@@ -42,14 +41,14 @@ export function registerMemoryStatsAPI(app, orchestrator) {
                     memberId,
                     count: memories.length,
                     enabled: true,
-                    oldestMemory: memories.length > 0 ? memories[memories.length - 1].content.date : null,
-                    newestMemory: memories.length > 0 ? memories[0].content.date : null,
+                    oldestMemory: memories.length > 0 ? memories[memories.length - 1].createdAt : null,
+                    newestMemory: memories.length > 0 ? memories[0].createdAt : null,
                     categories: {}
                 };
                 
                 // Count by type
                 memories.forEach(memory => {
-                    const type = memory.type || 'other';
+                    const type = memory.metadata?.type || 'other';
                     stats.categories[type] = (stats.categories[type] || 0) + 1;
                 });
                 
@@ -88,9 +87,8 @@ export function registerMemoryStatsAPI(app, orchestrator) {
                     if (assistant.memory) {
                         status.enabled = true;
                         try {
-                            const memories = await assistant.memory.searchMemories({
-                                userId: memberId,
-                                limit: 100
+                            const memories = await assistant.memory.getMemberMemories(memberId, {
+                                maxResults: 100
                             });
                             status.memberStats[memberId] = memories.length;
                             status.totalMemories += memories.length;
@@ -0,0 +1,223 @@
+/**
+ * Outbound webhook API endpoints: subscriptions, delivery log and replay
+ */
+
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import {
+    outboundWebhookService as defaultWebhookService,
+    WEBHOOK_EVENTS
+} from '../core/webhooks/outbound-webhook-service.js';
+
+export class OutboundWebhookAPI {
+    constructor(orchestrator, webhookService = defaultWebhookService) {
+        this.logger = logger.child({ component: 'OutboundWebhookAPI' });
+        this.webhookService = webhookService;
+
+        // Start publishing CRM events to subscribers
+        this.webhookService.attach(orchestrator);
+
+        this.logger.info('Outbound webhook API initialized');
+    }
+
+    /**
+     * Register outbound webhook endpoints (admin only, via /api/admin)
+     */
+    registerEndpoints(app) {
+        const router = express.Router();
+
+        // Event names subscribers can choose from
+        router.get('/events', (req, res) => {
+            res.json({
+                success: true,
+                data: WEBHOOK_EVENTS,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Subscriptions and deliveries are stored in the database
+        router.use((req, res, next) => {
+            if (!this.webhookService.isAvailable()) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'Outbound webhooks require a database connection'
+                });
+            }
+            next();
+        });
+
+        // List subscriptions
+        router.get('/subscriptions', async (req, res) => {
+            try {
+                const subscriptions = await this.webhookService.listSubscriptions();
+
+                res.json({
+                    success: true,
+                    data: subscriptions.map(subscription => this.toResponse(subscription)),
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to list webhook subscriptions');
+            }
+        });
+
+        // Create a subscription; the signing secret is only shown here
+        router.post('/subscriptions', async (req, res) => {
+            try {
+                const { name, url, events } = req.body;
+
+                const subscription = await this.webhookService.createSubscription({
+                    name,
+                    url,
+                    events: typeof events === 'string' ? [events] : events,
+                    createdBy: req.user?.username || null
+                });
+
+                res.status(201).json({
+                    success: true,
+                    data: subscription,
+                    message: 'Subscription created. Store the secret now; it won\'t be shown again.',
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to create webhook subscription');
+            }
+        });
+
+        // Update name, url, events or active
+        router.put('/subscriptions/:subscriptionId', async (req, res) => {
+            try {
+                const { name, url, events, active } = req.body;
+
+                const subscription = await this.webhookService.updateSubscription(req.params.subscriptionId, {
+                    name,
+                    url,
+                    events: typeof events === 'string' ? [events] : events,
+                    active
+                });
+                if (!subscription) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Hmm, can\'t find that webhook subscription.'
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    data: this.toResponse(subscription),
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to update webhook subscription');
+            }
+        });
+
+        // Delete a subscription and its delivery log
+        router.delete('/subscriptions/:subscriptionId', async (req, res) => {
+            try {
+                const deleted = await this.webhookService.deleteSubscription(req.params.subscriptionId);
+                if (!deleted) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Hmm, can\'t find that webhook subscription.'
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    message: 'Subscription deleted',
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to delete webhook subscription');
+            }
+        });
+
+        // Delivery log
+        router.get('/deliveries', async (req, res) => {
+            try {
+                const { subscriptionId, status, event, limit } = req.query;
+
+                const deliveries = await this.webhookService.listDeliveries({
+                    subscriptionId,
+                    status,
+                    event,
+                    limit: Math.min(parseInt(limit) || 50, 200)
+                });
+
+                res.json({
+                    success: true,
+                    data: deliveries,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to list webhook deliveries');
+            }
+        });
+
+        // A single delivery with its payload
+        router.get('/deliveries/:deliveryId', async (req, res) => {
+            try {
+                const delivery = await this.webhookService.getDelivery(req.params.deliveryId);
+                if (!delivery) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Hmm, can\'t find that delivery.'
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    data: delivery,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to get webhook delivery');
+            }
+        });
+
+        // Send a delivery's payload again
+        router.post('/deliveries/:deliveryId/replay', async (req, res) => {
+            try {
+                const delivery = await this.webhookService.replayDelivery(req.params.deliveryId);
+                if (!delivery) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Hmm, can\'t find that delivery.'
+                    });
+                }
+
+                res.status(202).json({
+                    success: true,
+                    data: delivery,
+                    message: 'Delivery queued for replay',
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to replay webhook delivery');
+            }
+        });
+
+        app.use('/api/admin/webhooks', router);
+
+        this.logger.info('Outbound webhook API endpoints registered');
+    }
+
+    /**
+     * Subscription fields returned after creation (the secret stays server-side)
+     */
+    toResponse(subscription) {
+        const response = { ...subscription };
+        delete response.secret;
+        return response;
+    }
+
+    handleError(res, error, message) {
+        this.logger.error(message, { error: error.message });
+
+        res.status(error.message.startsWith('Invalid') ? 400 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+}
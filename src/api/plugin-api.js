@@ -0,0 +1,79 @@
+/**
+ * Plugin API endpoints: loaded extraction plugins and their dashboard widgets
+ */
+
+import { logger } from '../utils/logger.js';
+import { extractionPlugins as defaultExtractionPlugins } from '../core/plugins/extraction-plugin-registry.js';
+
+const MAX_WIDGET_DAYS = 90;
+
+export class PluginAPI {
+    constructor(extractionPlugins = defaultExtractionPlugins) {
+        this.logger = logger.child({ component: 'PluginAPI' });
+        this.plugins = extractionPlugins;
+
+        this.logger.info('Plugin API initialized');
+    }
+
+    /**
+     * Register plugin endpoints
+     */
+    registerEndpoints(app) {
+        // Loaded plugins, and any the loader rejected
+        app.get('/api/plugins', (req, res) => {
+            res.json({
+                success: true,
+                data: this.plugins.getStatus(),
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Widget definitions for the executive dashboard
+        app.get('/api/plugins/widgets', (req, res) => {
+            res.json({
+                success: true,
+                data: this.plugins.listWidgets(),
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        app.get('/api/plugins/:type/widgets/:widgetId', async (req, res) => {
+            if (!this.plugins.isAvailable()) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'Plugin widgets require a database connection'
+                });
+            }
+
+            try {
+                const widget = await this.plugins.loadWidget(req.params.type, req.params.widgetId, {
+                    days: Math.min(Math.max(parseInt(req.query.days) || 7, 1), MAX_WIDGET_DAYS)
+                });
+                if (!widget) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Hmm, can\'t find that plugin widget.'
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    data: widget,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.logger.error('Failed to load plugin widget', {
+                    type: req.params.type,
+                    widgetId: req.params.widgetId,
+                    error: error.message
+                });
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+
+        this.logger.info('Plugin API endpoints registered');
+    }
+}
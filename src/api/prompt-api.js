@@ -0,0 +1,173 @@
+/**
+ * Prompt API endpoints: feedback on AI results, and admin management of
+ * prompt versions, experiment arm assignments and the experiment report
+ */
+
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import { promptRegistry as defaultPromptRegistry } from '../ai/prompts/prompt-registry.js';
+
+const MAX_REPORT_DAYS = 90;
+
+export class PromptAPI {
+    constructor(promptRegistry = defaultPromptRegistry) {
+        this.logger = logger.child({ component: 'PromptAPI' });
+        this.prompts = promptRegistry;
+
+        this.logger.info('Prompt API initialized');
+    }
+
+    /**
+     * Register prompt endpoints
+     */
+    registerEndpoints(app) {
+        // Thumbs up/down on an extraction, summary or chat reply (body: rating 'up' or 'down', comment)
+        app.post('/api/prompts/runs/:runId/feedback', async (req, res) => {
+            if (!this.requireDatabase(res)) return;
+
+            try {
+                const feedback = await this.prompts.recordFeedback(req.params.runId, {
+                    rating: req.body.rating,
+                    comment: req.body.comment || null,
+                    username: req.user?.username || null
+                });
+                if (!feedback) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Hmm, can\'t find that AI result.'
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    data: feedback,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to record prompt feedback');
+            }
+        });
+
+        const admin = express.Router();
+
+        // Prompts with their versions and the version each experiment arm gets
+        admin.get('/', (req, res) => {
+            res.json({
+                success: true,
+                data: {
+                    experiment: this.prompts.getExperiment(),
+                    prompts: this.prompts.listPrompts()
+                },
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Quality, token usage and response time per prompt, arm and version
+        admin.get('/report', async (req, res) => {
+            if (!this.requireDatabase(res)) return;
+
+            try {
+                const report = await this.prompts.getExperimentReport({
+                    days: Math.min(Math.max(parseInt(req.query.days) || 30, 1), MAX_REPORT_DAYS),
+                    key: req.query.key || null
+                });
+
+                res.json({
+                    success: true,
+                    data: report,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to build prompt experiment report');
+            }
+        });
+
+        admin.get('/:key', (req, res) => {
+            const prompt = this.prompts.getPrompt(req.params.key);
+            if (!prompt) return this.notFound(res);
+
+            res.json({
+                success: true,
+                data: prompt,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Add the next version of a prompt (body: template, description)
+        admin.post('/:key/versions', async (req, res) => {
+            if (!this.requireDatabase(res)) return;
+
+            try {
+                const version = await this.prompts.addVersion(req.params.key, {
+                    template: req.body.template,
+                    description: req.body.description || null,
+                    createdBy: req.user?.username || null
+                });
+                if (!version) return this.notFound(res);
+
+                res.status(201).json({
+                    success: true,
+                    data: version,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to add prompt version');
+            }
+        });
+
+        // Point an experiment arm, or 'default', at a version (body: arm, version)
+        admin.put('/:key/assignments', async (req, res) => {
+            if (!this.requireDatabase(res)) return;
+
+            try {
+                const prompt = await this.prompts.assignVersion(req.params.key, {
+                    arm: req.body.arm,
+                    version: req.body.version,
+                    assignedBy: req.user?.username || null
+                });
+                if (!prompt) return this.notFound(res);
+
+                res.json({
+                    success: true,
+                    data: prompt,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to assign prompt version');
+            }
+        });
+
+        app.use('/api/admin/prompts', admin);
+
+        this.logger.info('Prompt API endpoints registered');
+    }
+
+    /**
+     * Versions, runs and feedback are stored in the database
+     */
+    requireDatabase(res) {
+        if (this.prompts.isAvailable()) return true;
+
+        res.status(503).json({
+            success: false,
+            error: 'Prompt experiments require a database connection'
+        });
+        return false;
+    }
+
+    notFound(res) {
+        return res.status(404).json({
+            success: false,
+            error: 'Hmm, can\'t find that prompt.'
+        });
+    }
+
+    handleError(res, error, message) {
+        this.logger.error(message, { error: error.message });
+
+        res.status(error.message.startsWith('Invalid') ? 400 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+}
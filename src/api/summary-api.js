@@ -0,0 +1,157 @@
+/**
+ * Summary API endpoints: scheduled executive summaries, their delivery
+ * status, what changed since the previous one and on-demand delivery
+ */
+
+import { logger } from '../utils/logger.js';
+import { hasRole } from '../middleware/auth.js';
+import { summaryDeliveryService as defaultSummaryDeliveryService } from '../core/summaries/summary-delivery-service.js';
+
+const MAX_LIMIT = 100;
+
+export class SummaryAPI {
+    constructor(summaryDeliveryService = defaultSummaryDeliveryService) {
+        this.logger = logger.child({ component: 'SummaryAPI' });
+        this.summaries = summaryDeliveryService;
+
+        this.logger.info('Summary API initialized');
+    }
+
+    /**
+     * Register summary endpoints
+     */
+    registerEndpoints(app) {
+        // Recorded summaries, newest first (query: executive, limit)
+        app.get('/api/summaries', async (req, res) => {
+            const executive = req.query.executive || (this.isAdmin(req) ? null : req.user?.username || null);
+            if (!this.canSeeExecutive(req, executive)) {
+                return this.forbidden(res);
+            }
+
+            try {
+                const summaries = await this.summaries.listSummaries({
+                    executive,
+                    limit: Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_LIMIT)
+                });
+
+                res.json({
+                    success: true,
+                    data: summaries,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to list summaries');
+            }
+        });
+
+        // Each executive's schedule, timezone, channel and what is due today
+        app.get('/api/summaries/schedules', (req, res) => {
+            res.json({
+                success: true,
+                data: this.summaries.getSchedules()
+                    .filter(schedule => this.canSeeExecutive(req, schedule.executive)),
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        // Write and deliver a summary now (body: executive, channel)
+        app.post('/api/summaries/deliver', async (req, res) => {
+            const executive = req.body.executive || req.user?.username;
+            if (!executive) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid request: say which executive the summary is for'
+                });
+            }
+            if (!this.canSeeExecutive(req, executive)) {
+                return this.forbidden(res);
+            }
+
+            try {
+                const summary = await this.summaries.deliverSummary(executive, {
+                    channel: req.body.channel || null
+                });
+
+                res.status(201).json({
+                    success: true,
+                    data: summary,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to deliver summary');
+            }
+        });
+
+        app.get('/api/summaries/:id', async (req, res) => {
+            try {
+                const summary = await this.summaries.getSummary(req.params.id);
+                if (!summary || !this.canSeeExecutive(req, summary.executiveKey)) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Hmm, can\'t find that summary.'
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    data: summary,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to load summary');
+            }
+        });
+
+        // New and resolved items, deal stage moves, risk changes and new
+        // escalations since the executive's previous summary
+        app.get('/api/summaries/:id/diff', async (req, res) => {
+            try {
+                const diff = await this.summaries.getSummaryDiff(req.params.id);
+                if (!diff || !this.canSeeExecutive(req, diff.executiveKey)) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Hmm, can\'t find that summary.'
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    data: diff,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                this.handleError(res, error, 'Failed to compare summaries');
+            }
+        });
+
+        this.logger.info('Summary API endpoints registered');
+    }
+
+    isAdmin(req) {
+        return Boolean(req.user && hasRole(req.user.role, 'admin'));
+    }
+
+    /**
+     * Executives see their own summaries; admins see everyone's
+     */
+    canSeeExecutive(req, executive) {
+        if (!req.user) return true;
+        return this.isAdmin(req) || executive === req.user.username;
+    }
+
+    forbidden(res) {
+        return res.status(403).json({
+            success: false,
+            error: 'Hold up! You can only see your own summaries.'
+        });
+    }
+
+    handleError(res, error, message) {
+        this.logger.error(message, { error: error.message });
+
+        res.status(error.message.startsWith('Invalid') ? 400 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+}
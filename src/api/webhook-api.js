@@ -1,57 +1,72 @@
-import { EnhancedAPIResponse } from './enhanced-api-response.js';
-
 export class WebhookAPI {
     constructor(webhookManager) {
         this.webhookManager = webhookManager;
     }
 
     registerEndpoints(app) {
+        // Test webhook endpoint (registered before /:name so it isn't taken as a webhook name)
+        app.post('/api/webhooks/test', (req, res) => {
+            res.json({
+                success: true,
+                data: {
+                    received: req.body,
+                    processed: true
+                },
+                message: 'Test webhook received',
+                timestamp: new Date().toISOString()
+            });
+        });
+
         // Webhook receiver endpoint
         app.post('/api/webhooks/:name', async (req, res) => {
             try {
                 const { name } = req.params;
-                const signature = req.headers['x-hub-signature-256'] || 
+                const signature = req.headers['x-hub-signature-256'] ||
                                 req.headers['x-slack-signature'];
-                
+
                 const result = await this.webhookManager.process(
-                    name, 
-                    req.body, 
-                    signature
+                    name,
+                    req.body,
+                    signature,
+                    { headers: req.headers, rawBody: req.rawBody }
                 );
 
-                EnhancedAPIResponse.success(res, result, 'Webhook processed');
+                // Providers like Slack expect their own response body
+                if (result?.response) {
+                    return res.json(result.response);
+                }
+
+                res.json({
+                    success: true,
+                    data: result,
+                    message: 'Webhook processed',
+                    timestamp: new Date().toISOString()
+                });
             } catch (error) {
-                console.error(`Webhook ${req.params.name} error:`, error);
-                EnhancedAPIResponse.error(res, error.message, 400);
+                console.error(`Webhook ${req.params.name} error:`, error.message);
+                res.status(400).json({ success: false, error: error.message });
             }
         });
 
         // List registered webhooks
         app.get('/api/webhooks', (req, res) => {
-            const webhooks = this.webhookManager.getWebhooks();
-            EnhancedAPIResponse.success(res, webhooks, 'Webhooks retrieved');
+            res.json({
+                success: true,
+                data: this.webhookManager.getWebhooks(),
+                timestamp: new Date().toISOString()
+            });
         });
 
         // Webhook health check
         app.get('/api/webhooks/health', (req, res) => {
-            EnhancedAPIResponse.success(res, { 
-                status: 'healthy',
-                webhooks: this.webhookManager.getWebhooks().length
+            res.json({
+                success: true,
+                data: {
+                    status: 'healthy',
+                    webhooks: this.webhookManager.getWebhooks().length
+                },
+                timestamp: new Date().toISOString()
             });
         });
-
-        // Test webhook endpoint
-        app.post('/api/webhooks/test', async (req, res) => {
-            try {
-                const result = {
-                    received: req.body,
-                    timestamp: new Date().toISOString(),
-                    processed: true
-                };
-                EnhancedAPIResponse.success(res, result, 'Test webhook received');
-            } catch (error) {
-                EnhancedAPIResponse.error(res, error.message, 400);
-            }
-        });
     }
-}
\ No newline at end of file
+}
@@ -1,5 +1,5 @@
 /**
- * Enhanced Personal Assistant with ACTUAL Supermemory Integration
+ * Enhanced Personal Assistant with ACTUAL Memory Integration
  * This is how it SHOULD work - each assistant learns and remembers
  */
 import { v4 as uuidv4 } from 'uuid';
@@ -29,18 +29,19 @@ export class EnhancedPersonalAssistant {
             memberId: this.memberKey
         });
         
-        // Initialize Supermemory - THIS IS THE KEY DIFFERENCE
-        if (this.globalConfig?.memory?.enabled && process.env.SUPERMEMORY_API_KEY) {
+        // Memory - THIS IS THE KEY DIFFERENCE. Supermemory when configured,
+        // otherwise the built-in Postgres store
+        if (this.globalConfig?.memory?.enabled !== false) {
             this.memory = new EnhancedMemoryIntegration({
-                apiKey: process.env.SUPERMEMORY_API_KEY,
                 collection: this.memberKey,
-                baseUrl: this.globalConfig.memory?.settings?.baseUrl || "https://api.supermemory.ai"
+                baseUrl: this.globalConfig?.memory?.settings?.baseUrl || "https://api.supermemory.ai"
             });
-            this.logger.info('Supermemory initialized for assistant', {
-                spaceId: this.memberKey
+            this.logger.info('Memory initialized for assistant', {
+                spaceId: this.memberKey,
+                backend: this.memory.backend
             });
         } else {
-            this.logger.warn('No Supermemory configuration - assistant will have no memory!');
+            this.logger.warn('Memory disabled in config - assistant will have no memory!');
         }
 
         // Calendar services
@@ -72,19 +73,15 @@ export class EnhancedPersonalAssistant {
             
             if (this.memory) {
                 // Search for related past interactions
-                contextualMemories = await this.memory.searchMemories({
-                    query: updateText,
-                    filters: {
-                        userId: this.memberKey,
-                        types: ['update', 'email', 'meeting'],
-                        limit: 10
-                    }
+                contextualMemories = await this.memory.searchRelevantMemories(updateText, {
+                    maxResults: 10,
+                    filter: { member: this.memberKey }
                 });
                 
                 // Extract client names and get their profiles
                 const clientMentions = this.extractClientNames(updateText);
                 for (const clientName of clientMentions) {
-                    const profile = await this.memory.getClientProfile(clientName);
+                    const profile = await this.getClientProfile(clientName);
                     if (profile) {
                         clientProfiles[clientName] = profile;
                     }
@@ -426,16 +423,19 @@ export class EnhancedPersonalAssistant {
         if (!this.memory) return;
         
         try {
-            await this.memory.storeMemory({
+            await this.memory.storeMemory(`update-${this.memberKey}-${uuidv4()}`, {
+                text: updateText,
+                date: new Date().toISOString(),
+                extracted: analysis.extractedData,
+                insights: analysis.insights,
+                metadata: metadata
+            }, {
                 type: 'update',
-                userId: this.memberKey,
-                content: {
-                    text: updateText,
-                    date: new Date().toISOString(),
-                    extracted: analysis.extractedData,
-                    insights: analysis.insights,
-                    metadata: metadata
-                },
+                member: this.memberKey,
+                source: metadata.source || 'update',
+                updateId: metadata.updateId || null,
+                emailId: metadata.emailId || null,
+                client: analysis.extractedData?.client_mentioned?.[0] || null,
                 tags: [
                     ...this.extractTags(updateText),
                     ...this.extractTags(JSON.stringify(analysis.extractedData))
@@ -457,32 +457,32 @@ export class EnhancedPersonalAssistant {
         try {
             // Learn deal value patterns
             if (extractedData.deal_value) {
-                await this.memory.learnPattern({
+                await this.memory.storeTeamPattern('deal_value_extraction', {
                     type: 'deal_value_extraction',
                     pattern: this.extractSurroundingText(updateText, extractedData.deal_value),
                     extraction: extractedData.deal_value,
                     userId: this.memberKey
-                });
+                }, this.memberKey);
             }
             
             // Learn urgency indicators
             if (extractedData.urgency === 'high') {
-                await this.memory.learnPattern({
+                await this.memory.storeTeamPattern('urgency_indicator', {
                     type: 'urgency_indicator',
                     pattern: updateText,
                     indicator: 'high_urgency',
                     userId: this.memberKey
-                });
+                }, this.memberKey);
             }
             
             // Learn successful meeting patterns
             if (extractedData.meeting_requested) {
-                await this.memory.learnPattern({
+                await this.memory.storeTeamPattern('meeting_request', {
                     type: 'meeting_request',
                     pattern: updateText,
                     outcome: 'identified',
                     userId: this.memberKey
-                });
+                }, this.memberKey);
             }
             
         } catch (error) {
@@ -520,7 +520,10 @@ export class EnhancedPersonalAssistant {
                     ];
                 }
                 
-                await this.memory.updateClientProfile(client, updates);
+                await this.memory.storeClientContext(client, {
+                    ...existingProfiles[client],
+                    ...updates
+                }, this.memberKey);
                 
             } catch (error) {
                 this.logger.error('Failed to update client profile', { error, client });
@@ -572,9 +575,12 @@ export class EnhancedPersonalAssistant {
             }
             
             // Check for similar past situations
-            const similarSituations = await this.memory.findSimilarSituations(extractedData);
+            const similarSituations = await this.memory.searchRelevantMemories(JSON.stringify(extractedData), {
+                maxResults: 5,
+                filter: { member: this.memberKey, type: 'update' }
+            });
             if (similarSituations.length > 0) {
-                const outcomes = similarSituations.map(s => s.outcome).filter(Boolean);
+                const outcomes = similarSituations.map(s => s.content?.extracted?.outcome).filter(Boolean);
                 if (outcomes.length > 0) {
                     insights.push({
                         type: 'historical_pattern',
@@ -591,6 +597,19 @@ export class EnhancedPersonalAssistant {
         return insights;
     }
     
+    /**
+     * Latest stored profile for a client, or null
+     */
+    async getClientProfile(clientName) {
+        const contexts = await this.memory.getClientContext(clientName);
+        const latest = contexts
+            .map(memory => memory.content)
+            .filter(content => content?.context)
+            .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))[0];
+
+        return latest ? latest.context : null;
+    }
+    
     /**
      * Extract client names from text
      */
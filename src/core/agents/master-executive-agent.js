@@ -1,15 +1,86 @@
 import { v4 as uuidv4 } from 'uuid';
+import { promptRegistry } from '../../ai/prompts/prompt-registry.js';
+
+// What each team-config summary_style asks of the summary prompt
+export const SUMMARY_STYLES = {
+  strategic_focus: 'a strategic focus: market position, revenue and where to put people and money',
+  operational_detail: 'operational detail: owners, dates and blockers for every item',
+  brief: 'brevity: the fewest words that still say what needs doing'
+};
 
 export class MasterExecutiveAgent {
-  constructor(executiveConfig, aiProvider, memorySystem) {
+  constructor(executiveConfig, aiProvider, memorySystem, options = {}) {
     this.id = 'master-executive-agent';
     this.executive = executiveConfig;
     this.aiProvider = aiProvider;
     this.memory = memorySystem;
+    this.prompts = options.prompts || promptRegistry;
     this.summaryHistory = [];
+
+    // Updates wait here until the next summary; batch_interval is in seconds
+    this.pendingUpdates = [];
+    this.batchInterval = (options.processing?.batch_interval || 300) * 1000;
+    this.lastSummaryTime = null;
+  }
+
+  /**
+   * Queue a processed team update for the next executive summary
+   */
+  async receiveUpdate(structuredUpdate) {
+    this.pendingUpdates.push(this.toTeamUpdate(structuredUpdate));
+
+    return {
+      status: 'queued',
+      pendingUpdates: this.pendingUpdates.length
+    };
+  }
+
+  /**
+   * Escalations are summarized alongside regular updates
+   */
+  async receiveEscalation(escalation) {
+    this.pendingUpdates.push({
+      id: uuidv4(),
+      source: escalation.memberName || escalation.source,
+      timestamp: escalation.timestamp,
+      receivedAt: Date.now(),
+      extracted_data: {
+        priorities: [{
+          item: escalation.subject || escalation.reason,
+          urgency: escalation.urgency === 'critical' ? 'high' : escalation.urgency
+        }],
+        escalation_reason: escalation.reason
+      }
+    });
+  }
+
+  /**
+   * Personal assistants return camelCase extractions; summaries work from extracted_data
+   */
+  toTeamUpdate(update) {
+    const extracted = update.extracted || {};
+
+    return {
+      id: update.id || uuidv4(),
+      source: update.memberName || update.assistant,
+      timestamp: update.timestamp || new Date().toISOString(),
+      receivedAt: Date.now(),
+      extracted_data: {
+        priorities: extracted.priorities || [],
+        action_items: extracted.actionItems || [],
+        client_info: extracted.clientInfo || [],
+        technical_info: extracted.technicalInfo || [],
+        revenue_info: extracted.revenueInfo || [],
+        key_insights: extracted.keyInsights || []
+      }
+    };
   }
 
-  async generateExecutiveSummary(teamUpdates, timeframe = '24h') {
+  /**
+   * options.changes: what changed since the executive's previous summary, as
+   * plain-text lines; the summary leads with it instead of repeating old items
+   */
+  async generateExecutiveSummary(teamUpdates, timeframe = '24h', options = {}) {
     try {
       const summaryId = uuidv4();
       const timestamp = new Date().toISOString();
@@ -21,7 +92,7 @@ export class MasterExecutiveAgent {
       const strategicAnalysis = await this.analyzeStrategicImplications(prioritizedUpdates);
       
       // Create executive summary
-      const summary = await this.createSummary(strategicAnalysis, timeframe);
+      const summary = await this.createSummary(strategicAnalysis, timeframe, options);
       
       // Store for learning and tracking
       await this.storeSummary(summaryId, summary, prioritizedUpdates);
@@ -87,7 +158,9 @@ export class MasterExecutiveAgent {
     const prompt = this.buildAnalysisPrompt(prioritizedUpdates);
     
     const response = await this.aiProvider.chat({
-      model: this.executive.ai_model || 'claude-3-opus',
+      task: 'analysis',
+      feature: 'summary',
+      memberName: this.executive.id,
       messages: [{ role: 'user', content: prompt }],
       temperature: 0.2
     });
@@ -96,7 +169,7 @@ export class MasterExecutiveAgent {
   }
 
   buildAnalysisPrompt(updates) {
-    const priorityAreas = this.executive.priority_areas.join(', ');
+    const priorityAreas = (this.executive.priority_areas || []).join(', ') || 'overall business performance';
     const updateSummaries = updates.slice(0, 10).map(update => 
       `${update.source}: ${JSON.stringify(update.extracted_data, null, 2)}`
     ).join('\n\n');
@@ -172,53 +245,61 @@ Focus on actionable insights that drive business decisions.`;
     }
   }
 
-  async createSummary(analysis, timeframe) {
-    const prompt = this.buildSummaryPrompt(analysis, timeframe);
+  async createSummary(analysis, timeframe, { changes = null } = {}) {
+    const prompt = this.buildSummaryPrompt(analysis, timeframe, changes);
+    const startTime = Date.now();
     
+    // An executive's own ai_model overrides the configured summary model
     const response = await this.aiProvider.chat({
-      model: this.executive.ai_model || 'claude-3-opus',
-      messages: [{ role: 'user', content: prompt }],
+      task: 'summary',
+      model: this.executive.ai_model || null,
+      feature: 'summary',
+      memberName: this.executive.id,
+      messages: [{ role: 'user', content: prompt.text }],
       temperature: 0.3
     });
 
+    const runId = await this.prompts.recordRun(prompt, {
+      response,
+      latencyMs: Date.now() - startTime,
+      confidence: analysis.confidence
+    });
+
     return {
       ...analysis,
       executive_summary: response.content,
       generated_at: new Date().toISOString(),
-      timeframe
+      timeframe,
+      prompt: { runId, key: prompt.key, version: prompt.version, arm: prompt.arm }
     };
   }
 
-  buildSummaryPrompt(analysis, timeframe) {
-    return `Create an executive summary for ${this.executive.name} based on this analysis.
-
-Analysis Data:
-${JSON.stringify(analysis, null, 2)}
-
-Timeframe: ${timeframe}
-
-Write a concise executive summary that:
-1. Highlights the top 3 items requiring immediate attention
-2. Provides clear resource allocation recommendations  
-3. Identifies revenue opportunities and risks
-4. Gives specific next steps
-
-Style: Direct, actionable, strategic focus. Use bullet points and clear priorities.
-Length: 200-300 words maximum.
-
-Format as professional executive briefing.`;
+  /**
+   * Summary prompt from the registry, written for the executive's summary_style and
+   * priority_areas; the version follows their experiment arm
+   */
+  buildSummaryPrompt(analysis, timeframe, changes = null) {
+    const style = this.executive.summary_style;
+
+    return this.prompts.render('summary', {
+      executiveName: this.executive.name,
+      analysis: JSON.stringify(analysis, null, 2),
+      timeframe,
+      summaryStyle: style ? SUMMARY_STYLES[style] || style.replace(/_/g, ' ') : null,
+      priorityAreas: (this.executive.priority_areas || []).map(area => area.replace(/_/g, ' ')).join(', '),
+      changes
+    }, this.executive.id);
   }
 
   async storeSummary(summaryId, summary, sourceUpdates) {
-    await this.memory.store({
-      id: summaryId,
-      agent_id: this.id,
-      executive: this.executive.id,
-      timestamp: new Date().toISOString(),
-      summary,
-      source_updates: sourceUpdates.map(u => u.id),
-      type: 'executive_summary'
-    });
+    if (this.memory?.enabled) {
+      await this.memory.storeMemory(summaryId, summary, {
+        type: 'executive-summary',
+        agent_id: this.id,
+        executive: this.executive.id,
+        source_updates: sourceUpdates.map(u => u.id)
+      });
+    }
 
     this.summaryHistory.push({
       id: summaryId,
@@ -380,8 +461,12 @@ Format as professional executive briefing.`;
   }
 
   getAgentStats() {
+    const waitingSince = this.lastSummaryTime || this.pendingUpdates[0]?.receivedAt;
+    const remaining = waitingSince ? this.batchInterval - (Date.now() - waitingSince) : this.batchInterval;
+
     return {
-      pendingUpdates: 0,
+      pendingUpdates: this.pendingUpdates.length,
+      nextSummaryIn: remaining <= 0 ? 'ready' : `${Math.ceil(remaining / 1000)}s`,
       totalSummariesGenerated: this.summaryHistory.length,
       lastSummaryTime: this.summaryHistory[this.summaryHistory.length - 1]?.timestamp || null,
       recentSummaries: this.summaryHistory.slice(-3)
@@ -389,6 +474,20 @@ Format as professional executive briefing.`;
   }
 
   async forceGenerateSummary() {
+    if (this.pendingUpdates.length > 0) {
+      const updates = this.pendingUpdates.splice(0);
+      const result = await this.generateExecutiveSummary(updates);
+
+      if (result.error) {
+        // Keep the updates for the next attempt
+        this.pendingUpdates.unshift(...updates);
+        return { status: 'summary_failed', summary: result, processedUpdates: 0 };
+      }
+
+      this.lastSummaryTime = Date.now();
+      return { status: 'summary_generated', summary: result, processedUpdates: updates.length };
+    }
+
     return {
       status: 'no_updates',
       message: 'No pending updates to summarize',
@@ -6,6 +6,50 @@
 import { db, dbHelpers } from '../database/connection.js';
 import { v4 as uuidv4 } from 'uuid';
 
+// Snapshot period types: live daily snapshots and the weekly and monthly rollups
+export const TREND_GRANULARITIES = ['daily', 'weekly', 'monthly'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * A YYYY-MM-DD date range, inclusive. Defaults to the last 30 days; rejects
+ * unparseable dates, an end before the start and ranges over a year.
+ */
+export function resolveDateRange(startDate, endDate, now = new Date()) {
+    const end = endDate ? parseDay(endDate, 'endDate') : toDay(now);
+    const [year, month, day] = end.split('-').map(Number);
+    const start = startDate
+        ? parseDay(startDate, 'startDate')
+        : toDay(new Date(year, month - 1, day - (DEFAULT_RANGE_DAYS - 1)));
+
+    const days = Math.round((Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / DAY_MS) + 1;
+    if (days < 1) {
+        throw new Error('Invalid range: endDate is before startDate');
+    }
+    if (days > MAX_RANGE_DAYS) {
+        throw new Error(`Invalid range: use at most ${MAX_RANGE_DAYS} days`);
+    }
+
+    return { start, end, days };
+}
+
+function parseDay(value, field) {
+    const day = String(value).slice(0, 10);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || Number.isNaN(Date.parse(`${day}T00:00:00Z`))) {
+        throw new Error(`Invalid ${field}: use YYYY-MM-DD`);
+    }
+    return day;
+}
+
+function toDay(value) {
+    if (typeof value === 'string') return value.slice(0, 10);
+
+    const date = new Date(value);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
 export class AnalyticsEngine {
     constructor() {
         this.initialized = false;
@@ -100,6 +144,13 @@ export class AnalyticsEngine {
                 );
             }
 
+            // All closed revenue to date, for the trend forecast of closes. Read from
+            // deals, since team performance leaves out unowned and inactive-owner deals
+            const closedWon = await db.query(
+                'SELECT COALESCE(SUM(total_contract_value), 0) as total FROM deals WHERE stage = \'closed_won\''
+            );
+            await dbHelpers.saveAnalyticsSnapshot('total_revenue_closed', parseFloat(closedWon.rows[0].total), 'overall');
+
             // Overall metrics
             const totalPipeline = pipeline.reduce((sum, s) => sum + (s.weighted_value || 0), 0);
             await dbHelpers.saveAnalyticsSnapshot('total_pipeline_value', totalPipeline, 'overall');
@@ -153,6 +204,15 @@ export class AnalyticsEngine {
                 'daily'
             );
 
+            const dailyUpdates = await this.getDailyUpdateCount(today);
+            await dbHelpers.saveAnalyticsSnapshot(
+                'daily_updates', 
+                dailyUpdates, 
+                'overall', 
+                null, 
+                'daily'
+            );
+
             console.log('✅ Daily summary captured');
         } catch (error) {
             console.error('Error capturing daily summary:', error);
@@ -179,9 +239,9 @@ export class AnalyticsEngine {
      */
     async calculateAverageDealSize() {
         const result = await db.query(`
-            SELECT AVG(amount) as avg_deal_size
+            SELECT AVG(total_contract_value) as avg_deal_size
             FROM deals
-            WHERE stage = 'closed_won' AND amount IS NOT NULL
+            WHERE stage = 'closed_won' AND total_contract_value IS NOT NULL
         `);
         
         return result.rows[0]?.avg_deal_size || 0;
@@ -201,28 +261,55 @@ export class AnalyticsEngine {
     }
 
     /**
-     * Get trend analysis for a metric
+     * Get daily team update count
      */
-    async getTrendAnalysis(metricType, days = 30, dimension = null) {
+    async getDailyUpdateCount(date) {
+        const result = await db.query(`
+            SELECT COUNT(*) as count
+            FROM team_updates
+            WHERE DATE(created_at) = $1::date
+        `, [date]);
+        
+        return result.rows[0]?.count || 0;
+    }
+
+    /**
+     * Get trend analysis for a metric over daily, weekly or monthly snapshots
+     */
+    async getTrendAnalysis(metricType, days = 30, dimension = null, granularity = 'daily') {
         const endDate = new Date();
         const startDate = new Date();
         startDate.setDate(startDate.getDate() - days);
-        
+
+        return this.getTrendAnalysisForRange(metricType, startDate.toISOString(), endDate.toISOString(), dimension, granularity);
+    }
+
+    /**
+     * Trend analysis over the snapshots between two dates. Weekly and monthly
+     * snapshots are dated by the start of their period; the slope is per
+     * snapshot, so per day, week or month.
+     */
+    async getTrendAnalysisForRange(metricType, startDate, endDate, dimension = null, granularity = 'daily') {
+        if (!TREND_GRANULARITIES.includes(granularity)) {
+            throw new Error(`Invalid granularity: use one of ${TREND_GRANULARITIES.join(', ')}`);
+        }
+
         const historicalData = await dbHelpers.getHistoricalAnalytics(
             metricType, 
-            startDate.toISOString(), 
-            endDate.toISOString(), 
-            dimension
+            startDate, 
+            endDate, 
+            dimension,
+            granularity
         );
 
         // Calculate trend
         if (historicalData.length < 2) {
-            return { trend: 'insufficient_data', data: historicalData };
+            return { trend: 'insufficient_data', granularity, data: historicalData };
         }
 
-        // Simple linear regression for trend
-        const xValues = historicalData.map((_, i) => i);
-        const yValues = historicalData.map(d => d.metric_value);
+        // Simple linear regression for trend; snapshots come newest first
+        const xValues = historicalData.map((_, i) => historicalData.length - 1 - i);
+        const yValues = historicalData.map(d => parseFloat(d.metric_value));
         
         const n = xValues.length;
         const sumX = xValues.reduce((a, b) => a + b, 0);
@@ -242,6 +329,7 @@ export class AnalyticsEngine {
 
         return {
             trend,
+            granularity,
             slope,
             percentageChange,
             data: historicalData,
@@ -286,7 +374,7 @@ export class AnalyticsEngine {
             }
 
             // Simple forecast using linear projection
-            const lastValue = trendData.data[0].metric_value;
+            const lastValue = parseFloat(trendData.data[0].metric_value);
             const dailyChange = trendData.slope;
             
             const forecast = [];
@@ -443,11 +531,13 @@ export class AnalyticsEngine {
      */
     async exportAnalytics(startDate, endDate, format = 'json') {
         try {
+            const range = resolveDateRange(startDate, endDate);
+
             // Gather all relevant data
             const exportData = {
                 metadata: {
                     generatedAt: new Date().toISOString(),
-                    period: { start: startDate, end: endDate },
+                    period: { start: range.start, end: range.end },
                     format
                 },
                 summary: {
@@ -458,10 +548,10 @@ export class AnalyticsEngine {
                 forecasts: {}
             };
 
-            // Get trends for key metrics
+            // Trends over the requested range; forecasts look ahead from today
             const keyMetrics = ['pipeline_value', 'conversion_rate', 'active_deals', 'revenue_closed'];
             for (const metric of keyMetrics) {
-                exportData.trends[metric] = await this.getTrendAnalysis(metric, 30);
+                exportData.trends[metric] = await this.getTrendAnalysisForRange(metric, range.start, range.end);
                 exportData.forecasts[metric] = await this.generateForecast(metric, 30);
             }
 
@@ -480,18 +570,22 @@ export class AnalyticsEngine {
     }
 
     /**
-     * Format data as CSV
+     * Format data as CSV: one line per snapshot in the period, oldest first
      */
     formatAsCSV(data) {
-        // Simplified CSV generation
-        const lines = ['Metric,Current Value,Trend,30-Day Change'];
+        const lines = ['Date,Metric,Dimension,Dimension Value,Value,Period Trend'];
         
         for (const [metric, trendData] of Object.entries(data.trends)) {
-            const current = trendData.data[0]?.metric_value || 0;
-            const trend = trendData.trend;
-            const change = trendData.percentageChange?.toFixed(1) || '0';
-            
-            lines.push(`${metric},${current},${trend},${change}%`);
+            for (const snapshot of [...trendData.data].reverse()) {
+                lines.push([
+                    toDay(snapshot.snapshot_date),
+                    metric,
+                    snapshot.dimension,
+                    snapshot.dimension_value,
+                    parseFloat(snapshot.metric_value),
+                    trendData.trend
+                ].map(csvField).join(','));
+            }
         }
         
         return lines.join('\n');
@@ -561,5 +655,10 @@ export class AnalyticsEngine {
     }
 }
 
+function csvField(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
 // Singleton instance
 export const analyticsEngine = new AnalyticsEngine();
\ No newline at end of file
@@ -0,0 +1,476 @@
+/**
+ * Analytics Export Service
+ * Exports the CRM for a date range as JSON, CSV, an XLSX workbook (pipeline,
+ * deals, activities and forecasts sheets) or a PDF board pack, and emails
+ * scheduled exports to their recipients: daily covers the day before,
+ * weekly the seven days before Monday and monthly the previous month.
+ */
+
+import { db } from '../database/connection.js';
+import { logger } from '../../utils/logger.js';
+import { mailgunClient } from '../email/mailgun-client.js';
+import { analyticsEngine, resolveDateRange } from './analytics-engine.js';
+import { buildForecast, dealValue, dealProbability, pipelineForecastService } from './pipeline-forecast.js';
+import { forecastAccuracy } from './forecast-accuracy.js';
+import { renderBoardPack, renderWorkbook } from './board-pack.js';
+import { XLSX_CONTENT_TYPE } from './xlsx-writer.js';
+import { PDF_CONTENT_TYPE } from './pdf-writer.js';
+
+export const EXPORT_FORMATS = ['json', 'csv', 'summary', 'xlsx', 'pdf'];
+
+// Formats a schedule can email as an attachment
+export const SCHEDULE_FORMATS = ['xlsx', 'pdf'];
+
+export const SCHEDULE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+export const SCHEDULE_STATUSES = ['delivered', 'simulated', 'failed'];
+
+// Scheduled exports go out at 06:00 server time
+const RUN_HOUR = 6;
+const FORECAST_MONTHS = 3;
+const MAX_DEALS = 5000;
+const MAX_ACTIVITIES = 10000;
+const CHECK_INTERVAL_MS = 15 * 60 * 1000;
+const STARTUP_DELAY_MS = 2 * 60 * 1000;
+
+/**
+ * When a schedule next runs after a moment
+ */
+export function nextRunAt(frequency, from = new Date()) {
+    const next = new Date(from.getFullYear(), from.getMonth(), from.getDate(), RUN_HOUR);
+
+    if (frequency === 'monthly') {
+        next.setDate(1);
+        if (next <= from) next.setMonth(next.getMonth() + 1);
+        return next;
+    }
+
+    if (next <= from) next.setDate(next.getDate() + 1);
+    if (frequency === 'weekly') {
+        // Mondays
+        next.setDate(next.getDate() + (8 - next.getDay()) % 7);
+    }
+    return next;
+}
+
+/**
+ * The date range a schedule's run covers: the whole days before it ran
+ */
+export function scheduleRange(frequency, runAt) {
+    const end = new Date(runAt.getFullYear(), runAt.getMonth(), runAt.getDate() - 1);
+
+    let start;
+    if (frequency === 'monthly') {
+        start = new Date(end.getFullYear(), end.getMonth(), 1);
+    } else if (frequency === 'weekly') {
+        start = new Date(end.getFullYear(), end.getMonth(), end.getDate() - 6);
+    } else {
+        start = end;
+    }
+
+    return { start: toDay(start), end: toDay(end) };
+}
+
+export class AnalyticsExportService {
+    constructor(options = {}) {
+        this.logger = logger.child({ component: 'AnalyticsExportService' });
+        this.db = options.db || db;
+        this.analytics = options.analytics || analyticsEngine;
+        this.forecastService = options.forecastService || pipelineForecastService;
+        this.mailer = options.mailer || mailgunClient;
+        this.intervalMs = options.intervalMs || CHECK_INTERVAL_MS;
+
+        this.timer = null;
+        this.startupTimer = null;
+        this.running = false;
+        this.lastRun = null;
+    }
+
+    /**
+     * Whether the backing database is available
+     */
+    isAvailable() {
+        return Boolean(this.db?.initialized);
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.startupTimer = setTimeout(() => this.run(), STARTUP_DELAY_MS);
+        this.timer = setInterval(() => this.run(), this.intervalMs);
+        this.startupTimer.unref?.();
+        this.timer.unref?.();
+
+        this.logger.info('Scheduled analytics exports enabled');
+    }
+
+    stop() {
+        clearTimeout(this.startupTimer);
+        clearInterval(this.timer);
+        this.startupTimer = null;
+        this.timer = null;
+    }
+
+    /**
+     * An export for a date range as { filename, contentType, body }
+     */
+    async createExport({ startDate = null, endDate = null, format = 'xlsx', now = new Date() } = {}) {
+        if (!EXPORT_FORMATS.includes(format)) {
+            throw new Error(`Invalid format: use one of ${EXPORT_FORMATS.join(', ')}`);
+        }
+
+        const range = resolveDateRange(startDate, endDate, now);
+        const filename = `analytics-${range.start}-to-${range.end}`;
+
+        if (format === 'xlsx' || format === 'pdf') {
+            const data = await this.gatherExport(range, now);
+            return format === 'xlsx'
+                ? { filename: `${filename}.xlsx`, contentType: XLSX_CONTENT_TYPE, body: renderWorkbook(data) }
+                : { filename: `board-pack-${range.start}-to-${range.end}.pdf`, contentType: PDF_CONTENT_TYPE, body: renderBoardPack(data) };
+        }
+
+        const data = await this.analytics.exportAnalytics(range.start, range.end, format);
+        return format === 'csv'
+            ? { filename: `${filename}.csv`, contentType: 'text/csv', body: data }
+            : { filename: `${filename}.json`, contentType: 'application/json', body: JSON.stringify(data, null, 2) };
+    }
+
+    /**
+     * Everything the workbook and board pack show for a range
+     */
+    async gatherExport(range, now = new Date()) {
+        const [byStage, history, deals, activities, snapshots, forecastDeals] = await Promise.all([
+            this.db.query('SELECT * FROM pipeline_summary'),
+            this.db.query(`
+                SELECT snapshot_date, metric_value
+                FROM analytics_snapshots
+                WHERE metric_type = 'total_pipeline_value' AND dimension = 'overall'
+                  AND period_type = 'daily' AND snapshot_date BETWEEN $1 AND $2
+                ORDER BY snapshot_date
+            `, [range.start, range.end]),
+            this.db.query(`
+                SELECT d.*, c.name as client_name, tm.name as owner_name
+                FROM deals d
+                LEFT JOIN clients c ON d.client_id = c.id
+                LEFT JOIN team_members tm ON d.owner_id = tm.id
+                WHERE d.created_at::date <= $2
+                  AND (d.stage::text NOT IN ('closed_won', 'closed_lost')
+                       OR COALESCE(d.actual_close_date, d.closed_at::date, d.updated_at::date) >= $1)
+                ORDER BY d.total_contract_value DESC NULLS LAST
+                LIMIT ${MAX_DEALS}
+            `, [range.start, range.end]),
+            this.db.query(`
+                SELECT a.created_at, a.activity_type, a.description, d.name as deal_name, tm.name as member_name
+                FROM deal_activities a
+                LEFT JOIN deals d ON a.deal_id = d.id
+                LEFT JOIN team_members tm ON a.member_id = tm.id
+                WHERE a.created_at::date BETWEEN $1 AND $2
+                ORDER BY a.created_at
+                LIMIT ${MAX_ACTIVITIES}
+            `, [range.start, range.end]),
+            this.db.query(`
+                SELECT period_start, method, forecast_value, actual_value
+                FROM forecast_snapshots
+                WHERE owner_key = '' AND period_start <= $2 AND period_end >= $1
+                ORDER BY period_start, method
+            `, [range.start, range.end]),
+            this.forecastService.loadDeals({ now })
+        ]);
+
+        const dealRows = deals.rows
+            .map(deal => this.toDealRow(deal, range))
+            .sort((a, b) => b.value - a.value);
+        const activityRows = activities.rows.map(activity => ({
+            date: toDay(activity.created_at),
+            deal: activity.deal_name || null,
+            member: activity.member_name || null,
+            type: activity.activity_type || 'other',
+            description: activity.description || null
+        }));
+        const forecast = buildForecast(forecastDeals.open, { months: FORECAST_MONTHS, now, closedWon: forecastDeals.closedWon });
+        const stages = byStage.rows.map(stage => ({
+            stage: stage.stage,
+            dealCount: parseInt(stage.deal_count) || 0,
+            totalValue: parseFloat(stage.total_value) || 0,
+            weightedValue: parseFloat(stage.weighted_value) || 0,
+            avgProbability: round(parseFloat(stage.avg_probability) || 0)
+        }));
+
+        const within = day => day !== null && day >= range.start && day <= range.end;
+        const created = dealRows.filter(deal => within(deal.createdAt));
+        const won = dealRows.filter(deal => deal.wonInRange);
+        const lost = dealRows.filter(deal => deal.stage === 'closed_lost' && within(deal.closedOn));
+
+        return {
+            range,
+            generatedAt: now.toISOString(),
+            summary: {
+                newDeals: created.length,
+                newDealValue: sum(created.map(deal => deal.value)),
+                wonDeals: won.length,
+                wonValue: sum(won.map(deal => deal.value)),
+                lostDeals: lost.length,
+                lostValue: sum(lost.map(deal => deal.value)),
+                openPipeline: sum(stages.map(stage => stage.totalValue)),
+                weightedPipeline: round(forecast.totals.weighted + forecast.unscheduled.weighted + forecast.later.weighted),
+                activities: activityRows.length
+            },
+            pipeline: {
+                byStage: stages,
+                history: history.rows.map(row => ({ date: toDay(row.snapshot_date), value: parseFloat(row.metric_value) || 0 }))
+            },
+            deals: dealRows,
+            activities: activityRows,
+            activitiesByType: countBy(activityRows, activity => activity.type),
+            forecasts: {
+                byMonth: forecast.byMonth,
+                accuracy: snapshots.rows.map(row => {
+                    const forecastValue = parseFloat(row.forecast_value);
+                    const actual = row.actual_value === null ? null : parseFloat(row.actual_value);
+                    return {
+                        period: toDay(row.period_start).slice(0, 7),
+                        method: row.method,
+                        forecast: forecastValue,
+                        actual,
+                        accuracy: actual === null ? null : forecastAccuracy(forecastValue, actual)
+                    };
+                })
+            }
+        };
+    }
+
+    toDealRow(deal, range) {
+        const closedOn = toDay(deal.actual_close_date || deal.closed_at);
+        const open = !['closed_won', 'closed_lost'].includes(deal.stage);
+
+        return {
+            id: deal.id,
+            name: deal.name,
+            client: deal.client_name || null,
+            owner: deal.owner_name || null,
+            stage: deal.stage,
+            value: dealValue(deal),
+            probability: open ? dealProbability(deal) : null,
+            expectedCloseDate: toDay(deal.expected_close_date),
+            actualCloseDate: toDay(deal.actual_close_date),
+            createdAt: toDay(deal.created_at),
+            updatedAt: toDay(deal.updated_at),
+            closedOn,
+            open,
+            wonInRange: deal.stage === 'closed_won' && closedOn !== null && closedOn >= range.start && closedOn <= range.end
+        };
+    }
+
+    /**
+     * Send every scheduled export that has come due; returns what was sent
+     */
+    async run(now = new Date()) {
+        if (!this.isAvailable() || this.running) return null;
+        this.running = true;
+
+        try {
+            const due = await this.db.query(`
+                SELECT * FROM analytics_export_schedules
+                WHERE active = true AND next_run_at <= $1
+                ORDER BY next_run_at
+            `, [now.toISOString()]);
+
+            const sent = [];
+            for (const schedule of due.rows) {
+                // Move the schedule on first so a slow or failing send isn't repeated every check
+                const claimed = await this.db.query(`
+                    UPDATE analytics_export_schedules
+                    SET next_run_at = $3
+                    WHERE id = $1 AND next_run_at = $2
+                    RETURNING id
+                `, [schedule.id, schedule.next_run_at, nextRunAt(schedule.frequency, now)]);
+                if (claimed.rows.length === 0) continue;
+
+                sent.push(await this.sendScheduledExport(schedule, now));
+            }
+
+            this.lastRun = { at: now.toISOString(), sent: sent.length };
+            return sent;
+        } catch (error) {
+            this.logger.error('Scheduled export run failed', { error: error.message });
+            return null;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Build a schedule's export for the period before now and email it
+     */
+    async sendScheduledExport(schedule, now = new Date()) {
+        const range = scheduleRange(schedule.frequency, now);
+        let outcome;
+
+        try {
+            const file = await this.createExport({ startDate: range.start, endDate: range.end, format: schedule.format, now });
+            const result = await this.mailer.sendEmail({
+                from: `${process.env.MAILGUN_FROM_NAME || 'Team CRM'} <${process.env.MAILGUN_FROM_EMAIL || `reports@${this.mailer.config.domain}`}>`,
+                to: schedule.recipients.join(', '),
+                subject: `${schedule.name}: ${range.start === range.end ? range.start : `${range.start} to ${range.end}`}`,
+                text: `Attached is the ${schedule.format === 'pdf' ? 'board pack' : 'analytics workbook'} for ${range.start} to ${range.end}.`,
+                attachments: [{ filename: file.filename, contentType: file.contentType, data: file.body }],
+                tags: ['analytics-export', schedule.frequency]
+            });
+
+            // The client reports success even when it fell back to simulating
+            if (!this.mailer.enabled) {
+                outcome = { status: 'simulated', error: null };
+            } else if (String(result.messageId).startsWith('fallback-')) {
+                outcome = { status: 'failed', error: result.message };
+            } else {
+                outcome = { status: 'delivered', error: null };
+            }
+        } catch (error) {
+            outcome = { status: 'failed', error: error.message };
+        }
+
+        await this.db.query(`
+            UPDATE analytics_export_schedules
+            SET last_run_at = $2, last_status = $3, last_error = $4
+            WHERE id = $1
+        `, [schedule.id, now.toISOString(), outcome.status, outcome.error]);
+
+        this.logger.info('Scheduled export sent', { scheduleId: schedule.id, range, ...outcome });
+
+        return { scheduleId: schedule.id, name: schedule.name, format: schedule.format, range, ...outcome };
+    }
+
+    async listSchedules() {
+        const result = await this.db.query('SELECT * FROM analytics_export_schedules ORDER BY created_at DESC');
+        return result.rows;
+    }
+
+    async getSchedule(scheduleId) {
+        const result = await this.db.query(
+            'SELECT * FROM analytics_export_schedules WHERE id::text = $1',
+            [String(scheduleId)]
+        );
+        return result.rows[0] || null;
+    }
+
+    async createSchedule({ name, format, frequency, recipients, createdBy = null, now = new Date() }) {
+        const schedule = this.validateSchedule({ name, format, frequency, recipients });
+
+        const result = await this.db.query(`
+            INSERT INTO analytics_export_schedules (name, format, frequency, recipients, next_run_at, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [schedule.name, schedule.format, schedule.frequency, schedule.recipients, nextRunAt(schedule.frequency, now), createdBy]);
+
+        this.logger.info('Export schedule created', { scheduleId: result.rows[0].id, format, frequency });
+
+        return result.rows[0];
+    }
+
+    async updateSchedule(scheduleId, updates, now = new Date()) {
+        const existing = await this.getSchedule(scheduleId);
+        if (!existing) return null;
+
+        const schedule = this.validateSchedule({
+            name: updates.name ?? existing.name,
+            format: updates.format ?? existing.format,
+            frequency: updates.frequency ?? existing.frequency,
+            recipients: updates.recipients ?? existing.recipients
+        });
+        const active = Boolean(updates.active ?? existing.active);
+
+        // A new frequency, or switching back on, starts from the next run of the new schedule
+        const reschedule = schedule.frequency !== existing.frequency || (active && !existing.active);
+
+        const result = await this.db.query(`
+            UPDATE analytics_export_schedules
+            SET name = $2, format = $3, frequency = $4, recipients = $5, active = $6, next_run_at = $7
+            WHERE id = $1
+            RETURNING *
+        `, [
+            existing.id,
+            schedule.name,
+            schedule.format,
+            schedule.frequency,
+            schedule.recipients,
+            active,
+            reschedule ? nextRunAt(schedule.frequency, now) : existing.next_run_at
+        ]);
+
+        return result.rows[0];
+    }
+
+    async deleteSchedule(scheduleId) {
+        const result = await this.db.query(
+            'DELETE FROM analytics_export_schedules WHERE id::text = $1 RETURNING id',
+            [String(scheduleId)]
+        );
+        return result.rowCount > 0;
+    }
+
+    /**
+     * A schedule's fields trimmed and checked; throws "Invalid ..." otherwise
+     */
+    validateSchedule({ name, format, frequency, recipients }) {
+        if (!name || !String(name).trim()) {
+            throw new Error('Invalid schedule: name is required');
+        }
+        if (!SCHEDULE_FORMATS.includes(format)) {
+            throw new Error(`Invalid schedule: format must be one of ${SCHEDULE_FORMATS.join(', ')}`);
+        }
+        if (!SCHEDULE_FREQUENCIES.includes(frequency)) {
+            throw new Error(`Invalid schedule: frequency must be one of ${SCHEDULE_FREQUENCIES.join(', ')}`);
+        }
+
+        const list = (typeof recipients === 'string' ? recipients.split(/[,;\s]+/) : recipients || [])
+            .map(recipient => String(recipient).trim())
+            .filter(Boolean);
+        if (list.length === 0) {
+            throw new Error('Invalid schedule: recipients must list at least one email address');
+        }
+        const invalid = list.filter(recipient => !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(recipient));
+        if (invalid.length > 0) {
+            throw new Error(`Invalid recipient: ${invalid.join(', ')}`);
+        }
+
+        return { name: String(name).trim(), format, frequency, recipients: [...new Set(list)] };
+    }
+
+    getStatus() {
+        return {
+            scheduled: this.timer !== null,
+            lastRun: this.lastRun
+        };
+    }
+}
+
+function countBy(rows, key) {
+    const counts = new Map();
+    for (const row of rows) counts.set(key(row), (counts.get(key(row)) || 0) + 1);
+    return [...counts.entries()]
+        .map(([type, count]) => ({ type, count }))
+        .sort((a, b) => b.count - a.count);
+}
+
+function sum(values) {
+    return round(values.reduce((total, value) => total + (value || 0), 0));
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * YYYY-MM-DD for a date column or timestamp, null when missing
+ */
+function toDay(value) {
+    if (!value) return null;
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return null;
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Export singleton instance
+export const analyticsExportService = new AnalyticsExportService();
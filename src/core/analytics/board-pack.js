@@ -0,0 +1,403 @@
+/**
+ * Board Pack
+ * Renders a gathered analytics export (see AnalyticsExportService) as an
+ * XLSX workbook with pipeline, deals, activities and forecasts sheets, or as
+ * a printable PDF board pack: headline numbers, pipeline and forecast
+ * charts, forecast accuracy and the deals that moved in the period.
+ */
+
+import { buildWorkbook } from './xlsx-writer.js';
+import { PdfDocument, PAGE_WIDTH, PAGE_HEIGHT } from './pdf-writer.js';
+
+const MARGIN = 40;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+const COLORS = {
+    text: '#1A1A1A',
+    muted: '#666666',
+    rule: '#DDDDDD',
+    tile: '#F4F6F8',
+    primary: '#2F6FED',
+    weighted: '#2F6FED',
+    commit: '#1E9E6A',
+    bestCase: '#F2A93B',
+    pipeline: '#A7B4C6'
+};
+
+const STAGE_LABELS = {
+    prospect: 'Prospect',
+    qualified: 'Qualified',
+    proposal: 'Proposal',
+    negotiation: 'Negotiation',
+    on_hold: 'On hold',
+    closed_won: 'Closed won',
+    closed_lost: 'Closed lost'
+};
+
+const METHOD_LABELS = { weighted: 'Weighted', commit: 'Commit', best_case: 'Best case', trend: 'Trend' };
+
+/**
+ * The export as a multi-sheet XLSX workbook
+ */
+export function renderWorkbook(data) {
+    const { pipeline, forecasts } = data;
+
+    const pipelineRows = [
+        ['Stage', 'Deals', 'Total Value', 'Weighted Value', 'Avg Probability %'],
+        ...pipeline.byStage.map(stage => [
+            stageLabel(stage.stage), stage.dealCount, stage.totalValue, stage.weightedValue, stage.avgProbability
+        ]),
+        [],
+        ['Date', 'Weighted Pipeline Value'],
+        ...pipeline.history.map(point => [toDate(point.date), point.value])
+    ];
+
+    const forecastRows = [
+        ['Month', 'Weighted', 'Commit', 'Best Case', 'Pipeline', 'Closed Won', 'Deals'],
+        ...forecasts.byMonth.map(month => [
+            month.month, month.weighted, month.commit, month.bestCase, month.pipeline, month.closedWon, month.dealCount
+        ]),
+        [],
+        ['Period', 'Method', 'Forecast', 'Actual', 'Accuracy %'],
+        ...forecasts.accuracy.map(row => [
+            row.period, METHOD_LABELS[row.method] || row.method, row.forecast, row.actual, row.accuracy
+        ])
+    ];
+
+    return buildWorkbook([
+        {
+            name: 'Pipeline',
+            rows: pipelineRows,
+            headerRows: [0, pipeline.byStage.length + 2]
+        },
+        {
+            name: 'Deals',
+            rows: [
+                ['Deal', 'Client', 'Owner', 'Stage', 'Value', 'Probability %', 'Expected Close', 'Actual Close', 'Created', 'Updated'],
+                ...data.deals.map(deal => [
+                    deal.name, deal.client, deal.owner, stageLabel(deal.stage), deal.value, deal.probability,
+                    toDate(deal.expectedCloseDate), toDate(deal.actualCloseDate), toDate(deal.createdAt), toDate(deal.updatedAt)
+                ])
+            ]
+        },
+        {
+            name: 'Activities',
+            rows: [
+                ['Date', 'Deal', 'Member', 'Type', 'Description'],
+                ...data.activities.map(activity => [
+                    toDate(activity.date), activity.deal, activity.member, activity.type, activity.description
+                ])
+            ]
+        },
+        {
+            name: 'Forecasts',
+            rows: forecastRows,
+            headerRows: [0, forecasts.byMonth.length + 2]
+        }
+    ]);
+}
+
+/**
+ * The export as a printable PDF board pack
+ */
+export function renderBoardPack(data) {
+    const doc = new PdfDocument({ title: `Board Pack ${data.range.start} to ${data.range.end}` });
+
+    // Page 1: headline numbers and the pipeline
+    let y = pageHeader(doc, data, 'Board Pack');
+    y = kpiTiles(doc, y, [
+        { label: 'New deals', value: String(data.summary.newDeals), detail: money(data.summary.newDealValue) },
+        { label: 'Closed won', value: String(data.summary.wonDeals), detail: money(data.summary.wonValue) },
+        { label: 'Closed lost', value: String(data.summary.lostDeals), detail: money(data.summary.lostValue) },
+        { label: 'Open pipeline', value: money(data.summary.openPipeline), detail: `${money(data.summary.weightedPipeline)} weighted` },
+        { label: 'Activities', value: String(data.summary.activities), detail: `${data.range.days} days` }
+    ]);
+
+    y = sectionTitle(doc, y + 10, 'Pipeline by stage');
+    y = barChart(doc, {
+        y,
+        height: 170,
+        labels: data.pipeline.byStage.map(stage => stageLabel(stage.stage)),
+        series: [
+            { label: 'Total value', color: COLORS.pipeline, values: data.pipeline.byStage.map(stage => stage.totalValue) },
+            { label: 'Weighted', color: COLORS.weighted, values: data.pipeline.byStage.map(stage => stage.weightedValue) }
+        ]
+    });
+
+    y = sectionTitle(doc, y + 10, 'Weighted pipeline over the period');
+    lineChart(doc, {
+        y,
+        height: 150,
+        points: data.pipeline.history.map(point => ({ label: point.date.slice(5), value: point.value }))
+    });
+
+    // Page 2: forecast and accuracy
+    doc.addPage();
+    y = pageHeader(doc, data, 'Forecast');
+    y = sectionTitle(doc, y, 'Bottom-up forecast by close month');
+    y = barChart(doc, {
+        y,
+        height: 190,
+        labels: data.forecasts.byMonth.map(month => month.month),
+        series: [
+            { label: 'Commit', color: COLORS.commit, values: data.forecasts.byMonth.map(month => month.commit) },
+            { label: 'Best case', color: COLORS.bestCase, values: data.forecasts.byMonth.map(month => month.bestCase) },
+            { label: 'Weighted', color: COLORS.weighted, values: data.forecasts.byMonth.map(month => month.weighted) },
+            { label: 'Closed won', color: COLORS.pipeline, values: data.forecasts.byMonth.map(month => month.closedWon) }
+        ]
+    });
+
+    y = sectionTitle(doc, y + 10, 'Forecast accuracy');
+    y = table(doc, y, {
+        columns: [
+            { header: 'Period', width: 90 },
+            { header: 'Method', width: 110 },
+            { header: 'Forecast', width: 110, align: 'right' },
+            { header: 'Actual', width: 110, align: 'right' },
+            { header: 'Accuracy', width: 112, align: 'right' }
+        ],
+        rows: data.forecasts.accuracy.map(row => [
+            row.period,
+            METHOD_LABELS[row.method] || row.method,
+            money(row.forecast),
+            row.actual === null ? 'Open' : money(row.actual),
+            row.accuracy === null ? '-' : `${row.accuracy}%`
+        ]),
+        empty: 'No forecast periods overlap this range yet',
+        maxRows: 12
+    });
+
+    // Page 3: deals and activity
+    doc.addPage();
+    y = pageHeader(doc, data, 'Deals and Activity');
+    y = sectionTitle(doc, y, 'Won in the period');
+    y = dealTable(doc, y, data.deals.filter(deal => deal.wonInRange), 'No deals closed won in this range');
+
+    y = sectionTitle(doc, y + 10, 'Largest open deals');
+    y = dealTable(doc, y, data.deals.filter(deal => deal.open), 'No open deals');
+
+    y = sectionTitle(doc, y + 10, 'Activity by type');
+    const byType = data.activitiesByType.slice(0, 8);
+    if (byType.length === 0) {
+        doc.text('No deal activity in this range', MARGIN, y + 12, { color: COLORS.muted });
+    } else if (y + 150 < PAGE_HEIGHT - MARGIN) {
+        barChart(doc, {
+            y,
+            height: Math.min(150, PAGE_HEIGHT - MARGIN - y - 10),
+            labels: byType.map(row => row.type),
+            series: [{ label: 'Activities', color: COLORS.primary, values: byType.map(row => row.count) }],
+            format: value => String(Math.round(value))
+        });
+    }
+
+    return doc.toBuffer();
+}
+
+function pageHeader(doc, data, title) {
+    doc.text(title, MARGIN, MARGIN + 20, { size: 22, bold: true, color: COLORS.text });
+    doc.text(`${formatDay(data.range.start)} to ${formatDay(data.range.end)}`, MARGIN, MARGIN + 40, { size: 11, color: COLORS.muted });
+    doc.text(`Generated ${formatDay(data.generatedAt.slice(0, 10))}`, PAGE_WIDTH - MARGIN, MARGIN + 40, {
+        size: 9,
+        color: COLORS.muted,
+        align: 'right'
+    });
+    doc.line(MARGIN, MARGIN + 52, PAGE_WIDTH - MARGIN, MARGIN + 52, { color: COLORS.rule });
+    return MARGIN + 70;
+}
+
+function sectionTitle(doc, y, title) {
+    doc.text(title, MARGIN, y + 12, { size: 13, bold: true, color: COLORS.text });
+    return y + 22;
+}
+
+function kpiTiles(doc, y, tiles) {
+    const gap = 8;
+    const width = (CONTENT_WIDTH - gap * (tiles.length - 1)) / tiles.length;
+
+    tiles.forEach((tile, i) => {
+        const x = MARGIN + i * (width + gap);
+        doc.rect(x, y, width, 62, { color: COLORS.tile });
+        doc.text(tile.label, x + 8, y + 16, { size: 8, color: COLORS.muted });
+        doc.text(doc.fitText(tile.value, width - 16, { size: 15, bold: true }), x + 8, y + 38, { size: 15, bold: true, color: COLORS.text });
+        doc.text(doc.fitText(tile.detail, width - 16, { size: 8 }), x + 8, y + 53, { size: 8, color: COLORS.muted });
+    });
+
+    return y + 62;
+}
+
+/**
+ * Grouped bars per label with a legend; returns the y below the chart
+ */
+function barChart(doc, { y, height, labels, series, format = money }) {
+    const legendHeight = series.length > 1 ? 16 : 0;
+    const axisWidth = 56;
+    const top = y + legendHeight;
+    const plotHeight = height - legendHeight - 18;
+    const plotLeft = MARGIN + axisWidth;
+    const plotWidth = CONTENT_WIDTH - axisWidth;
+
+    if (series.length > 1) {
+        let x = plotLeft;
+        for (const { label, color } of series) {
+            doc.rect(x, y + 2, 8, 8, { color });
+            doc.text(label, x + 12, y + 10, { size: 8, color: COLORS.muted });
+            x += 24 + doc.textWidth(label, { size: 8 });
+        }
+    }
+
+    if (labels.length === 0) {
+        doc.text('No data for this range', plotLeft, top + plotHeight / 2, { color: COLORS.muted });
+        return y + height;
+    }
+
+    const max = niceMax(Math.max(0, ...series.flatMap(({ values }) => values)));
+    for (let step = 0; step <= 4; step++) {
+        const lineY = top + plotHeight - plotHeight * step / 4;
+        doc.line(plotLeft, lineY, plotLeft + plotWidth, lineY, { color: COLORS.rule, width: 0.5 });
+        doc.text(format(max * step / 4), plotLeft - 6, lineY + 3, { size: 7, color: COLORS.muted, align: 'right' });
+    }
+
+    const groupWidth = plotWidth / labels.length;
+    const barWidth = Math.min(28, groupWidth * 0.8 / series.length);
+    labels.forEach((label, i) => {
+        const groupLeft = plotLeft + i * groupWidth + (groupWidth - barWidth * series.length) / 2;
+        series.forEach(({ color, values }, s) => {
+            const barHeight = max > 0 ? plotHeight * (values[i] || 0) / max : 0;
+            doc.rect(groupLeft + s * barWidth, top + plotHeight - barHeight, barWidth - 1, barHeight, { color });
+        });
+        doc.text(doc.fitText(label, groupWidth - 4, { size: 7 }), plotLeft + (i + 0.5) * groupWidth, top + plotHeight + 11, {
+            size: 7,
+            color: COLORS.muted,
+            align: 'center'
+        });
+    });
+
+    return y + height;
+}
+
+function lineChart(doc, { y, height, points }) {
+    const axisWidth = 56;
+    const plotHeight = height - 18;
+    const plotLeft = MARGIN + axisWidth;
+    const plotWidth = CONTENT_WIDTH - axisWidth;
+
+    if (points.length < 2) {
+        doc.text('Not enough snapshots in this range for a trend', plotLeft, y + plotHeight / 2, { color: COLORS.muted });
+        return y + height;
+    }
+
+    const values = points.map(point => point.value);
+    const min = Math.min(...values) > 0 ? Math.min(...values) * 0.9 : Math.min(0, ...values);
+    const max = niceMax(Math.max(...values));
+    const scale = max - min || 1;
+
+    for (let step = 0; step <= 4; step++) {
+        const lineY = y + plotHeight - plotHeight * step / 4;
+        doc.line(plotLeft, lineY, plotLeft + plotWidth, lineY, { color: COLORS.rule, width: 0.5 });
+        doc.text(money(min + scale * step / 4), plotLeft - 6, lineY + 3, { size: 7, color: COLORS.muted, align: 'right' });
+    }
+
+    const xAt = i => plotLeft + plotWidth * i / (points.length - 1);
+    doc.polyline(points.map((point, i) => [xAt(i), y + plotHeight - plotHeight * (point.value - min) / scale]), {
+        color: COLORS.primary,
+        width: 1.5
+    });
+
+    // Label the first, last and a few points between
+    const every = Math.max(1, Math.ceil(points.length / 6));
+    points.forEach((point, i) => {
+        if (i % every === 0 || i === points.length - 1) {
+            doc.text(point.label, xAt(i), y + plotHeight + 11, { size: 7, color: COLORS.muted, align: 'center' });
+        }
+    });
+
+    return y + height;
+}
+
+function table(doc, y, { columns, rows, empty, maxRows }) {
+    let x = MARGIN;
+    for (const column of columns) {
+        const anchor = column.align === 'right' ? x + column.width - 4 : x;
+        doc.text(column.header, anchor, y + 10, { size: 8, bold: true, color: COLORS.muted, align: column.align || 'left' });
+        x += column.width;
+    }
+    doc.line(MARGIN, y + 15, PAGE_WIDTH - MARGIN, y + 15, { color: COLORS.rule });
+    y += 15;
+
+    if (rows.length === 0) {
+        doc.text(empty, MARGIN, y + 14, { size: 9, color: COLORS.muted });
+        return y + 22;
+    }
+
+    for (const row of rows.slice(0, maxRows)) {
+        x = MARGIN;
+        row.forEach((value, i) => {
+            const column = columns[i];
+            const content = doc.fitText(value, column.width - 8, { size: 9 });
+            const anchor = column.align === 'right' ? x + column.width - 4 : x;
+            doc.text(content, anchor, y + 13, { size: 9, color: COLORS.text, align: column.align || 'left' });
+            x += column.width;
+        });
+        y += 17;
+    }
+    if (rows.length > maxRows) {
+        doc.text(`and ${rows.length - maxRows} more`, MARGIN, y + 12, { size: 8, color: COLORS.muted });
+        y += 16;
+    }
+
+    return y + 4;
+}
+
+function dealTable(doc, y, deals, empty) {
+    return table(doc, y, {
+        columns: [
+            { header: 'Deal', width: 150 },
+            { header: 'Client', width: 110 },
+            { header: 'Owner', width: 90 },
+            { header: 'Stage', width: 80 },
+            { header: 'Value', width: 102, align: 'right' }
+        ],
+        rows: deals.map(deal => [deal.name, deal.client || '', deal.owner || '', stageLabel(deal.stage), money(deal.value)]),
+        empty,
+        maxRows: 8
+    });
+}
+
+function niceMax(value) {
+    if (value <= 0) return 1;
+    const magnitude = 10 ** Math.floor(Math.log10(value));
+    const step = [1, 2, 2.5, 5, 10].find(candidate => candidate * magnitude >= value);
+    return step * magnitude;
+}
+
+function money(value) {
+    const amount = Number(value) || 0;
+    const sign = amount < 0 ? '-' : '';
+    const abs = Math.abs(amount);
+    if (abs >= 1e6) return `${sign}$${(abs / 1e6).toFixed(1)}M`;
+    if (abs >= 1e3) return `${sign}$${Math.round(abs / 1e3)}K`;
+    return `${sign}$${Math.round(abs)}`;
+}
+
+function stageLabel(stage) {
+    return STAGE_LABELS[stage] || stage || '';
+}
+
+function formatDay(day) {
+    return new Date(`${day}T00:00:00Z`).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        timeZone: 'UTC'
+    });
+}
+
+/**
+ * YYYY-MM-DD or a timestamp as a spreadsheet date (UTC midnight), or null
+ */
+function toDate(value) {
+    if (!value) return null;
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return new Date(`${value}T00:00:00Z`);
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
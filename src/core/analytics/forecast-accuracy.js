@@ -0,0 +1,321 @@
+/**
+ * Forecast Accuracy
+ * Snapshots each month's forecast of closed revenue when the month starts,
+ * for the team and each owner, by method: stage-weighted, commit, best case
+ * and the AnalyticsEngine trend. Once the month is over the actual closed
+ * revenue is filled in, and the report compares the two.
+ */
+
+import { db } from '../database/connection.js';
+import { logger } from '../../utils/logger.js';
+import { analyticsEngine } from './analytics-engine.js';
+import { buildForecast, pipelineForecastService } from './pipeline-forecast.js';
+
+export const FORECAST_METHODS = ['weighted', 'commit', 'best_case', 'trend'];
+
+// Snapshot rows for the whole team rather than one owner
+const TEAM = '';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const STARTUP_DELAY_MS = 60 * 1000;
+const MAX_PERIODS = 24;
+
+// A forecast taken later than this into its month has already seen part of the
+// month close, so none is taken rather than one that flatters the report
+export const SNAPSHOT_WINDOW_DAYS = 2;
+
+/**
+ * First and last day of the month a date falls in, as YYYY-MM-DD
+ */
+export function monthPeriod(now = new Date()) {
+    const start = new Date(now.getFullYear(), now.getMonth(), 1);
+    const end = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+    return { start: toDay(start), end: toDay(end), days: end.getDate() };
+}
+
+/**
+ * How close a forecast came to what actually closed, from 0 to 100
+ */
+export function forecastAccuracy(forecast, actual) {
+    if (actual === 0) return forecast === 0 ? 100 : 0;
+    return Math.round(Math.max(0, 1 - Math.abs(forecast - actual) / actual) * 1000) / 10;
+}
+
+/**
+ * Accuracy, bias and totals over a set of closed snapshots
+ */
+export function summarizeAccuracy(rows) {
+    const forecast = rows.reduce((sum, row) => sum + row.forecast, 0);
+    const actual = rows.reduce((sum, row) => sum + row.actual, 0);
+
+    return {
+        periods: rows.length,
+        forecast: round(forecast),
+        actual: round(actual),
+        accuracy: rows.length > 0
+            ? Math.round(rows.reduce((sum, row) => sum + row.accuracy, 0) / rows.length * 10) / 10
+            : null,
+        // Positive when forecasts ran high
+        bias: round(forecast - actual)
+    };
+}
+
+export class ForecastAccuracyService {
+    constructor(options = {}) {
+        this.logger = logger.child({ component: 'ForecastAccuracyService' });
+        this.db = options.db || db;
+        this.forecastService = options.forecastService || pipelineForecastService;
+        this.analytics = options.analytics === undefined ? analyticsEngine : options.analytics;
+        this.intervalMs = options.intervalMs || CHECK_INTERVAL_MS;
+
+        this.timer = null;
+        this.startupTimer = null;
+        this.lastRun = null;
+    }
+
+    /**
+     * Whether the backing database is available
+     */
+    isAvailable() {
+        return Boolean(this.db?.initialized);
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.startupTimer = setTimeout(() => this.run(), STARTUP_DELAY_MS);
+        this.timer = setInterval(() => this.run(), this.intervalMs);
+        this.startupTimer.unref?.();
+        this.timer.unref?.();
+
+        this.logger.info('Forecast snapshots scheduled');
+    }
+
+    stop() {
+        clearTimeout(this.startupTimer);
+        clearInterval(this.timer);
+        this.startupTimer = null;
+        this.timer = null;
+    }
+
+    /**
+     * Close finished periods, then snapshot the current one if it hasn't been
+     */
+    async run(now = new Date()) {
+        if (!this.isAvailable()) return null;
+
+        try {
+            const closed = await this.closePeriods(now);
+            const snapshotted = await this.snapshotPeriod(now);
+            this.lastRun = { at: now.toISOString(), closed, snapshotted };
+            return this.lastRun;
+        } catch (error) {
+            this.logger.error('Forecast snapshot run failed', { error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Record this month's forecasts; the first snapshot of a period is kept,
+     * and none is taken after the first SNAPSHOT_WINDOW_DAYS of the month.
+     * Returns how many rows were new.
+     */
+    async snapshotPeriod(now = new Date()) {
+        if (now.getDate() > SNAPSHOT_WINDOW_DAYS) return 0;
+
+        const period = monthPeriod(now);
+        const existing = await this.db.query(`
+            SELECT COUNT(*) as count FROM forecast_snapshots
+            WHERE period_type = 'monthly' AND period_start = $1
+        `, [period.start]);
+        if (parseInt(existing.rows[0].count) > 0) return 0;
+
+        const { open, closedWon } = await this.forecastService.loadDeals({ now });
+        const forecast = buildForecast(open, { months: 1, now, closedWon });
+        const month = forecast.byMonth[0];
+        const takenAt = now.toISOString();
+
+        // Revenue already closed this month counts toward every forecast
+        const rows = [
+            ...this.methodRows(TEAM, month, { takenAt, dealCount: month.dealCount }),
+            ...forecast.byOwner.flatMap(owner => this.methodRows(owner.owner, owner, { takenAt, dealCount: owner.dealCount }))
+        ];
+
+        const trend = await this.trendForecast(now, period, month.closedWon);
+        if (trend) rows.push({ owner: TEAM, method: 'trend', value: trend.value, details: { takenAt, ...trend.details } });
+
+        let inserted = 0;
+        for (const row of rows) {
+            const result = await this.db.query(`
+                INSERT INTO forecast_snapshots (
+                    period_type, period_start, period_end, method, owner_key, forecast_value, details
+                ) VALUES ('monthly', $1, $2, $3, $4, $5, $6)
+                ON CONFLICT (period_type, period_start, method, owner_key) DO NOTHING
+                RETURNING id
+            `, [period.start, period.end, row.method, row.owner, round(row.value), JSON.stringify(row.details)]);
+            inserted += result.rows.length;
+        }
+
+        this.logger.info('Forecast snapshot taken', { period: period.start, rows: inserted });
+        return inserted;
+    }
+
+    methodRows(owner, totals, details) {
+        const closed = totals.closedWon;
+        return [
+            { owner, method: 'weighted', value: closed + totals.weighted, details: { ...details, closedSoFar: closed } },
+            { owner, method: 'commit', value: closed + totals.commit, details: { ...details, closedSoFar: closed } },
+            { owner, method: 'best_case', value: closed + totals.bestCase, details: { ...details, closedSoFar: closed } }
+        ];
+    }
+
+    /**
+     * Team closed revenue for the period from the trend of cumulative closed
+     * revenue snapshots; null when there isn't enough history
+     */
+    async trendForecast(now, period, closedSoFar) {
+        if (!this.analytics) return null;
+
+        const periodEnd = new Date(`${period.end}T23:59:59`);
+        const daysLeft = Math.max(1, Math.ceil((periodEnd - now) / DAY_MS));
+        let trend;
+        try {
+            trend = await this.analytics.generateForecast('total_revenue_closed', daysLeft);
+        } catch (error) {
+            this.logger.warn('Trend forecast unavailable', { error: error.message });
+            return null;
+        }
+        if (trend.error) return null;
+
+        const closedToDate = await this.db.query(
+            'SELECT COALESCE(SUM(total_contract_value), 0) as total FROM deals WHERE stage = \'closed_won\''
+        );
+        const projected = trend.forecast[trend.forecast.length - 1].value;
+        const atPeriodStart = parseFloat(closedToDate.rows[0].total) - closedSoFar;
+
+        return {
+            value: Math.max(closedSoFar, projected - atPeriodStart),
+            details: { projectedClosedToDate: round(projected), confidence: trend.confidence, direction: trend.trend }
+        };
+    }
+
+    /**
+     * Fill in actual closed revenue for periods that have ended. Returns how
+     * many snapshots were closed.
+     */
+    async closePeriods(now = new Date()) {
+        const today = toDay(now);
+        const open = await this.db.query(`
+            SELECT DISTINCT period_start, period_end
+            FROM forecast_snapshots
+            WHERE actual_value IS NULL AND period_end < $1
+            ORDER BY period_start
+        `, [today]);
+
+        let closed = 0;
+        for (const { period_start: start, period_end: end } of open.rows) {
+            const actuals = await this.db.query(`
+                SELECT COALESCE(tm.external_id, tm.name, 'unassigned') as owner_key,
+                       COALESCE(SUM(d.total_contract_value), 0) as actual
+                FROM deals d
+                LEFT JOIN team_members tm ON d.owner_id = tm.id
+                WHERE d.stage = 'closed_won'
+                  AND COALESCE(d.actual_close_date, d.closed_at::date) BETWEEN $1 AND $2
+                GROUP BY 1
+            `, [start, end]);
+
+            const byOwner = new Map(actuals.rows.map(row => [row.owner_key, parseFloat(row.actual)]));
+            const team = [...byOwner.values()].reduce((sum, value) => sum + value, 0);
+
+            const result = await this.db.query(`
+                UPDATE forecast_snapshots
+                SET actual_value = CASE WHEN owner_key = '' THEN $3
+                                        ELSE COALESCE(($4::jsonb ->> owner_key)::numeric, 0) END,
+                    closed_at = CURRENT_TIMESTAMP
+                WHERE period_start = $1 AND period_end = $2 AND actual_value IS NULL
+            `, [start, end, round(team), JSON.stringify(Object.fromEntries(byOwner))]);
+            closed += result.rowCount || 0;
+
+            this.logger.info('Forecast period closed', { period: toDay(start), actual: round(team) });
+        }
+        return closed;
+    }
+
+    /**
+     * Accuracy by method and by owner over the last closed periods
+     */
+    async getAccuracyReport({ periods = 6, owner = null } = {}) {
+        const count = parseInt(periods) || 6;
+        if (count < 1 || count > MAX_PERIODS) {
+            throw new Error(`Invalid periods: use 1 to ${MAX_PERIODS}`);
+        }
+
+        const result = await this.db.query(`
+            SELECT period_start, method, owner_key, forecast_value, actual_value
+            FROM forecast_snapshots
+            WHERE actual_value IS NOT NULL
+              AND period_start IN (
+                  SELECT DISTINCT period_start FROM forecast_snapshots
+                  WHERE actual_value IS NOT NULL
+                  ORDER BY period_start DESC
+                  LIMIT $1
+              )
+              AND ($2::text IS NULL OR owner_key = $2)
+            ORDER BY period_start, method, owner_key
+        `, [count, owner]);
+
+        const history = result.rows.map(row => {
+            const forecast = parseFloat(row.forecast_value);
+            const actual = parseFloat(row.actual_value);
+            return {
+                period: toDay(row.period_start).slice(0, 7),
+                method: row.method,
+                owner: row.owner_key || null,
+                forecast,
+                actual,
+                accuracy: forecastAccuracy(forecast, actual)
+            };
+        });
+
+        const team = history.filter(row => row.owner === null);
+        const owners = [...new Set(history.map(row => row.owner).filter(Boolean))];
+
+        return {
+            periods: [...new Set(history.map(row => row.period))],
+            byMethod: this.byMethod(team),
+            byOwner: owners.map(key => ({
+                owner: key,
+                byMethod: this.byMethod(history.filter(row => row.owner === key))
+            })),
+            history
+        };
+    }
+
+    byMethod(rows) {
+        return FORECAST_METHODS
+            .map(method => ({ method, ...summarizeAccuracy(rows.filter(row => row.method === method)) }))
+            .filter(summary => summary.periods > 0);
+    }
+
+    getStatus() {
+        return {
+            scheduled: this.timer !== null,
+            lastRun: this.lastRun
+        };
+    }
+}
+
+function toDay(value) {
+    if (typeof value === 'string') return value.slice(0, 10);
+
+    const date = new Date(value);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Export singleton instance
+export const forecastAccuracyService = new ForecastAccuracyService();
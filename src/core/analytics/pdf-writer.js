@@ -0,0 +1,164 @@
+/**
+ * PDF Writer
+ * A small PDF 1.4 writer for printable reports: pages of Helvetica text,
+ * filled rectangles and lines, which is all the board pack's tables and
+ * charts need. Coordinates are in points from the top-left of the page.
+ *
+ *   const doc = new PdfDocument();
+ *   doc.addPage();
+ *   doc.text('Board Pack', 40, 60, { size: 24, bold: true });
+ *   const buffer = doc.toBuffer();
+ */
+
+export const PDF_CONTENT_TYPE = 'application/pdf';
+
+// US Letter
+export const PAGE_WIDTH = 612;
+export const PAGE_HEIGHT = 792;
+
+// Average Helvetica glyph width as a share of the font size, for layout
+const CHAR_WIDTH = { regular: 0.52, bold: 0.56 };
+
+export class PdfDocument {
+    constructor({ title = 'Report', width = PAGE_WIDTH, height = PAGE_HEIGHT } = {}) {
+        this.title = title;
+        this.width = width;
+        this.height = height;
+        this.pages = [];
+    }
+
+    addPage() {
+        this.pages.push([]);
+        return this;
+    }
+
+    get current() {
+        if (this.pages.length === 0) this.addPage();
+        return this.pages[this.pages.length - 1];
+    }
+
+    /**
+     * Text with its baseline at y; align 'right' or 'center' anchors it at x
+     */
+    text(value, x, y, { size = 10, bold = false, color = '#000000', align = 'left' } = {}) {
+        const content = String(value ?? '');
+        const width = this.textWidth(content, { size, bold });
+        const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+
+        this.current.push(
+            `BT ${fill(color)} /${bold ? 'F2' : 'F1'} ${size} Tf ${num(left)} ${num(this.height - y)} Td (${escapeText(content)}) Tj ET`
+        );
+        return this;
+    }
+
+    /**
+     * Approximate width of text in points
+     */
+    textWidth(value, { size = 10, bold = false } = {}) {
+        return String(value ?? '').length * size * CHAR_WIDTH[bold ? 'bold' : 'regular'];
+    }
+
+    /**
+     * Shorten text with an ellipsis to fit a width
+     */
+    fitText(value, maxWidth, options = {}) {
+        let content = String(value ?? '');
+        if (this.textWidth(content, options) <= maxWidth) return content;
+
+        while (content.length > 1 && this.textWidth(`${content}...`, options) > maxWidth) {
+            content = content.slice(0, -1);
+        }
+        return `${content}...`;
+    }
+
+    rect(x, y, width, height, { color = '#000000' } = {}) {
+        this.current.push(`${fill(color)} ${num(x)} ${num(this.height - y - height)} ${num(width)} ${num(height)} re f`);
+        return this;
+    }
+
+    line(x1, y1, x2, y2, { color = '#000000', width = 1 } = {}) {
+        return this.polyline([[x1, y1], [x2, y2]], { color, width });
+    }
+
+    polyline(points, { color = '#000000', width = 1 } = {}) {
+        if (points.length < 2) return this;
+
+        const path = points
+            .map(([x, y], i) => `${num(x)} ${num(this.height - y)} ${i === 0 ? 'm' : 'l'}`)
+            .join(' ');
+        this.current.push(`${stroke(color)} ${num(width)} w ${path} S`);
+        return this;
+    }
+
+    toBuffer() {
+        if (this.pages.length === 0) this.addPage();
+
+        // 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and its content per page
+        const pageIds = this.pages.map((_, i) => 6 + i * 2);
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`,
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+            `<< /Title (${escapeText(this.title)}) /Producer (Team CRM) /CreationDate (D:${pdfDate(new Date())}) >>`
+        ];
+
+        for (const [i, commands] of this.pages.entries()) {
+            const stream = commands.join('\n');
+            objects.push(
+                `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.width} ${this.height}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`,
+                `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`
+            );
+        }
+
+        let output = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+        const offsets = objects.map((object, i) => {
+            const offset = Buffer.byteLength(output, 'latin1');
+            output += `${i + 1} 0 obj\n${object}\nendobj\n`;
+            return offset;
+        });
+
+        const xref = Buffer.byteLength(output, 'latin1');
+        output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+        return Buffer.from(output, 'latin1');
+    }
+}
+
+/**
+ * Text in a PDF string literal: Latin-1 only (the built-in fonts have
+ * nothing else), with the delimiters escaped
+ */
+function escapeText(value) {
+    return String(value)
+        .replace(/[‘’]/g, '\'')
+        .replace(/[“”]/g, '"')
+        .replace(/[–—]/g, '-')
+        .replace(/…/g, '...')
+        .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+        .replace(/([\\()])/g, '\\$1');
+}
+
+function rgb(color) {
+    const hex = /^#?([0-9a-f]{6})$/i.exec(color)?.[1] || '000000';
+    return [0, 2, 4].map(i => num(parseInt(hex.slice(i, i + 2), 16) / 255)).join(' ');
+}
+
+function fill(color) {
+    return `${rgb(color)} rg`;
+}
+
+function stroke(color) {
+    return `${rgb(color)} RG`;
+}
+
+function num(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+function pdfDate(date) {
+    return date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+}
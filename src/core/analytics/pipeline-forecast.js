@@ -0,0 +1,438 @@
+/**
+ * Pipeline Forecast
+ * Bottom-up forecast from the deals themselves: each open deal's value
+ * weighted by its probability (or its stage's default), bucketed by the month
+ * it is expected to close, sorted into commit, best case and pipeline, and
+ * rolled up per owner. What-if scenarios re-run the forecast with deals
+ * slipped, re-weighted or dropped. The snapshot-based trend forecast from the
+ * AnalyticsEngine is kept alongside for comparison.
+ */
+
+import { db } from '../database/connection.js';
+import { logger } from '../../utils/logger.js';
+import { analyticsEngine } from './analytics-engine.js';
+import { CLOSED_STAGES, DEAL_STAGES } from '../deals/deal-service.js';
+
+// Probability used when a deal doesn't have one of its own
+export const STAGE_PROBABILITIES = {
+    prospect: 10,
+    qualified: 25,
+    proposal: 50,
+    negotiation: 75,
+    on_hold: 5,
+    closed_won: 100,
+    closed_lost: 0
+};
+
+// Categories are cumulative: best case includes commit, pipeline includes both
+export const FORECAST_CATEGORIES = ['commit', 'best_case', 'pipeline'];
+
+const COMMIT_PROBABILITY = 70;
+const BEST_CASE_PROBABILITY = 40;
+
+const DEFAULT_MONTHS = 6;
+const MAX_MONTHS = 24;
+
+/**
+ * Probability (0-100) a deal closes: its own, or its stage's default
+ */
+export function dealProbability(deal) {
+    const probability = parseFloat(deal.probability);
+    if (Number.isFinite(probability) && probability > 0) return Math.min(100, probability);
+    return STAGE_PROBABILITIES[deal.stage] ?? 0;
+}
+
+/**
+ * What a deal is worth: total contract value, or a year of monthly value plus setup
+ */
+export function dealValue(deal) {
+    const total = parseFloat(deal.total_contract_value);
+    if (Number.isFinite(total)) return total;
+
+    const monthly = parseFloat(deal.monthly_value) || 0;
+    const setup = parseFloat(deal.implementation_fee) || 0;
+    return monthly * 12 + setup;
+}
+
+/**
+ * Commit, best case or pipeline; deals on hold are never better than pipeline
+ */
+export function forecastCategory(deal) {
+    if (deal.stage === 'on_hold') return 'pipeline';
+
+    const probability = dealProbability(deal);
+    if (probability >= COMMIT_PROBABILITY) return 'commit';
+    if (probability >= BEST_CASE_PROBABILITY) return 'best_case';
+    return 'pipeline';
+}
+
+/**
+ * Forecast open deals over the next few months. Deals past their close date
+ * count in the current month; those without one, or closing later, are
+ * reported separately. Won deals closed this period count as closed.
+ */
+export function buildForecast(openDeals, { months = DEFAULT_MONTHS, now = new Date(), closedWon = [] } = {}) {
+    const horizon = monthRange(monthKey(now), months);
+    const byMonth = new Map(horizon.map(month => [month, { month, ...emptyTotals(), overdue: 0 }]));
+    const byOwner = new Map();
+    const totals = emptyTotals();
+    const unscheduled = emptyTotals();
+    const later = emptyTotals();
+
+    const ownerTotals = deal => {
+        const key = deal.owner_key || deal.owner_name || 'unassigned';
+        if (!byOwner.has(key)) {
+            byOwner.set(key, { owner: key, ownerName: deal.owner_name || null, ...emptyTotals() });
+        }
+        return byOwner.get(key);
+    };
+
+    const deals = openDeals.filter(deal => !CLOSED_STAGES.includes(deal.stage)).map(deal => {
+        const value = dealValue(deal);
+        const probability = dealProbability(deal);
+        const closeMonth = deal.expected_close_date ? monthKey(deal.expected_close_date) : null;
+        const overdue = closeMonth !== null && closeMonth < horizon[0];
+
+        const forecastDeal = {
+            id: deal.id,
+            name: deal.name,
+            owner: deal.owner_key || deal.owner_name || null,
+            stage: deal.stage,
+            value: round(value),
+            probability,
+            weighted: round(value * probability / 100),
+            category: forecastCategory(deal),
+            closeMonth,
+            overdue
+        };
+
+        if (closeMonth === null) {
+            addDeal(unscheduled, forecastDeal);
+        } else if (closeMonth > horizon[horizon.length - 1]) {
+            addDeal(later, forecastDeal);
+        } else {
+            const month = byMonth.get(overdue ? horizon[0] : closeMonth);
+            addDeal(month, forecastDeal);
+            if (overdue) month.overdue++;
+            addDeal(totals, forecastDeal);
+            addDeal(ownerTotals(deal), forecastDeal);
+        }
+
+        return forecastDeal;
+    });
+
+    for (const deal of closedWon) {
+        const month = byMonth.get(monthKey(deal.actual_close_date || deal.closed_at));
+        if (!month) continue;
+
+        const value = dealValue(deal);
+        month.closedWon += value;
+        totals.closedWon += value;
+        ownerTotals(deal).closedWon += value;
+    }
+
+    return {
+        generatedAt: now.toISOString(),
+        months: horizon,
+        totals: roundTotals(totals),
+        byMonth: [...byMonth.values()].map(roundTotals),
+        byOwner: [...byOwner.values()].map(roundTotals).sort((a, b) => b.weighted - a.weighted),
+        unscheduled: roundTotals(unscheduled),
+        later: roundTotals(later),
+        deals
+    };
+}
+
+/**
+ * Apply what-if changes to copies of the deals. Each change names a deal by id
+ * or name and can slip it (slipMonths), move it (closeDate), re-weight it
+ * (probability, stage), revalue it (value) or drop it (lost).
+ */
+export function applyScenario(deals, changes) {
+    if (!Array.isArray(changes) || changes.length === 0) {
+        throw new Error('Invalid what-if: changes must be a non-empty array');
+    }
+
+    const scenario = deals.map(deal => ({ ...deal }));
+    const applied = [];
+
+    for (const change of changes) {
+        const deal = findDeal(scenario, change?.deal);
+        const adjustments = {};
+
+        if (change.slipMonths !== undefined) {
+            const slip = Number(change.slipMonths);
+            if (!Number.isInteger(slip)) throw new Error('Invalid what-if: slipMonths must be a whole number');
+            if (!deal.expected_close_date) throw new Error(`Invalid what-if: ${deal.name} has no close date to slip`);
+            deal.expected_close_date = addMonths(deal.expected_close_date, slip);
+            adjustments.expectedCloseDate = deal.expected_close_date;
+        }
+
+        if (change.closeDate !== undefined) {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(String(change.closeDate))) {
+                throw new Error('Invalid what-if: closeDate must be YYYY-MM-DD');
+            }
+            deal.expected_close_date = change.closeDate;
+            adjustments.expectedCloseDate = change.closeDate;
+        }
+
+        if (change.stage !== undefined) {
+            if (!DEAL_STAGES.includes(change.stage) || CLOSED_STAGES.includes(change.stage)) {
+                throw new Error('Invalid what-if: stage must be an open stage (use lost to drop a deal)');
+            }
+            deal.stage = change.stage;
+            // The new stage's default applies unless a probability is given too
+            deal.probability = null;
+            adjustments.stage = change.stage;
+        }
+
+        if (change.probability !== undefined) {
+            const probability = Number(change.probability);
+            if (!Number.isFinite(probability) || probability < 0 || probability > 100) {
+                throw new Error('Invalid what-if: probability must be between 0 and 100');
+            }
+            deal.probability = probability;
+            adjustments.probability = probability;
+        }
+
+        if (change.value !== undefined) {
+            const value = Number(change.value);
+            if (!Number.isFinite(value) || value < 0) throw new Error('Invalid what-if: value must be a positive number');
+            deal.total_contract_value = value;
+            adjustments.value = value;
+        }
+
+        if (change.lost === true) {
+            deal.stage = 'closed_lost';
+            adjustments.lost = true;
+        }
+
+        if (Object.keys(adjustments).length === 0) {
+            throw new Error(`Invalid what-if: nothing to change for ${deal.name}`);
+        }
+
+        applied.push({ dealId: deal.id, dealName: deal.name, ...adjustments });
+    }
+
+    return { deals: scenario, applied };
+}
+
+/**
+ * How a scenario differs from the baseline, overall and by month
+ */
+export function compareForecasts(baseline, scenario) {
+    return {
+        totals: difference(baseline.totals, scenario.totals),
+        byMonth: baseline.byMonth.map((month, i) => ({
+            month: month.month,
+            ...difference(month, scenario.byMonth[i])
+        }))
+    };
+}
+
+export class PipelineForecastService {
+    constructor(options = {}) {
+        this.logger = logger.child({ component: 'PipelineForecastService' });
+        this.db = options.db || db;
+        this.analytics = options.analytics === undefined ? analyticsEngine : options.analytics;
+    }
+
+    /**
+     * Whether the backing database is available
+     */
+    isAvailable() {
+        return Boolean(this.db?.initialized);
+    }
+
+    /**
+     * Bottom-up forecast with the trend forecast alongside
+     */
+    async getForecast({ months, owner = null, now = new Date() } = {}) {
+        const horizon = this.toMonths(months);
+        const { open, closedWon } = await this.loadDeals({ owner, now });
+        const forecast = buildForecast(open, { months: horizon, now, closedWon });
+
+        return {
+            owner,
+            ...forecast,
+            trend: await this.getTrendComparison(forecast, horizon)
+        };
+    }
+
+    /**
+     * The forecast with and without a set of what-if changes
+     */
+    async runWhatIf({ months, owner = null, changes, now = new Date() } = {}) {
+        const horizon = this.toMonths(months);
+        const { open, closedWon } = await this.loadDeals({ owner, now });
+        const { deals, applied } = applyScenario(open, changes);
+
+        const baseline = buildForecast(open, { months: horizon, now, closedWon });
+        const scenario = buildForecast(deals, { months: horizon, now, closedWon });
+
+        this.logger.info('What-if forecast run', { owner, changes: applied.length });
+
+        return {
+            owner,
+            applied,
+            baseline: this.withoutDeals(baseline),
+            scenario: this.withoutDeals(scenario),
+            difference: compareForecasts(baseline, scenario)
+        };
+    }
+
+    /**
+     * The AnalyticsEngine's snapshot trend projected over the same horizon
+     */
+    async getTrendComparison(forecast, months) {
+        if (!this.analytics) return null;
+
+        try {
+            const trend = await this.analytics.generateForecast('total_pipeline_value', months * 30);
+            if (trend.error) {
+                return { available: false, reason: trend.error };
+            }
+
+            const projected = trend.forecast[trend.forecast.length - 1].value;
+            return {
+                available: true,
+                metric: 'total_pipeline_value',
+                direction: trend.trend,
+                confidence: trend.confidence,
+                projectedPipelineValue: round(projected),
+                bottomUpWeighted: forecast.totals.weighted,
+                difference: round(forecast.totals.weighted - projected)
+            };
+        } catch (error) {
+            this.logger.warn('Trend forecast unavailable', { error: error.message });
+            return { available: false, reason: error.message };
+        }
+    }
+
+    /**
+     * Open deals, and deals won since the start of the current month
+     */
+    async loadDeals({ owner = null, now = new Date() }) {
+        const monthStart = `${monthKey(now)}-01`;
+        const ownerRef = owner ? String(owner) : null;
+
+        const [open, closedWon] = await Promise.all([
+            this.db.query(`
+                SELECT d.*, tm.external_id as owner_key, tm.name as owner_name
+                FROM deals d
+                LEFT JOIN team_members tm ON d.owner_id = tm.id
+                WHERE d.stage::text <> ALL($1)
+                  AND ($2::text IS NULL OR tm.external_id = $2 OR d.owner_id::text = $2)
+            `, [CLOSED_STAGES, ownerRef]),
+            this.db.query(`
+                SELECT d.*, tm.external_id as owner_key, tm.name as owner_name
+                FROM deals d
+                LEFT JOIN team_members tm ON d.owner_id = tm.id
+                WHERE d.stage = 'closed_won'
+                  AND COALESCE(d.actual_close_date, d.closed_at::date) >= $1
+                  AND ($2::text IS NULL OR tm.external_id = $2 OR d.owner_id::text = $2)
+            `, [monthStart, ownerRef])
+        ]);
+
+        return { open: open.rows, closedWon: closedWon.rows };
+    }
+
+    toMonths(months) {
+        if (months === undefined || months === null || months === '') return DEFAULT_MONTHS;
+
+        const value = parseInt(months);
+        if (!Number.isInteger(value) || value < 1 || value > MAX_MONTHS) {
+            throw new Error(`Invalid months: use 1 to ${MAX_MONTHS}`);
+        }
+        return value;
+    }
+
+    withoutDeals({ deals: _deals, ...forecast }) {
+        return forecast;
+    }
+}
+
+function findDeal(deals, reference) {
+    if (reference === undefined || reference === null || String(reference).trim() === '') {
+        throw new Error('Invalid what-if: each change needs a deal id or name');
+    }
+
+    const wanted = String(reference).trim().toLowerCase();
+    const byId = deals.find(deal => String(deal.id) === String(reference));
+    if (byId) return byId;
+
+    const exact = deals.filter(deal => deal.name?.toLowerCase() === wanted);
+    const matches = exact.length > 0 ? exact : deals.filter(deal => deal.name?.toLowerCase().includes(wanted));
+
+    if (matches.length === 0) throw new Error(`Invalid what-if: no open deal matches "${reference}"`);
+    if (matches.length > 1) {
+        throw new Error(`Invalid what-if: "${reference}" matches ${matches.length} deals (${matches.map(deal => deal.name).join(', ')})`);
+    }
+    return matches[0];
+}
+
+/**
+ * YYYY-MM for a date; DATE columns come back as local midnight
+ */
+function monthKey(value) {
+    if (typeof value === 'string' && /^\d{4}-\d{2}/.test(value)) return value.slice(0, 7);
+
+    const date = new Date(value);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+function monthRange(start, count) {
+    const [year, month] = start.split('-').map(Number);
+    return Array.from({ length: count }, (_, i) => {
+        const date = new Date(year, month - 1 + i, 1);
+        return monthKey(date);
+    });
+}
+
+/**
+ * Move a date by whole months, keeping the day where the month allows
+ */
+function addMonths(value, months) {
+    const [year, month, day] = typeof value === 'string'
+        ? value.slice(0, 10).split('-').map(Number)
+        : [new Date(value).getFullYear(), new Date(value).getMonth() + 1, new Date(value).getDate()];
+
+    const lastDay = new Date(year, month - 1 + months + 1, 0).getDate();
+    const moved = new Date(year, month - 1 + months, Math.min(day, lastDay));
+    return `${monthKey(moved)}-${String(moved.getDate()).padStart(2, '0')}`;
+}
+
+function emptyTotals() {
+    return { weighted: 0, commit: 0, bestCase: 0, pipeline: 0, closedWon: 0, dealCount: 0 };
+}
+
+function addDeal(totals, deal) {
+    totals.weighted += deal.weighted;
+    totals.pipeline += deal.value;
+    if (deal.category !== 'pipeline') totals.bestCase += deal.value;
+    if (deal.category === 'commit') totals.commit += deal.value;
+    totals.dealCount++;
+}
+
+function roundTotals(totals) {
+    return {
+        ...totals,
+        weighted: round(totals.weighted),
+        commit: round(totals.commit),
+        bestCase: round(totals.bestCase),
+        pipeline: round(totals.pipeline),
+        closedWon: round(totals.closedWon)
+    };
+}
+
+function difference(before, after) {
+    return Object.fromEntries(['weighted', 'commit', 'bestCase', 'pipeline', 'dealCount']
+        .map(key => [key, round(after[key] - before[key])]));
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Export singleton instance
+export const pipelineForecastService = new PipelineForecastService();
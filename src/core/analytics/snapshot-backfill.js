@@ -0,0 +1,313 @@
+/**
+ * Snapshot Backfill
+ * Rebuilds daily analytics snapshots for the days before live collection
+ * started, from deals, their stage history in deal_activities and
+ * team_updates. Each day gets the metrics the AnalyticsEngine captures live,
+ * with every deal in the stage it was in at the end of that day.
+ */
+
+import { db } from '../database/connection.js';
+import { logger } from '../../utils/logger.js';
+import { STAGE_PROBABILITIES } from './pipeline-forecast.js';
+import { CLOSED_STAGES } from '../deals/deal-service.js';
+
+// Metrics a backfilled day is made of; replaced together on overwrite
+export const BACKFILL_METRICS = [
+    'pipeline_count',
+    'pipeline_value',
+    'pipeline_weighted_value',
+    'active_deals',
+    'revenue_closed',
+    'total_revenue_closed',
+    'total_pipeline_value',
+    'total_deals',
+    'conversion_rate',
+    'avg_deal_size',
+    'daily_activities',
+    'daily_updates'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_BACKFILL_DAYS = 90;
+const MAX_BACKFILL_DAYS = 1096;
+
+/**
+ * The stage a deal was in at the end of a day: the last stage change up to
+ * then, else where its first change started from. Deals closed without any
+ * recorded history were in their created stage until they closed.
+ */
+export function stageOn(deal, day) {
+    const earlier = deal.changes.filter(change => change.day <= day);
+    if (earlier.length > 0) return earlier[earlier.length - 1].to;
+    if (deal.changes.length > 0) return deal.changes[0].from || deal.createdStage || deal.stage;
+
+    if (CLOSED_STAGES.includes(deal.stage) && deal.closeDay > day) {
+        return deal.createdStage && !CLOSED_STAGES.includes(deal.createdStage) ? deal.createdStage : 'prospect';
+    }
+    return deal.stage;
+}
+
+/**
+ * Snapshot rows for one day from the loaded history, matching what
+ * captureCurrentMetrics and captureDailySummary would have written
+ */
+export function reconstructSnapshots(day, history) {
+    const deals = history.deals
+        .filter(deal => deal.createdDay <= day)
+        .map(deal => ({ ...deal, stageOnDay: stageOn(deal, day) }));
+
+    const rows = [];
+    const add = (metricType, dimension, dimensionValue, value) =>
+        rows.push({ metricType, dimension, dimensionValue, value: round(value) });
+
+    // Open pipeline by stage; probabilities have only been kept for the current stage
+    const byStage = new Map();
+    for (const deal of deals) {
+        if (CLOSED_STAGES.includes(deal.stageOnDay)) continue;
+
+        const probability = deal.stageOnDay === deal.stage
+            ? deal.probability ?? 0
+            : STAGE_PROBABILITIES[deal.stageOnDay] ?? 0;
+        const stage = byStage.get(deal.stageOnDay) || { count: 0, value: 0, weighted: 0 };
+        stage.count++;
+        stage.value += deal.value ?? 0;
+        stage.weighted += (deal.value ?? 0) * probability / 100;
+        byStage.set(deal.stageOnDay, stage);
+    }
+    for (const [stage, totals] of byStage) {
+        add('pipeline_count', 'by_stage', stage, totals.count);
+        add('pipeline_value', 'by_stage', stage, totals.value);
+        add('pipeline_weighted_value', 'by_stage', stage, totals.weighted);
+    }
+
+    // Team performance covers active members only, as the team_performance view does
+    const won = deals.filter(deal => deal.stageOnDay === 'closed_won');
+    for (const member of history.members) {
+        const revenue = won
+            .filter(deal => deal.ownerId === member.id)
+            .reduce((sum, deal) => sum + (deal.value ?? 0), 0);
+
+        add('active_deals', 'by_owner', member.name, deals.filter(deal => deal.ownerId === member.id).length);
+        add('revenue_closed', 'by_owner', member.name, revenue);
+    }
+    // Every won deal, whoever owns it, as captureCurrentMetrics reads it from deals
+    add('total_revenue_closed', 'overall', null, won.reduce((sum, deal) => sum + (deal.value ?? 0), 0));
+
+    const stages = [...byStage.values()];
+    add('total_pipeline_value', 'overall', null, stages.reduce((sum, stage) => sum + stage.weighted, 0));
+    add('total_deals', 'overall', null, stages.reduce((sum, stage) => sum + stage.count, 0));
+
+    const wonWithValue = won.filter(deal => deal.value !== null);
+    add('conversion_rate', 'overall', null, deals.length > 0 ? won.length / deals.length * 100 : 0);
+    add('avg_deal_size', 'overall', null, wonWithValue.length > 0
+        ? wonWithValue.reduce((sum, deal) => sum + deal.value, 0) / wonWithValue.length
+        : 0);
+    add('daily_activities', 'overall', null, history.activityCounts.get(day) || 0);
+    add('daily_updates', 'overall', null, history.updateCounts.get(day) || 0);
+
+    return rows;
+}
+
+/**
+ * The days to backfill, as YYYY-MM-DD. Defaults to the 90 days up to yesterday,
+ * so today's live snapshots are left alone.
+ */
+export function backfillRange({ from = null, to = null, days = DEFAULT_BACKFILL_DAYS, now = new Date() } = {}) {
+    const end = to
+        ? parseDay(to, 'to')
+        : toDay(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1));
+
+    const count = parseInt(days);
+    if (!from && !(count >= 1 && count <= MAX_BACKFILL_DAYS)) {
+        throw new Error(`Invalid days: use 1 to ${MAX_BACKFILL_DAYS}`);
+    }
+    const start = from ? parseDay(from, 'from') : addDays(end, -(count - 1));
+
+    if (start > end) {
+        throw new Error('Invalid range: to is before from');
+    }
+    if (daysBetween(start, end) + 1 > MAX_BACKFILL_DAYS) {
+        throw new Error(`Invalid range: backfill at most ${MAX_BACKFILL_DAYS} days at a time`);
+    }
+
+    return { from: start, to: end };
+}
+
+export class SnapshotBackfillService {
+    constructor(options = {}) {
+        this.logger = logger.child({ component: 'SnapshotBackfillService' });
+        this.db = options.db || db;
+    }
+
+    /**
+     * Whether the backing database is available
+     */
+    isAvailable() {
+        return Boolean(this.db?.initialized);
+    }
+
+    /**
+     * Write reconstructed daily snapshots for a range. Days that already have
+     * daily snapshots are skipped unless overwrite is set; days before the
+     * first deal are never written.
+     */
+    async backfill({ from = null, to = null, days, overwrite = false, now = new Date() } = {}) {
+        const range = backfillRange({ from, to, days, now });
+        const history = await this.loadHistory(range);
+
+        const firstDay = history.deals.reduce((min, deal) => (deal.createdDay < min ? deal.createdDay : min), range.to);
+        const start = history.deals.length > 0 && firstDay > range.from ? firstDay : range.from;
+        const result = { from: start, to: range.to, written: 0, skipped: 0, rows: 0 };
+        if (history.deals.length === 0 || start > range.to) return result;
+
+        const existing = await this.db.query(`
+            SELECT DISTINCT snapshot_date FROM analytics_snapshots
+            WHERE period_type = 'daily' AND snapshot_date BETWEEN $1 AND $2
+        `, [start, range.to]);
+        const captured = new Set(existing.rows.map(row => toDay(row.snapshot_date)));
+
+        for (let day = start; day <= range.to; day = addDays(day, 1)) {
+            if (captured.has(day) && !overwrite) {
+                result.skipped++;
+                continue;
+            }
+
+            const rows = reconstructSnapshots(day, history);
+            await this.writeDay(day, rows);
+            result.written++;
+            result.rows += rows.length;
+        }
+
+        this.logger.info('Analytics snapshots backfilled', result);
+        return result;
+    }
+
+    /**
+     * Replace a day's reconstructed metrics; other daily metrics are kept
+     */
+    async writeDay(day, rows) {
+        await this.db.query(`
+            DELETE FROM analytics_snapshots
+            WHERE snapshot_date = $1 AND period_type = 'daily' AND metric_type = ANY($2)
+        `, [day, BACKFILL_METRICS]);
+        if (rows.length === 0) return;
+
+        const params = [day];
+        const values = rows.map(row => {
+            params.push(row.metricType, row.dimension, row.dimensionValue, row.value);
+            const n = params.length;
+            return `($1, $${n - 3}, $${n - 2}, $${n - 1}, $${n}, 'daily')`;
+        });
+
+        await this.db.query(`
+            INSERT INTO analytics_snapshots (
+                snapshot_date, metric_type, dimension, dimension_value, metric_value, period_type
+            ) VALUES ${values.join(', ')}
+        `, params);
+    }
+
+    /**
+     * Deals with their stage history, active members, and activity and
+     * update counts per day in the range
+     */
+    async loadHistory(range) {
+        const deals = await this.db.query(`
+            SELECT id, owner_id, stage, probability, total_contract_value,
+                   created_at::date as created_day,
+                   COALESCE(actual_close_date, closed_at::date) as close_day
+            FROM deals
+        `);
+        const activities = await this.db.query(`
+            SELECT deal_id, activity_type, old_value, new_value, created_at::date as day
+            FROM deal_activities
+            WHERE activity_type IN ('created', 'stage_change')
+            ORDER BY created_at
+        `);
+        const members = await this.db.query(`
+            SELECT id, name FROM team_members WHERE active = true ORDER BY name
+        `);
+        const activityCounts = await this.db.query(`
+            SELECT created_at::date as day, COUNT(*) as count
+            FROM deal_activities
+            WHERE created_at::date BETWEEN $1 AND $2
+            GROUP BY 1
+        `, [range.from, range.to]);
+        const updateCounts = await this.db.query(`
+            SELECT created_at::date as day, COUNT(*) as count
+            FROM team_updates
+            WHERE created_at::date BETWEEN $1 AND $2
+            GROUP BY 1
+        `, [range.from, range.to]);
+
+        const history = new Map(deals.rows.map(row => [row.id, { createdStage: null, changes: [] }]));
+        for (const activity of activities.rows) {
+            const entry = history.get(activity.deal_id);
+            if (!entry) continue;
+
+            if (activity.activity_type === 'created') {
+                entry.createdStage = activity.new_value?.stage || null;
+            } else if (activity.new_value?.stage) {
+                entry.changes.push({
+                    day: toDay(activity.day),
+                    from: activity.old_value?.stage || null,
+                    to: activity.new_value.stage
+                });
+            }
+        }
+
+        return {
+            deals: deals.rows.map(row => ({
+                id: row.id,
+                ownerId: row.owner_id,
+                stage: row.stage,
+                probability: toNumber(row.probability),
+                value: toNumber(row.total_contract_value),
+                createdDay: toDay(row.created_day),
+                closeDay: row.close_day ? toDay(row.close_day) : null,
+                ...history.get(row.id)
+            })),
+            members: members.rows,
+            activityCounts: countsByDay(activityCounts.rows),
+            updateCounts: countsByDay(updateCounts.rows)
+        };
+    }
+}
+
+function countsByDay(rows) {
+    return new Map(rows.map(row => [toDay(row.day), parseInt(row.count)]));
+}
+
+function parseDay(value, field) {
+    const day = String(value).slice(0, 10);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || Number.isNaN(Date.parse(`${day}T00:00:00Z`))) {
+        throw new Error(`Invalid ${field}: use YYYY-MM-DD`);
+    }
+    return day;
+}
+
+function addDays(day, count) {
+    return new Date(Date.parse(`${day}T00:00:00Z`) + count * DAY_MS).toISOString().slice(0, 10);
+}
+
+function daysBetween(start, end) {
+    return Math.round((Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / DAY_MS);
+}
+
+function toDay(value) {
+    if (typeof value === 'string') return value.slice(0, 10);
+
+    const date = new Date(value);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function toNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+// Export singleton instance
+export const snapshotBackfillService = new SnapshotBackfillService();
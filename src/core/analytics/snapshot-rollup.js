@@ -0,0 +1,198 @@
+/**
+ * Snapshot Rollup
+ * Builds weekly and monthly analytics snapshots from the daily ones, dated by
+ * the Monday or first of the month they start on. Counts of things that
+ * happened are summed, rates and averages are averaged, and point-in-time
+ * values like pipeline totals take the last day of the period. The current
+ * week and month are rebuilt on every run, so they fill in as days pass.
+ */
+
+import { db } from '../database/connection.js';
+import { logger } from '../../utils/logger.js';
+
+export const ROLLUP_PERIODS = ['weekly', 'monthly'];
+
+// How a period's daily values combine; anything else takes the last day's value
+const SUMMED_METRICS = ['daily_activities', 'daily_updates'];
+const AVERAGED_METRICS = ['conversion_rate', 'avg_deal_size'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ROLLUP_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const STARTUP_DELAY_MS = 3 * 60 * 1000;
+const INSERT_BATCH_SIZE = 1000;
+
+/**
+ * The YYYY-MM-DD a day's week (starting Monday) or month starts on
+ */
+export function periodStart(day, periodType) {
+    if (periodType === 'monthly') return `${day.slice(0, 7)}-01`;
+
+    const date = new Date(`${day}T00:00:00Z`);
+    const sinceMonday = (date.getUTCDay() + 6) % 7;
+    return new Date(date.getTime() - sinceMonday * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Weekly or monthly rows from daily snapshot rows. When a metric was captured
+ * more than once on a day, the latest capture counts.
+ */
+export function rollupSnapshots(rows, periodType) {
+    const latest = new Map();
+    for (const row of rows) {
+        const day = toDay(row.snapshot_date);
+        const key = [day, row.metric_type, row.dimension, row.dimension_value].join('\u0000');
+        const current = latest.get(key);
+        if (!current || new Date(row.created_at) >= new Date(current.created_at)) {
+            latest.set(key, { ...row, day });
+        }
+    }
+
+    const periods = new Map();
+    for (const row of [...latest.values()].sort((a, b) => a.day.localeCompare(b.day))) {
+        const start = periodStart(row.day, periodType);
+        const key = [start, row.metric_type, row.dimension, row.dimension_value].join('\u0000');
+        const period = periods.get(key) || {
+            snapshotDate: start,
+            metricType: row.metric_type,
+            dimension: row.dimension,
+            dimensionValue: row.dimension_value,
+            values: []
+        };
+        period.values.push(parseFloat(row.metric_value) || 0);
+        periods.set(key, period);
+    }
+
+    return [...periods.values()].map(({ values, ...period }) => ({
+        ...period,
+        value: round(combine(period.metricType, values))
+    }));
+}
+
+function combine(metricType, values) {
+    const sum = values.reduce((total, value) => total + value, 0);
+    if (SUMMED_METRICS.includes(metricType)) return sum;
+    if (AVERAGED_METRICS.includes(metricType)) return sum / values.length;
+    return values[values.length - 1];
+}
+
+export class SnapshotRollupJob {
+    constructor(options = {}) {
+        this.logger = logger.child({ component: 'SnapshotRollupJob' });
+        this.db = options.db || db;
+        this.intervalMs = options.intervalMs || ROLLUP_INTERVAL_MS;
+
+        this.timer = null;
+        this.startupTimer = null;
+        this.lastRun = null;
+    }
+
+    /**
+     * Whether the backing database is available
+     */
+    isAvailable() {
+        return Boolean(this.db?.initialized);
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.startupTimer = setTimeout(() => this.run(), STARTUP_DELAY_MS);
+        this.timer = setInterval(() => this.run(), this.intervalMs);
+        this.startupTimer.unref?.();
+        this.timer.unref?.();
+
+        this.logger.info('Snapshot rollups scheduled');
+    }
+
+    stop() {
+        clearTimeout(this.startupTimer);
+        clearInterval(this.timer);
+        this.startupTimer = null;
+        this.timer = null;
+    }
+
+    /**
+     * Rebuild last month onward, so late snapshots still land in their period
+     */
+    async run(now = new Date()) {
+        if (!this.isAvailable()) return null;
+
+        try {
+            const from = toDay(new Date(now.getFullYear(), now.getMonth() - 1, 1));
+            const result = await this.rollup({ from, to: toDay(now) });
+            this.lastRun = { at: now.toISOString(), ...result };
+            return this.lastRun;
+        } catch (error) {
+            this.logger.error('Snapshot rollup failed', { error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Rebuild the weekly and monthly rows of every period that overlaps the
+     * range, from all of those periods' daily rows
+     */
+    async rollup({ from, to }) {
+        const start = [periodStart(from, 'weekly'), periodStart(from, 'monthly')].sort()[0];
+        const daily = await this.db.query(`
+            SELECT snapshot_date, metric_type, dimension, dimension_value, metric_value, created_at
+            FROM analytics_snapshots
+            WHERE period_type = 'daily' AND snapshot_date BETWEEN $1 AND $2
+        `, [start, to]);
+
+        const result = { from: start, to };
+        for (const periodType of ROLLUP_PERIODS) {
+            const first = periodStart(from, periodType);
+            const rows = rollupSnapshots(daily.rows.filter(row => toDay(row.snapshot_date) >= first), periodType);
+            await this.writePeriods(periodType, first, to, rows);
+            result[periodType] = rows.length;
+        }
+
+        this.logger.info('Analytics snapshots rolled up', result);
+        return result;
+    }
+
+    async writePeriods(periodType, from, to, rows) {
+        await this.db.query(`
+            DELETE FROM analytics_snapshots
+            WHERE period_type = $1 AND snapshot_date BETWEEN $2 AND $3
+        `, [periodType, from, to]);
+
+        // Batched to stay well under Postgres' limit on query parameters
+        for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+            const params = [periodType];
+            const values = rows.slice(i, i + INSERT_BATCH_SIZE).map(row => {
+                params.push(row.snapshotDate, row.metricType, row.dimension, row.dimensionValue, row.value);
+                const n = params.length;
+                return `($${n - 4}, $${n - 3}, $${n - 2}, $${n - 1}, $${n}, $1)`;
+            });
+
+            await this.db.query(`
+                INSERT INTO analytics_snapshots (
+                    snapshot_date, metric_type, dimension, dimension_value, metric_value, period_type
+                ) VALUES ${values.join(', ')}
+            `, params);
+        }
+    }
+
+    getStatus() {
+        return {
+            scheduled: this.timer !== null,
+            lastRun: this.lastRun
+        };
+    }
+}
+
+function toDay(value) {
+    if (typeof value === 'string') return value.slice(0, 10);
+
+    const date = new Date(value);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+// Export singleton instance
+export const snapshotRollupJob = new SnapshotRollupJob();
@@ -0,0 +1,259 @@
+/**
+ * XLSX Writer
+ * Just enough of the Office Open XML spreadsheet format to write multi-sheet
+ * workbooks of strings, numbers and dates: inline strings, a bold header
+ * style and a date style, packed into a zip with deflate.
+ *
+ *   buildWorkbook([
+ *     { name: 'Deals', rows: [['Name', 'Value'], ['Acme', 100000]], headerRows: [0] }
+ *   ])
+ */
+
+import zlib from 'zlib';
+
+export const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Cell styles, in the order of cellXfs in styles.xml
+const STYLE = { normal: 0, header: 1, date: 2, number: 3 };
+
+// Excel counts days from 1899-12-30
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MAX_SHEET_NAME = 31;
+
+/**
+ * A workbook from sheets of { name, rows, headerRows, widths }; rows are
+ * arrays of strings, numbers, Dates, booleans or null
+ */
+export function buildWorkbook(sheets) {
+    if (!Array.isArray(sheets) || sheets.length === 0) {
+        throw new Error('Invalid workbook: add at least one sheet');
+    }
+
+    const names = uniqueSheetNames(sheets.map(sheet => sheet.name));
+
+    return zip([
+        { name: '[Content_Types].xml', data: contentTypes(sheets.length) },
+        { name: '_rels/.rels', data: ROOT_RELS },
+        { name: 'xl/workbook.xml', data: workbookXml(names) },
+        { name: 'xl/_rels/workbook.xml.rels', data: workbookRels(sheets.length) },
+        { name: 'xl/styles.xml', data: STYLES },
+        ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: sheetXml(sheet) }))
+    ]);
+}
+
+/**
+ * Column letters for a zero-based index: 0 → A, 26 → AA
+ */
+export function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + (n - 1) % 26) + name;
+    }
+    return name;
+}
+
+function sheetXml({ rows = [], headerRows = [0], widths = null }) {
+    const columnCount = Math.max(1, ...rows.map(row => row.length));
+    const colWidths = widths || Array.from({ length: columnCount }, (_, i) => autoWidth(rows, i));
+
+    const cols = colWidths
+        .map((width, i) => `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`)
+        .join('');
+
+    const body = rows.map((row, r) => {
+        const header = headerRows.includes(r);
+        const cells = row.map((value, c) => cellXml(`${columnName(c)}${r + 1}`, value, header)).join('');
+        return `<row r="${r + 1}">${cells}</row>`;
+    }).join('');
+
+    return xmlDocument(
+        `<worksheet xmlns="${MAIN_NS}"><cols>${cols}</cols><sheetData>${body}</sheetData></worksheet>`
+    );
+}
+
+function cellXml(ref, value, header) {
+    if (value === null || value === undefined || value === '') return '';
+
+    if (value instanceof Date) {
+        if (Number.isNaN(value.getTime())) return '';
+        const serial = (value.getTime() - EXCEL_EPOCH_MS) / DAY_MS;
+        return `<c r="${ref}" s="${STYLE.date}"><v>${serial}</v></c>`;
+    }
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) return '';
+        return `<c r="${ref}" s="${header ? STYLE.header : STYLE.number}"><v>${value}</v></c>`;
+    }
+    if (typeof value === 'boolean') {
+        return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+    }
+
+    const style = header ? ` s="${STYLE.header}"` : '';
+    return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function autoWidth(rows, column) {
+    const longest = rows.reduce((max, row) => {
+        const value = row[column];
+        const length = value instanceof Date ? 10 : String(value ?? '').length;
+        return Math.max(max, length);
+    }, 0);
+    return Math.min(60, Math.max(8, longest + 2));
+}
+
+/**
+ * Excel sheet names are unique, at most 31 characters and can't contain []:*?/\
+ */
+function uniqueSheetNames(names) {
+    const used = new Set();
+    return names.map((name, i) => {
+        const base = String(name || `Sheet${i + 1}`).replace(/[[\]:*?/\\]/g, ' ').slice(0, MAX_SHEET_NAME);
+        let candidate = base;
+        for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+            candidate = `${base.slice(0, MAX_SHEET_NAME - String(n).length - 1)} ${n}`;
+        }
+        used.add(candidate.toLowerCase());
+        return candidate;
+    });
+}
+
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+const ROOT_RELS = xmlDocument(
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+    '</Relationships>'
+);
+
+const STYLES = xmlDocument(
+    `<styleSheet xmlns="${MAIN_NS}">` +
+    '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/></numFmts>' +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="4">' +
+    '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+    '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '</cellXfs>' +
+    '</styleSheet>'
+);
+
+function contentTypes(sheetCount) {
+    const sheets = Array.from({ length: sheetCount }, (_, i) =>
+        `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+    ).join('');
+
+    return xmlDocument(
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        sheets +
+        '</Types>'
+    );
+}
+
+function workbookXml(names) {
+    const sheets = names
+        .map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`)
+        .join('');
+    return xmlDocument(`<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}"><sheets>${sheets}</sheets></workbook>`);
+}
+
+function workbookRels(sheetCount) {
+    const sheets = Array.from({ length: sheetCount }, (_, i) =>
+        `<Relationship Id="rId${i + 1}" Type="${REL_NS}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+    ).join('');
+    const styles = `<Relationship Id="rId${sheetCount + 1}" Type="${REL_NS}/styles" Target="styles.xml"/>`;
+
+    return xmlDocument(
+        `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${sheets}${styles}</Relationships>`
+    );
+}
+
+function xmlDocument(body) {
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${body}`;
+}
+
+function escapeXml(value) {
+    return String(value)
+        // Control characters aren't allowed in XML at all
+        .replace(/[^\t\n\r\u0020-\uFFFF]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * A zip archive of { name, data } entries, deflated
+ */
+export function zip(entries) {
+    const locals = [];
+    const central = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name, 'utf8');
+        const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const checksum = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);          // version needed
+        local.writeUInt16LE(0x0800, 6);      // names are UTF-8
+        local.writeUInt16LE(8, 8);           // deflate
+        local.writeUInt32LE(0, 10);          // time and date
+        local.writeUInt32LE(checksum, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+        locals.push(local, name, compressed);
+
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(20, 4);         // version made by
+        header.writeUInt16LE(20, 6);
+        header.writeUInt16LE(0x0800, 8);
+        header.writeUInt16LE(8, 10);
+        header.writeUInt32LE(0, 12);
+        header.writeUInt32LE(checksum, 16);
+        header.writeUInt32LE(compressed.length, 20);
+        header.writeUInt32LE(data.length, 24);
+        header.writeUInt16LE(name.length, 28);
+        header.writeUInt32LE(offset, 42);    // everything between is zero
+        central.push(header, name);
+
+        offset += local.length + name.length + compressed.length;
+    }
+
+    const directory = Buffer.concat(central);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, directory, end]);
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
@@ -0,0 +1,354 @@
+/**
+ * Account Service
+ * Login accounts stored against team_members with hashed passwords and access roles
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { promisify } from 'util';
+import { db } from '../database/connection.js';
+import { logger } from '../../utils/logger.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+// Ordered from least to most privileged; each role inherits the ones before it
+export const ROLES = ['member', 'executive', 'admin'];
+
+const KEY_LENGTH = 64;
+const CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Whether an account role satisfies a required role
+ */
+export function hasRole(role, requiredRole) {
+    const actual = ROLES.indexOf(role);
+    const required = ROLES.indexOf(requiredRole);
+    return actual !== -1 && required !== -1 && actual >= required;
+}
+
+export class AccountService {
+    constructor(options = {}) {
+        this.logger = logger.child({ component: 'AccountService' });
+        this.db = options.db || db;
+        this.configPath = options.configPath || new URL('../../../config/team-config.json', import.meta.url);
+
+        // Basic auth sends credentials on every request, so successful
+        // logins are cached briefly instead of re-running scrypt each time
+        this.loginCache = new Map();
+    }
+
+    /**
+     * Whether accounts are backed by the database
+     */
+    isAvailable() {
+        return Boolean(this.db?.initialized);
+    }
+
+    /**
+     * Hash a password as scrypt$salt$hash
+     */
+    async hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const hash = await scrypt(password, salt, KEY_LENGTH);
+        return `scrypt$${salt}$${hash.toString('hex')}`;
+    }
+
+    /**
+     * Check a password against a stored hash
+     */
+    async verifyPassword(password, storedHash) {
+        const [scheme, salt, hash] = String(storedHash || '').split('$');
+        if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+        const expected = Buffer.from(hash, 'hex');
+        const actual = await scrypt(password, salt, expected.length);
+        return crypto.timingSafeEqual(expected, actual);
+    }
+
+    /**
+     * Verify credentials and return the account, or null
+     */
+    async authenticate(username, password) {
+        if (!username || !password) return null;
+
+        const cacheKey = this.cacheKey(username, password);
+        const cached = this.loginCache.get(cacheKey);
+        if (cached && cached.expires > Date.now()) {
+            return cached.account;
+        }
+
+        const account = this.isAvailable()
+            ? await this.authenticateFromDatabase(username, password)
+            : await this.authenticateFromConfig(username, password);
+
+        if (account) {
+            this.loginCache.set(cacheKey, { account, expires: Date.now() + CACHE_TTL_MS });
+        }
+
+        return account;
+    }
+
+    /**
+     * Database-backed login. Accounts without a stored hash can still sign in
+     * once with their bootstrap <USERNAME>_PASSWORD, which is then hashed and saved.
+     */
+    async authenticateFromDatabase(username, password) {
+        const result = await this.db.query(`
+            SELECT id, external_id, name, email, active, password_hash,
+                   COALESCE(access_role, 'member') AS access_role
+            FROM team_members
+            WHERE external_id = $1
+        `, [username]);
+
+        const row = result.rows[0];
+        if (!row || row.active === false) return null;
+
+        if (row.password_hash) {
+            if (!await this.verifyPassword(password, row.password_hash)) return null;
+        } else {
+            const bootstrap = this.getBootstrapPassword(username);
+            if (!bootstrap || !this.safeEqual(password, bootstrap)) return null;
+
+            await this.db.query(
+                'UPDATE team_members SET password_hash = $1 WHERE id = $2',
+                [await this.hashPassword(password), row.id]
+            );
+        }
+
+        await this.db.query(
+            'UPDATE team_members SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1',
+            [row.id]
+        );
+
+        return this.toAccount(row);
+    }
+
+    /**
+     * Database-free login against team-config.json members and their
+     * <USERNAME>_PASSWORD environment variables
+     */
+    async authenticateFromConfig(username, password) {
+        const bootstrap = this.getBootstrapPassword(username);
+        if (!bootstrap || !this.safeEqual(password, bootstrap)) return null;
+
+        const config = await this.loadConfig();
+        const member = config.team?.members?.[username];
+        if (!member) return null;
+
+        return {
+            id: username,
+            username,
+            name: member.name,
+            email: member.email || null,
+            role: this.defaultRoleFor(username, config)
+        };
+    }
+
+    /**
+     * Role a config member gets when none has been assigned yet
+     */
+    defaultRoleFor(username, config) {
+        const member = config.team?.members?.[username];
+        if (ROLES.includes(member?.access_role)) return member.access_role;
+
+        const isExecutive = (config.team?.executives || []).some(e => e.id === username);
+        return isExecutive ? 'executive' : 'member';
+    }
+
+    /**
+     * Current role for a username (assigned in the database, else the config default)
+     */
+    async getRole(username) {
+        if (this.isAvailable()) {
+            const result = await this.db.query(`
+                SELECT COALESCE(access_role, 'member') AS access_role, active
+                FROM team_members
+                WHERE external_id = $1
+            `, [username]);
+
+            const row = result.rows[0];
+            if (row) return row.active ? row.access_role : null;
+        }
+
+        const config = await this.loadConfig();
+        return config.team?.members?.[username] ? this.defaultRoleFor(username, config) : null;
+    }
+
+    /**
+     * List accounts with their roles and login state
+     */
+    async listAccounts() {
+        if (!this.isAvailable()) {
+            const config = await this.loadConfig();
+            return Object.entries(config.team?.members || {}).map(([username, member]) => ({
+                username,
+                name: member.name,
+                role: this.defaultRoleFor(username, config),
+                hasPassword: Boolean(this.getBootstrapPassword(username)),
+                lastLoginAt: null,
+                active: true
+            }));
+        }
+
+        const result = await this.db.query(`
+            SELECT external_id, name, active, last_login_at,
+                   password_hash IS NOT NULL AS has_password,
+                   COALESCE(access_role, 'member') AS access_role
+            FROM team_members
+            ORDER BY name
+        `);
+
+        return result.rows.map(row => ({
+            username: row.external_id,
+            name: row.name,
+            role: row.access_role,
+            hasPassword: row.has_password || Boolean(this.getBootstrapPassword(row.external_id)),
+            lastLoginAt: row.last_login_at,
+            active: row.active
+        }));
+    }
+
+    /**
+     * Create a login account for a team member, or re-enable an existing one
+     * with new credentials
+     */
+    async createAccount(username, { name, role = null, accessRole = 'member', password }) {
+        this.requireDatabase('Account changes');
+
+        if (!ROLES.includes(accessRole)) {
+            throw new Error(`Invalid role: must be one of ${ROLES.join(', ')}`);
+        }
+
+        const result = await this.db.query(`
+            INSERT INTO team_members (external_id, name, role, access_role, password_hash, active)
+            VALUES ($1, $2, $3, $4, $5, true)
+            ON CONFLICT (external_id) DO UPDATE SET
+                access_role = EXCLUDED.access_role,
+                password_hash = EXCLUDED.password_hash,
+                active = true,
+                updated_at = CURRENT_TIMESTAMP
+            RETURNING id, external_id, name, email, access_role
+        `, [username, name || username, role, accessRole, await this.hashPassword(password)]);
+
+        this.forget(username);
+        return this.toAccount(result.rows[0]);
+    }
+
+    /**
+     * Set or reset an account password, ending existing sessions.
+     * Returns false if the account doesn't exist.
+     */
+    async setPassword(username, password) {
+        this.requireDatabase('Password changes');
+
+        if (!password || password.length < 8) {
+            throw new Error('Invalid password: use at least 8 characters');
+        }
+
+        const result = await this.db.query(`
+            UPDATE team_members
+            SET password_hash = $1, updated_at = CURRENT_TIMESTAMP
+            WHERE external_id = $2
+            RETURNING id
+        `, [await this.hashPassword(password), username]);
+
+        // Signed-in browsers have to log in again with the new password
+        if (result.rowCount > 0) {
+            await this.db.query(`
+                UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP
+                WHERE member_id = $1 AND revoked_at IS NULL
+            `, [result.rows[0].id]);
+        }
+
+        this.forget(username);
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Change an account's access role. Returns false if the account doesn't exist.
+     */
+    async setRole(username, role) {
+        this.requireDatabase('Role changes');
+
+        if (!ROLES.includes(role)) {
+            throw new Error(`Invalid role: must be one of ${ROLES.join(', ')}`);
+        }
+
+        const result = await this.db.query(`
+            UPDATE team_members
+            SET access_role = $1, updated_at = CURRENT_TIMESTAMP
+            WHERE external_id = $2
+            RETURNING id
+        `, [role, username]);
+
+        this.forget(username);
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Enable or disable sign-in for an account
+     */
+    async setActive(username, active) {
+        this.requireDatabase('Account changes');
+
+        const result = await this.db.query(`
+            UPDATE team_members
+            SET active = $1, updated_at = CURRENT_TIMESTAMP
+            WHERE external_id = $2
+            RETURNING id
+        `, [Boolean(active), username]);
+
+        this.forget(username);
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Drop cached logins for a user after their credentials or role change
+     */
+    forget(username) {
+        const prefix = `${username}:`;
+        for (const key of this.loginCache.keys()) {
+            if (key.startsWith(prefix)) {
+                this.loginCache.delete(key);
+            }
+        }
+    }
+
+    toAccount(row) {
+        return {
+            id: row.id,
+            username: row.external_id,
+            name: row.name,
+            email: row.email || null,
+            role: row.access_role
+        };
+    }
+
+    getBootstrapPassword(username) {
+        return process.env[`${String(username).toUpperCase()}_PASSWORD`] || null;
+    }
+
+    cacheKey(username, password) {
+        const digest = crypto.createHash('sha256').update(password).digest('hex');
+        return `${username}:${digest}`;
+    }
+
+    safeEqual(a, b) {
+        const left = crypto.createHash('sha256').update(String(a)).digest();
+        const right = crypto.createHash('sha256').update(String(b)).digest();
+        return crypto.timingSafeEqual(left, right);
+    }
+
+    requireDatabase(action) {
+        if (!this.isAvailable()) {
+            throw new Error(`${action} require a database connection`);
+        }
+    }
+
+    async loadConfig() {
+        return JSON.parse(await fs.readFile(this.configPath, 'utf8'));
+    }
+}
+
+// Export singleton instance
+export const accountService = new AccountService();
@@ -0,0 +1,175 @@
+/**
+ * API Token Service
+ * Per-member, scoped and revocable bearer tokens for scripts and integrations
+ */
+
+import crypto from 'crypto';
+import { db } from '../database/connection.js';
+import { logger } from '../../utils/logger.js';
+import { ROLES } from './account-service.js';
+
+// read: GET requests, write: everything else. executive/admin unlock those
+// route groups, but never beyond the token owner's own role.
+export const TOKEN_SCOPES = ['read', 'write', 'executive', 'admin'];
+
+const TOKEN_PREFIX = 'tcrm';
+
+// last_used_at is written at most this often per token
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+export class ApiTokenService {
+    constructor(options = {}) {
+        this.logger = logger.child({ component: 'ApiTokenService' });
+        this.db = options.db || db;
+        this.lastTouched = new Map();
+    }
+
+    /**
+     * Whether tokens can be issued (they are stored in the database)
+     */
+    isAvailable() {
+        return Boolean(this.db?.initialized);
+    }
+
+    /**
+     * Issue a token. The plaintext value is only returned here.
+     */
+    async createToken(memberId, { name, scopes = ['read'], expiresInDays = null }) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Invalid token: a name is required');
+        }
+
+        const invalid = scopes.filter(scope => !TOKEN_SCOPES.includes(scope));
+        if (!scopes.length || invalid.length) {
+            throw new Error(`Invalid token scopes: choose from ${TOKEN_SCOPES.join(', ')}`);
+        }
+
+        const prefix = crypto.randomBytes(4).toString('hex');
+        const token = `${TOKEN_PREFIX}_${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+        const expiresAt = expiresInDays
+            ? new Date(Date.now() + parseInt(expiresInDays) * 24 * 60 * 60 * 1000)
+            : null;
+
+        const result = await this.db.query(`
+            INSERT INTO api_tokens (member_id, name, token_prefix, token_hash, scopes, expires_at)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING id, name, token_prefix, scopes, created_at, expires_at, last_used_at
+        `, [memberId, name.trim().slice(0, 100), prefix, this.hash(token), scopes, expiresAt]);
+
+        return { ...result.rows[0], token };
+    }
+
+    /**
+     * List tokens, optionally for one member. Revoked tokens are excluded unless asked for.
+     */
+    async listTokens({ memberId = null, includeRevoked = false } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (memberId) {
+            params.push(memberId);
+            conditions.push(`t.member_id = $${params.length}`);
+        }
+
+        if (!includeRevoked) {
+            conditions.push('t.revoked_at IS NULL');
+        }
+
+        const result = await this.db.query(`
+            SELECT t.id, t.name, t.token_prefix, t.scopes, t.created_at, t.expires_at,
+                   t.last_used_at, t.revoked_at, tm.external_id AS username, tm.name AS member_name
+            FROM api_tokens t
+            JOIN team_members tm ON tm.id = t.member_id
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY t.created_at DESC
+        `, params);
+
+        return result.rows;
+    }
+
+    /**
+     * Revoke a token. Passing memberId restricts it to that member's tokens.
+     */
+    async revokeToken(tokenId, { memberId = null } = {}) {
+        const params = [tokenId];
+        let ownerClause = '';
+
+        if (memberId) {
+            params.push(memberId);
+            ownerClause = 'AND member_id = $2';
+        }
+
+        const result = await this.db.query(`
+            UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP
+            WHERE id::text = $1 AND revoked_at IS NULL ${ownerClause}
+            RETURNING id
+        `, params);
+
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Resolve a bearer token to its owner and scopes, or null
+     */
+    async verifyToken(token) {
+        if (!this.isAvailable() || !token?.startsWith(`${TOKEN_PREFIX}_`)) return null;
+
+        const result = await this.db.query(`
+            SELECT t.id AS token_id, t.scopes, tm.id, tm.external_id, tm.name, tm.email,
+                   COALESCE(tm.access_role, 'member') AS access_role
+            FROM api_tokens t
+            JOIN team_members tm ON tm.id = t.member_id
+            WHERE t.token_hash = $1
+              AND t.revoked_at IS NULL
+              AND (t.expires_at IS NULL OR t.expires_at > CURRENT_TIMESTAMP)
+              AND tm.active = true
+        `, [this.hash(token)]);
+
+        const row = result.rows[0];
+        if (!row) return null;
+
+        this.touch(row.token_id);
+
+        return {
+            tokenId: row.token_id,
+            scopes: row.scopes,
+            account: {
+                id: row.id,
+                username: row.external_id,
+                name: row.name,
+                email: row.email || null,
+                role: this.effectiveRole(row.access_role, row.scopes)
+            }
+        };
+    }
+
+    /**
+     * A token acts with the lower of its owner's role and its own scopes
+     */
+    effectiveRole(ownerRole, scopes) {
+        const granted = scopes.includes('admin') ? 'admin'
+            : scopes.includes('executive') ? 'executive'
+                : 'member';
+
+        return ROLES[Math.min(ROLES.indexOf(ownerRole), ROLES.indexOf(granted))] || 'member';
+    }
+
+    /**
+     * Record token use without writing on every request
+     */
+    touch(tokenId) {
+        const now = Date.now();
+        if (now - (this.lastTouched.get(tokenId) || 0) < TOUCH_INTERVAL_MS) return;
+
+        this.lastTouched.set(tokenId, now);
+        this.db.query('UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [tokenId])
+            .catch(error => this.logger.warn('Failed to record token use', { error: error.message }));
+    }
+
+    hash(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+}
+
+// Export singleton instance
+export const apiTokenService = new ApiTokenService();
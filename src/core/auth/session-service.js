@@ -0,0 +1,178 @@
+/**
+ * Session Service
+ * Signed browser session cookies backed by the user_sessions table
+ * (or process memory when running without a database)
+ */
+
+import crypto from 'crypto';
+import { db } from '../database/connection.js';
+import { logger } from '../../utils/logger.js';
+
+export const SESSION_COOKIE = 'tcrm_session';
+
+const DEFAULT_TTL_HOURS = 12;
+
+export class SessionService {
+    constructor(options = {}) {
+        this.logger = logger.child({ component: 'SessionService' });
+        this.db = options.db || db;
+        this.ttlMs = (options.ttlHours || parseInt(process.env.SESSION_TTL_HOURS) || DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+        this.secret = options.secret || process.env.SESSION_SECRET || null;
+        this.memorySessions = new Map();
+
+        if (!this.secret) {
+            // Sessions still work, but they won't survive a restart
+            this.secret = crypto.randomBytes(32).toString('hex');
+            this.logger.warn('SESSION_SECRET is not set; using a per-process secret');
+        }
+    }
+
+    /**
+     * Whether sessions are persisted in the database
+     */
+    isAvailable() {
+        return Boolean(this.db?.initialized);
+    }
+
+    /**
+     * Start a session for an authenticated account and return the cookie value
+     */
+    async createSession(account, { ipAddress, userAgent } = {}) {
+        const sessionId = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + this.ttlMs);
+
+        if (this.isAvailable()) {
+            await this.db.query(`
+                INSERT INTO user_sessions (session_hash, member_id, ip_address, user_agent, expires_at)
+                VALUES ($1, $2, $3, $4, $5)
+            `, [this.hash(sessionId), account.id, ipAddress || null, userAgent || null, expiresAt]);
+        } else {
+            this.memorySessions.set(this.hash(sessionId), { account, expiresAt });
+        }
+
+        return {
+            cookieValue: `${sessionId}.${this.sign(sessionId)}`,
+            expiresAt
+        };
+    }
+
+    /**
+     * Resolve a cookie value to the signed-in account, or null
+     */
+    async getSessionAccount(cookieValue) {
+        const sessionId = this.unsign(cookieValue);
+        if (!sessionId) return null;
+
+        const sessionHash = this.hash(sessionId);
+
+        if (!this.isAvailable()) {
+            const session = this.memorySessions.get(sessionHash);
+            if (!session || session.expiresAt < new Date()) {
+                this.memorySessions.delete(sessionHash);
+                return null;
+            }
+            return session.account;
+        }
+
+        const result = await this.db.query(`
+            SELECT tm.id, tm.external_id, tm.name, tm.email,
+                   COALESCE(tm.access_role, 'member') AS access_role
+            FROM user_sessions s
+            JOIN team_members tm ON tm.id = s.member_id
+            WHERE s.session_hash = $1
+              AND s.revoked_at IS NULL
+              AND s.expires_at > CURRENT_TIMESTAMP
+              AND tm.active = true
+        `, [sessionHash]);
+
+        const row = result.rows[0];
+        if (!row) return null;
+
+        return {
+            id: row.id,
+            username: row.external_id,
+            name: row.name,
+            email: row.email || null,
+            role: row.access_role
+        };
+    }
+
+    /**
+     * End a session (logout)
+     */
+    async revokeSession(cookieValue) {
+        const sessionId = this.unsign(cookieValue);
+        if (!sessionId) return false;
+
+        const sessionHash = this.hash(sessionId);
+
+        if (!this.isAvailable()) {
+            return this.memorySessions.delete(sessionHash);
+        }
+
+        const result = await this.db.query(`
+            UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP
+            WHERE session_hash = $1 AND revoked_at IS NULL
+        `, [sessionHash]);
+
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Read the session cookie from a request
+     */
+    readCookie(req) {
+        const header = req.headers.cookie;
+        if (!header) return null;
+
+        for (const part of header.split(';')) {
+            const [name, ...rest] = part.trim().split('=');
+            if (name === SESSION_COOKIE) {
+                return decodeURIComponent(rest.join('='));
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Cookie options for res.cookie / res.clearCookie
+     */
+    cookieOptions(expiresAt) {
+        return {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: process.env.NODE_ENV === 'production',
+            path: '/',
+            ...(expiresAt ? { expires: expiresAt } : {})
+        };
+    }
+
+    sign(value) {
+        return crypto.createHmac('sha256', this.secret).update(value).digest('base64url');
+    }
+
+    unsign(cookieValue) {
+        if (!cookieValue || typeof cookieValue !== 'string') return null;
+
+        const separator = cookieValue.lastIndexOf('.');
+        if (separator <= 0) return null;
+
+        const value = cookieValue.slice(0, separator);
+        const signature = Buffer.from(cookieValue.slice(separator + 1));
+        const expected = Buffer.from(this.sign(value));
+
+        if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+            return null;
+        }
+
+        return value;
+    }
+
+    hash(value) {
+        return crypto.createHash('sha256').update(value).digest('hex');
+    }
+}
+
+// Export singleton instance
+export const sessionService = new SessionService();
@@ -0,0 +1,456 @@
+/**
+ * Client Service
+ * Account management for dealerships, dealer groups and their contacts
+ */
+
+import { db } from '../database/connection.js';
+import { logger } from '../../utils/logger.js';
+
+// Columns a caller is allowed to set directly on create/update
+const CLIENT_FIELDS = [
+    'name',
+    'client_type',
+    'parent_company',
+    'industry',
+    'size',
+    'annual_revenue',
+    'employee_count',
+    'website',
+    'location',
+    'timezone'
+];
+
+const CONTACT_FIELDS = [
+    'name',
+    'title',
+    'email',
+    'phone',
+    'is_primary',
+    'is_decision_maker',
+    'notes'
+];
+
+export const TIMELINE_SOURCES = ['team_update', 'extraction', 'deal_activity', 'email'];
+
+export class ClientService {
+    constructor(options = {}) {
+        this.logger = logger.child({ component: 'ClientService' });
+        this.db = options.db || db;
+    }
+
+    /**
+     * Whether the backing database is available
+     */
+    isAvailable() {
+        return Boolean(this.db?.initialized);
+    }
+
+    /**
+     * List clients with optional filters
+     */
+    async listClients(filters = {}) {
+        const conditions = [];
+        const params = [];
+
+        const addParam = (value) => {
+            params.push(value);
+            return `$${params.length}`;
+        };
+
+        if (filters.search) {
+            conditions.push(`c.name ILIKE ${addParam(`%${filters.search}%`)}`);
+        }
+
+        if (filters.clientType) {
+            conditions.push(`c.client_type = ${addParam(filters.clientType)}`);
+        }
+
+        if (filters.parentCompany) {
+            conditions.push(`c.parent_company = ${addParam(filters.parentCompany)}`);
+        }
+
+        const limit = Math.min(parseInt(filters.limit) || 50, 500);
+        const offset = parseInt(filters.offset) || 0;
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const result = await this.db.query(`
+            SELECT
+                c.*,
+                (SELECT COUNT(*) FROM client_contacts cc WHERE cc.client_id = c.id) as contact_count,
+                (SELECT COUNT(*) FROM deals d WHERE d.client_id = c.id
+                    AND d.stage NOT IN ('closed_won', 'closed_lost')) as open_deal_count,
+                COUNT(*) OVER() as total_count
+            FROM clients c
+            ${where}
+            ORDER BY c.name ASC
+            LIMIT ${addParam(limit)} OFFSET ${addParam(offset)}
+        `, params);
+
+        const total = result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
+
+        return {
+            clients: result.rows.map(({ total_count: _total, ...client }) => client),
+            total,
+            limit,
+            offset
+        };
+    }
+
+    /**
+     * Get a client row by id
+     */
+    async getClient(clientId) {
+        const result = await this.db.query(
+            'SELECT * FROM clients WHERE id::text = $1',
+            [clientId]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Get a client with contacts, deals, hierarchy and learned AI context
+     */
+    async getClientDetail(clientId) {
+        const client = await this.getClient(clientId);
+        if (!client) return null;
+
+        const [contacts, deals, hierarchy, aiContext] = await Promise.all([
+            this.listContacts(client.id),
+            this.db.query(`
+                SELECT d.id, d.name, d.stage, d.probability, d.monthly_value,
+                       d.total_contract_value, d.expected_close_date, tm.name as owner_name
+                FROM deals d
+                LEFT JOIN team_members tm ON d.owner_id = tm.id
+                WHERE d.client_id = $1
+                ORDER BY d.updated_at DESC
+            `, [client.id]),
+            this.getHierarchy(client),
+            this.db.query(`
+                SELECT context_type, context_data, confidence_score, last_updated
+                FROM ai_context_memory
+                WHERE entity_type IN ('client', 'dealership') AND entity_id = $1
+                ORDER BY last_updated DESC
+            `, [client.id])
+        ]);
+
+        return {
+            ...client,
+            contacts,
+            deals: deals.rows,
+            hierarchy,
+            aiContext: aiContext.rows
+        };
+    }
+
+    /**
+     * Create a client
+     */
+    async createClient(clientData) {
+        const fields = this.pick(clientData, CLIENT_FIELDS);
+        const columns = Object.keys(fields);
+        const placeholders = columns.map((_, i) => `$${i + 1}`);
+
+        const result = await this.db.query(`
+            INSERT INTO clients (${columns.join(', ')})
+            VALUES (${placeholders.join(', ')})
+            RETURNING *
+        `, Object.values(fields));
+
+        const client = result.rows[0];
+        this.logger.info('Client created', { clientId: client.id, name: client.name });
+
+        return client;
+    }
+
+    /**
+     * Update client fields
+     */
+    async updateClient(clientId, updates) {
+        const current = await this.getClient(clientId);
+        if (!current) return null;
+
+        const fields = this.pick(updates, CLIENT_FIELDS);
+        const columns = Object.keys(fields);
+        if (columns.length === 0) return current;
+
+        const setParts = columns.map((column, i) => `${column} = $${i + 1}`);
+
+        const result = await this.db.query(`
+            UPDATE clients
+            SET ${setParts.join(', ')}
+            WHERE id = $${columns.length + 1}
+            RETURNING *
+        `, [...Object.values(fields), current.id]);
+
+        // Keep dealer group children pointing at the renamed parent
+        if (fields.name && fields.name !== current.name) {
+            await this.db.query(
+                'UPDATE clients SET parent_company = $1 WHERE parent_company = $2',
+                [fields.name, current.name]
+            );
+        }
+
+        return result.rows[0];
+    }
+
+    /**
+     * Delete a client; deals and extractions keep their history but lose the link
+     */
+    async deleteClient(clientId) {
+        const current = await this.getClient(clientId);
+        if (!current) return false;
+
+        await this.db.query('UPDATE deals SET client_id = NULL WHERE client_id = $1', [current.id]);
+        await this.db.query('UPDATE update_extractions SET client_id = NULL WHERE client_id = $1', [current.id]);
+        await this.db.query('DELETE FROM clients WHERE id = $1', [current.id]);
+
+        this.logger.info('Client deleted', { clientId: current.id, name: current.name });
+        return true;
+    }
+
+    /**
+     * Parent group and child dealerships, linked by parent_company name
+     */
+    async getHierarchy(client) {
+        const [parent, children] = await Promise.all([
+            client.parent_company
+                ? this.db.query(
+                    'SELECT id, name, client_type FROM clients WHERE name = $1 LIMIT 1',
+                    [client.parent_company]
+                )
+                : { rows: [] },
+            this.db.query(`
+                SELECT id, name, client_type, location
+                FROM clients
+                WHERE parent_company = $1
+                ORDER BY name
+            `, [client.name])
+        ]);
+
+        return {
+            parent: parent.rows[0] || (client.parent_company ? { name: client.parent_company, id: null } : null),
+            children: children.rows
+        };
+    }
+
+    /**
+     * List contacts for a client, primary first
+     */
+    async listContacts(clientId) {
+        const result = await this.db.query(`
+            SELECT * FROM client_contacts
+            WHERE client_id = $1
+            ORDER BY is_primary DESC, is_decision_maker DESC, name ASC
+        `, [clientId]);
+        return result.rows;
+    }
+
+    /**
+     * Add a contact to a client
+     */
+    async createContact(clientId, contactData) {
+        const fields = this.pick(contactData, CONTACT_FIELDS);
+
+        if (fields.is_primary) {
+            await this.clearPrimaryContact(clientId);
+        }
+
+        const columns = ['client_id', ...Object.keys(fields)];
+        const values = [clientId, ...Object.values(fields)];
+        const placeholders = values.map((_, i) => `$${i + 1}`);
+
+        const result = await this.db.query(`
+            INSERT INTO client_contacts (${columns.join(', ')})
+            VALUES (${placeholders.join(', ')})
+            RETURNING *
+        `, values);
+
+        return result.rows[0];
+    }
+
+    /**
+     * Update a contact belonging to a client
+     */
+    async updateContact(clientId, contactId, updates) {
+        const fields = this.pick(updates, CONTACT_FIELDS);
+        const columns = Object.keys(fields);
+
+        if (fields.is_primary) {
+            await this.clearPrimaryContact(clientId, contactId);
+        }
+
+        if (columns.length === 0) {
+            const existing = await this.db.query(
+                'SELECT * FROM client_contacts WHERE id::text = $1 AND client_id = $2',
+                [contactId, clientId]
+            );
+            return existing.rows[0] || null;
+        }
+
+        const setParts = columns.map((column, i) => `${column} = $${i + 1}`);
+
+        const result = await this.db.query(`
+            UPDATE client_contacts
+            SET ${setParts.join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE id::text = $${columns.length + 1} AND client_id = $${columns.length + 2}
+            RETURNING *
+        `, [...Object.values(fields), contactId, clientId]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Remove a contact from a client
+     */
+    async deleteContact(clientId, contactId) {
+        const result = await this.db.query(
+            'DELETE FROM client_contacts WHERE id::text = $1 AND client_id = $2 RETURNING id',
+            [contactId, clientId]
+        );
+        return result.rows.length > 0;
+    }
+
+    /**
+     * Only one primary contact per client
+     */
+    async clearPrimaryContact(clientId, exceptContactId = null) {
+        await this.db.query(`
+            UPDATE client_contacts
+            SET is_primary = false, updated_at = CURRENT_TIMESTAMP
+            WHERE client_id = $1 AND is_primary = true AND ($2::text IS NULL OR id::text <> $2)
+        `, [clientId, exceptContactId]);
+    }
+
+    /**
+     * Account timeline merging updates, extractions, deal activity and emails
+     */
+    async getTimeline(clientId, options = {}) {
+        const client = await this.getClient(clientId);
+        if (!client) return null;
+
+        const limit = Math.min(parseInt(options.limit) || 100, 500);
+        const sources = options.sources?.length ? options.sources : TIMELINE_SOURCES;
+        const namePattern = `%${client.name}%`;
+        const since = options.since || null;
+
+        const contactEmails = (await this.listContacts(client.id))
+            .map(contact => contact.email)
+            .filter(Boolean)
+            .map(email => email.toLowerCase());
+
+        const queries = [];
+
+        if (sources.includes('team_update')) {
+            queries.push(this.db.query(`
+                SELECT
+                    'team_update' as source,
+                    tu.id,
+                    tu.created_at as occurred_at,
+                    tm.name as actor,
+                    tu.update_text as summary,
+                    json_build_object('priority', tu.priority, 'isUrgent', tu.is_urgent, 'channel', tu.source) as details
+                FROM team_updates tu
+                LEFT JOIN team_members tm ON tu.member_id = tm.id
+                WHERE tu.update_text ILIKE $1
+                AND ($2::timestamptz IS NULL OR tu.created_at >= $2)
+                ORDER BY tu.created_at DESC
+                LIMIT $3
+            `, [namePattern, since, limit]));
+        }
+
+        if (sources.includes('extraction')) {
+            queries.push(this.db.query(`
+                SELECT
+                    'extraction' as source,
+                    ue.id,
+                    ue.created_at as occurred_at,
+                    tm.name as actor,
+                    ue.extraction_type as summary,
+                    json_build_object('content', ue.content, 'confidence', ue.confidence_score, 'dealId', ue.deal_id) as details
+                FROM update_extractions ue
+                LEFT JOIN team_updates tu ON ue.update_id = tu.id
+                LEFT JOIN team_members tm ON tu.member_id = tm.id
+                WHERE (ue.client_id = $1 OR ue.content::text ILIKE $2)
+                AND ($3::timestamptz IS NULL OR ue.created_at >= $3)
+                ORDER BY ue.created_at DESC
+                LIMIT $4
+            `, [client.id, namePattern, since, limit]));
+        }
+
+        if (sources.includes('deal_activity')) {
+            queries.push(this.db.query(`
+                SELECT
+                    'deal_activity' as source,
+                    da.id,
+                    da.created_at as occurred_at,
+                    tm.name as actor,
+                    COALESCE(da.description, da.activity_type) as summary,
+                    json_build_object(
+                        'dealId', d.id, 'dealName', d.name, 'activityType', da.activity_type,
+                        'oldValue', da.old_value, 'newValue', da.new_value
+                    ) as details
+                FROM deal_activities da
+                JOIN deals d ON da.deal_id = d.id
+                LEFT JOIN team_members tm ON da.member_id = tm.id
+                WHERE d.client_id = $1
+                AND ($2::timestamptz IS NULL OR da.created_at >= $2)
+                ORDER BY da.created_at DESC
+                LIMIT $3
+            `, [client.id, since, limit]));
+        }
+
+        if (sources.includes('email')) {
+            queries.push(this.db.query(`
+                SELECT
+                    'email' as source,
+                    ae.id,
+                    ae.received_at as occurred_at,
+                    COALESCE(ae.from_name, ae.from_address) as actor,
+                    ae.subject as summary,
+                    json_build_object('from', ae.from_address, 'memberId', ae.member_id, 'status', ae.processing_status) as details
+                FROM assistant_emails ae
+                WHERE (
+                    ae.subject ILIKE $1
+                    OR ae.clean_text ILIKE $1
+                    OR LOWER(ae.from_address) = ANY($2)
+                )
+                AND ($3::timestamptz IS NULL OR ae.received_at >= $3)
+                ORDER BY ae.received_at DESC
+                LIMIT $4
+            `, [namePattern, contactEmails, since, limit]));
+        }
+
+        const results = await Promise.all(queries);
+
+        const events = results
+            .flatMap(result => result.rows)
+            .sort((a, b) => new Date(b.occurred_at) - new Date(a.occurred_at))
+            .slice(0, limit);
+
+        return {
+            client: { id: client.id, name: client.name },
+            events,
+            counts: TIMELINE_SOURCES.reduce((counts, source) => {
+                counts[source] = events.filter(e => e.source === source).length;
+                return counts;
+            }, {})
+        };
+    }
+
+    /**
+     * Pick allowed fields that were provided
+     */
+    pick(input, allowed) {
+        const fields = {};
+        for (const field of allowed) {
+            if (input[field] !== undefined) {
+                fields[field] = input[field];
+            }
+        }
+        return fields;
+    }
+}
+
+// Export singleton instance
+export const clientService = new ClientService();
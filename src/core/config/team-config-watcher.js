@@ -0,0 +1,198 @@
+/**
+ * Team Config Watcher
+ * Watches config/team-config.json and hands each new version to the running
+ * server once it passes ConfigValidator. A config that fails to parse,
+ * validate or apply is rejected and the running config stays in place.
+ *
+ * Events: 'reloaded' ({ source, warnings }) and 'rejected' ({ source, errors, warnings })
+ */
+
+import EventEmitter from 'events';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ConfigValidator } from '../../utils/config-validator.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Apply config.environments[environment] overrides; keys may be dotted paths
+ * such as "processing.summaryGeneration.schedule"
+ */
+export function applyEnvironmentOverrides(config, environment = process.env.NODE_ENV || 'development') {
+    const overrides = config.environments?.[environment];
+    if (!overrides) return config;
+
+    for (const [key, value] of Object.entries(overrides)) {
+        const keys = key.split('.');
+        let current = config;
+        for (let i = 0; i < keys.length - 1; i++) {
+            if (!current[keys[i]]) current[keys[i]] = {};
+            current = current[keys[i]];
+        }
+        current[keys[keys.length - 1]] = value;
+    }
+
+    return config;
+}
+
+export class TeamConfigWatcher extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.logger = logger.child({ component: 'TeamConfigWatcher' });
+        this.configPath = options.configPath || fileURLToPath(new URL('../../../config/team-config.json', import.meta.url));
+        this.environment = options.environment || process.env.NODE_ENV || 'development';
+        this.debounceMs = options.debounceMs ?? 500;
+
+        this.watcher = null;
+        this.applyConfig = null;
+        this.debounceTimer = null;
+        this.lastContent = null;
+
+        // Reloads run one at a time so two saves can't interleave
+        this.pending = Promise.resolve();
+
+        this.stats = {
+            reloads: 0,
+            rejections: 0,
+            lastReloadAt: null,
+            lastRejection: null
+        };
+    }
+
+    isWatching() {
+        return this.watcher !== null;
+    }
+
+    /**
+     * Watch the config file; applyConfig(config) swaps a validated config in
+     * and throws if it can't
+     */
+    async start(applyConfig) {
+        if (this.watcher) return;
+
+        this.applyConfig = applyConfig;
+        this.lastContent = await fs.promises.readFile(this.configPath, 'utf8').catch(() => null);
+
+        // Watch the directory: editors and atomic writes replace the file itself
+        const fileName = path.basename(this.configPath);
+        this.watcher = fs.watch(path.dirname(this.configPath), (eventType, changed) => {
+            if (changed === fileName) this.scheduleReload();
+        });
+        this.watcher.on('error', error => {
+            this.logger.error('Team config watcher failed', { error: error.message });
+        });
+
+        this.logger.info('Watching team configuration for changes', { path: this.configPath });
+    }
+
+    stop() {
+        clearTimeout(this.debounceTimer);
+        this.watcher?.close();
+        this.watcher = null;
+    }
+
+    scheduleReload() {
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => this.reload('file'), this.debounceMs);
+    }
+
+    /**
+     * Re-read, validate and apply the config file. Resolves to
+     * { applied, errors, warnings }. File events for content already seen are skipped.
+     */
+    reload(source = 'manual') {
+        const run = this.pending.then(() => this.performReload(source));
+        this.pending = run.catch(() => {});
+        return run;
+    }
+
+    async performReload(source) {
+        let content;
+        let config;
+        try {
+            content = await fs.promises.readFile(this.configPath, 'utf8');
+            if (source === 'file' && content === this.lastContent) {
+                return { applied: false, unchanged: true, errors: [], warnings: [] };
+            }
+
+            config = applyEnvironmentOverrides(JSON.parse(content), this.environment);
+        } catch (error) {
+            return this.reject(source, [`Could not read team configuration: ${error.message}`], [], content);
+        }
+
+        const { errors, warnings } = this.validate(config);
+        if (errors.length > 0) {
+            return this.reject(source, errors, warnings, content);
+        }
+
+        try {
+            await this.applyConfig?.(config);
+        } catch (error) {
+            return this.reject(source, [`Could not apply team configuration: ${error.message}`], warnings, content);
+        }
+
+        this.lastContent = content;
+        this.stats.reloads++;
+        this.stats.lastReloadAt = new Date().toISOString();
+
+        this.logger.info('Team configuration reloaded', { source, warnings: warnings.length });
+        this.emit('reloaded', { source, warnings });
+
+        return { applied: true, errors: [], warnings };
+    }
+
+    /**
+     * Team config rules from ConfigValidator, without its startup exit
+     */
+    validate(config) {
+        const validator = new ConfigValidator({ strict: false });
+        validator.validateTeamConfig(config);
+
+        return { errors: validator.errors, warnings: validator.warnings };
+    }
+
+    reject(source, errors, warnings, content) {
+        // Remember the rejected file so repeated watch events don't re-report it
+        if (content !== undefined) this.lastContent = content;
+
+        this.stats.rejections++;
+        this.stats.lastRejection = { source, errors, at: new Date().toISOString() };
+
+        this.logger.warn('Team configuration rejected, keeping the running config', { source, errors });
+        this.emit('rejected', { source, errors, warnings });
+
+        return { applied: false, errors, warnings };
+    }
+
+    /**
+     * Report accepted and rejected configs on a realtime channel
+     */
+    broadcastTo(getRealtimeManager, channel = 'system-health') {
+        this.on('reloaded', (data) => {
+            getRealtimeManager()?.broadcastToChannel(channel, {
+                type: 'configReloaded',
+                data,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        this.on('rejected', (data) => {
+            getRealtimeManager()?.broadcastToChannel(channel, {
+                type: 'configRejected',
+                data,
+                timestamp: new Date().toISOString()
+            });
+        });
+    }
+
+    getStatus() {
+        return {
+            watching: this.isWatching(),
+            path: this.configPath,
+            ...this.stats
+        };
+    }
+}
+
+// Export singleton instance
+export const teamConfigWatcher = new TeamConfigWatcher();
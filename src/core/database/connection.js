@@ -4,7 +4,7 @@
  */
 
 import pg from 'pg';
-import { schemaSQL } from './schema.js';
+import { MigrationRunner } from './migration-runner.js';
 
 const { Pool } = pg;
 
@@ -19,25 +19,7 @@ export class DatabaseConnection {
      */
     async initialize() {
         try {
-            // Create connection pool
-            this.pool = new Pool({
-                connectionString: process.env.DATABASE_URL,
-                // Fallback to individual params if no connection string
-                host: process.env.DB_HOST || 'localhost',
-                port: process.env.DB_PORT || 5432,
-                database: process.env.DB_NAME || 'team_crm',
-                user: process.env.DB_USER || 'postgres',
-                password: process.env.DB_PASSWORD,
-                max: 20, // Maximum number of clients in the pool
-                idleTimeoutMillis: 30000,
-                connectionTimeoutMillis: 2000,
-                ssl: process.env.DATABASE_URL ? { rejectUnauthorized: false } : false,
-            });
-
-            // Test connection
-            const client = await this.pool.connect();
-            console.log('✅ Database connection established');
-            client.release();
+            await this.connect();
 
             // Initialize schema
             await this.initializeSchema();
@@ -51,18 +33,44 @@ export class DatabaseConnection {
     }
 
     /**
-     * Initialize database schema
+     * Open the pool without touching the schema (used by the migration CLI)
+     */
+    async connect() {
+        // Create connection pool
+        this.pool = new Pool({
+            connectionString: process.env.DATABASE_URL,
+            // Fallback to individual params if no connection string
+            host: process.env.DB_HOST || 'localhost',
+            port: process.env.DB_PORT || 5432,
+            database: process.env.DB_NAME || 'team_crm',
+            user: process.env.DB_USER || 'postgres',
+            password: process.env.DB_PASSWORD,
+            max: 20, // Maximum number of clients in the pool
+            idleTimeoutMillis: 30000,
+            connectionTimeoutMillis: 2000,
+            ssl: process.env.DATABASE_URL ? { rejectUnauthorized: false } : false,
+        });
+
+        // Test connection
+        const client = await this.pool.connect();
+        console.log('✅ Database connection established');
+        client.release();
+    }
+
+    /**
+     * Bring the schema up to date (unless DB_AUTO_MIGRATE=false) and check it
+     * matches the migrations shipped with this code
      */
     async initializeSchema() {
         const client = await this.pool.connect();
         try {
             console.log('📊 Initializing database schema...');
             
-            // Execute schema SQL
-            await client.query(schemaSQL);
-            
-            // Run migrations
-            await this.runMigrations(client);
+            const migrations = new MigrationRunner(client);
+            if (process.env.DB_AUTO_MIGRATE !== 'false') {
+                await migrations.migrate();
+            }
+            await this.verifySchema(migrations);
             
             // Insert default team members if not exists
             await this.insertDefaultData(client);
@@ -77,65 +85,22 @@ export class DatabaseConnection {
     }
 
     /**
-     * Run database migrations
+     * Refuse to run against a schema the code doesn't expect
      */
-    async runMigrations(client) {
-        try {
-            console.log('🔄 Running database migrations...');
-            
-            // Create migrations tracking table if not exists
-            await client.query(`
-                CREATE TABLE IF NOT EXISTS schema_migrations (
-                    id SERIAL PRIMARY KEY,
-                    filename VARCHAR(255) UNIQUE NOT NULL,
-                    executed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
-            
-            // Load and execute migration files
-            const migrationsPath = new URL('./migrations/', import.meta.url);
-            try {
-                const files = await fs.readdir(migrationsPath);
-                const sqlFiles = files.filter(f => f.endsWith('.sql')).sort();
-                
-                for (const file of sqlFiles) {
-                    // Check if migration already executed
-                    const checkResult = await client.query(
-                        'SELECT 1 FROM schema_migrations WHERE filename = $1',
-                        [file]
-                    );
-                    
-                    if (checkResult.rows.length === 0) {
-                        console.log(`📝 Running migration: ${file}`);
-                        const migrationSQL = await fs.readFile(new URL(`./migrations/${file}`, import.meta.url), 'utf8');
-                        
-                        // Execute migration in transaction
-                        await client.query('BEGIN');
-                        try {
-                            await client.query(migrationSQL);
-                            await client.query(
-                                'INSERT INTO schema_migrations (filename) VALUES ($1)',
-                                [file]
-                            );
-                            await client.query('COMMIT');
-                            console.log(`✅ Migration ${file} completed`);
-                        } catch (migrationError) {
-                            await client.query('ROLLBACK');
-                            throw migrationError;
-                        }
-                    } else {
-                        console.log(`⏭️  Skipping migration ${file} (already executed)`);
-                    }
-                }
-            } catch (dirError) {
-                console.warn('⚠️  No migrations directory found or unable to read:', dirError.message);
-            }
-            
-            console.log('✅ All migrations completed');
-        } catch (error) {
-            console.error('❌ Migration failed:', error.message);
-            throw error;
+    async verifySchema(migrations) {
+        const { pending, unknown, changed } = await migrations.status();
+
+        if (pending.length > 0) {
+            throw new Error(`Database schema is behind the code (${pending.join(', ')} not applied). Run npm run db:migrate`);
+        }
+        if (unknown.length > 0) {
+            throw new Error(`Database schema is ahead of the code (${unknown.join(', ')} applied but not in this release)`);
+        }
+        if (changed.length > 0) {
+            console.warn(`⚠️  Migrations edited after they ran: ${changed.join(', ')}. Add a new migration instead`);
         }
+
+        console.log('✅ Database schema matches the code');
     }
 
     /**
@@ -147,27 +112,33 @@ export class DatabaseConnection {
             const configPath = new URL('../../../config/team-config.json', import.meta.url);
             const teamConfig = JSON.parse(await fs.readFile(configPath, 'utf8'));
             
-            // Insert team members
+            const executiveIds = (teamConfig.team.executives || []).map(e => e.id);
+            
+            // Insert team members. The config only seeds access roles;
+            // roles changed later through the admin API are kept.
             for (const [memberId, member] of Object.entries(teamConfig.team.members)) {
+                const accessRole = member.access_role || (executiveIds.includes(memberId) ? 'executive' : 'member');
                 await client.query(`
-                    INSERT INTO team_members (external_id, name, role, ai_model)
-                    VALUES ($1, $2, $3, $4)
+                    INSERT INTO team_members (external_id, name, role, ai_model, access_role)
+                    VALUES ($1, $2, $3, $4, $5)
                     ON CONFLICT (external_id) DO UPDATE
                     SET name = EXCLUDED.name,
                         role = EXCLUDED.role,
-                        ai_model = EXCLUDED.ai_model
-                `, [memberId, member.name, member.role, member.ai_model]);
+                        ai_model = EXCLUDED.ai_model,
+                        access_role = COALESCE(team_members.access_role, EXCLUDED.access_role)
+                `, [memberId, member.name, member.role, member.ai_model, accessRole]);
             }
             
             // Insert executives
             for (const exec of teamConfig.team.executives || []) {
                 await client.query(`
-                    INSERT INTO team_members (external_id, name, role, ai_model)
-                    VALUES ($1, $2, $3, $4)
+                    INSERT INTO team_members (external_id, name, role, ai_model, access_role)
+                    VALUES ($1, $2, $3, $4, 'executive')
                     ON CONFLICT (external_id) DO UPDATE
                     SET name = EXCLUDED.name,
                         role = EXCLUDED.role,
-                        ai_model = EXCLUDED.ai_model
+                        ai_model = EXCLUDED.ai_model,
+                        access_role = COALESCE(team_members.access_role, EXCLUDED.access_role)
                 `, [exec.id, exec.name, exec.role, exec.ai_model]);
             }
             
@@ -306,18 +277,19 @@ export const dbHelpers = {
     },
 
     /**
-     * Get historical analytics
+     * Get historical analytics of one period type (daily, weekly or monthly)
      */
-    async getHistoricalAnalytics(metricType, startDate, endDate, dimension = null) {
+    async getHistoricalAnalytics(metricType, startDate, endDate, dimension = null, periodType = 'daily') {
         let query = `
             SELECT * FROM analytics_snapshots 
             WHERE metric_type = $1 
             AND snapshot_date BETWEEN $2 AND $3
+            AND period_type = $4
         `;
-        const params = [metricType, startDate, endDate];
+        const params = [metricType, startDate, endDate, periodType];
         
         if (dimension) {
-            query += ' AND dimension = $4';
+            query += ' AND dimension = $5';
             params.push(dimension);
         }
         
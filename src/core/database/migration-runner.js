@@ -0,0 +1,251 @@
+/**
+ * MIGRATION RUNNER
+ * Applies the numbered SQL files in ./migrations and records them in
+ * schema_migrations. NNN_name.sql migrates up; NNN_name.down.sql, when
+ * present, reverses it. Each file runs in its own transaction, and a
+ * checksum is kept so an edit to an applied migration is reported.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const MIGRATIONS_DIR = fileURLToPath(new URL('./migrations/', import.meta.url));
+
+const MIGRATION_FILE = /^(\d{3})_([a-z0-9_]+)\.sql$/;
+const DOWN_SUFFIX = '.down.sql';
+
+// pg_advisory_lock key, so two instances starting together don't both migrate
+const MIGRATION_LOCK_ID = 724_201_508;
+
+export class MigrationRunner {
+    /**
+     * @param {Object} client - a pg client (not a pool: locks and transactions need one connection)
+     */
+    constructor(client, options = {}) {
+        this.client = client;
+        this.migrationsDir = options.migrationsDir || MIGRATIONS_DIR;
+        this.log = options.log || console.log;
+    }
+
+    /**
+     * Migration files in version order, each with its up SQL and down SQL (or null)
+     */
+    async loadMigrations() {
+        const files = await fs.readdir(this.migrationsDir);
+        const migrations = [];
+
+        for (const file of files) {
+            if (file.endsWith(DOWN_SUFFIX)) continue;
+
+            const match = file.match(MIGRATION_FILE);
+            if (!match) continue;
+
+            const up = await fs.readFile(path.join(this.migrationsDir, file), 'utf8');
+            const downFile = file.replace(/\.sql$/, DOWN_SUFFIX);
+            const down = files.includes(downFile)
+                ? await fs.readFile(path.join(this.migrationsDir, downFile), 'utf8')
+                : null;
+
+            migrations.push({
+                version: match[1],
+                name: match[2],
+                filename: file,
+                up,
+                down,
+                checksum: checksum(up)
+            });
+        }
+
+        migrations.sort((a, b) => a.version.localeCompare(b.version));
+
+        for (let i = 1; i < migrations.length; i++) {
+            if (migrations[i].version === migrations[i - 1].version) {
+                throw new Error(`Two migrations share version ${migrations[i].version}: ${migrations[i - 1].filename}, ${migrations[i].filename}`);
+            }
+        }
+
+        return migrations;
+    }
+
+    async ensureTable() {
+        await this.client.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                id SERIAL PRIMARY KEY,
+                filename VARCHAR(255) UNIQUE NOT NULL,
+                executed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await this.client.query('ALTER TABLE schema_migrations ADD COLUMN IF NOT EXISTS checksum VARCHAR(64)');
+    }
+
+    /**
+     * Rows of schema_migrations by filename
+     */
+    async getApplied() {
+        const result = await this.client.query(
+            'SELECT filename, checksum, executed_at FROM schema_migrations ORDER BY filename'
+        );
+        return new Map(result.rows.map(row => [row.filename, row]));
+    }
+
+    /**
+     * Every migration with whether it has run, plus what doesn't line up:
+     * pending (not yet run), unknown (run, but no file here) and changed
+     * (file edited since it ran)
+     */
+    async status() {
+        await this.ensureTable();
+        const migrations = await this.loadMigrations();
+        const applied = await this.getApplied();
+
+        const rows = migrations.map(migration => {
+            const record = applied.get(migration.filename);
+            return {
+                version: migration.version,
+                name: migration.name,
+                filename: migration.filename,
+                applied: Boolean(record),
+                executedAt: record?.executed_at || null,
+                reversible: migration.down !== null,
+                changed: Boolean(record?.checksum && record.checksum !== migration.checksum)
+            };
+        });
+
+        const known = new Set(migrations.map(migration => migration.filename));
+
+        return {
+            migrations: rows,
+            pending: rows.filter(row => !row.applied).map(row => row.filename),
+            unknown: [...applied.keys()].filter(filename => !known.has(filename)),
+            changed: rows.filter(row => row.changed).map(row => row.filename)
+        };
+    }
+
+    /**
+     * Apply pending migrations in order, up to and including version `to`
+     */
+    async migrate({ to = null } = {}) {
+        return this.withLock(async () => {
+            await this.ensureTable();
+            const migrations = await this.loadMigrations();
+            const applied = await this.getApplied();
+
+            await this.recordMissingChecksums(migrations, applied);
+
+            const pending = migrations.filter(migration =>
+                !applied.has(migration.filename) && (to === null || migration.version <= to));
+
+            for (const migration of pending) {
+                this.log(`📝 Running migration: ${migration.filename}`);
+                await this.run(migration.filename, migration.up, {
+                    sql: 'INSERT INTO schema_migrations (filename, checksum) VALUES ($1, $2)',
+                    params: [migration.filename, migration.checksum]
+                });
+                this.log(`✅ Migration ${migration.filename} completed`);
+            }
+
+            return pending.map(migration => migration.filename);
+        });
+    }
+
+    /**
+     * Reverse the last `steps` applied migrations, or every one after version `to`
+     */
+    async rollback({ steps = 1, to = null } = {}) {
+        return this.withLock(async () => {
+            await this.ensureTable();
+            const migrations = await this.loadMigrations();
+            const applied = await this.getApplied();
+
+            const unknown = [...applied.keys()].filter(filename =>
+                !migrations.some(migration => migration.filename === filename));
+            if (unknown.length > 0) {
+                throw new Error(`Cannot roll back: ${unknown.join(', ')} ran but the file is missing`);
+            }
+
+            const candidates = migrations
+                .filter(migration => applied.has(migration.filename))
+                .reverse();
+            const targets = to === null
+                ? candidates.slice(0, steps)
+                : candidates.filter(migration => migration.version > to);
+
+            const irreversible = targets.find(migration => migration.down === null);
+            if (irreversible) {
+                throw new Error(`Cannot roll back ${irreversible.filename}: it has no ${irreversible.filename.replace(/\.sql$/, DOWN_SUFFIX)}`);
+            }
+
+            for (const migration of targets) {
+                this.log(`↩️  Rolling back migration: ${migration.filename}`);
+                await this.run(migration.filename.replace(/\.sql$/, DOWN_SUFFIX), migration.down, {
+                    sql: 'DELETE FROM schema_migrations WHERE filename = $1',
+                    params: [migration.filename]
+                });
+                this.log(`✅ Rolled back ${migration.filename}`);
+            }
+
+            return targets.map(migration => migration.filename);
+        });
+    }
+
+    /**
+     * Scaffold the next NNN_name.sql and NNN_name.down.sql
+     */
+    async create(name) {
+        const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+        if (!slug) throw new Error('Invalid migration name');
+
+        const migrations = await this.loadMigrations();
+        const last = migrations.length > 0 ? Number(migrations[migrations.length - 1].version) : -1;
+        const filename = `${String(last + 1).padStart(3, '0')}_${slug}.sql`;
+        const downFilename = filename.replace(/\.sql$/, DOWN_SUFFIX);
+
+        await fs.writeFile(path.join(this.migrationsDir, filename), `-- ${name}\n`, { flag: 'wx' });
+        await fs.writeFile(path.join(this.migrationsDir, downFilename), `-- Reverses ${filename}\n`, { flag: 'wx' });
+
+        return [filename, downFilename];
+    }
+
+    /**
+     * Rows recorded before checksums were kept get the current file's checksum
+     */
+    async recordMissingChecksums(migrations, applied) {
+        for (const migration of migrations) {
+            const record = applied.get(migration.filename);
+            if (record && !record.checksum) {
+                await this.client.query(
+                    'UPDATE schema_migrations SET checksum = $1 WHERE filename = $2',
+                    [migration.checksum, migration.filename]
+                );
+                record.checksum = migration.checksum;
+            }
+        }
+    }
+
+    async run(filename, sql, bookkeeping) {
+        await this.client.query('BEGIN');
+        try {
+            await this.client.query(sql);
+            await this.client.query(bookkeeping.sql, bookkeeping.params);
+            await this.client.query('COMMIT');
+        } catch (error) {
+            await this.client.query('ROLLBACK');
+            throw new Error(`Migration ${filename} failed: ${error.message}`);
+        }
+    }
+
+    async withLock(fn) {
+        await this.client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+        try {
+            return await fn();
+        } finally {
+            await this.client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+        }
+    }
+}
+
+function checksum(sql) {
+    return crypto.createHash('sha256').update(sql).digest('hex');
+}
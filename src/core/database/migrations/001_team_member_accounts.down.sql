@@ -0,0 +1,3 @@
+ALTER TABLE team_members DROP COLUMN IF EXISTS last_login_at;
+ALTER TABLE team_members DROP COLUMN IF EXISTS access_role;
+ALTER TABLE team_members DROP COLUMN IF EXISTS password_hash;
@@ -0,0 +1,5 @@
+-- Login accounts for team members (role-based access control)
+ALTER TABLE team_members ADD COLUMN IF NOT EXISTS password_hash TEXT;
+ALTER TABLE team_members ADD COLUMN IF NOT EXISTS access_role VARCHAR(20)
+  CHECK (access_role IN ('member', 'executive', 'admin'));
+ALTER TABLE team_members ADD COLUMN IF NOT EXISTS last_login_at TIMESTAMP WITH TIME ZONE;
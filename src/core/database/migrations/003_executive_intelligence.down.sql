@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS team_activity;
+DROP TABLE IF EXISTS executive_comments;
+DROP TABLE IF EXISTS executive_interventions;
@@ -0,0 +1,57 @@
+-- Executive interventions, comments and team activity (previously in-memory mock data)
+CREATE TABLE IF NOT EXISTS executive_interventions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  source_type VARCHAR(50) NOT NULL,
+  source_ref VARCHAR(255),
+  member_id UUID REFERENCES team_members(id),
+  member_name VARCHAR(100),
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  urgency priority_level DEFAULT 'medium',
+  deal_value DECIMAL(12, 2),
+  client_name VARCHAR(255),
+  context JSONB DEFAULT '{}',
+  recommended_actions JSONB DEFAULT '[]',
+  status VARCHAR(20) DEFAULT 'open' CHECK (status IN ('open', 'acknowledged', 'snoozed', 'resolved')),
+  acknowledged_by VARCHAR(100),
+  acknowledged_at TIMESTAMP WITH TIME ZONE,
+  snoozed_by VARCHAR(100),
+  snoozed_until TIMESTAMP WITH TIME ZONE,
+  resolved_by VARCHAR(100),
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  resolution_note TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS executive_comments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  parent_id UUID REFERENCES executive_comments(id) ON DELETE CASCADE,
+  intervention_id UUID REFERENCES executive_interventions(id) ON DELETE SET NULL,
+  message TEXT NOT NULL,
+  author VARCHAR(100) NOT NULL,
+  assignee VARCHAR(100),
+  priority VARCHAR(20) DEFAULT 'normal',
+  status VARCHAR(20) DEFAULT 'sent',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS team_activity (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  member_id UUID REFERENCES team_members(id),
+  member_name VARCHAR(100),
+  summary TEXT NOT NULL,
+  tags JSONB DEFAULT '[]',
+  context JSONB DEFAULT '{}',
+  source VARCHAR(50) DEFAULT 'update',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_executive_interventions_status ON executive_interventions(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_executive_interventions_source ON executive_interventions(source_type, source_ref);
+CREATE INDEX IF NOT EXISTS idx_executive_comments_parent ON executive_comments(parent_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_team_activity_created ON team_activity(created_at DESC);
+
+DROP TRIGGER IF EXISTS update_executive_interventions_updated_at ON executive_interventions;
+CREATE TRIGGER update_executive_interventions_updated_at BEFORE UPDATE ON executive_interventions
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
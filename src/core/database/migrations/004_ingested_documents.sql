@@ -0,0 +1,27 @@
+-- Document ingestion (uploads and email attachments)
+CREATE TABLE IF NOT EXISTS ingested_documents (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  member_id UUID REFERENCES team_members(id),
+  member_name VARCHAR(100),
+  source VARCHAR(20) DEFAULT 'upload',
+  email_id UUID REFERENCES assistant_emails(id) ON DELETE SET NULL,
+  original_name VARCHAR(255) NOT NULL,
+  stored_path TEXT,
+  mime_type VARCHAR(150),
+  file_size INTEGER,
+  file_type VARCHAR(20),
+  client_id UUID REFERENCES clients(id) ON DELETE SET NULL,
+  deal_id UUID REFERENCES deals(id) ON DELETE SET NULL,
+  update_id UUID REFERENCES team_updates(id),
+  status VARCHAR(20) DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'completed', 'failed')),
+  job_id VARCHAR(100),
+  summary TEXT,
+  entity_counts JSONB DEFAULT '{}',
+  extraction_count INTEGER DEFAULT 0,
+  error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP WITH TIME ZONE,
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_ingested_documents_member_created ON ingested_documents(member_id, created_at DESC);
@@ -0,0 +1,19 @@
+-- AI usage and cost accounting
+CREATE TABLE IF NOT EXISTS ai_usage (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  member_name VARCHAR(100),
+  feature VARCHAR(50) NOT NULL,
+  task VARCHAR(50),
+  provider VARCHAR(50) NOT NULL,
+  model VARCHAR(200) NOT NULL,
+  input_tokens INTEGER DEFAULT 0,
+  output_tokens INTEGER DEFAULT 0,
+  cost_usd NUMERIC(12, 6) DEFAULT 0,
+  latency_ms INTEGER,
+  status VARCHAR(20) DEFAULT 'success' CHECK (status IN ('success', 'error', 'over_budget')),
+  error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_member_created ON ai_usage(member_name, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_created ON ai_usage(created_at DESC);
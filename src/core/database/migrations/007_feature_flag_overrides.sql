@@ -0,0 +1,17 @@
+-- Admin overrides for feature flags
+CREATE TABLE IF NOT EXISTS feature_flag_overrides (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  flag_name VARCHAR(100) NOT NULL,
+  username VARCHAR(100),
+  value JSONB NOT NULL,
+  variant VARCHAR(100),
+  created_by VARCHAR(100),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_feature_flag_overrides_target ON feature_flag_overrides(flag_name, COALESCE(username, ''));
+
+DROP TRIGGER IF EXISTS update_feature_flag_overrides_updated_at ON feature_flag_overrides;
+CREATE TRIGGER update_feature_flag_overrides_updated_at BEFORE UPDATE ON feature_flag_overrides
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS prompt_feedback;
+DROP TABLE IF EXISTS prompt_runs;
+DROP TABLE IF EXISTS prompt_assignments;
+DROP TABLE IF EXISTS prompt_versions;
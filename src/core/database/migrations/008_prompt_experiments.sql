@@ -0,0 +1,48 @@
+-- Versioned prompts, experiment arm assignments, per-run metrics and feedback
+CREATE TABLE IF NOT EXISTS prompt_versions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  prompt_key VARCHAR(100) NOT NULL,
+  version VARCHAR(20) NOT NULL,
+  template TEXT NOT NULL,
+  description TEXT,
+  created_by VARCHAR(100),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (prompt_key, version)
+);
+
+CREATE TABLE IF NOT EXISTS prompt_assignments (
+  prompt_key VARCHAR(100) NOT NULL,
+  arm VARCHAR(100) NOT NULL,
+  version VARCHAR(20) NOT NULL,
+  assigned_by VARCHAR(100),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (prompt_key, arm)
+);
+
+CREATE TABLE IF NOT EXISTS prompt_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  prompt_key VARCHAR(100) NOT NULL,
+  version VARCHAR(20) NOT NULL,
+  experiment VARCHAR(100),
+  arm VARCHAR(100) NOT NULL,
+  member_name VARCHAR(100),
+  model VARCHAR(200),
+  input_tokens INTEGER DEFAULT 0,
+  output_tokens INTEGER DEFAULT 0,
+  latency_ms INTEGER,
+  success BOOLEAN DEFAULT true,
+  confidence NUMERIC(4, 3),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS prompt_feedback (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  run_id UUID REFERENCES prompt_runs(id) ON DELETE CASCADE,
+  rating SMALLINT NOT NULL CHECK (rating IN (-1, 1)),
+  comment TEXT,
+  username VARCHAR(100),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_prompt_runs_key_created ON prompt_runs(prompt_key, created_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_feedback_run_user ON prompt_feedback(run_id, COALESCE(username, ''));
@@ -0,0 +1,19 @@
+-- Built-in memory store: content plus a hashed n-gram embedding, used when
+-- Supermemory isn't configured
+CREATE TABLE IF NOT EXISTS memories (
+  id VARCHAR(255) NOT NULL,
+  collection VARCHAR(255) NOT NULL,
+  member_name VARCHAR(100),
+  memory_type VARCHAR(100),
+  content TEXT NOT NULL,
+  metadata JSONB DEFAULT '{}',
+  embedding REAL[] NOT NULL,
+  embedding_model VARCHAR(50) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (collection, id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_memories_collection_created ON memories(collection, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_memories_member_created ON memories(member_name, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_memories_metadata ON memories USING GIN (metadata);
@@ -0,0 +1,11 @@
+DROP INDEX IF EXISTS idx_executive_summaries_executive_created;
+DROP INDEX IF EXISTS idx_executive_summaries_slot;
+ALTER TABLE executive_summaries DROP COLUMN IF EXISTS delivered_at;
+ALTER TABLE executive_summaries DROP COLUMN IF EXISTS delivery_error;
+ALTER TABLE executive_summaries DROP COLUMN IF EXISTS delivery_status;
+ALTER TABLE executive_summaries DROP COLUMN IF EXISTS delivery_channel;
+ALTER TABLE executive_summaries DROP COLUMN IF EXISTS period_end;
+ALTER TABLE executive_summaries DROP COLUMN IF EXISTS period_start;
+ALTER TABLE executive_summaries DROP COLUMN IF EXISTS delivery_slot;
+ALTER TABLE executive_summaries DROP COLUMN IF EXISTS schedule;
+ALTER TABLE executive_summaries DROP COLUMN IF EXISTS executive_key;
@@ -0,0 +1,19 @@
+-- Scheduled executive summaries: which schedule produced each one, the
+-- period it covers and how its delivery went
+ALTER TABLE executive_summaries ADD COLUMN IF NOT EXISTS executive_key VARCHAR(50);
+ALTER TABLE executive_summaries ADD COLUMN IF NOT EXISTS schedule VARCHAR(20);
+ALTER TABLE executive_summaries ADD COLUMN IF NOT EXISTS delivery_slot VARCHAR(50);
+ALTER TABLE executive_summaries ADD COLUMN IF NOT EXISTS period_start TIMESTAMP WITH TIME ZONE;
+ALTER TABLE executive_summaries ADD COLUMN IF NOT EXISTS period_end TIMESTAMP WITH TIME ZONE;
+ALTER TABLE executive_summaries ADD COLUMN IF NOT EXISTS delivery_channel VARCHAR(20)
+  CHECK (delivery_channel IN ('email', 'slack', 'in_app'));
+ALTER TABLE executive_summaries ADD COLUMN IF NOT EXISTS delivery_status VARCHAR(20)
+  CHECK (delivery_status IN ('pending', 'delivered', 'simulated', 'failed'));
+ALTER TABLE executive_summaries ADD COLUMN IF NOT EXISTS delivery_error TEXT;
+ALTER TABLE executive_summaries ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP WITH TIME ZONE;
+
+-- One summary per executive per scheduled slot, e.g. "daily:2026-03-02"
+CREATE UNIQUE INDEX IF NOT EXISTS idx_executive_summaries_slot
+  ON executive_summaries(executive_key, delivery_slot) WHERE delivery_slot IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_executive_summaries_executive_created
+  ON executive_summaries(executive_key, created_at DESC);
@@ -0,0 +1 @@
+ALTER TABLE executive_summaries DROP COLUMN IF EXISTS snapshot;
@@ -0,0 +1,3 @@
+-- What each executive summary was written from (open interventions and
+-- deal stages), so the next one can report what changed
+ALTER TABLE executive_summaries ADD COLUMN IF NOT EXISTS snapshot JSONB;
@@ -0,0 +1,14 @@
+-- Daily deal risk score (0-100) with the factors that produced it
+CREATE TABLE IF NOT EXISTS deal_risk_scores (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  deal_id UUID NOT NULL REFERENCES deals(id) ON DELETE CASCADE,
+  scored_on DATE NOT NULL,
+  score INTEGER NOT NULL CHECK (score BETWEEN 0 AND 100),
+  risk_level VARCHAR(20) NOT NULL CHECK (risk_level IN ('low', 'medium', 'high', 'critical')),
+  factors JSONB NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (deal_id, scored_on)
+);
+
+CREATE INDEX IF NOT EXISTS idx_deal_risk_scores_scored_on ON deal_risk_scores(scored_on DESC, score DESC);
@@ -0,0 +1,18 @@
+-- Forecasts taken at the start of each period and, once it closes, the
+-- revenue actually closed. owner_key '' is the whole team.
+CREATE TABLE IF NOT EXISTS forecast_snapshots (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  period_type VARCHAR(20) NOT NULL DEFAULT 'monthly' CHECK (period_type IN ('monthly')),
+  period_start DATE NOT NULL,
+  period_end DATE NOT NULL,
+  method VARCHAR(20) NOT NULL CHECK (method IN ('weighted', 'commit', 'best_case', 'trend')),
+  owner_key VARCHAR(100) NOT NULL DEFAULT '',
+  forecast_value DECIMAL(15, 2) NOT NULL,
+  actual_value DECIMAL(15, 2),
+  details JSONB DEFAULT '{}',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  closed_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE (period_type, period_start, method, owner_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_forecast_snapshots_open ON forecast_snapshots(period_end) WHERE actual_value IS NULL;
@@ -0,0 +1,24 @@
+-- Scheduled analytics exports: an XLSX workbook or PDF board pack emailed
+-- to its recipients daily, weekly or monthly
+CREATE TABLE IF NOT EXISTS analytics_export_schedules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name VARCHAR(100) NOT NULL,
+  format VARCHAR(10) NOT NULL CHECK (format IN ('xlsx', 'pdf')),
+  frequency VARCHAR(20) NOT NULL CHECK (frequency IN ('daily', 'weekly', 'monthly')),
+  recipients TEXT[] NOT NULL,
+  active BOOLEAN DEFAULT true,
+  next_run_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  last_run_at TIMESTAMP WITH TIME ZONE,
+  last_status VARCHAR(20) CHECK (last_status IN ('delivered', 'simulated', 'failed')),
+  last_error TEXT,
+  created_by VARCHAR(100),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_analytics_export_schedules_due
+  ON analytics_export_schedules(next_run_at) WHERE active = true;
+
+DROP TRIGGER IF EXISTS update_analytics_export_schedules_updated_at ON analytics_export_schedules;
+CREATE TRIGGER update_analytics_export_schedules_updated_at BEFORE UPDATE ON analytics_export_schedules
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
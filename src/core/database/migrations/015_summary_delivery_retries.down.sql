@@ -0,0 +1,2 @@
+ALTER TABLE executive_summaries DROP COLUMN IF EXISTS next_attempt_at;
+ALTER TABLE executive_summaries DROP COLUMN IF EXISTS delivery_attempts;
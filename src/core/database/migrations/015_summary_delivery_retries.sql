@@ -0,0 +1,4 @@
+-- Failed scheduled summaries are retried with backoff: how many attempts a
+-- slot has had and when it may be tried again (NULL once it has given up)
+ALTER TABLE executive_summaries ADD COLUMN IF NOT EXISTS delivery_attempts INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE executive_summaries ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP WITH TIME ZONE;
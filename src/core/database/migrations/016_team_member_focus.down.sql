@@ -0,0 +1,2 @@
+ALTER TABLE team_members DROP COLUMN IF EXISTS extraction_priorities;
+ALTER TABLE team_members DROP COLUMN IF EXISTS focus_areas;
@@ -0,0 +1,4 @@
+-- What each member's assistant focuses on, set from the admin API and the
+-- team sync script (NULL falls back to the defaults)
+ALTER TABLE team_members ADD COLUMN IF NOT EXISTS focus_areas TEXT[];
+ALTER TABLE team_members ADD COLUMN IF NOT EXISTS extraction_priorities TEXT[];
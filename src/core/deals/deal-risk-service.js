@@ -0,0 +1,441 @@
+/**
+ * Deal Risk Service
+ * Scores each open deal's risk from 0 to 100 out of five factors: days since
+ * the last activity, the client's sentiment trend, competitor mentions,
+ * slipped close dates and pilot health. One score per deal per day is kept in
+ * deal_risk_scores with its factor breakdown, so risk can be trended.
+ */
+
+import { db } from '../database/connection.js';
+import { logger } from '../../utils/logger.js';
+import { CLOSED_STAGES } from './deal-service.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SCORE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const STARTUP_DELAY_MS = 2 * 60 * 1000;
+
+// Feedback, competitor intel and pilot updates older than this don't count
+const SIGNAL_WINDOW_DAYS = 90;
+
+// Points each factor adds at full risk; together they make 100
+export const RISK_FACTORS = {
+    inactivity: 30,
+    sentiment: 20,
+    competitors: 15,
+    slippedCloseDates: 20,
+    pilotHealth: 15
+};
+
+// Lowest score for each level, highest level first
+const RISK_THRESHOLDS = [['critical', 70], ['high', 50], ['medium', 25], ['low', 0]];
+
+const SENTIMENT_VALUES = { positive: 1, neutral: 0, negative: -1 };
+const STRUGGLING_PILOTS = ['struggling', 'failed', 'at_risk', 'blocked', 'stalled'];
+const HEALTHY_PILOTS = ['success', 'successful', 'positive', 'on_track', 'completed'];
+
+const SIGNAL_TYPES = ['dealer_feedback', 'client_feedback', 'competitor_intel', 'pilot_update'];
+
+/**
+ * Risk level for a 0-100 score
+ */
+export function riskLevel(score) {
+    return RISK_THRESHOLDS.find(([, minimum]) => score >= minimum)[0];
+}
+
+/**
+ * Score a deal from its signals. Closed deals carry no risk.
+ */
+export function scoreDealRisk(deal, signals = {}, now = new Date()) {
+    const factors = [
+        inactivityFactor(deal, signals.lastActivityAt, now),
+        sentimentFactor(signals.feedback || []),
+        competitorFactor(deal, signals.competitorMentions || []),
+        slippedCloseFactor(deal, signals.closeDateChanges || [], now),
+        pilotFactor(deal, signals.pilotUpdates || [], now)
+    ].map(factor => ({
+        ...factor,
+        weight: RISK_FACTORS[factor.key],
+        points: Math.round(factor.risk * RISK_FACTORS[factor.key])
+    }));
+
+    const score = CLOSED_STAGES.includes(deal.stage)
+        ? 0
+        : Math.min(100, factors.reduce((sum, factor) => sum + factor.points, 0));
+
+    return { score, level: riskLevel(score), factors };
+}
+
+/**
+ * One line on why a deal scored what it did, biggest factors first
+ */
+export function explainRisk({ score, level, factors }) {
+    const reasons = factors
+        .filter(factor => factor.points > 0)
+        .sort((a, b) => b.points - a.points)
+        .map(factor => factor.detail);
+
+    return `Risk ${score} (${level})${reasons.length > 0 ? `: ${reasons.join('; ')}` : ''}`;
+}
+
+export class DealRiskService {
+    constructor(options = {}) {
+        this.logger = logger.child({ component: 'DealRiskService' });
+        this.db = options.db || db;
+        this.intervalMs = options.intervalMs || SCORE_INTERVAL_MS;
+
+        this.timer = null;
+        this.startupTimer = null;
+        this.lastRun = null;
+    }
+
+    /**
+     * Whether the backing database is available
+     */
+    isAvailable() {
+        return Boolean(this.db?.initialized);
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.startupTimer = setTimeout(() => this.run(), STARTUP_DELAY_MS);
+        this.timer = setInterval(() => this.run(), this.intervalMs);
+        this.startupTimer.unref?.();
+        this.timer.unref?.();
+
+        this.logger.info('Deal risk scoring scheduled');
+    }
+
+    stop() {
+        clearTimeout(this.startupTimer);
+        clearInterval(this.timer);
+        this.startupTimer = null;
+        this.timer = null;
+    }
+
+    /**
+     * Score every open deal once; returns how many were scored, or null without a database
+     */
+    async run(now = new Date()) {
+        if (!this.isAvailable()) return null;
+
+        try {
+            const scored = await this.scoreOpenDeals(now);
+            this.lastRun = {
+                at: now.toISOString(),
+                scored: scored.length,
+                highRisk: scored.filter(result => ['high', 'critical'].includes(result.level)).length
+            };
+
+            this.logger.info('Deal risk scored', this.lastRun);
+            return scored.length;
+        } catch (error) {
+            this.logger.error('Deal risk scoring failed', { error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Score every open deal and record today's scores
+     */
+    async scoreOpenDeals(now = new Date()) {
+        const result = await this.db.query(
+            'SELECT * FROM deals WHERE stage::text <> ALL($1)',
+            [CLOSED_STAGES]
+        );
+
+        const scored = [];
+        for (const deal of result.rows) {
+            scored.push(await this.scoreAndRecord(deal, now));
+        }
+        return scored;
+    }
+
+    /**
+     * Score one deal now and record it as today's score; null when the deal doesn't exist
+     */
+    async scoreDeal(dealId, now = new Date()) {
+        const result = await this.db.query('SELECT * FROM deals WHERE id::text = $1', [String(dealId)]);
+        return result.rows[0] ? this.scoreAndRecord(result.rows[0], now) : null;
+    }
+
+    async scoreAndRecord(deal, now) {
+        const signals = await this.loadSignals(deal, now);
+        const result = scoreDealRisk(deal, signals, now);
+        const scoredOn = now.toISOString().split('T')[0];
+
+        await this.db.query(`
+            INSERT INTO deal_risk_scores (deal_id, scored_on, score, risk_level, factors)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (deal_id, scored_on) DO UPDATE SET
+                score = EXCLUDED.score,
+                risk_level = EXCLUDED.risk_level,
+                factors = EXCLUDED.factors,
+                updated_at = CURRENT_TIMESTAMP
+        `, [deal.id, scoredOn, result.score, result.level, JSON.stringify(result.factors)]);
+
+        return {
+            dealId: deal.id,
+            dealName: deal.name,
+            stage: deal.stage,
+            ...result,
+            explanation: explainRisk(result),
+            scoredOn
+        };
+    }
+
+    /**
+     * Daily scores for a deal over the last few days, oldest first
+     */
+    async getRiskHistory(dealId, { days = 90 } = {}) {
+        const result = await this.db.query(`
+            SELECT scored_on, score, risk_level, factors
+            FROM deal_risk_scores
+            WHERE deal_id::text = $1
+              AND scored_on >= CURRENT_DATE - $2::int
+            ORDER BY scored_on ASC
+        `, [String(dealId), Math.min(Math.max(parseInt(days) || 90, 1), 365)]);
+
+        return result.rows.map(row => ({
+            scoredOn: this.toDate(row.scored_on),
+            score: row.score,
+            level: row.risk_level,
+            factors: row.factors
+        }));
+    }
+
+    /**
+     * Open deals by their latest score, riskiest first, with the change over the last week
+     */
+    async listRiskiestDeals({ limit = 10 } = {}) {
+        const result = await this.db.query(`
+            SELECT * FROM (
+                SELECT DISTINCT ON (r.deal_id)
+                    r.deal_id, r.scored_on, r.score, r.risk_level, r.factors,
+                    d.name as deal_name, d.stage, d.total_contract_value,
+                    tm.external_id as owner_key, tm.name as owner_name,
+                    (
+                        SELECT earlier.score FROM deal_risk_scores earlier
+                        WHERE earlier.deal_id = r.deal_id
+                          AND earlier.scored_on <= r.scored_on - 7
+                        ORDER BY earlier.scored_on DESC
+                        LIMIT 1
+                    ) as week_ago_score
+                FROM deal_risk_scores r
+                JOIN deals d ON d.id = r.deal_id
+                LEFT JOIN team_members tm ON d.owner_id = tm.id
+                WHERE d.stage::text <> ALL($1)
+                ORDER BY r.deal_id, r.scored_on DESC
+            ) latest
+            ORDER BY score DESC
+            LIMIT $2
+        `, [CLOSED_STAGES, Math.min(parseInt(limit) || 10, 100)]);
+
+        return result.rows.map(row => ({
+            dealId: row.deal_id,
+            dealName: row.deal_name,
+            stage: row.stage,
+            value: row.total_contract_value !== null ? parseFloat(row.total_contract_value) : null,
+            owner: row.owner_name || row.owner_key || null,
+            score: row.score,
+            level: row.risk_level,
+            change: row.week_ago_score !== null ? row.score - row.week_ago_score : null,
+            factors: row.factors,
+            explanation: explainRisk({ score: row.score, level: row.risk_level, factors: row.factors }),
+            scoredOn: this.toDate(row.scored_on)
+        }));
+    }
+
+    /**
+     * Last activity, feedback, competitor mentions, close date changes and
+     * pilot updates for a deal
+     */
+    async loadSignals(deal, now) {
+        const since = new Date(now.getTime() - SIGNAL_WINDOW_DAYS * DAY_MS);
+
+        const [activity, extractions, closeDates] = await Promise.all([
+            this.db.query(
+                'SELECT MAX(created_at) as last_activity_at FROM deal_activities WHERE deal_id = $1',
+                [deal.id]
+            ),
+            this.db.query(`
+                SELECT extraction_type, content, created_at
+                FROM update_extractions
+                WHERE (deal_id = $1 OR ($2::uuid IS NOT NULL AND client_id = $2))
+                  AND extraction_type = ANY($3)
+                  AND created_at >= $4
+                ORDER BY created_at ASC
+            `, [deal.id, deal.client_id || null, SIGNAL_TYPES, since]),
+            this.db.query(`
+                SELECT old_value, new_value, created_at
+                FROM deal_activities
+                WHERE deal_id = $1 AND activity_type = 'close_date_change'
+                ORDER BY created_at ASC
+            `, [deal.id])
+        ]);
+
+        const rows = extractions.rows.map(row => ({
+            type: row.extraction_type,
+            at: row.created_at,
+            content: typeof row.content === 'string' ? JSON.parse(row.content) : row.content || {}
+        }));
+
+        const activityTimes = [activity.rows[0]?.last_activity_at, rows[rows.length - 1]?.at]
+            .filter(Boolean)
+            .map(at => new Date(at).getTime());
+
+        return {
+            lastActivityAt: activityTimes.length > 0 ? new Date(Math.max(...activityTimes)) : null,
+            feedback: rows
+                .filter(row => row.type === 'dealer_feedback' || row.type === 'client_feedback')
+                .map(row => ({ sentiment: String(row.content.sentiment || '').toLowerCase(), at: row.at })),
+            competitorMentions: rows
+                .filter(row => row.type === 'competitor_intel')
+                .map(row => ({ competitor: row.content.competitor || null, at: row.at })),
+            closeDateChanges: closeDates.rows.map(row => ({
+                from: row.old_value?.expected_close_date || null,
+                to: row.new_value?.expected_close_date || null,
+                at: row.created_at
+            })),
+            pilotUpdates: rows
+                .filter(row => row.type === 'pilot_update')
+                .map(row => ({ status: String(row.content.status || '').toLowerCase().replace(/[\s-]+/g, '_'), at: row.at }))
+                .reverse()
+        };
+    }
+
+    toDate(value) {
+        return value instanceof Date ? value.toISOString().split('T')[0] : String(value);
+    }
+
+    getStatus() {
+        return {
+            scheduled: this.timer !== null,
+            lastRun: this.lastRun
+        };
+    }
+}
+
+function inactivityFactor(deal, lastActivityAt, now) {
+    const last = lastActivityAt || deal.updated_at || deal.created_at;
+    if (!last) {
+        return factor('inactivity', 'Days since last activity', 0, null, 'No activity recorded');
+    }
+
+    const days = Math.max(0, Math.floor((now - new Date(last)) / DAY_MS));
+    return factor(
+        'inactivity',
+        'Days since last activity',
+        ramp(days, 7, 30),
+        days,
+        days === 0 ? 'Activity today' : `${plural(days, 'day')} since last activity`
+    );
+}
+
+function sentimentFactor(feedback) {
+    const scores = feedback
+        .map(entry => SENTIMENT_VALUES[entry.sentiment])
+        .filter(value => value !== undefined);
+
+    if (scores.length === 0) {
+        return factor('sentiment', 'Sentiment trend', 0, null, 'No client feedback yet');
+    }
+
+    // The last three pieces of feedback against everything before them
+    const recent = average(scores.slice(-3));
+    const earlier = scores.length > 3 ? average(scores.slice(0, -3)) : recent;
+    const trend = recent - earlier;
+
+    const mood = recent <= -0.34 ? 'Negative' : recent >= 0.34 ? 'Positive' : 'Mixed';
+    const direction = trend < 0 ? ', getting worse' : trend > 0 ? ', improving' : '';
+
+    return factor(
+        'sentiment',
+        'Sentiment trend',
+        0.7 * Math.max(0, -recent) + 0.3 * Math.max(0, -trend) / 2,
+        Math.round(recent * 100) / 100,
+        `${mood} recent feedback${direction}`
+    );
+}
+
+function competitorFactor(deal, mentions) {
+    const named = (deal.competitors || []).filter(Boolean);
+    const names = [...new Set([...named, ...mentions.map(mention => mention.competitor).filter(Boolean)])];
+    const count = named.length + mentions.length;
+
+    return factor(
+        'competitors',
+        'Competitor mentions',
+        count / 4,
+        count,
+        count === 0 ? 'No competitors mentioned' : `${plural(count, 'competitor mention')}${names.length > 0 ? ` (${names.join(', ')})` : ''}`
+    );
+}
+
+function slippedCloseFactor(deal, changes, now) {
+    // A day's margin so the same date stored at a different time of day isn't a slip
+    const slips = changes.filter(change => change.from && change.to &&
+        new Date(change.to) - new Date(change.from) >= DAY_MS).length;
+    const overdueDays = deal.expected_close_date && !CLOSED_STAGES.includes(deal.stage)
+        ? Math.floor((now - new Date(deal.expected_close_date)) / DAY_MS)
+        : 0;
+
+    const details = [];
+    if (slips > 0) details.push(`close date pushed back ${plural(slips, 'time')}`);
+    if (overdueDays > 0) details.push(`close date passed ${plural(overdueDays, 'day')} ago`);
+
+    return factor(
+        'slippedCloseDates',
+        'Slipped close dates',
+        slips / 3 + (overdueDays > 0 ? 0.5 : 0),
+        slips,
+        details.length > 0 ? capitalize(details.join(', ')) : 'Close date holding'
+    );
+}
+
+function pilotFactor(deal, updates, now) {
+    const status = updates[0]?.status || null;
+    if (!deal.pilot_start_date && !status) {
+        return factor('pilotHealth', 'Pilot health', 0, null, 'No pilot');
+    }
+
+    const label = status ? status.replace(/_/g, ' ') : null;
+    const ended = deal.pilot_end_date && new Date(deal.pilot_end_date) < now;
+
+    if (STRUGGLING_PILOTS.includes(status)) {
+        return factor('pilotHealth', 'Pilot health', 1, status, `Pilot ${label}`);
+    }
+    if (HEALTHY_PILOTS.includes(status)) {
+        return factor('pilotHealth', 'Pilot health', 0, status, `Pilot ${label}`);
+    }
+    if (ended) {
+        return factor('pilotHealth', 'Pilot health', 0.6, status, 'Pilot ended without a decision');
+    }
+    if (!status) {
+        return factor('pilotHealth', 'Pilot health', 0.3, null, 'No pilot updates');
+    }
+    return factor('pilotHealth', 'Pilot health', 0, status, `Pilot ${label}`);
+}
+
+function factor(key, label, risk, value, detail) {
+    return { key, label, risk: Math.round(ramp(risk, 0, 1) * 100) / 100, value, detail };
+}
+
+function ramp(value, low, high) {
+    return Math.min(1, Math.max(0, (value - low) / (high - low)));
+}
+
+function average(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function plural(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Export singleton instance
+export const dealRiskService = new DealRiskService();
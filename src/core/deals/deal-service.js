@@ -0,0 +1,514 @@
+/**
+ * Deal Service
+ * Pipeline operations on the deals and deal_activities tables
+ */
+
+import { db } from '../database/connection.js';
+import { logger } from '../../utils/logger.js';
+
+export const DEAL_STAGES = [
+    'prospect',
+    'qualified',
+    'proposal',
+    'negotiation',
+    'closed_won',
+    'closed_lost',
+    'on_hold'
+];
+
+export const CLOSED_STAGES = ['closed_won', 'closed_lost'];
+
+export const PRIORITY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+// Columns a caller is allowed to set directly on create/update
+const EDITABLE_FIELDS = [
+    'client_id',
+    'owner_id',
+    'name',
+    'monthly_value',
+    'implementation_fee',
+    'total_contract_value',
+    'probability',
+    'expected_close_date',
+    'priority',
+    'product_type',
+    'use_case',
+    'pilot_start_date',
+    'pilot_end_date',
+    'competitors',
+    'notes'
+];
+
+// Columns compared as numbers and as calendar dates when recording changes
+// (pg returns DECIMAL as '50000.00' and DATE as a Date)
+const NUMERIC_FIELDS = ['monthly_value', 'implementation_fee', 'total_contract_value', 'probability'];
+const DATE_FIELDS = ['expected_close_date', 'pilot_start_date', 'pilot_end_date'];
+
+export class DealService {
+    constructor(options = {}) {
+        this.logger = logger.child({ component: 'DealService' });
+        this.db = options.db || db;
+        this.notificationSystem = options.notificationSystem || null;
+    }
+
+    /**
+     * Whether the backing database is available
+     */
+    isAvailable() {
+        return Boolean(this.db?.initialized);
+    }
+
+    /**
+     * Resolve a team member reference (external id like 'joe' or UUID) to its row
+     */
+    async resolveMember(reference) {
+        if (!reference) return null;
+
+        const result = await this.db.query(`
+            SELECT id, external_id, name, role
+            FROM team_members
+            WHERE external_id = $1 OR id::text = $1
+            LIMIT 1
+        `, [String(reference)]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * List deals with optional filters
+     */
+    async listDeals(filters = {}) {
+        const conditions = [];
+        const params = [];
+
+        const addParam = (value) => {
+            params.push(value);
+            return `$${params.length}`;
+        };
+
+        if (filters.owner) {
+            const ref = addParam(String(filters.owner));
+            conditions.push(`(tm.external_id = ${ref} OR d.owner_id::text = ${ref})`);
+        }
+
+        if (filters.stage) {
+            const stages = this.toList(filters.stage);
+            conditions.push(`d.stage::text = ANY(${addParam(stages)})`);
+        }
+
+        if (filters.priority) {
+            const priorities = this.toList(filters.priority);
+            conditions.push(`d.priority::text = ANY(${addParam(priorities)})`);
+        }
+
+        if (filters.clientId) {
+            conditions.push(`d.client_id::text = ${addParam(filters.clientId)}`);
+        }
+
+        if (filters.closeFrom) {
+            conditions.push(`d.expected_close_date >= ${addParam(filters.closeFrom)}`);
+        }
+
+        if (filters.closeTo) {
+            conditions.push(`d.expected_close_date <= ${addParam(filters.closeTo)}`);
+        }
+
+        if (filters.open === true) {
+            conditions.push(`d.stage::text <> ALL(${addParam(CLOSED_STAGES)})`);
+        }
+
+        if (filters.search) {
+            conditions.push(`d.name ILIKE ${addParam(`%${filters.search}%`)}`);
+        }
+
+        const limit = Math.min(parseInt(filters.limit) || 50, 500);
+        const offset = parseInt(filters.offset) || 0;
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const result = await this.db.query(`
+            SELECT
+                d.*,
+                tm.external_id as owner_key,
+                tm.name as owner_name,
+                c.name as client_name,
+                COUNT(*) OVER() as total_count
+            FROM deals d
+            LEFT JOIN team_members tm ON d.owner_id = tm.id
+            LEFT JOIN clients c ON d.client_id = c.id
+            ${where}
+            ORDER BY d.expected_close_date ASC NULLS LAST, d.updated_at DESC
+            LIMIT ${addParam(limit)} OFFSET ${addParam(offset)}
+        `, params);
+
+        const total = result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
+
+        return {
+            deals: result.rows.map(({ total_count: _total, ...deal }) => deal),
+            total,
+            limit,
+            offset
+        };
+    }
+
+    /**
+     * Get a single deal with owner and client names
+     */
+    async getDeal(dealId) {
+        const result = await this.db.query(`
+            SELECT
+                d.*,
+                tm.external_id as owner_key,
+                tm.name as owner_name,
+                c.name as client_name
+            FROM deals d
+            LEFT JOIN team_members tm ON d.owner_id = tm.id
+            LEFT JOIN clients c ON d.client_id = c.id
+            WHERE d.id::text = $1
+        `, [dealId]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Get activity history for a deal
+     */
+    async getDealActivities(dealId, limit = 50) {
+        const result = await this.db.query(`
+            SELECT
+                da.*,
+                tm.external_id as member_key,
+                tm.name as member_name
+            FROM deal_activities da
+            LEFT JOIN team_members tm ON da.member_id = tm.id
+            WHERE da.deal_id::text = $1
+            ORDER BY da.created_at DESC
+            LIMIT $2
+        `, [dealId, limit]);
+
+        return result.rows;
+    }
+
+    /**
+     * Create a new deal
+     */
+    async createDeal(dealData, actor = null) {
+        const fields = await this.prepareFields(dealData);
+        const stage = dealData.stage || 'prospect';
+
+        const columns = [...Object.keys(fields), 'stage'];
+        const values = [...Object.values(fields), stage];
+        const placeholders = values.map((_, i) => `$${i + 1}`);
+
+        const result = await this.db.query(`
+            INSERT INTO deals (${columns.join(', ')})
+            VALUES (${placeholders.join(', ')})
+            RETURNING *
+        `, values);
+
+        const deal = result.rows[0];
+        const member = await this.resolveMember(actor);
+
+        await this.recordActivity(deal.id, member?.id, 'created', null, { stage }, `Deal created in ${stage}`);
+
+        this.logger.info('Deal created', { dealId: deal.id, name: deal.name, stage });
+
+        return this.getDeal(deal.id);
+    }
+
+    /**
+     * Update deal fields (stage changes go through changeStage)
+     */
+    async updateDeal(dealId, updates, actor = null) {
+        const current = await this.getDeal(dealId);
+        if (!current) return null;
+
+        const fields = await this.prepareFields(updates);
+        const columns = Object.keys(fields);
+
+        if (columns.length > 0) {
+            const setParts = columns.map((column, i) => `${column} = $${i + 1}`);
+
+            await this.db.query(`
+                UPDATE deals
+                SET ${setParts.join(', ')}
+                WHERE id = $${columns.length + 1}
+            `, [...Object.values(fields), current.id]);
+
+            const member = await this.resolveMember(actor);
+            const changed = columns.filter(column => !this.sameValue(column, current[column], fields[column]));
+
+            for (const column of changed) {
+                await this.recordActivity(
+                    current.id,
+                    member?.id,
+                    this.activityTypeFor(column),
+                    { [column]: this.normalizeValue(column, current[column]) },
+                    { [column]: this.normalizeValue(column, fields[column]) },
+                    `${column} changed`
+                );
+            }
+        }
+
+        if (updates.stage && updates.stage !== current.stage) {
+            return this.changeStage(dealId, updates.stage, { actor });
+        }
+
+        return this.getDeal(dealId);
+    }
+
+    /**
+     * Move a deal to a new stage, record the activity and notify
+     */
+    async changeStage(dealId, newStage, options = {}) {
+        const { actor = null, note = null, probability = null } = options;
+
+        if (!DEAL_STAGES.includes(newStage)) {
+            throw new Error(`Invalid deal stage: ${newStage}`);
+        }
+
+        const current = await this.getDeal(dealId);
+        if (!current) return null;
+
+        const previousStage = current.stage;
+        if (previousStage === newStage) {
+            return current;
+        }
+
+        const isClosing = CLOSED_STAGES.includes(newStage);
+        const wasClosed = CLOSED_STAGES.includes(previousStage);
+
+        const setParts = ['stage = $1'];
+        const params = [newStage];
+
+        if (probability !== null && probability !== undefined) {
+            params.push(probability);
+            setParts.push(`probability = $${params.length}`);
+        } else if (newStage === 'closed_won') {
+            setParts.push('probability = 100');
+        } else if (newStage === 'closed_lost') {
+            setParts.push('probability = 0');
+        }
+
+        if (isClosing) {
+            params.push(options.actualCloseDate || new Date().toISOString().split('T')[0]);
+            setParts.push(`actual_close_date = $${params.length}`, 'closed_at = CURRENT_TIMESTAMP');
+        } else if (wasClosed) {
+            // Re-opening a closed deal
+            setParts.push('actual_close_date = NULL', 'closed_at = NULL');
+        }
+
+        params.push(current.id);
+        await this.db.query(`
+            UPDATE deals
+            SET ${setParts.join(', ')}
+            WHERE id = $${params.length}
+        `, params);
+
+        const member = await this.resolveMember(actor);
+
+        await this.recordActivity(
+            current.id,
+            member?.id,
+            'stage_change',
+            { stage: previousStage },
+            { stage: newStage },
+            note || `Stage changed from ${previousStage} to ${newStage}`
+        );
+
+        this.notifyStageChange(current, previousStage, newStage);
+
+        this.logger.info('Deal stage changed', {
+            dealId: current.id,
+            previousStage,
+            newStage
+        });
+
+        return this.getDeal(dealId);
+    }
+
+    /**
+     * Close a deal as won or lost
+     */
+    async closeDeal(dealId, { won, reason = null, actualCloseDate = null, actor = null }) {
+        const stage = won ? 'closed_won' : 'closed_lost';
+        const note = reason ? `Closed ${won ? 'won' : 'lost'}: ${reason}` : null;
+
+        return this.changeStage(dealId, stage, { actor, note, actualCloseDate });
+    }
+
+    /**
+     * Delete a deal and its activity history
+     */
+    async deleteDeal(dealId) {
+        const current = await this.getDeal(dealId);
+        if (!current) return false;
+
+        await this.db.query('DELETE FROM deal_activities WHERE deal_id = $1', [current.id]);
+        await this.db.query('UPDATE update_extractions SET deal_id = NULL WHERE deal_id = $1', [current.id]);
+        await this.db.query('UPDATE ai_follow_ups SET deal_id = NULL WHERE deal_id = $1', [current.id]);
+        await this.db.query('DELETE FROM deals WHERE id = $1', [current.id]);
+
+        this.logger.info('Deal deleted', { dealId: current.id, name: current.name });
+        return true;
+    }
+
+    /**
+     * Pipeline totals grouped by stage
+     */
+    async getPipelineByStage(filters = {}) {
+        const params = [];
+        let ownerFilter = '';
+
+        if (filters.owner) {
+            params.push(String(filters.owner));
+            ownerFilter = 'AND (tm.external_id = $1 OR d.owner_id::text = $1)';
+        }
+
+        const result = await this.db.query(`
+            SELECT
+                d.stage,
+                COUNT(*) as deal_count,
+                COALESCE(SUM(d.total_contract_value), 0) as total_value,
+                COALESCE(SUM(d.monthly_value), 0) as monthly_value,
+                COALESCE(SUM(d.total_contract_value * d.probability / 100), 0) as weighted_value
+            FROM deals d
+            LEFT JOIN team_members tm ON d.owner_id = tm.id
+            WHERE 1 = 1 ${ownerFilter}
+            GROUP BY d.stage
+        `, params);
+
+        return result.rows;
+    }
+
+    /**
+     * Write a deal_activities row
+     */
+    async recordActivity(dealId, memberId, activityType, oldValue, newValue, description) {
+        const result = await this.db.query(`
+            INSERT INTO deal_activities (
+                deal_id, member_id, activity_type, old_value, new_value, description
+            ) VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [
+            dealId,
+            memberId || null,
+            activityType,
+            oldValue ? JSON.stringify(oldValue) : null,
+            newValue ? JSON.stringify(newValue) : null,
+            description
+        ]);
+
+        return result.rows[0];
+    }
+
+    /**
+     * Forward stage changes to the notification system
+     */
+    notifyStageChange(deal, previousStage, newStage) {
+        if (!this.notificationSystem) return;
+
+        try {
+            this.notificationSystem.emit('dealStatusChange', {
+                dealId: deal.id,
+                dealName: deal.name,
+                previousStage,
+                newStage,
+                value: parseFloat(deal.total_contract_value || deal.monthly_value || 0),
+                owner: deal.owner_name || deal.owner_key || 'Unassigned'
+            });
+        } catch (error) {
+            this.logger.warn('Failed to notify deal stage change', {
+                error: error.message,
+                dealId: deal.id
+            });
+        }
+    }
+
+    /**
+     * Pick editable columns from input and resolve owner references
+     */
+    async prepareFields(input) {
+        const fields = {};
+
+        for (const field of EDITABLE_FIELDS) {
+            if (input[field] !== undefined) {
+                fields[field] = input[field];
+            }
+        }
+
+        // Allow "owner: 'joe'" as a convenience for owner_id
+        if (input.owner !== undefined && fields.owner_id === undefined) {
+            fields.owner_id = input.owner;
+        }
+
+        if (fields.owner_id) {
+            const member = await this.resolveMember(fields.owner_id);
+            if (!member) {
+                throw new Error(`Team member not found: ${fields.owner_id}`);
+            }
+            fields.owner_id = member.id;
+        }
+
+        return fields;
+    }
+
+    /**
+     * Whether a stored value and an incoming one are the same for this column
+     */
+    sameValue(column, stored, incoming) {
+        return JSON.stringify(this.normalizeValue(column, stored)) ===
+            JSON.stringify(this.normalizeValue(column, incoming));
+    }
+
+    /**
+     * Comparable form of a column value: numbers for amounts, YYYY-MM-DD for
+     * dates, null for empty
+     */
+    normalizeValue(column, value) {
+        if (value === undefined || value === null || value === '') return null;
+
+        if (NUMERIC_FIELDS.includes(column)) {
+            const number = Number(value);
+            return Number.isNaN(number) ? String(value) : number;
+        }
+
+        if (DATE_FIELDS.includes(column)) {
+            if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+                return value.slice(0, 10);
+            }
+            // pg builds DATE values at local midnight
+            const date = value instanceof Date ? value : new Date(value);
+            if (Number.isNaN(date.getTime())) return String(value);
+            const pad = (part) => String(part).padStart(2, '0');
+            return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        }
+
+        return Array.isArray(value) ? value : String(value);
+    }
+
+    /**
+     * Map a changed column to a deal_activities activity_type
+     */
+    activityTypeFor(column) {
+        if (['monthly_value', 'implementation_fee', 'total_contract_value'].includes(column)) {
+            return 'amount_change';
+        }
+        if (column === 'expected_close_date') return 'close_date_change';
+        if (column === 'owner_id') return 'owner_change';
+        if (column === 'probability') return 'probability_change';
+        return 'field_change';
+    }
+
+    /**
+     * Accept comma-separated strings or arrays for list filters
+     */
+    toList(value) {
+        return (Array.isArray(value) ? value : String(value).split(','))
+            .map(v => v.trim())
+            .filter(Boolean);
+    }
+}
+
+// Export singleton instance
+export const dealService = new DealService();
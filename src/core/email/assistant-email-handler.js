@@ -9,6 +9,7 @@ import { emailParser } from './email-parser.js';
 import { mailgunClient } from './mailgun-client.js';
 import { PersonalAssistantFactory } from '../agents/personal-assistant-factory.js';
 import { emailContextExtractor } from './context-extractor.js';
+import { documentIngestionService } from '../ingestion/document-ingestion-service.js';
 
 export class AssistantEmailHandler {
     constructor(config = {}) {
@@ -165,6 +166,9 @@ export class AssistantEmailHandler {
             // Store email in database
             const storedEmail = await this.storeAssistantEmail(parsedEmail, assistant, emailData);
             
+            // Hand attachments to document ingestion
+            await this.ingestAttachments(storedEmail, assistant);
+            
             // Process with personal assistant
             const { processedUpdate, emailContext } = await this.processWithAssistant(storedEmail, assistant);
             
@@ -261,6 +265,29 @@ export class AssistantEmailHandler {
         }
     }
 
+    /**
+     * Queue supported attachments for extraction; failures never block the email
+     */
+    async ingestAttachments(storedEmail, assistant) {
+        if (!storedEmail.attachments?.length) return;
+
+        try {
+            const documents = await documentIngestionService.ingestAttachments(storedEmail.attachments, {
+                memberName: assistant.externalId,
+                emailId: storedEmail.id
+            });
+
+            if (documents.length > 0) {
+                this.logger.info('Email attachments queued for ingestion', {
+                    messageId: storedEmail.messageId,
+                    documents: documents.length
+                });
+            }
+        } catch (error) {
+            this.logger.error('Failed to hand off email attachments', { error: error.message });
+        }
+    }
+
     /**
      * Process email with personal assistant
      */
@@ -284,8 +311,11 @@ Subject: ${storedEmail.subject}
 ${storedEmail.cleanText || storedEmail.text}
             `.trim();
             
-            // Process with assistant using email context
-            const processedUpdate = await personalAssistant.processUpdate(emailContent, emailContext);
+            // Process with assistant using email context; emailId lets memories link back to the email
+            const processedUpdate = await personalAssistant.processUpdate(emailContent, {
+                ...emailContext,
+                emailId: storedEmail.id
+            });
             
             // Store processing result with context
             await this.storeProcessingResult(storedEmail.id, processedUpdate, emailContext);
@@ -28,7 +28,7 @@ export class MailgunClient {
     }
 
     /**
-     * Send an email
+     * Send an email; attachments are [{ filename, contentType, data }]
      */
     async sendEmail(emailData) {
         if (!this.enabled) {
@@ -44,8 +44,9 @@ export class MailgunClient {
         }
         
         try {
-            // Use fetch to send email via Mailgun API
-            const formData = new URLSearchParams();
+            // Use fetch to send email via Mailgun API; attachments need a multipart body
+            const attachments = emailData.attachments || [];
+            const formData = attachments.length > 0 ? new FormData() : new URLSearchParams();
             formData.append('from', emailData.from);
             formData.append('to', emailData.to);
             formData.append('subject', emailData.subject);
@@ -57,13 +58,19 @@ export class MailgunClient {
             if (emailData.tags) {
                 emailData.tags.forEach(tag => formData.append('o:tag', tag));
             }
+            for (const attachment of attachments) {
+                formData.append('attachment', new Blob([attachment.data], { type: attachment.contentType }), attachment.filename);
+            }
+            
+            const headers = {
+                'Authorization': `Basic ${Buffer.from(`api:${this.config.apiKey}`).toString('base64')}`
+            };
+            // fetch sets the multipart boundary itself
+            if (attachments.length === 0) headers['Content-Type'] = 'application/x-www-form-urlencoded';
             
             const response = await fetch(`${this.config.baseUrl}/v3/${this.config.domain}/messages`, {
                 method: 'POST',
-                headers: {
-                    'Authorization': `Basic ${Buffer.from(`api:${this.config.apiKey}`).toString('base64')}`,
-                    'Content-Type': 'application/x-www-form-urlencoded'
-                },
+                headers,
                 body: formData
             });
             
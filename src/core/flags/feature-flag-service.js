@@ -0,0 +1,339 @@
+/**
+ * Feature Flag Service
+ * Evaluates config/feature-flags.json at runtime: attribute conditions,
+ * dated percentage rollouts and weighted experiment variants, with sticky
+ * per-user bucketing and admin overrides
+ *
+ * Evaluation order: override, enabled, conditions (all must match),
+ * experiment variant, rollout percentage, then on for everyone.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { db } from '../database/connection.js';
+import { logger } from '../../utils/logger.js';
+
+export const CONDITION_OPERATORS = ['equals', 'not_equals', 'in', 'not_in', 'contains'];
+
+export class FeatureFlagService {
+    constructor(options = {}) {
+        this.logger = logger.child({ component: 'FeatureFlagService' });
+        this.db = options.db || db;
+        this.flagsPath = options.flagsPath || new URL('../../../config/feature-flags.json', import.meta.url);
+        this.environment = options.environment || process.env.NODE_ENV || 'development';
+        this.flags = options.flags || {};
+
+        // "<flag>:<username>" or "<flag>:*" for everyone
+        this.overrides = new Map();
+    }
+
+    /**
+     * Whether overrides can be persisted
+     */
+    isAvailable() {
+        return Boolean(this.db?.initialized);
+    }
+
+    async initialize() {
+        try {
+            await this.load();
+        } catch (error) {
+            this.logger.error('Failed to load feature flags', { error: error.message });
+        }
+
+        await this.loadOverrides();
+    }
+
+    /**
+     * Read and validate feature-flags.json; a bad file leaves the current flags in place
+     */
+    async load() {
+        const flags = JSON.parse(await fs.promises.readFile(this.flagsPath, 'utf8'));
+
+        for (const [name, flag] of Object.entries(flags)) {
+            this.validateFlag(name, flag);
+        }
+
+        this.flags = flags;
+        this.logger.info('Feature flags loaded', { flags: Object.keys(flags).length });
+        return this.listFlags();
+    }
+
+    validateFlag(name, flag) {
+        if (typeof flag !== 'object' || flag === null || typeof flag.enabled !== 'boolean') {
+            throw new Error(`Invalid feature flag ${name}: needs a boolean "enabled"`);
+        }
+
+        for (const condition of flag.conditions || []) {
+            if (!condition.attribute || !CONDITION_OPERATORS.includes(condition.operator)) {
+                throw new Error(`Invalid condition on feature flag ${name}: operator must be one of ${CONDITION_OPERATORS.join(', ')}`);
+            }
+        }
+
+        const variants = flag.experiment?.variants;
+        if (flag.experiment && (!Array.isArray(variants) || variants.length === 0 ||
+            variants.some(variant => !variant.name || !(variant.weight >= 0)))) {
+            throw new Error(`Invalid experiment on feature flag ${name}: variants need a name and weight`);
+        }
+    }
+
+    async loadOverrides() {
+        if (!this.isAvailable()) return;
+
+        try {
+            const result = await this.db.query('SELECT * FROM feature_flag_overrides');
+
+            this.overrides.clear();
+            for (const row of result.rows) {
+                this.overrides.set(this.overrideKey(row.flag_name, row.username), this.toOverride(row));
+            }
+        } catch (error) {
+            this.logger.error('Failed to load feature flag overrides', { error: error.message });
+        }
+    }
+
+    /**
+     * Evaluation context for a signed-in user (req.user)
+     */
+    contextFor(user = null, attributes = {}) {
+        return {
+            environment: this.environment,
+            ...attributes,
+            user: user ? { id: user.id || user.username, username: user.username, role: user.role } : null
+        };
+    }
+
+    /**
+     * Value and variant of a flag for this context, and why
+     */
+    evaluate(name, context = {}) {
+        const flag = this.flags[name];
+        if (!flag) {
+            return { flag: name, value: false, variant: null, reason: 'unknown_flag' };
+        }
+
+        const result = (value, reason, variant = null) => ({ flag: name, value, variant, reason });
+        const username = context.user?.username;
+        const override = (username && this.overrides.get(this.overrideKey(name, username))) ||
+            this.overrides.get(this.overrideKey(name, null));
+
+        if (override) {
+            return result(override.value, 'override', override.variant);
+        }
+
+        if (!flag.enabled) {
+            return result(flag.defaultValue ?? false, 'disabled');
+        }
+
+        if (flag.conditions?.length && !flag.conditions.every(condition => this.matchesCondition(condition, context))) {
+            return result(flag.defaultValue ?? false, 'conditions_not_met');
+        }
+
+        // Bucket on the username: the prompt registry only knows members by
+        // username, and account ids differ between database and env logins
+        const userKey = context.user?.username || context.user?.id || null;
+
+        if (flag.experiment) {
+            const variant = this.assignVariant(flag.experiment, userKey);
+            return result(variant.value, 'experiment', variant.name);
+        }
+
+        if (flag.rollout) {
+            const percentage = this.currentRolloutPercentage(flag.rollout);
+            const inRollout = percentage >= 100 || (userKey !== null && this.bucket(name, userKey) < percentage);
+            return inRollout ? result(true, 'rollout') : result(flag.defaultValue ?? false, 'not_in_rollout');
+        }
+
+        return result(true, 'enabled');
+    }
+
+    /**
+     * Every flag evaluated for one context, e.g. for the browser
+     */
+    evaluateAll(context = {}) {
+        return Object.fromEntries(Object.keys(this.flags).map(name => {
+            const { value, variant, reason } = this.evaluate(name, context);
+            return [name, { value, variant, reason }];
+        }));
+    }
+
+    isEnabled(name, context = {}) {
+        return Boolean(this.evaluate(name, context).value);
+    }
+
+    getVariant(name, context = {}) {
+        return this.evaluate(name, context).variant;
+    }
+
+    /**
+     * Percentage of the latest stage whose start date has passed (0 before the first)
+     */
+    currentRolloutPercentage(rollout, now = new Date()) {
+        if (rollout.type && rollout.type !== 'percentage') return 0;
+        if (typeof rollout.percentage === 'number') return rollout.percentage;
+
+        let percentage = 0;
+        for (const stage of rollout.stages || []) {
+            if (new Date(stage.startDate) <= now) {
+                percentage = stage.percentage;
+            }
+        }
+
+        return percentage;
+    }
+
+    /**
+     * Weighted variant, sticky per user; users without an identity get the first variant
+     */
+    assignVariant(experiment, userKey) {
+        const variants = experiment.variants;
+        if (userKey === null) return variants[0];
+
+        const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+        const point = this.bucket(experiment.name, userKey) / 100 * totalWeight;
+
+        let cumulative = 0;
+        for (const variant of variants) {
+            cumulative += variant.weight;
+            if (point < cumulative) return variant;
+        }
+
+        return variants[variants.length - 1];
+    }
+
+    /**
+     * Stable position in [0, 100) for a user within a flag or experiment
+     */
+    bucket(seed, userKey) {
+        const hash = crypto.createHash('sha256').update(`${seed}:${userKey}`).digest();
+        return hash.readUInt32BE(0) / 0x100000000 * 100;
+    }
+
+    matchesCondition(condition, context) {
+        const actual = condition.attribute.split('.').reduce((value, key) => value?.[key], context);
+        const expected = condition.value;
+
+        switch (condition.operator) {
+        case 'equals':
+            return actual === expected;
+        case 'not_equals':
+            return actual !== expected;
+        case 'in':
+            return Array.isArray(expected) && expected.includes(actual);
+        case 'not_in':
+            return Array.isArray(expected) && !expected.includes(actual);
+        case 'contains':
+            return Array.isArray(actual) ? actual.includes(expected) : String(actual ?? '').includes(expected);
+        default:
+            return false;
+        }
+    }
+
+    /**
+     * Flag definitions with the current rollout stage and any overrides
+     */
+    listFlags() {
+        return Object.entries(this.flags).map(([name, flag]) => this.describeFlag(name, flag));
+    }
+
+    getFlag(name) {
+        const flag = this.flags[name];
+        return flag ? this.describeFlag(name, flag) : null;
+    }
+
+    describeFlag(name, flag) {
+        return {
+            name,
+            description: flag.description || null,
+            enabled: flag.enabled,
+            defaultValue: flag.defaultValue ?? false,
+            conditions: flag.conditions || [],
+            rollout: flag.rollout ? {
+                ...flag.rollout,
+                currentPercentage: this.currentRolloutPercentage(flag.rollout)
+            } : null,
+            experiment: flag.experiment || null,
+            overrides: [...this.overrides.values()].filter(override => override.flag === name)
+        };
+    }
+
+    /**
+     * Force a flag's value for everyone, or for one user. For experiments,
+     * name a variant and its value is used.
+     */
+    async setOverride(name, { value, variant = null, username = null, createdBy = null }) {
+        const flag = this.flags[name];
+        if (!flag) return null;
+
+        if (variant !== null) {
+            const match = flag.experiment?.variants.find(candidate => candidate.name === variant);
+            if (!match) {
+                throw new Error(`Invalid variant for ${name}: ${variant}`);
+            }
+            value = match.value;
+        }
+
+        if (value === undefined) {
+            throw new Error('Invalid override: provide a value or a variant');
+        }
+
+        let override = {
+            flag: name,
+            username,
+            value,
+            variant,
+            createdBy,
+            updatedAt: new Date().toISOString()
+        };
+
+        if (this.isAvailable()) {
+            const result = await this.db.query(`
+                INSERT INTO feature_flag_overrides (flag_name, username, value, variant, created_by)
+                VALUES ($1, $2, $3, $4, $5)
+                ON CONFLICT (flag_name, COALESCE(username, ''))
+                DO UPDATE SET value = EXCLUDED.value, variant = EXCLUDED.variant, created_by = EXCLUDED.created_by
+                RETURNING *
+            `, [name, username, JSON.stringify(value), variant, createdBy]);
+            override = this.toOverride(result.rows[0]);
+        }
+
+        this.overrides.set(this.overrideKey(name, username), override);
+        this.logger.info('Feature flag override set', { flag: name, username, value, variant });
+
+        return override;
+    }
+
+    async clearOverride(name, username = null) {
+        const key = this.overrideKey(name, username);
+        if (!this.overrides.has(key)) return false;
+
+        if (this.isAvailable()) {
+            await this.db.query(`
+                DELETE FROM feature_flag_overrides
+                WHERE flag_name = $1 AND COALESCE(username, '') = COALESCE($2, '')
+            `, [name, username]);
+        }
+
+        this.overrides.delete(key);
+        this.logger.info('Feature flag override cleared', { flag: name, username });
+        return true;
+    }
+
+    overrideKey(name, username) {
+        return `${name}:${username || '*'}`;
+    }
+
+    toOverride(row) {
+        return {
+            flag: row.flag_name,
+            username: row.username,
+            value: row.value,
+            variant: row.variant,
+            createdBy: row.created_by,
+            updatedAt: row.updated_at
+        };
+    }
+}
+
+// Export singleton instance
+export const featureFlagService = new FeatureFlagService();
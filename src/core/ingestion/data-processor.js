@@ -149,8 +149,11 @@ export class DataProcessor {
             if (typeof fileResult.content.text === 'string') {
                 text = fileResult.content.text;
             } else if (fileResult.content.sheets) {
-                // Excel/CSV - convert to text
+                // Excel - convert to text
                 text = this.sheetsToText(fileResult.content.sheets);
+            } else if (fileResult.content.rows) {
+                // CSV - a single sheet of rows
+                text = this.sheetsToText({ [fileResult.fileInfo?.fileName || 'CSV']: fileResult.content.rows });
             } else if (fileResult.content.pages) {
                 // PDF - combine pages
                 text = fileResult.content.pages.map(p => p.text).join('\n\n');
@@ -0,0 +1,434 @@
+/**
+ * Document Ingestion Service
+ * Runs uploaded files and email attachments through FileProcessor and
+ * DataProcessor, then stores the results as update_extractions
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { db } from '../database/connection.js';
+import { logger } from '../../utils/logger.js';
+import { fileProcessor as defaultFileProcessor } from './file-processor.js';
+import { dataProcessor as defaultDataProcessor } from './data-processor.js';
+
+export const INGESTION_QUEUE = 'document-ingestion';
+
+export const INGESTION_STATUSES = ['queued', 'processing', 'completed', 'failed'];
+
+// DataProcessor entity types that are stored, and their extraction_type
+const STORED_ENTITY_TYPES = {
+    dealer: 'dealer_mention',
+    person: 'contact',
+    money: 'money_amount',
+    action_item: 'action_item'
+};
+
+export class DocumentIngestionService {
+    constructor(options = {}) {
+        this.logger = logger.child({ component: 'DocumentIngestionService' });
+        this.db = options.db || db;
+        this.fileProcessor = options.fileProcessor || defaultFileProcessor;
+        this.dataProcessor = options.dataProcessor || defaultDataProcessor;
+        this.queueManager = options.queueManager || null;
+        this.storageDir = options.storageDir || process.env.INGESTION_DIR || path.join(os.tmpdir(), 'team-crm-ingestion');
+    }
+
+    /**
+     * Whether the backing database is available
+     */
+    isAvailable() {
+        return Boolean(this.db?.initialized);
+    }
+
+    /**
+     * Use a queue for processing. Without one, documents are processed in-process.
+     */
+    setQueueManager(queueManager) {
+        this.queueManager = queueManager;
+    }
+
+    /**
+     * Whether a file name has a format FileProcessor understands
+     */
+    isSupported(fileName) {
+        return this.fileProcessor.detectFileType(fileName) !== 'unknown';
+    }
+
+    /**
+     * Register a stored file and schedule it for processing
+     */
+    async ingestFile({ filePath, originalName, mimeType, size, memberName, source = 'upload', emailId = null, clientId = null, dealId = null }) {
+        if (!this.isSupported(originalName)) {
+            throw new Error(`Invalid file type: ${path.extname(originalName) || originalName} is not supported`);
+        }
+
+        const result = await this.db.query(`
+            INSERT INTO ingested_documents (
+                member_id, member_name, source, email_id, original_name, stored_path,
+                mime_type, file_size, file_type, client_id, deal_id
+            )
+            VALUES (
+                (SELECT id FROM team_members WHERE external_id = $1 LIMIT 1), $1,
+                $2, $3, $4, $5, $6, $7, $8, $9, $10
+            )
+            RETURNING *
+        `, [
+            memberName || null,
+            source,
+            emailId,
+            originalName.slice(0, 255),
+            filePath,
+            mimeType || null,
+            size || null,
+            this.fileProcessor.detectFileType(originalName),
+            clientId,
+            dealId
+        ]);
+
+        const document = result.rows[0];
+        const jobId = await this.schedule(document.id);
+
+        if (jobId) {
+            await this.db.query('UPDATE ingested_documents SET job_id = $2 WHERE id = $1', [document.id, jobId]);
+            document.job_id = jobId;
+        }
+
+        this.logger.info('Document queued for ingestion', {
+            documentId: document.id,
+            fileName: originalName,
+            source,
+            queued: Boolean(jobId)
+        });
+
+        return document;
+    }
+
+    /**
+     * Hand off email attachments (as returned by EmailParser.processAttachments)
+     */
+    async ingestAttachments(attachments, { memberName, emailId = null }) {
+        const documents = [];
+
+        for (const attachment of attachments || []) {
+            if (!attachment.filename || !attachment.content || !this.isSupported(attachment.filename)) {
+                continue;
+            }
+
+            try {
+                const filePath = await this.storeBuffer(attachment.content, attachment.filename);
+                documents.push(await this.ingestFile({
+                    filePath,
+                    originalName: attachment.filename,
+                    mimeType: attachment.contentType,
+                    size: attachment.size,
+                    memberName,
+                    source: 'email',
+                    emailId
+                }));
+            } catch (error) {
+                this.logger.error('Failed to ingest email attachment', {
+                    filename: attachment.filename,
+                    error: error.message
+                });
+            }
+        }
+
+        return documents;
+    }
+
+    /**
+     * Write a buffer into the ingestion directory, keeping the extension
+     * FileProcessor uses to pick a parser
+     */
+    async storeBuffer(buffer, fileName) {
+        await fs.mkdir(this.storageDir, { recursive: true });
+
+        const filePath = path.join(this.storageDir, `${crypto.randomUUID()}${path.extname(fileName).toLowerCase()}`);
+        await fs.writeFile(filePath, buffer);
+
+        return filePath;
+    }
+
+    /**
+     * Queue a document, or process it on the next tick when no queue is running
+     */
+    async schedule(documentId) {
+        if (this.queueManager?.isInitialized) {
+            try {
+                const job = await this.queueManager.addJob(INGESTION_QUEUE, 'process-document', {
+                    jobType: 'process-document',
+                    data: { documentId }
+                });
+                return job?.id ? String(job.id) : null;
+            } catch (error) {
+                this.logger.warn('Could not queue document, processing in-process', { documentId, error: error.message });
+            }
+        }
+
+        setImmediate(() => {
+            this.processDocument(documentId).catch(error => {
+                this.logger.error('Document ingestion failed', { documentId, error: error.message });
+            });
+        });
+
+        return null;
+    }
+
+    /**
+     * Run a queued document through the pipeline and store what it found.
+     * The stored file is kept after a failure until the last attempt.
+     */
+    async processDocument(documentId, { finalAttempt = true } = {}) {
+        const started = await this.db.query(`
+            UPDATE ingested_documents
+            SET status = 'processing', started_at = CURRENT_TIMESTAMP, error = NULL
+            WHERE id = $1 AND status IN ('queued', 'failed', 'processing')
+            RETURNING *
+        `, [documentId]);
+
+        const document = started.rows[0];
+        if (!document) {
+            throw new Error(`Document not found: ${documentId}`);
+        }
+
+        try {
+            const fileResult = await this.fileProcessor.processFile(document.stored_path);
+            if (fileResult.success === false) {
+                throw new Error(fileResult.error);
+            }
+
+            const dataResult = await this.dataProcessor.processData(fileResult, {
+                source: document.source === 'email' ? 'email_attachment' : 'file_ingestion',
+                memberName: document.member_name
+            });
+            if (!dataResult.success) {
+                throw new Error(dataResult.error);
+            }
+
+            const stored = await this.storeResults(document, dataResult);
+
+            const completed = await this.db.query(`
+                UPDATE ingested_documents
+                SET status = 'completed', completed_at = CURRENT_TIMESTAMP,
+                    summary = $2, entity_counts = $3, extraction_count = $4, update_id = $5
+                WHERE id = $1
+                RETURNING *
+            `, [
+                document.id,
+                dataResult.structuredData.summary.text || null,
+                JSON.stringify(stored.entityCounts),
+                stored.extractionCount,
+                stored.updateId
+            ]);
+
+            await this.removeFile(document.stored_path);
+
+            this.logger.info('Document ingested', {
+                documentId: document.id,
+                extractions: stored.extractionCount
+            });
+
+            return completed.rows[0];
+
+        } catch (error) {
+            await this.db.query(`
+                UPDATE ingested_documents
+                SET status = 'failed', error = $2, completed_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+            `, [document.id, error.message]);
+
+            if (finalAttempt) {
+                await this.removeFile(document.stored_path);
+            }
+
+            throw error;
+        }
+    }
+
+    /**
+     * Store a team update for the document plus one extraction per entity,
+     * linked to the client and deal they mention
+     */
+    async storeResults(document, dataResult) {
+        const entities = dataResult.extraction.entities.filter(entity => STORED_ENTITY_TYPES[entity.type]);
+        const dealerLinks = await this.resolveDealerLinks(entities.filter(entity => entity.type === 'dealer'));
+        const defaultLink = await this.resolveDefaultLink(document, dealerLinks);
+
+        const client = await this.db.getClient();
+        try {
+            await client.query('BEGIN');
+
+            const update = await client.query(`
+                INSERT INTO team_updates (member_id, update_text, source)
+                VALUES ($1, $2, $3)
+                RETURNING id
+            `, [
+                document.member_id,
+                `Document "${document.original_name}": ${dataResult.structuredData.summary.text || 'no summary'}`,
+                document.source === 'email' ? 'email' : 'api'
+            ]);
+            const updateId = update.rows[0].id;
+
+            const entityCounts = {};
+            for (const entity of entities) {
+                const link = entity.type === 'dealer'
+                    ? dealerLinks.get(entity.value.toLowerCase()) || defaultLink
+                    : defaultLink;
+
+                await client.query(`
+                    INSERT INTO update_extractions (update_id, deal_id, client_id, extraction_type, content, confidence_score)
+                    VALUES ($1, $2, $3, $4, $5, $6)
+                `, [
+                    updateId,
+                    link.dealId,
+                    link.clientId,
+                    STORED_ENTITY_TYPES[entity.type],
+                    JSON.stringify({
+                        ...entity,
+                        documentId: document.id,
+                        fileName: document.original_name
+                    }),
+                    Math.min(Math.max(entity.confidence || 0, 0), 1).toFixed(2)
+                ]);
+
+                entityCounts[entity.type] = (entityCounts[entity.type] || 0) + 1;
+            }
+
+            await client.query('COMMIT');
+
+            return { updateId, entityCounts, extractionCount: entities.length };
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Match dealer names to clients and each client's most recent open deal
+     */
+    async resolveDealerLinks(dealers) {
+        const links = new Map();
+
+        for (const dealer of dealers) {
+            const key = dealer.value.toLowerCase();
+            if (links.has(key)) continue;
+
+            const result = await this.db.query(`
+                SELECT c.id AS client_id, (
+                    SELECT d.id FROM deals d
+                    WHERE d.client_id = c.id AND d.stage NOT IN ('closed_won', 'closed_lost')
+                    ORDER BY d.updated_at DESC
+                    LIMIT 1
+                ) AS deal_id
+                FROM clients c
+                WHERE LOWER(c.name) = $1
+                LIMIT 1
+            `, [key]);
+
+            if (result.rows[0]) {
+                links.set(key, { clientId: result.rows[0].client_id, dealId: result.rows[0].deal_id });
+            }
+        }
+
+        return links;
+    }
+
+    /**
+     * Link for entities that don't name a dealer: whatever the uploader chose,
+     * otherwise the one client the document mentions
+     */
+    async resolveDefaultLink(document, dealerLinks) {
+        if (document.client_id || document.deal_id) {
+            let clientId = document.client_id;
+
+            if (!clientId && document.deal_id) {
+                const deal = await this.db.query('SELECT client_id FROM deals WHERE id = $1', [document.deal_id]);
+                clientId = deal.rows[0]?.client_id || null;
+            }
+
+            return { clientId, dealId: document.deal_id };
+        }
+
+        const matched = [...new Map([...dealerLinks.values()].map(link => [link.clientId, link])).values()];
+        return matched.length === 1 ? matched[0] : { clientId: null, dealId: null };
+    }
+
+    /**
+     * Get a document
+     */
+    async getDocument(documentId) {
+        const result = await this.db.query(
+            'SELECT * FROM ingested_documents WHERE id::text = $1',
+            [String(documentId)]
+        );
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * List documents, newest first
+     */
+    async listDocuments({ memberName = null, status = null, limit = 50 } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (memberName) {
+            params.push(memberName);
+            conditions.push(`member_name = $${params.length}`);
+        }
+
+        if (status) {
+            params.push(status);
+            conditions.push(`status = $${params.length}`);
+        }
+
+        params.push(limit);
+
+        const result = await this.db.query(`
+            SELECT id, member_name, source, original_name, mime_type, file_size, file_type,
+                   client_id, deal_id, update_id, status, summary, entity_counts,
+                   extraction_count, error, created_at, completed_at
+            FROM ingested_documents
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY created_at DESC
+            LIMIT $${params.length}
+        `, params);
+
+        return result.rows;
+    }
+
+    /**
+     * Extractions stored for a document
+     */
+    async getDocumentExtractions(document) {
+        if (!document.update_id) return [];
+
+        const result = await this.db.query(`
+            SELECT ue.id, ue.extraction_type, ue.content, ue.confidence_score,
+                   ue.client_id, c.name AS client_name, ue.deal_id, d.name AS deal_name
+            FROM update_extractions ue
+            LEFT JOIN clients c ON c.id = ue.client_id
+            LEFT JOIN deals d ON d.id = ue.deal_id
+            WHERE ue.update_id = $1
+            ORDER BY ue.extraction_type, ue.created_at
+        `, [document.update_id]);
+
+        return result.rows;
+    }
+
+    async removeFile(filePath) {
+        try {
+            await fs.unlink(filePath);
+        } catch (error) {
+            this.logger.warn('Could not remove ingested file', { filePath, error: error.message });
+        }
+    }
+}
+
+// Export singleton instance
+export const documentIngestionService = new DocumentIngestionService();
@@ -5,14 +5,18 @@
 
 import { db, dbHelpers } from '../database/connection.js';
 import { v4 as uuidv4 } from 'uuid';
-import OpenAI from 'openai';
+import { LLMRouter } from '../../ai/llm/llm-router.js';
+import { extractionPlugins } from '../plugins/extraction-plugin-registry.js';
+import { BUDGET_EXCEEDED } from '../usage/ai-usage-service.js';
+import { promptRegistry } from '../../ai/prompts/prompt-registry.js';
 
 export class AIIntelligenceEngine {
-    constructor(apiKey) {
-        this.openai = new OpenAI({ 
-            apiKey: apiKey,
-            baseURL: 'https://openrouter.ai/api/v1' 
-        });
+    constructor(llm = null, options = {}) {
+        // Model calls go through the orchestrator's router, like the rest of the pipeline
+        this.llm = llm || new LLMRouter();
+        this.plugins = options.plugins || extractionPlugins;
+        // Versioned extraction prompt and its experiment arm
+        this.prompts = options.prompts || promptRegistry;
         this.initialized = false;
         this.memoryCache = new Map();
         this.riskCheckInterval = null;
@@ -28,6 +32,9 @@ export class AIIntelligenceEngine {
             // Load existing memory into cache
             await this.loadMemoryCache();
             
+            // Custom extraction types from the plugins directory
+            await this.plugins.initialize();
+            
             // Start periodic risk detection
             this.startRiskDetection();
             
@@ -108,10 +115,30 @@ export class AIIntelligenceEngine {
      * Extract intelligence from update text
      */
     async extractUpdateIntelligence(updateText, member, memberContext) {
+        const { extractions } = await this.runExtraction(updateText, member, memberContext);
+        return extractions;
+    }
+
+    /**
+     * Extract with the member's version of the extraction prompt. Returns the
+     * extractions and the prompt run ({ runId, key, version, arm, experiment })
+     * that thumbs up/down feedback attaches to; prompt is null when no model
+     * call was made.
+     */
+    async runExtraction(updateText, member, memberContext = []) {
         const contextSummary = memberContext
             .map(c => c.context_data.summary || '')
             .join('\n');
 
+        const pluginTypes = this.plugins.getPromptFragments();
+        const typeList = ['deal_update', 'dealer_feedback', 'action_item', 'risk', 'opportunity', 'competitor_intel', 'pilot_update']
+            .concat(pluginTypes.map(plugin => plugin.type))
+            .map(type => `"${type}"`)
+            .join(' | ');
+        const pluginFields = pluginTypes
+            .map(plugin => `\n    // For ${plugin.type}: ${plugin.prompt}`)
+            .join('');
+
         const prompt = `You are an AI sales intelligence assistant analyzing a team update from ${member.name} (${member.role}).
 
 Previous context about this team member:
@@ -122,7 +149,7 @@ Current update:
 
 Extract and categorize ALL relevant information from this update about automotive dealerships and AI solutions. Return a JSON array of extractions, where each extraction has:
 {
-  "type": "deal_update" | "dealer_feedback" | "action_item" | "risk" | "opportunity" | "competitor_intel" | "pilot_update",
+  "type": ${typeList},
   "confidence": 0.0-1.0,
   "data": {
     // Type-specific fields
@@ -132,7 +159,7 @@ Extract and categorize ALL relevant information from this update about automotiv
     // For action_item: task, assignee, dueDate, priority
     // For risk: description, severity, dealershipName, mitigation
     // For opportunity: description, potential, dealershipName, expansionType, nextSteps
-    // For competitor_intel: competitor, intel, impact, source
+    // For competitor_intel: competitor, intel, impact, source${pluginFields}
   },
   "entities": {
     "dealerships": ["DealerName1", "DealerName2"],
@@ -144,25 +171,109 @@ Extract and categorize ALL relevant information from this update about automotiv
 
 Be thorough and extract multiple items if the update contains different pieces of information.`;
 
+        const systemPrompt = this.prompts.render('extraction', {
+            memberName: member.name,
+            role: member.role || 'Team Member',
+            focusAreas: (member.focus_areas || []).join(', ')
+        }, member.external_id || null);
+
+        const startTime = Date.now();
+        let response = null;
         try {
-            const completion = await this.openai.chat.completions.create({
-                model: 'anthropic/claude-3-sonnet',
+            // Recorded in ai_usage and checked against the member's daily budget
+            response = await this.llm.chat({
+                task: 'extraction',
+                feature: 'extraction',
+                memberName: member.external_id || null,
                 messages: [
-                    { role: 'system', content: 'You are a sales intelligence extraction expert. Always return valid JSON.' },
+                    { role: 'system', content: `${systemPrompt.text}\n\nAlways return valid JSON.` },
                     { role: 'user', content: prompt }
                 ],
                 temperature: 0.3,
-                max_tokens: 2000
+                maxTokens: 2000
             });
 
-            const responseText = completion.choices[0].message.content;
-            const extractions = JSON.parse(responseText);
+            const parsed = JSON.parse(response.content);
             
-            return Array.isArray(extractions) ? extractions : [extractions];
+            // Anything without a type can't be processed
+            const extractions = (Array.isArray(parsed) ? parsed : [parsed]).filter(extraction => extraction?.type);
+            const confidences = extractions.map(extraction => extraction.confidence).filter(value => typeof value === 'number');
+
+            const runId = await this.prompts.recordRun(systemPrompt, {
+                response,
+                latencyMs: Date.now() - startTime,
+                confidence: confidences.length > 0 ? confidences.reduce((sum, value) => sum + value, 0) / confidences.length : null
+            });
+
+            return {
+                extractions: extractions.map(extraction => ({ ...extraction, promptRunId: runId })),
+                prompt: this.describePrompt(systemPrompt, runId)
+            };
         } catch (error) {
+            // Out of today's budget: keep the update useful with keyword matching
+            if (error.code === BUDGET_EXCEEDED) {
+                console.warn(`AI budget used up for ${member.external_id}, using basic extraction`);
+                return { extractions: this.basicExtraction(updateText, member), prompt: null };
+            }
             console.error('Error extracting intelligence:', error);
-            return [];
+
+            // A reply that can't be parsed counts against the prompt version
+            if (!response) return { extractions: [], prompt: null };
+            const runId = await this.prompts.recordRun(systemPrompt, { response, latencyMs: Date.now() - startTime, success: false });
+            return { extractions: [], prompt: this.describePrompt(systemPrompt, runId) };
+        }
+    }
+
+    /**
+     * Prompt version details returned with extractions, so feedback can be tied to the run
+     */
+    describePrompt(prompt, runId) {
+        return {
+            runId,
+            key: prompt.key,
+            version: prompt.version,
+            arm: prompt.arm,
+            experiment: prompt.experiment
+        };
+    }
+
+    /**
+     * Keyword-based extraction for when the model can't be called
+     */
+    basicExtraction(updateText, member) {
+        const lowerText = updateText.toLowerCase();
+        const extractions = [];
+
+        if (lowerText.includes('need to') || lowerText.includes('should') || lowerText.includes('will')) {
+            extractions.push({
+                type: 'action_item',
+                confidence: 0.3,
+                data: {
+                    task: 'Follow up on items mentioned in update',
+                    assignee: 'self',
+                    dueDate: null,
+                    priority: 'medium'
+                },
+                entities: {},
+                source: 'basic-keywords'
+            });
+        }
+
+        if (lowerText.includes('urgent') || lowerText.includes('critical') || lowerText.includes('asap')) {
+            extractions.push({
+                type: 'risk',
+                confidence: 0.4,
+                data: {
+                    description: `High priority matter mentioned by ${member.name}`,
+                    severity: 'high',
+                    mitigation: null
+                },
+                entities: {},
+                source: 'basic-keywords'
+            });
         }
+
+        return extractions;
     }
 
     /**
@@ -170,6 +281,13 @@ Be thorough and extract multiple items if the update contains different pieces o
      */
     async processExtraction(updateId, memberId, extraction) {
         try {
+            // Plugin types must match their schema before anything is saved
+            const schemaErrors = this.plugins.validateExtraction(extraction.type, extraction.data);
+            if (schemaErrors.length > 0) {
+                console.warn(`Skipping ${extraction.type} extraction: ${schemaErrors.join(', ')}`);
+                return;
+            }
+
             // Save the extraction
             const savedExtraction = await db.query(`
                 INSERT INTO update_extractions (
@@ -203,6 +321,8 @@ Be thorough and extract multiple items if the update contains different pieces o
                 case 'action_item':
                     await this.processActionItem(extractionId, memberId, extraction);
                     break;
+                default:
+                    await this.plugins.handle(extraction.type, { extraction, extractionId, updateId, memberId });
             }
 
             // Update entity contexts
@@ -1048,6 +1168,6 @@ Be thorough and extract multiple items if the update contains different pieces o
 }
 
 // Export singleton factory
-export const createAIIntelligenceEngine = (apiKey) => {
-    return new AIIntelligenceEngine(apiKey);
+export const createAIIntelligenceEngine = (llm) => {
+    return new AIIntelligenceEngine(llm);
 };
\ No newline at end of file
@@ -0,0 +1,499 @@
+/**
+ * Executive Intelligence Service
+ * Interventions, executive comments and team activity for the executive
+ * dashboard, stored in the database (or process memory without one)
+ */
+
+import crypto from 'crypto';
+import { db } from '../database/connection.js';
+import { logger } from '../../utils/logger.js';
+
+export const INTERVENTION_STATUSES = ['open', 'acknowledged', 'snoozed', 'resolved'];
+
+export const URGENCY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+// In-memory feeds are capped so a long-running process doesn't grow forever
+const MEMORY_LIMIT = 500;
+
+export class ExecutiveIntelligenceService {
+    constructor(options = {}) {
+        this.logger = logger.child({ component: 'ExecutiveIntelligenceService' });
+        this.db = options.db || db;
+        this.memory = {
+            interventions: [],
+            comments: [],
+            activity: []
+        };
+    }
+
+    /**
+     * Whether the backing database is available
+     */
+    isAvailable() {
+        return Boolean(this.db?.initialized);
+    }
+
+    /**
+     * Record an intervention. An unresolved intervention with the same
+     * source is returned instead of creating a duplicate.
+     */
+    async createIntervention(data) {
+        const urgency = URGENCY_LEVELS.includes(data.urgency) ? data.urgency : 'medium';
+
+        if (data.sourceRef) {
+            const existing = await this.findOpenBySource(data.sourceType, data.sourceRef);
+            if (existing) return { intervention: existing, created: false };
+        }
+
+        if (!this.isAvailable()) {
+            const intervention = {
+                id: crypto.randomUUID(),
+                type: data.sourceType,
+                sourceRef: data.sourceRef || null,
+                memberName: data.memberName || null,
+                title: data.title,
+                description: data.description || null,
+                urgency,
+                dealValue: data.dealValue || null,
+                clientName: data.clientName || null,
+                context: data.context || {},
+                recommendedActions: data.recommendedActions || [],
+                status: 'open',
+                acknowledgedBy: null,
+                acknowledgedAt: null,
+                snoozedBy: null,
+                snoozedUntil: null,
+                resolvedBy: null,
+                resolvedAt: null,
+                resolutionNote: null,
+                timestamp: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            };
+
+            this.remember('interventions', intervention);
+            return { intervention, created: true };
+        }
+
+        const result = await this.db.query(`
+            INSERT INTO executive_interventions (
+                source_type, source_ref, member_id, member_name, title, description,
+                urgency, deal_value, client_name, context, recommended_actions
+            )
+            VALUES (
+                $1, $2, (SELECT id FROM team_members WHERE external_id = $3 LIMIT 1), $3,
+                $4, $5, $6, $7, $8, $9, $10
+            )
+            RETURNING *
+        `, [
+            data.sourceType,
+            data.sourceRef || null,
+            data.memberName || null,
+            String(data.title).slice(0, 255),
+            data.description || null,
+            urgency,
+            data.dealValue || null,
+            data.clientName || null,
+            JSON.stringify(data.context || {}),
+            JSON.stringify(data.recommendedActions || [])
+        ]);
+
+        return { intervention: this.toIntervention(result.rows[0]), created: true };
+    }
+
+    /**
+     * Find an unresolved intervention raised from the same source
+     */
+    async findOpenBySource(sourceType, sourceRef) {
+        if (!this.isAvailable()) {
+            return this.memory.interventions.find(item =>
+                item.type === sourceType && item.sourceRef === sourceRef && item.status !== 'resolved'
+            ) || null;
+        }
+
+        const result = await this.db.query(`
+            SELECT * FROM executive_interventions
+            WHERE source_type = $1 AND source_ref = $2 AND status <> 'resolved'
+            ORDER BY created_at DESC
+            LIMIT 1
+        `, [sourceType, sourceRef]);
+
+        return result.rows[0] ? this.toIntervention(result.rows[0]) : null;
+    }
+
+    /**
+     * List interventions. By default only the ones waiting on an executive:
+     * open, acknowledged, and snoozed ones whose snooze has run out. A null
+     * limit lists them all.
+     */
+    async listInterventions({ status = null, limit = 50 } = {}) {
+        if (status && !INTERVENTION_STATUSES.includes(status)) {
+            throw new Error(`Invalid status: choose from ${INTERVENTION_STATUSES.join(', ')}`);
+        }
+
+        if (!this.isAvailable()) {
+            const now = new Date();
+            return this.memory.interventions
+                .filter(item => status
+                    ? item.status === status
+                    : item.status === 'open' || item.status === 'acknowledged' ||
+                        (item.status === 'snoozed' && new Date(item.snoozedUntil) <= now))
+                .slice(0, limit ?? undefined);
+        }
+
+        const params = [limit];
+        const condition = status
+            ? `status = $${params.push(status)}`
+            : `(status IN ('open', 'acknowledged')
+                OR (status = 'snoozed' AND snoozed_until <= CURRENT_TIMESTAMP))`;
+
+        const result = await this.db.query(`
+            SELECT * FROM executive_interventions
+            WHERE ${condition}
+            ORDER BY created_at DESC
+            LIMIT $1
+        `, params);
+
+        return result.rows.map(row => this.toIntervention(row));
+    }
+
+    /**
+     * Current status of each intervention by id; ids that don't exist are left out
+     */
+    async getInterventionStatuses(ids) {
+        const wanted = ids.map(String);
+        if (wanted.length === 0) return new Map();
+
+        if (!this.isAvailable()) {
+            return new Map(this.memory.interventions
+                .filter(item => wanted.includes(String(item.id)))
+                .map(item => [String(item.id), item.status]));
+        }
+
+        const result = await this.db.query(
+            'SELECT id, status FROM executive_interventions WHERE id::text = ANY($1)',
+            [wanted]
+        );
+
+        return new Map(result.rows.map(row => [String(row.id), row.status]));
+    }
+
+    /**
+     * Get a single intervention
+     */
+    async getIntervention(id) {
+        if (!this.isAvailable()) {
+            return this.memory.interventions.find(item => item.id === id) || null;
+        }
+
+        const result = await this.db.query(
+            'SELECT * FROM executive_interventions WHERE id::text = $1',
+            [String(id)]
+        );
+
+        return result.rows[0] ? this.toIntervention(result.rows[0]) : null;
+    }
+
+    /**
+     * Mark an intervention as seen by an executive
+     */
+    async acknowledgeIntervention(id, actor) {
+        return this.transition(id, 'acknowledged', {
+            acknowledged_by: actor,
+            acknowledged_at: new Date()
+        });
+    }
+
+    /**
+     * Hide an intervention until the given time
+     */
+    async snoozeIntervention(id, actor, until) {
+        if (!(until instanceof Date) || isNaN(until) || until <= new Date()) {
+            throw new Error('Invalid snooze: pick a time in the future');
+        }
+
+        return this.transition(id, 'snoozed', {
+            snoozed_by: actor,
+            snoozed_until: until
+        });
+    }
+
+    /**
+     * Close an intervention with an optional note
+     */
+    async resolveIntervention(id, actor, note = null) {
+        return this.transition(id, 'resolved', {
+            resolved_by: actor,
+            resolved_at: new Date(),
+            resolution_note: note
+        });
+    }
+
+    /**
+     * Move an intervention to a new status. Resolved interventions are final.
+     */
+    async transition(id, status, fields) {
+        if (!this.isAvailable()) {
+            const intervention = await this.getIntervention(id);
+            if (!intervention || intervention.status === 'resolved') return null;
+
+            Object.assign(intervention, this.toIntervention({ ...this.toRow(intervention), ...fields, status }));
+            intervention.updatedAt = new Date().toISOString();
+            return intervention;
+        }
+
+        const columns = Object.keys(fields);
+        const assignments = columns.map((column, index) => `${column} = $${index + 3}`);
+
+        const result = await this.db.query(`
+            UPDATE executive_interventions
+            SET status = $2, ${assignments.join(', ')}
+            WHERE id::text = $1 AND status <> 'resolved'
+            RETURNING *
+        `, [String(id), status, ...columns.map(column => fields[column])]);
+
+        return result.rows[0] ? this.toIntervention(result.rows[0]) : null;
+    }
+
+    /**
+     * Store an executive comment, or a reply when parentId is given
+     */
+    async createComment(data) {
+        if (!this.isAvailable()) {
+            const comment = {
+                id: crypto.randomUUID(),
+                parentId: data.parentId || null,
+                interventionId: data.interventionId || null,
+                message: data.message,
+                author: data.author,
+                assignee: data.assignee || null,
+                priority: data.priority || 'normal',
+                status: 'sent',
+                timestamp: new Date().toISOString()
+            };
+
+            this.remember('comments', comment);
+            return comment;
+        }
+
+        const result = await this.db.query(`
+            INSERT INTO executive_comments (parent_id, intervention_id, message, author, assignee, priority)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [
+            data.parentId || null,
+            data.interventionId || null,
+            data.message,
+            data.author,
+            data.assignee || null,
+            data.priority || 'normal'
+        ]);
+
+        return this.toComment(result.rows[0]);
+    }
+
+    /**
+     * Get a single comment
+     */
+    async getComment(id) {
+        if (!this.isAvailable()) {
+            return this.memory.comments.find(comment => comment.id === id) || null;
+        }
+
+        const result = await this.db.query(
+            'SELECT * FROM executive_comments WHERE id::text = $1',
+            [String(id)]
+        );
+
+        return result.rows[0] ? this.toComment(result.rows[0]) : null;
+    }
+
+    /**
+     * Latest top-level comments, each with its replies (oldest first)
+     */
+    async listComments(limit = 10) {
+        let comments;
+        let replies;
+
+        if (!this.isAvailable()) {
+            comments = this.memory.comments.filter(comment => !comment.parentId).slice(0, limit);
+            replies = this.memory.comments.filter(comment => comment.parentId).reverse();
+        } else {
+            const result = await this.db.query(`
+                SELECT * FROM executive_comments
+                WHERE parent_id IS NULL
+                ORDER BY created_at DESC
+                LIMIT $1
+            `, [limit]);
+            comments = result.rows.map(row => this.toComment(row));
+
+            const replyResult = comments.length
+                ? await this.db.query(`
+                    SELECT * FROM executive_comments
+                    WHERE parent_id::text = ANY($1)
+                    ORDER BY created_at ASC
+                `, [comments.map(comment => String(comment.id))])
+                : { rows: [] };
+            replies = replyResult.rows.map(row => this.toComment(row));
+        }
+
+        return comments.map(comment => ({
+            ...comment,
+            responses: replies.filter(reply => String(reply.parentId) === String(comment.id))
+        }));
+    }
+
+    /**
+     * Add an entry to the team activity feed
+     */
+    async recordActivity(data) {
+        if (!this.isAvailable()) {
+            const activity = {
+                id: crypto.randomUUID(),
+                memberName: data.memberName || null,
+                summary: data.summary,
+                tags: data.tags || [],
+                context: data.context || {},
+                source: data.source || 'update',
+                timestamp: new Date().toISOString()
+            };
+
+            this.remember('activity', activity);
+            return activity;
+        }
+
+        const result = await this.db.query(`
+            INSERT INTO team_activity (member_id, member_name, summary, tags, context, source)
+            VALUES ((SELECT id FROM team_members WHERE external_id = $1 LIMIT 1), $1, $2, $3, $4, $5)
+            RETURNING *
+        `, [
+            data.memberName || null,
+            data.summary,
+            JSON.stringify(data.tags || []),
+            JSON.stringify(data.context || {}),
+            data.source || 'update'
+        ]);
+
+        return this.toActivity(result.rows[0]);
+    }
+
+    /**
+     * Most recent team activity, newest first
+     */
+    async listActivity(limit = 50) {
+        if (!this.isAvailable()) {
+            return this.memory.activity.slice(0, limit);
+        }
+
+        const result = await this.db.query(`
+            SELECT * FROM team_activity
+            ORDER BY created_at DESC
+            LIMIT $1
+        `, [limit]);
+
+        return result.rows.map(row => this.toActivity(row));
+    }
+
+    /**
+     * Count activity entries since a point in time
+     */
+    async countActivitySince(since) {
+        if (!this.isAvailable()) {
+            return this.memory.activity.filter(item => new Date(item.timestamp) >= since).length;
+        }
+
+        const result = await this.db.query(
+            'SELECT COUNT(*)::int AS count FROM team_activity WHERE created_at >= $1',
+            [since]
+        );
+
+        return result.rows[0].count;
+    }
+
+    remember(feed, item) {
+        this.memory[feed].unshift(item);
+        if (this.memory[feed].length > MEMORY_LIMIT) {
+            this.memory[feed].length = MEMORY_LIMIT;
+        }
+    }
+
+    toIntervention(row) {
+        return {
+            id: row.id,
+            type: row.source_type,
+            sourceRef: row.source_ref || null,
+            memberName: row.member_name || null,
+            title: row.title,
+            description: row.description || null,
+            urgency: row.urgency,
+            dealValue: row.deal_value !== null && row.deal_value !== undefined ? Number(row.deal_value) : null,
+            clientName: row.client_name || null,
+            context: row.context || {},
+            recommendedActions: row.recommended_actions || [],
+            status: row.status,
+            acknowledgedBy: row.acknowledged_by || null,
+            acknowledgedAt: row.acknowledged_at || null,
+            snoozedBy: row.snoozed_by || null,
+            snoozedUntil: row.snoozed_until || null,
+            resolvedBy: row.resolved_by || null,
+            resolvedAt: row.resolved_at || null,
+            resolutionNote: row.resolution_note || null,
+            timestamp: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    toRow(intervention) {
+        return {
+            id: intervention.id,
+            source_type: intervention.type,
+            source_ref: intervention.sourceRef,
+            member_name: intervention.memberName,
+            title: intervention.title,
+            description: intervention.description,
+            urgency: intervention.urgency,
+            deal_value: intervention.dealValue,
+            client_name: intervention.clientName,
+            context: intervention.context,
+            recommended_actions: intervention.recommendedActions,
+            status: intervention.status,
+            acknowledged_by: intervention.acknowledgedBy,
+            acknowledged_at: intervention.acknowledgedAt,
+            snoozed_by: intervention.snoozedBy,
+            snoozed_until: intervention.snoozedUntil,
+            resolved_by: intervention.resolvedBy,
+            resolved_at: intervention.resolvedAt,
+            resolution_note: intervention.resolutionNote,
+            created_at: intervention.timestamp,
+            updated_at: intervention.updatedAt
+        };
+    }
+
+    toComment(row) {
+        return {
+            id: row.id,
+            parentId: row.parent_id || null,
+            interventionId: row.intervention_id || null,
+            message: row.message,
+            author: row.author,
+            assignee: row.assignee || null,
+            priority: row.priority,
+            status: row.status,
+            timestamp: row.created_at
+        };
+    }
+
+    toActivity(row) {
+        return {
+            id: row.id,
+            memberName: row.member_name || null,
+            summary: row.summary,
+            tags: row.tags || [],
+            context: row.context || {},
+            source: row.source,
+            timestamp: row.created_at
+        };
+    }
+}
+
+// Export singleton instance
+export const executiveIntelligenceService = new ExecutiveIntelligenceService();
@@ -430,11 +430,29 @@ export class KeywordFilter {
     }
 
     /**
-     * Update configuration (for dynamic configuration changes)
+     * Update configuration (for dynamic configuration changes). An invalid
+     * keyword section throws and keeps the current keywords; a config without
+     * one turns filtering off, as it does at startup.
      */
     updateConfiguration(newConfig) {
-        this.config = newConfig;
+        const previous = {
+            config: this.config,
+            keywordConfig: this.keywordConfig,
+            enabled: this.enabled,
+            compiledKeywords: this.compiledKeywords
+        };
+
+        try {
+            this.config = newConfig;
+            this.loadConfiguration();
+        } catch (error) {
+            if (newConfig.business_rules?.keyword_filtering) {
+                Object.assign(this, previous);
+                throw error;
+            }
+            this.enabled = false;
+        }
+
         this.matchCache.clear(); // Clear cache when config changes
-        this.initialize();
     }
 }
\ No newline at end of file
@@ -4,7 +4,7 @@
  */
 
 import { EnhancedPersonalAssistant } from '../agents/enhanced-personal-assistant.js';
-import { MasterExecutiveAgent } from '../agents/simple-master-agent.js';
+import { MasterExecutiveAgent } from '../agents/master-executive-agent.js';
 import { AIRetryHandler } from '../../utils/ai-retry-handler.js';
 import { logger } from '../../utils/logger.js';
 
@@ -54,7 +54,12 @@ export class AIProcessingWorker {
             }
             
             // Initialize master executive agent
-            this.masterAgent = new MasterExecutiveAgent(this.aiProvider, this.memorySystem);
+            this.masterAgent = new MasterExecutiveAgent(
+                teamConfig?.team?.executives?.[0] || { id: 'executive', name: 'Executive' },
+                this.aiProvider,
+                this.memorySystem,
+                { processing: teamConfig?.ai_configuration?.processing }
+            );
             
             this.logger.info('AI Processing Worker initialized successfully', {
                 assistants: this.assistants.size,
@@ -143,10 +148,7 @@ export class AIProcessingWorker {
             
             // Generate summary with retry logic
             const result = await this.retryHandler.executeWithRetry(async () => {
-                return await this.masterAgent.generateComprehensiveSummary(updates, {
-                    timeframe,
-                    ...options
-                });
+                return await this.masterAgent.generateExecutiveSummary(updates, timeframe, options);
             });
             
             const processingTime = Date.now() - startTime;
@@ -349,17 +351,18 @@ Identify:
 Return insights as a JSON array of objects with: type, description, confidence, and impact.`;
 
         const response = await this.aiProvider.chat({
-            model: 'claude-3-sonnet',
+            task: 'analysis',
+            feature: 'insight',
             messages: [{ role: 'user', content: prompt }],
             temperature: 0.3
         });
         
         try {
-            return JSON.parse(response.choices[0].message.content);
+            return JSON.parse(response.content);
         } catch (error) {
             return [{
                 type: 'trend_analysis',
-                description: response.choices[0].message.content,
+                description: response.content,
                 confidence: 0.7,
                 impact: 'medium'
             }];
@@ -442,13 +445,14 @@ Return a JSON object with:
 }`;
 
         const response = await this.aiProvider.chat({
-            model: 'claude-3-sonnet',
+            task: 'extraction',
+            feature: 'insight',
             messages: [{ role: 'user', content: prompt }],
             temperature: 0.2
         });
         
         try {
-            const result = JSON.parse(response.choices[0].message.content);
+            const result = JSON.parse(response.content);
             return {
                 text: text.substring(0, 100),
                 ...result
@@ -7,6 +7,8 @@ import { Queue, Worker, QueueEvents } from 'bullmq';
 import Redis from 'ioredis';
 import { logger } from '../../utils/logger.js';
 import { AIRetryHandler } from '../../utils/ai-retry-handler.js';
+import { documentIngestionService } from '../ingestion/document-ingestion-service.js';
+import { outboundWebhookService, MAX_ATTEMPTS, RETRY_BASE_DELAY_MS } from '../webhooks/outbound-webhook-service.js';
 
 export class QueueManager {
     constructor(options = {}) {
@@ -102,6 +104,32 @@ export class QueueManager {
                     removeOnFail: 20,
                     attempts: 1 // Analytics failures shouldn't retry aggressively
                 }
+            },
+            'document-ingestion': {
+                name: 'document-ingestion',
+                concurrency: 2,
+                defaultJobOptions: {
+                    removeOnComplete: 50,
+                    removeOnFail: 50,
+                    attempts: 2,
+                    backoff: {
+                        type: 'exponential',
+                        delay: 5000
+                    }
+                }
+            },
+            'webhook-delivery': {
+                name: 'webhook-delivery',
+                concurrency: 5,
+                defaultJobOptions: {
+                    removeOnComplete: 100,
+                    removeOnFail: 100,
+                    attempts: MAX_ATTEMPTS,
+                    backoff: {
+                        type: 'exponential',
+                        delay: RETRY_BASE_DELAY_MS
+                    }
+                }
             }
         };
         
@@ -224,7 +252,9 @@ export class QueueManager {
             'executive-summaries': this.processExecutiveSummaryJob.bind(this),
             'memory-processing': this.processMemoryJob.bind(this),
             'notifications': this.processNotificationJob.bind(this),
-            'analytics': this.processAnalyticsJob.bind(this)
+            'analytics': this.processAnalyticsJob.bind(this),
+            'document-ingestion': this.processIngestionJob.bind(this),
+            'webhook-delivery': this.processWebhookJob.bind(this)
         };
         
         return processors[queueName] || this.processGenericJob.bind(this);
@@ -468,6 +498,63 @@ export class QueueManager {
         }
     }
     
+    /**
+     * Process document ingestion jobs
+     */
+    async processIngestionJob(job) {
+        try {
+            this.logger.info(`Processing ingestion job: ${job.name}`, { jobId: job.id });
+            
+            const { jobType, data } = job.data;
+            let result;
+            
+            switch (jobType) {
+                case 'process-document':
+                    result = await documentIngestionService.processDocument(data.documentId, {
+                        finalAttempt: job.attemptsMade + 1 >= (job.opts.attempts || 1)
+                    });
+                    break;
+                    
+                default:
+                    throw new Error(`Unknown ingestion job type: ${jobType}`);
+            }
+            
+            this.stats.jobsProcessed++;
+            return { documentId: result.id, status: result.status, extractions: result.extraction_count };
+            
+        } catch (error) {
+            this.stats.jobsFailed++;
+            this.logger.error(`Ingestion job failed: ${job.name}`, {
+                jobId: job.id,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+    
+    /**
+     * Process outbound webhook deliveries; throwing hands the retry to the queue's backoff
+     */
+    async processWebhookJob(job) {
+        const { jobType, data } = job.data;
+        
+        if (jobType !== 'deliver-webhook') {
+            throw new Error(`Unknown webhook job type: ${jobType}`);
+        }
+        
+        const delivery = await outboundWebhookService.deliver(data.deliveryId, {
+            maxAttempts: job.opts.attempts || MAX_ATTEMPTS
+        });
+        
+        if (delivery.status === 'retrying') {
+            this.stats.jobsFailed++;
+            throw new Error(delivery.last_error);
+        }
+        
+        this.stats.jobsProcessed++;
+        return { deliveryId: delivery.id, status: delivery.status, attempts: delivery.attempts };
+    }
+    
     /**
      * Process generic jobs
      */
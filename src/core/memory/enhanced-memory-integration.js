@@ -8,9 +8,15 @@
  * - Tracking project progress and patterns
  * - Cross-session learning for better extraction and summarization
  * - Executive summary history and trends
+ *
+ * Uses Supermemory when SUPERMEMORY_API_KEY is set, otherwise the built-in
+ * Postgres store (LocalMemoryStore), so memory also works offline. Memories
+ * written to Supermemory are kept in the local store too, for the memory
+ * inspector, right-to-forget and the retention purge.
  */
 
 import fetch from 'node-fetch';
+import { LocalMemoryStore } from './local-memory-store.js';
 
 export class EnhancedMemoryIntegration {
     constructor(config = {}) {
@@ -22,15 +28,19 @@ export class EnhancedMemoryIntegration {
             ...config
         };
         
-        this.enabled = Boolean(this.config.apiKey);
+        this.backend = this.config.apiKey ? 'supermemory' : 'local';
+        this.local = this.backend === 'local'
+            ? this.config.localStore || new LocalMemoryStore({ collection: this.config.collection })
+            : null;
+        this.mirror = this.backend === 'supermemory'
+            ? this.config.localStore || new LocalMemoryStore({ collection: this.config.collection })
+            : null;
+        
+        this.enabled = true;
         this.memoryCache = new Map();
         this.lastCleanup = Date.now();
         
-        if (!this.enabled) {
-            console.log('SuperMemory integration disabled - no API key provided');
-        } else {
-            console.log(`Memory integration initialized for collection: ${this.config.collection}`);
-        }
+        console.log(`Memory integration initialized for collection: ${this.config.collection} (${this.backend})`);
     }
     
     /**
@@ -42,6 +52,10 @@ export class EnhancedMemoryIntegration {
             return false;
         }
         
+        if (this.local) {
+            return await this.local.storeMemory(memoryId, content, metadata);
+        }
+        
         try {
             const memoryData = {
                 id: memoryId,
@@ -60,6 +74,8 @@ export class EnhancedMemoryIntegration {
             });
             
             if (response.success) {
+                await this.mirror.storeMemory(memoryId, content, memoryData.metadata);
+
                 // Cache locally for quick access
                 this.memoryCache.set(memoryId, {
                     content,
@@ -87,6 +103,14 @@ export class EnhancedMemoryIntegration {
             return [];
         }
         
+        if (this.local) {
+            // Supermemory's minRelevance thresholds don't carry over to hashed n-gram scores
+            return await this.local.searchRelevantMemories(query, {
+                ...options,
+                minRelevance: this.config.localMinRelevance
+            });
+        }
+        
         try {
             const searchParams = {
                 query,
@@ -123,6 +147,14 @@ export class EnhancedMemoryIntegration {
      * Get memories for a specific team member
      */
     async getMemberMemories(memberName, options = {}) {
+        if (!this.enabled) {
+            return [];
+        }
+        
+        if (this.local) {
+            return await this.local.getMemberMemories(memberName, options);
+        }
+        
         try {
             const query = `member:${memberName}`;
             const searchOptions = {
@@ -344,6 +376,15 @@ export class EnhancedMemoryIntegration {
      * Get memory statistics
      */
     async getMemoryStats() {
+        if (this.local) {
+            return {
+                ...await this.local.getMemoryStats(),
+                backend: this.backend,
+                cacheSize: this.memoryCache.size,
+                enabled: this.enabled
+            };
+        }
+        
         try {
             const response = await this.makeRequest('/memories/stats', {
                 method: 'GET'
@@ -441,10 +482,10 @@ export class EnhancedMemoryIntegration {
     }
     
     /**
-     * Enable memory integration (if API key available)
+     * Enable memory integration
      */
     enable() {
-        this.enabled = Boolean(this.config.apiKey);
-        console.log(`Memory integration ${this.enabled ? 'enabled' : 'still disabled (no API key)'}`);
+        this.enabled = true;
+        console.log(`Memory integration enabled (${this.backend})`);
     }
 }
\ No newline at end of file
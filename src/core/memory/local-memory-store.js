@@ -0,0 +1,485 @@
+/**
+ * LOCAL MEMORY STORE
+ * Built-in memory backend: memories live in the Postgres memories table with
+ * a hashed n-gram embedding, so memory works without Supermemory or Redis.
+ * Search ranks the newest memories that match the filter by cosine similarity.
+ *
+ * Same interface as EnhancedMemoryIntegration: storeMemory,
+ * searchRelevantMemories and getMemberMemories.
+ *
+ * When Supermemory is the memory backend, every memory written there is
+ * also kept here, so the inspector and retention purge see it; corrections
+ * and deletes then go to Supermemory first and fail loudly when they can't.
+ */
+
+import { db } from '../database/connection.js';
+import { logger } from '../../utils/logger.js';
+import { supermemoryClient } from './supermemory-client.js';
+
+export const EMBEDDING_MODEL = 'hashed-ngram-v1';
+
+export const EMBEDDING_DIMENSIONS = 512;
+
+export const DEFAULT_COLLECTION = 'team-crm-default';
+
+// Hashed n-gram similarities run well below model embeddings
+export const DEFAULT_MIN_RELEVANCE = 0.1;
+
+// Newest matching memories scored per search
+const MAX_CANDIDATES = 2000;
+
+const CHAR_NGRAM = 3;
+
+/**
+ * Hashed bag of words, word bigrams and character trigrams, L2-normalized.
+ * Trigrams let "dealership" and "dealerships" land close together.
+ */
+export function embedText(text, dimensions = EMBEDDING_DIMENSIONS) {
+    const vector = new Array(dimensions).fill(0);
+    const words = String(text || '').toLowerCase().match(/[a-z0-9$%]+/g) || [];
+
+    const add = (feature, weight) => {
+        const hash = fnv1a(feature);
+        vector[hash % dimensions] += (hash & 0x80000000) ? -weight : weight;
+    };
+
+    words.forEach((word, i) => {
+        add(`w:${word}`, 1);
+        if (i > 0) add(`b:${words[i - 1]} ${word}`, 0.5);
+
+        const padded = ` ${word} `;
+        for (let j = 0; j + CHAR_NGRAM <= padded.length; j++) {
+            add(`c:${padded.slice(j, j + CHAR_NGRAM)}`, 0.25);
+        }
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm === 0 ? vector : vector.map(value => value / norm);
+}
+
+/**
+ * Cosine similarity of two normalized vectors; 0 when their sizes differ
+ */
+export function cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+    return dot;
+}
+
+export class LocalMemoryStore {
+    /**
+     * @param {Object} options
+     * @param {string} [options.collection] - scope for stores and searches; searches span every collection when unset
+     * @param {Function} [options.embed] - text => number[], for a local embedding model
+     * @param {SupermemoryClient|null} [options.remote] - where corrections and deletes must also go
+     */
+    constructor(options = {}) {
+        this.logger = logger.child({ component: 'LocalMemoryStore' });
+        this.db = options.db || db;
+        this.remote = options.remote === undefined ? supermemoryClient : options.remote;
+        this.collection = options.collection || null;
+        this.embed = options.embed || embedText;
+        this.embeddingModel = options.embeddingModel || EMBEDDING_MODEL;
+    }
+
+    /**
+     * Whether the backing database is available
+     */
+    isAvailable() {
+        return Boolean(this.db?.initialized);
+    }
+
+    /**
+     * Whether memories also live in Supermemory
+     */
+    hasRemote() {
+        return Boolean(this.remote?.isConfigured());
+    }
+
+    /**
+     * Store (or replace) a memory
+     */
+    async storeMemory(memoryId, content, metadata = {}) {
+        if (!this.isAvailable()) return false;
+
+        try {
+            const text = typeof content === 'string' ? content : JSON.stringify(content);
+            const embedding = await this.embed(searchableText(content));
+
+            await this.db.query(`
+                INSERT INTO memories (id, collection, member_name, memory_type, content, metadata, embedding, embedding_model)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                ON CONFLICT (collection, id) DO UPDATE SET
+                    member_name = EXCLUDED.member_name,
+                    memory_type = EXCLUDED.memory_type,
+                    content = EXCLUDED.content,
+                    metadata = EXCLUDED.metadata,
+                    embedding = EXCLUDED.embedding,
+                    embedding_model = EXCLUDED.embedding_model,
+                    updated_at = CURRENT_TIMESTAMP
+            `, [
+                memoryId,
+                this.collection || DEFAULT_COLLECTION,
+                metadata.member || metadata.memberName || null,
+                metadata.type || null,
+                text,
+                JSON.stringify(metadata),
+                embedding,
+                this.embeddingModel
+            ]);
+
+            return true;
+        } catch (error) {
+            this.logger.error('Failed to store memory', { memoryId, error: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Memories ranked by similarity to the query, best first. A blank query
+     * returns the newest memories that match the filter.
+     *
+     * @param {Object} options - maxResults, minRelevance, filter ({ member, type, ...metadata })
+     */
+    async searchRelevantMemories(query, options = {}) {
+        if (!this.isAvailable()) return [];
+
+        const {
+            maxResults = 10,
+            minRelevance = DEFAULT_MIN_RELEVANCE,
+            filter = {}
+        } = options;
+
+        try {
+            const blank = !String(query || '').trim();
+            const rows = await this.loadCandidates(filter, blank ? maxResults : MAX_CANDIDATES);
+
+            if (blank) {
+                return rows.map(row => this.toMemory(row, null));
+            }
+
+            const queryEmbedding = await this.embed(query);
+
+            return rows
+                .filter(row => row.embedding_model === this.embeddingModel)
+                .map(row => this.toMemory(row, cosineSimilarity(queryEmbedding, row.embedding)))
+                .filter(memory => memory.relevanceScore >= minRelevance)
+                .sort((a, b) => b.relevanceScore - a.relevanceScore)
+                .slice(0, maxResults);
+        } catch (error) {
+            this.logger.error('Failed to search memories', { error: error.message });
+            return [];
+        }
+    }
+
+    /**
+     * A member's memories, newest first, or ranked by options.query when given
+     */
+    async getMemberMemories(memberName, options = {}) {
+        return this.searchRelevantMemories(options.query || '', {
+            ...options,
+            filter: { ...options.filter, member: memberName }
+        });
+    }
+
+    async getMemoryStats() {
+        if (!this.isAvailable()) {
+            return { collection: this.collection, totalMemories: 0, members: 0 };
+        }
+
+        const result = await this.db.query(`
+            SELECT COUNT(*) AS total,
+                   COUNT(DISTINCT member_name) AS members,
+                   MIN(created_at) AS oldest,
+                   MAX(created_at) AS newest
+            FROM memories
+            WHERE ($1::text IS NULL OR collection = $1)
+        `, [this.collection]);
+
+        const row = result.rows[0];
+        return {
+            collection: this.collection,
+            embeddingModel: this.embeddingModel,
+            totalMemories: parseInt(row.total),
+            members: parseInt(row.members),
+            oldest: row.oldest,
+            newest: row.newest
+        };
+    }
+
+    /**
+     * A member's memories, newest first: those stored for them and those in
+     * their assistant's collection
+     */
+    async listMemberMemories(memberId, { type = null, limit = 50, offset = 0 } = {}) {
+        const params = [memberId, type];
+        const where = 'WHERE (member_name = $1 OR collection = $1) AND ($2::text IS NULL OR memory_type = $2)';
+
+        const total = await this.db.query(`SELECT COUNT(*) AS count FROM memories ${where}`, params);
+        const result = await this.db.query(`
+            SELECT id, collection, member_name, memory_type, content, metadata, created_at, updated_at
+            FROM memories
+            ${where}
+            ORDER BY created_at DESC
+            LIMIT $3 OFFSET $4
+        `, [...params, limit, offset]);
+
+        return {
+            memories: result.rows.map(row => this.toInspectedMemory(row)),
+            total: parseInt(total.rows[0].count)
+        };
+    }
+
+    /**
+     * Every memory a member has, without embeddings, for export
+     */
+    async exportMemberMemories(memberId) {
+        const result = await this.db.query(`
+            SELECT id, collection, member_name, memory_type, content, metadata, created_at, updated_at
+            FROM memories
+            WHERE member_name = $1 OR collection = $1
+            ORDER BY created_at
+        `, [memberId]);
+
+        return result.rows.map(row => this.toInspectedMemory(row));
+    }
+
+    /**
+     * Replace what a memory says; it is re-embedded and marked as corrected
+     */
+    async correctMemberMemory(memberId, memoryId, content, { correctedBy = null } = {}) {
+        const empty = content === null || content === undefined ||
+            (typeof content === 'string' && !content.trim());
+        if (empty || !['string', 'object'].includes(typeof content)) {
+            throw new Error('Invalid content: send the corrected text or object');
+        }
+
+        const text = typeof content === 'string' ? content.trim() : JSON.stringify(content);
+        const correction = { correctedAt: new Date().toISOString(), correctedBy };
+
+        if (this.hasRemote()) {
+            const existing = await this.db.query(
+                'SELECT metadata FROM memories WHERE id = $2 AND (member_name = $1 OR collection = $1)',
+                [memberId, memoryId]
+            );
+            if (existing.rows.length === 0) return null;
+
+            await this.remote.storeMemory(memoryId, text, { ...existing.rows[0].metadata, ...correction });
+        }
+
+        const embedding = await this.embed(searchableText(content));
+        const result = await this.db.query(`
+            UPDATE memories
+            SET content = $3,
+                embedding = $4,
+                embedding_model = $5,
+                metadata = COALESCE(metadata, '{}'::jsonb) || $6::jsonb,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $2 AND (member_name = $1 OR collection = $1)
+            RETURNING id, collection, member_name, memory_type, content, metadata, created_at, updated_at
+        `, [
+            memberId,
+            memoryId,
+            text,
+            embedding,
+            this.embeddingModel,
+            JSON.stringify(correction)
+        ]);
+
+        return result.rows[0] ? this.toInspectedMemory(result.rows[0]) : null;
+    }
+
+    /**
+     * Forget one memory; false when the member has no such memory
+     */
+    async deleteMemberMemory(memberId, memoryId) {
+        if (this.hasRemote()) {
+            const owned = await this.db.query(
+                'SELECT id FROM memories WHERE id = $2 AND (member_name = $1 OR collection = $1)',
+                [memberId, memoryId]
+            );
+            if (owned.rows.length === 0) return false;
+
+            // Throws before the local copy goes, so the delete can be retried
+            await this.remote.deleteMemory(memoryId);
+        }
+
+        const result = await this.db.query(
+            'DELETE FROM memories WHERE id = $2 AND (member_name = $1 OR collection = $1)',
+            [memberId, memoryId]
+        );
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Forget everything about a member; returns how many memories went. With
+     * Supermemory, throws unless every one of them is gone from there too.
+     */
+    async deleteMemberMemories(memberId) {
+        if (!this.hasRemote()) {
+            const result = await this.db.query(
+                'DELETE FROM memories WHERE member_name = $1 OR collection = $1',
+                [memberId]
+            );
+            return result.rowCount;
+        }
+
+        const local = await this.db.query(
+            'SELECT id FROM memories WHERE member_name = $1 OR collection = $1',
+            [memberId]
+        );
+        const remoteIds = await this.remote.findMemberMemoryIds(memberId);
+        const ids = [...new Set([...local.rows.map(row => row.id), ...remoteIds])];
+
+        const { deleted, failed } = await this.deleteRemote(ids);
+        await this.db.query(
+            'DELETE FROM memories WHERE (member_name = $1 OR collection = $1) AND id = ANY($2)',
+            [memberId, deleted]
+        );
+
+        if (failed > 0) {
+            throw new Error(`Could not delete ${failed} of ${ids.length} memories from Supermemory; try again`);
+        }
+        return deleted.length;
+    }
+
+    /**
+     * Delete memories older than the retention period; returns how many went.
+     * Ones Supermemory won't delete yet are kept for the next run.
+     */
+    async purgeOlderThan(days) {
+        if (!this.hasRemote()) {
+            const result = await this.db.query(
+                'DELETE FROM memories WHERE created_at < NOW() - make_interval(days => $1)',
+                [days]
+            );
+            return result.rowCount;
+        }
+
+        const expired = await this.db.query(
+            'SELECT id FROM memories WHERE created_at < NOW() - make_interval(days => $1)',
+            [days]
+        );
+        const { deleted, failed } = await this.deleteRemote([...new Set(expired.rows.map(row => row.id))]);
+        if (failed > 0) {
+            this.logger.warn('Expired memories kept until Supermemory deletes them', { failed });
+        }
+
+        const result = await this.db.query(
+            'DELETE FROM memories WHERE created_at < NOW() - make_interval(days => $1) AND id = ANY($2)',
+            [days, deleted]
+        );
+        return result.rowCount;
+    }
+
+    /**
+     * Delete memories from Supermemory one by one; returns the ids that went
+     * and how many didn't
+     */
+    async deleteRemote(ids) {
+        const deleted = [];
+        let failed = 0;
+
+        for (const id of ids) {
+            try {
+                await this.remote.deleteMemory(id);
+                deleted.push(id);
+            } catch (error) {
+                failed++;
+                this.logger.error('Failed to delete memory from Supermemory', { memoryId: id, error: error.message });
+            }
+        }
+
+        return { deleted, failed };
+    }
+
+    toInspectedMemory(row) {
+        return {
+            id: row.id,
+            collection: row.collection,
+            memberId: row.member_name,
+            type: row.memory_type,
+            content: parseContent(row.content),
+            metadata: row.metadata || {},
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    async loadCandidates(filter, limit) {
+        const { member, type, ...metadata } = filter || {};
+        const conditions = [];
+        const params = [];
+
+        if (this.collection) {
+            params.push(this.collection);
+            conditions.push(`collection = $${params.length}`);
+        }
+        if (member) {
+            params.push(member);
+            conditions.push(`member_name = $${params.length}`);
+        }
+        if (type) {
+            params.push(type);
+            conditions.push(`memory_type = $${params.length}`);
+        }
+        if (Object.keys(metadata).length > 0) {
+            params.push(JSON.stringify(metadata));
+            conditions.push(`metadata @> $${params.length}::jsonb`);
+        }
+
+        params.push(limit);
+        const result = await this.db.query(`
+            SELECT id, collection, member_name, memory_type, content, metadata, embedding, embedding_model, created_at
+            FROM memories
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY created_at DESC
+            LIMIT $${params.length}
+        `, params);
+
+        return result.rows;
+    }
+
+    toMemory(row, relevanceScore) {
+        return {
+            id: row.id,
+            collection: row.collection,
+            content: parseContent(row.content),
+            metadata: row.metadata || {},
+            relevanceScore,
+            createdAt: row.created_at
+        };
+    }
+}
+
+/**
+ * The words worth embedding: strings and numbers from structured content, not its keys
+ */
+function searchableText(content) {
+    if (content === null || content === undefined) return '';
+    if (typeof content !== 'object') return String(content);
+
+    return Object.values(content).map(searchableText).filter(Boolean).join(' ');
+}
+
+function parseContent(content) {
+    try {
+        return JSON.parse(content);
+    } catch {
+        return content;
+    }
+}
+
+function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Export singleton instance
+export const localMemoryStore = new LocalMemoryStore();
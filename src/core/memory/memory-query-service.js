@@ -0,0 +1,399 @@
+/**
+ * Memory Query Service
+ * Semantic search over memory across three scopes: a member's own memories,
+ * team insights (memories not tied to a member) and executive memories.
+ * Searches go to Supermemory when it's configured, since memories from before
+ * it was mirrored locally only live there, and to the built-in store
+ * otherwise. Results are ranked by similarity with a small recency boost,
+ * and each explains why it matched and where it came from.
+ */
+
+import {
+    localMemoryStore,
+    cosineSimilarity,
+    DEFAULT_MIN_RELEVANCE
+} from './local-memory-store.js';
+
+export const MEMORY_SCOPES = ['member', 'team', 'executive'];
+
+export const EXECUTIVE_MEMORY_TYPES = ['executive-summary', 'executive', 'escalation'];
+
+// Memories from these sources link back to the stored record
+export const SOURCE_TYPES = ['update', 'email'];
+
+const MAX_CANDIDATES = 2000;
+const MAX_REMOTE_CANDIDATES = 200;
+const MAX_RESULTS = 50;
+const SNIPPET_LENGTH = 400;
+
+// Relevance is mostly similarity; recency breaks near-ties
+const SIMILARITY_WEIGHT = 0.85;
+const RECENCY_WEIGHT = 0.15;
+const RECENCY_HALF_LIFE_DAYS = 30;
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'with', 'that', 'this', 'what', 'when', 'where', 'who',
+    'why', 'how', 'did', 'does', 'was', 'were', 'are', 'has', 'have', 'had',
+    'about', 'from', 'into', 'any', 'our', 'their', 'they', 'them', 'you', 'your'
+]);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class MemoryQueryService {
+    constructor(options = {}) {
+        this.store = options.store || localMemoryStore;
+        this.db = options.db || this.store.db;
+        this.remote = options.remote === undefined ? this.store.remote : options.remote;
+    }
+
+    /**
+     * Whether the backing database is available
+     */
+    isAvailable() {
+        return Boolean(this.db?.initialized);
+    }
+
+    /**
+     * Where searches run: 'supermemory' or 'local'
+     */
+    get backend() {
+        return this.remote?.isConfigured() ? 'supermemory' : 'local';
+    }
+
+    /**
+     * Search memories for a member
+     *
+     * @param {Object} params
+     * @param {string} params.query - what to look for
+     * @param {string} params.memberId - whose memories the member scope covers
+     * @param {string[]} [params.scopes] - any of MEMORY_SCOPES
+     * @param {string[]} [params.types] - memory types, e.g. update, pattern, client-context
+     * @param {string} [params.from] - ISO date, inclusive
+     * @param {string} [params.to] - ISO date, inclusive
+     * @param {string} [params.client] - only memories about this client
+     * @param {number} [params.limit]
+     */
+    async query(params = {}) {
+        const query = String(params.query || '').trim();
+        if (!query) {
+            throw new Error('Invalid query: describe what to search for');
+        }
+
+        const scopes = params.scopes?.length ? params.scopes : MEMORY_SCOPES;
+        const unknown = scopes.filter(scope => !MEMORY_SCOPES.includes(scope));
+        if (unknown.length > 0) {
+            throw new Error(`Invalid scope ${unknown.join(', ')}: use ${MEMORY_SCOPES.join(', ')}`);
+        }
+
+        const from = parseDate(params.from, 'from');
+        const to = parseDate(params.to, 'to', { endOfDay: true });
+        const limit = Math.min(Math.max(parseInt(params.limit) || 10, 1), MAX_RESULTS);
+
+        const filters = {
+            memberId: params.memberId || null,
+            scopes,
+            types: params.types || [],
+            from,
+            to,
+            client: params.client ? String(params.client).trim() : null
+        };
+
+        const backend = this.backend;
+        const rows = backend === 'supermemory'
+            ? await this.searchRemote(query, filters)
+            : (await this.loadCandidates(filters)).filter(row => row.embedding_model === this.store.embeddingModel);
+
+        const queryEmbedding = backend === 'local' ? await this.store.embed(query) : null;
+        const terms = queryTerms(query);
+        const now = Date.now();
+
+        const results = rows
+            .map(row => this.rank(row, { queryEmbedding, terms, memberId: params.memberId, now }))
+            .filter(result => result.explanation.similarity >= DEFAULT_MIN_RELEVANCE ||
+                result.explanation.matchedTerms.length > 0)
+            .sort((a, b) => b.relevanceScore - a.relevanceScore)
+            .slice(0, limit);
+
+        return {
+            query,
+            backend,
+            scopes,
+            filters: {
+                types: params.types || [],
+                from: from?.toISOString() || null,
+                to: to?.toISOString() || null,
+                client: params.client || null
+            },
+            results,
+            total: results.length
+        };
+    }
+
+    async loadCandidates({ memberId, scopes, types, from, to, client }) {
+        const params = [EXECUTIVE_MEMORY_TYPES];
+        const scopeConditions = [];
+
+        if (scopes.includes('member') && memberId) {
+            params.push(memberId);
+            scopeConditions.push(`(member_name = $${params.length} OR collection = $${params.length})`);
+        }
+        if (scopes.includes('team')) {
+            scopeConditions.push('(member_name IS NULL AND NOT (COALESCE(memory_type, \'\') = ANY($1)))');
+        }
+        if (scopes.includes('executive')) {
+            scopeConditions.push('memory_type = ANY($1)');
+        }
+        if (scopeConditions.length === 0) return [];
+
+        const conditions = [`(${scopeConditions.join(' OR ')})`];
+
+        if (types.length > 0) {
+            params.push(types);
+            conditions.push(`memory_type = ANY($${params.length})`);
+        }
+        if (from) {
+            params.push(from);
+            conditions.push(`created_at >= $${params.length}`);
+        }
+        if (to) {
+            params.push(to);
+            conditions.push(`created_at < $${params.length}`);
+        }
+        if (client) {
+            params.push(client);
+            conditions.push(`(metadata->>'client' ILIKE $${params.length} OR content ILIKE '%' || $${params.length} || '%')`);
+        }
+
+        params.push(MAX_CANDIDATES);
+        const result = await this.db.query(`
+            SELECT id, collection, member_name, memory_type, content, metadata, embedding, embedding_model, created_at
+            FROM memories
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY created_at DESC
+            LIMIT $${params.length}
+        `, params);
+
+        return result.rows;
+    }
+
+    /**
+     * Supermemory's matches for the query as memory rows, with its score as
+     * the similarity, filtered the way loadCandidates filters in SQL. A failed
+     * search is an error rather than an empty result.
+     */
+    async searchRemote(query, filters) {
+        const memories = await this.remote.search(query, { limit: MAX_REMOTE_CANDIDATES, minScore: 0 });
+
+        return memories
+            .map(memory => {
+                const metadata = memory.metadata || {};
+                return {
+                    id: memory.id,
+                    collection: metadata.collection || null,
+                    member_name: metadata.member || metadata.memberName || null,
+                    memory_type: metadata.type || null,
+                    content: memory.content,
+                    metadata,
+                    created_at: metadata.timestamp || null,
+                    score: memory.score || 0
+                };
+            })
+            .filter(row => matchesFilters(row, filters));
+    }
+
+    /**
+     * The update or email a memory links to, or null
+     */
+    async getSource(type, id) {
+        if (!SOURCE_TYPES.includes(type)) {
+            throw new Error(`Invalid source type ${type}: use ${SOURCE_TYPES.join(' or ')}`);
+        }
+
+        const result = type === 'update'
+            ? await this.db.query(`
+                SELECT tu.id, tm.external_id AS member_id, tu.update_text AS text,
+                       tu.source, tu.created_at
+                FROM team_updates tu
+                LEFT JOIN team_members tm ON tm.id = tu.member_id
+                WHERE tu.id::text = $1
+            `, [id])
+            : await this.db.query(`
+                SELECT ae.id, tm.external_id AS member_id, COALESCE(ae.clean_text, ae.body_text) AS text,
+                       ae.subject, ae.from_address, ae.from_name, ae.received_at AS created_at
+                FROM assistant_emails ae
+                LEFT JOIN team_members tm ON tm.id = ae.member_id
+                WHERE ae.id::text = $1
+            `, [id]);
+
+        const row = result.rows[0];
+        if (!row) return null;
+
+        return {
+            type,
+            id: row.id,
+            memberId: row.member_id,
+            text: row.text,
+            createdAt: row.created_at,
+            ...(type === 'email' && {
+                subject: row.subject,
+                from: row.from_name ? `${row.from_name} <${row.from_address}>` : row.from_address
+            }),
+            ...(type === 'update' && { source: row.source })
+        };
+    }
+
+    /**
+     * Score one memory and explain the score
+     */
+    rank(row, { queryEmbedding, terms, memberId, now }) {
+        const memory = this.store.toMemory(row, null);
+        const text = displayText(memory.content);
+
+        const similarity = row.score !== undefined
+            ? Math.min(Math.max(row.score, 0), 1)
+            : Math.max(cosineSimilarity(queryEmbedding, row.embedding), 0);
+        const ageDays = row.created_at ? Math.max((now - new Date(row.created_at).getTime()) / DAY_MS, 0) : Infinity;
+        const recency = Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+
+        const lowered = text.toLowerCase();
+        const matchedTerms = terms.filter(term => lowered.includes(term));
+        const scope = scopeOf(row, memberId);
+
+        return {
+            id: memory.id,
+            collection: memory.collection,
+            scope,
+            type: row.memory_type || null,
+            memberId: row.member_name || null,
+            content: text.length > SNIPPET_LENGTH ? `${text.slice(0, SNIPPET_LENGTH)}…` : text,
+            timestamp: row.created_at,
+            relevanceScore: round(SIMILARITY_WEIGHT * similarity + RECENCY_WEIGHT * recency),
+            explanation: {
+                similarity: round(similarity),
+                recency: round(recency),
+                matchedTerms,
+                summary: explain({ matchedTerms, similarity, ageDays, scope, type: row.memory_type })
+            },
+            source: sourceOf(memory)
+        };
+    }
+}
+
+/**
+ * Where a memory came from, with a link when the record is stored
+ */
+export function sourceOf(memory) {
+    const metadata = memory.metadata || {};
+    const content = memory.content && typeof memory.content === 'object' ? memory.content : {};
+
+    const emailId = metadata.emailId || content.metadata?.emailId;
+    if (emailId) {
+        return { type: 'email', id: emailId, link: `/api/memory/sources/email/${emailId}` };
+    }
+
+    const updateId = metadata.updateId || content.metadata?.updateId;
+    if (updateId) {
+        return { type: 'update', id: updateId, link: `/api/memory/sources/update/${updateId}` };
+    }
+
+    return { type: metadata.source || metadata.type || 'memory', id: null, link: null };
+}
+
+/**
+ * Whether a memory row falls within the query's scopes and filters
+ */
+function matchesFilters(row, { memberId, scopes, types, from, to, client }) {
+    const executive = EXECUTIVE_MEMORY_TYPES.includes(row.memory_type);
+    const inScope = (scopes.includes('member') && memberId && (row.member_name === memberId || row.collection === memberId)) ||
+        (scopes.includes('team') && !row.member_name && !executive) ||
+        (scopes.includes('executive') && executive);
+    if (!inScope) return false;
+
+    if (types.length > 0 && !types.includes(row.memory_type)) return false;
+
+    const created = row.created_at ? new Date(row.created_at) : null;
+    if ((from || to) && !created) return false;
+    if (from && created < from) return false;
+    if (to && created >= to) return false;
+
+    if (client) {
+        const wanted = client.toLowerCase();
+        const text = typeof row.content === 'string' ? row.content : JSON.stringify(row.content);
+        if (String(row.metadata.client || '').toLowerCase() !== wanted && !text.toLowerCase().includes(wanted)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+function scopeOf(row, memberId) {
+    if (EXECUTIVE_MEMORY_TYPES.includes(row.memory_type)) return 'executive';
+    if (memberId && (row.member_name === memberId || row.collection === memberId)) return 'member';
+    return 'team';
+}
+
+function explain({ matchedTerms, similarity, ageDays, scope, type }) {
+    const parts = [];
+
+    if (matchedTerms.length > 0) {
+        parts.push(`mentions ${matchedTerms.map(term => `"${term}"`).join(', ')}`);
+    } else {
+        parts.push(`similar wording (${Math.round(similarity * 100)}%)`);
+    }
+
+    const where = { member: 'your', team: 'team', executive: 'executive' }[scope];
+    if (Number.isFinite(ageDays)) {
+        const age = ageDays < 1 ? 'today' : `${Math.round(ageDays)} day${Math.round(ageDays) === 1 ? '' : 's'} ago`;
+        parts.push(`${where} ${type || 'memory'} from ${age}`);
+    } else {
+        parts.push(`${where} ${type || 'memory'}`);
+    }
+
+    const sentence = parts.join('; ');
+    return sentence.charAt(0).toUpperCase() + sentence.slice(1);
+}
+
+/**
+ * Readable text for a memory, whatever shape its content was stored in
+ */
+function displayText(content) {
+    if (content === null || content === undefined) return '';
+    if (typeof content !== 'object') return String(content);
+
+    const text = content.text || content.summary?.executive_summary || content.pattern?.pattern ||
+        content.pattern || content.originalText;
+    if (typeof text === 'string') return text;
+
+    if (content.clientName && content.context) {
+        return `${content.clientName}: ${JSON.stringify(content.context)}`;
+    }
+
+    return JSON.stringify(content);
+}
+
+function queryTerms(query) {
+    const words = query.toLowerCase().match(/[a-z0-9$%]+/g) || [];
+    return [...new Set(words.filter(word => word.length > 2 && !STOP_WORDS.has(word)))];
+}
+
+function parseDate(value, name, { endOfDay = false } = {}) {
+    if (!value) return null;
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid ${name} date: ${value}`);
+    }
+
+    // A bare date covers the whole day
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return new Date(date.getTime() + DAY_MS);
+    }
+    return date;
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+// Export singleton instance
+export const memoryQueryService = new MemoryQueryService();
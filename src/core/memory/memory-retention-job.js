@@ -0,0 +1,82 @@
+/**
+ * Memory Retention Job
+ * Deletes stored memories older than ai_configuration.processing.memory_retention_days
+ * from team-config.json. Runs shortly after startup and then every few hours.
+ */
+
+import { localMemoryStore } from './local-memory-store.js';
+import { logger } from '../../utils/logger.js';
+
+const DEFAULT_RETENTION_DAYS = 30;
+const PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const STARTUP_DELAY_MS = 60 * 1000;
+
+export class MemoryRetentionJob {
+    constructor(options = {}) {
+        this.logger = logger.child({ component: 'MemoryRetentionJob' });
+        this.store = options.store || localMemoryStore;
+        this.intervalMs = options.intervalMs || PURGE_INTERVAL_MS;
+
+        this.retentionDays = DEFAULT_RETENTION_DAYS;
+        this.timer = null;
+        this.startupTimer = null;
+        this.lastRun = null;
+    }
+
+    /**
+     * Read the retention period from the team config; safe to call on reload
+     */
+    configure(config = {}) {
+        const days = Number(config.ai_configuration?.processing?.memory_retention_days);
+        this.retentionDays = Number.isFinite(days) && days >= 1 ? days : DEFAULT_RETENTION_DAYS;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.startupTimer = setTimeout(() => this.run(), STARTUP_DELAY_MS);
+        this.timer = setInterval(() => this.run(), this.intervalMs);
+        this.startupTimer.unref?.();
+        this.timer.unref?.();
+
+        this.logger.info('Memory retention job scheduled', { retentionDays: this.retentionDays });
+    }
+
+    stop() {
+        clearTimeout(this.startupTimer);
+        clearInterval(this.timer);
+        this.startupTimer = null;
+        this.timer = null;
+    }
+
+    /**
+     * Purge once; returns how many memories were deleted, or null without a database
+     */
+    async run() {
+        if (!this.store.isAvailable()) return null;
+
+        try {
+            const purged = await this.store.purgeOlderThan(this.retentionDays);
+            this.lastRun = { at: new Date().toISOString(), purged, retentionDays: this.retentionDays };
+
+            if (purged > 0) {
+                this.logger.info('Expired memories purged', this.lastRun);
+            }
+            return purged;
+        } catch (error) {
+            this.logger.error('Memory retention purge failed', { error: error.message });
+            return null;
+        }
+    }
+
+    getStatus() {
+        return {
+            retentionDays: this.retentionDays,
+            scheduled: this.timer !== null,
+            lastRun: this.lastRun
+        };
+    }
+}
+
+// Export singleton instance
+export const memoryRetentionJob = new MemoryRetentionJob();
@@ -0,0 +1,110 @@
+/**
+ * SUPERMEMORY CLIENT
+ * The Supermemory REST calls memory needs outside EnhancedMemoryIntegration:
+ * storing a corrected memory again, deleting memories, searching them and
+ * finding what a member has there. Credentials are read when a call is made, so the shared
+ * instance picks up SUPERMEMORY_API_KEY however late the environment loads.
+ */
+
+import fetch from 'node-fetch';
+
+const DEFAULT_BASE_URL = 'https://api.supermemory.ai';
+const DEFAULT_TIMEOUT_MS = 30000;
+const MEMBER_SEARCH_LIMIT = 100;
+
+export class SupermemoryClient {
+    constructor(options = {}) {
+        this.options = options;
+    }
+
+    get apiKey() {
+        return this.options.apiKey || process.env.SUPERMEMORY_API_KEY || null;
+    }
+
+    get baseUrl() {
+        return process.env.SUPERMEMORY_BASE_URL || this.options.baseUrl || DEFAULT_BASE_URL;
+    }
+
+    /**
+     * Whether memories are being written to Supermemory
+     */
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    /**
+     * Store (or replace) a memory under its id
+     */
+    async storeMemory(memoryId, content, metadata = {}) {
+        const response = await this.request('/memories', {
+            method: 'POST',
+            body: JSON.stringify({
+                id: memoryId,
+                content: typeof content === 'string' ? content : JSON.stringify(content),
+                metadata
+            })
+        });
+        if (!response.success) {
+            throw new Error(`Supermemory did not store memory ${memoryId}`);
+        }
+    }
+
+    /**
+     * Delete one memory; one that is already gone counts as deleted
+     */
+    async deleteMemory(memoryId) {
+        await this.request(`/memories/${encodeURIComponent(memoryId)}`, { method: 'DELETE' }, [404]);
+    }
+
+    /**
+     * Memories matching a query, best first, as Supermemory returns them:
+     * `{ id, content, metadata, score }`
+     */
+    async search(query, { filter = undefined, limit = MEMBER_SEARCH_LIMIT, minScore = 0 } = {}) {
+        const response = await this.request('/memories/search', {
+            method: 'POST',
+            body: JSON.stringify({ query, filter, limit, minScore })
+        });
+
+        return response.data || [];
+    }
+
+    /**
+     * Ids of memories Supermemory holds for a member, including ones stored
+     * before they were kept locally too
+     */
+    async findMemberMemoryIds(memberId) {
+        const memories = await this.search(`member:${memberId}`, { filter: { member: memberId } });
+        return memories.map(memory => memory.id).filter(Boolean);
+    }
+
+    /**
+     * Make an HTTP request to the Supermemory API; statuses in `allowed` aren't errors
+     */
+    async request(endpoint, options = {}, allowed = []) {
+        if (!this.apiKey) {
+            throw new Error('SuperMemory API key not configured');
+        }
+
+        const response = await fetch(`${this.baseUrl}${endpoint}`, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.apiKey}`,
+                ...options.headers
+            },
+            timeout: this.options.timeout || DEFAULT_TIMEOUT_MS
+        });
+
+        if (allowed.includes(response.status)) return {};
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const text = await response.text();
+        return text ? JSON.parse(text) : {};
+    }
+}
+
+// Export singleton instance
+export const supermemoryClient = new SupermemoryClient();
@@ -5,6 +5,7 @@
 
 import { db } from '../database/connection.js';
 import { analyticsEngine } from '../analytics/analytics-engine.js';
+import { analyticsExportService } from '../analytics/analytics-export.js';
 import { createAIIntelligenceEngine } from '../intelligence/ai-intelligence-engine.js';
 
 export class TeamCRMIntegration {
@@ -27,14 +28,9 @@ export class TeamCRMIntegration {
             // Initialize analytics engine
             await analyticsEngine.initialize();
 
-            // Initialize AI intelligence engine
-            const apiKey = process.env.OPENROUTER_API_KEY;
-            if (!apiKey) {
-                console.warn('⚠️  No OpenRouter API key found - AI features will be limited');
-            } else {
-                this.aiIntelligence = createAIIntelligenceEngine(apiKey);
-                await this.aiIntelligence.initialize();
-            }
+            // Initialize AI intelligence engine on the orchestrator's model routing
+            this.aiIntelligence = createAIIntelligenceEngine(this.orchestrator.llm);
+            await this.aiIntelligence.initialize();
 
             // Hook into orchestrator events
             this.setupOrchestratorHooks();
@@ -266,17 +262,18 @@ export class TeamCRMIntegration {
             // Analytics endpoints
             '/api/analytics/trends/:metric': async (req, res) => {
                 const { metric } = req.params;
-                const { days = 30, dimension } = req.query;
+                const { days = 30, dimension, granularity = 'daily' } = req.query;
                 
                 try {
                     const trend = await analyticsEngine.getTrendAnalysis(
                         metric, 
                         parseInt(days), 
-                        dimension
+                        dimension,
+                        granularity
                     );
                     res.json(trend);
                 } catch (error) {
-                    res.status(500).json({ error: error.message });
+                    res.status(error.message.startsWith('Invalid') ? 400 : 500).json({ error: error.message });
                 }
             },
 
@@ -299,20 +296,16 @@ export class TeamCRMIntegration {
                 const { startDate, endDate, format = 'json' } = req.query;
                 
                 try {
-                    const data = await analyticsEngine.exportAnalytics(
-                        startDate, 
-                        endDate, 
-                        format
-                    );
+                    const file = await analyticsExportService.createExport({ startDate, endDate, format });
                     
-                    if (format === 'csv') {
-                        res.setHeader('Content-Type', 'text/csv');
-                        res.setHeader('Content-Disposition', 'attachment; filename="analytics.csv"');
+                    res.setHeader('Content-Type', file.contentType);
+                    if (format !== 'json' && format !== 'summary') {
+                        res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
                     }
                     
-                    res.send(data);
+                    res.send(file.body);
                 } catch (error) {
-                    res.status(500).json({ error: error.message });
+                    res.status(error.message.startsWith('Invalid') ? 400 : 500).json({ error: error.message });
                 }
             },
 
@@ -15,6 +15,11 @@ import { MasterExecutiveAgent } from '../agents/master-executive-agent.js';
 import { EnhancedMemoryIntegration } from '../memory/enhanced-memory-integration.js';
 import { TeamNotificationSystem } from '../notifications/team-notification-system.js';
 import { ContextAwareAI } from '../../ai/context-aware-ai.js';
+import { LLMRouter } from '../../ai/llm/llm-router.js';
+import { aiUsageService } from '../usage/ai-usage-service.js';
+import { KeywordFilter } from '../intelligence/keyword-filter.js';
+import { AIIntelligenceEngine } from '../intelligence/ai-intelligence-engine.js';
+import { db } from '../database/connection.js';
 import { logger } from '../../utils/logger.js';
 import EventEmitter from 'events';
 
@@ -27,6 +32,13 @@ export class TeamOrchestrator extends EventEmitter {
         this.memorySystem = null;
         this.notificationSystem = null;
         this.contextAwareAI = null;
+        // One LLM entry point for every agent; routes tasks per ai_configuration.models
+        this.llm = new LLMRouter(config, { usageTracker: aiUsageService });
+        this.aiProvider = this.llm;
+        this.keywordFilter = new KeywordFilter(config);
+        // Model extraction of each update, on the member's prompt experiment arm
+        this.intelligence = new AIIntelligenceEngine(this.llm);
+        this.db = db;
         this.isInitialized = false;
         this.processingQueue = [];
         this.stats = {
@@ -107,18 +119,26 @@ export class TeamOrchestrator extends EventEmitter {
      * Initialize personal assistants for each team member
      */
     async initializePersonalAssistants() {
+        this.personalAssistants = await this.buildPersonalAssistants(this.config);
+    }
+
+    /**
+     * Create a personal assistant for every team member in the config (or the database)
+     */
+    async buildPersonalAssistants(config) {
+        const assistants = new Map();
         let members;
         // Check if database is disabled (database-free mode)
         if (!process.env.DB_HOST && !process.env.DATABASE_URL) {
             logger.info('Database-free mode: Loading team members from config file only');
             // Use config file directly
-            members = Object.entries(this.config.team.members).map(([key, config]) => ({
+            members = Object.entries(config.team.members).map(([key, settings]) => ({
                 external_id: key,
-                name: config.name,
-                role: config.role,
-                focus_areas: config.focus_areas,
-                extraction_priorities: config.extraction_priorities,
-                ai_model: config.ai_model
+                name: settings.name,
+                role: settings.role,
+                focus_areas: settings.focus_areas,
+                extraction_priorities: settings.extraction_priorities,
+                ai_model: settings.ai_model
             }));
         } else {
             try {
@@ -128,13 +148,13 @@ export class TeamOrchestrator extends EventEmitter {
             } catch (error) {
                 logger.warn('Failed to load team members from database, falling back to config file', { error: error.message });
                 // Fall back to config file
-                members = Object.entries(this.config.team.members).map(([key, config]) => ({
+                members = Object.entries(config.team.members).map(([key, settings]) => ({
                     external_id: key,
-                    name: config.name,
-                    role: config.role,
-                    focus_areas: config.focus_areas,
-                    extraction_priorities: config.extraction_priorities,
-                    ai_model: config.ai_model
+                    name: settings.name,
+                    role: settings.role,
+                    focus_areas: settings.focus_areas,
+                    extraction_priorities: settings.extraction_priorities,
+                    ai_model: settings.ai_model
                 }));
             }
         }
@@ -150,14 +170,16 @@ export class TeamOrchestrator extends EventEmitter {
                     extraction_priorities: member.extraction_priorities || ["dealer_feedback", "meeting_notes", "action_items"],
                     ai_model: member.ai_model || "claude-3-sonnet"
                 };
-                const assistant = new EnhancedPersonalAssistant(memberConfig, this.config, this.memorySystem);
-                this.personalAssistants.set(member.external_id, assistant);
+                const assistant = new EnhancedPersonalAssistant(memberConfig, config, this.memorySystem);
+                assistants.set(member.external_id, assistant);
                 logger.info(`✅ Personal assistant ready for ${member.name}`);
             } catch (error) {
                 logger.error(`Error initializing assistant for ${member.name}`, { error });
                 throw error;
             }
         }
+
+        return assistants;
     }
 
     /**
@@ -165,24 +187,19 @@ export class TeamOrchestrator extends EventEmitter {
      */
     async loadTeamMembersFromDatabase() {
         try {
-            const { createConnection } = await import('../../utils/database-pool.js');
-            const db = createConnection();
-            
-            await db.connect();
-            
-            const result = await db.query(`
+            const result = await this.db.query(`
                 SELECT 
-                    id as external_id,
+                    external_id,
                     name,
                     role,
                     focus_areas,
                     extraction_priorities,
                     ai_model
                 FROM team_members 
+                WHERE active = true
                 ORDER BY name
             `);
             
-            await db.end();
             return result.rows;
         } catch (error) {
             logger.error('Error loading team members from database', { error });
@@ -197,7 +214,10 @@ export class TeamOrchestrator extends EventEmitter {
         try {
             logger.info('Initializing Master Executive Agent...');
             
-            this.masterAgent = new MasterExecutiveAgent(this.config, this.memorySystem);
+            const executive = this.config.team?.executives?.[0] || { id: 'executive', name: 'Executive' };
+            this.masterAgent = new MasterExecutiveAgent(executive, this.llm, this.memorySystem, {
+                processing: this.config.ai_configuration?.processing
+            });
             
             logger.info('✅ Master Executive Agent ready');
             
@@ -232,6 +252,7 @@ export class TeamOrchestrator extends EventEmitter {
             logger.info('Initializing Context-Aware AI System...');
             
             this.contextAwareAI = new ContextAwareAI({
+                llm: this.llm,
                 openRouterApiKey: this.config.ai?.openRouterApiKey || process.env.OPENROUTER_API_KEY,
                 defaultModel: this.config.ai?.defaultModel || 'anthropic/claude-3-5-sonnet-20241022',
                 maxTokens: this.config.ai?.maxTokens || 2000,
@@ -330,6 +351,8 @@ export class TeamOrchestrator extends EventEmitter {
             const escalation = {
                 type: 'email_escalation',
                 timestamp: new Date().toISOString(),
+                memberName: processedResult.memberName,
+                sourceRef: emailContext.email.messageId || null,
                 source: emailContext.email.from,
                 subject: emailContext.email.subject,
                 urgency: emailContext.urgency?.level || 'medium',
@@ -400,6 +423,20 @@ export class TeamOrchestrator extends EventEmitter {
             // Process the update through their personal assistant
             const structuredUpdate = await assistant.processUpdate(updateText, metadata);
             
+            // Memory-backed processing returns extractedData, the fallback returns extracted
+            structuredUpdate.extracted = structuredUpdate.extracted || structuredUpdate.extractedData || { totalItems: 0 };
+            
+            // Model extraction with the member's prompt version, recorded as a
+            // prompt run so the update's author can rate it
+            const { extractions, prompt } = await this.intelligence.runExtraction(updateText, {
+                external_id: memberName,
+                name: assistant.memberName,
+                role: assistant.memberRole,
+                focus_areas: assistant.config?.focus_areas
+            });
+            structuredUpdate.aiExtractions = extractions;
+            structuredUpdate.prompt = prompt;
+            
             // Store in enhanced memory if email context available
             if (metadata.emailContext && this.memorySystem) {
                 await this.storeEmailContext(memberName, metadata.emailContext, structuredUpdate);
@@ -441,11 +478,17 @@ export class TeamOrchestrator extends EventEmitter {
                 this.stats.summariesGenerated++;
             }
             
+            // Raise keyword and AI risk escalations for executive attention
+            this.escalateUpdate(memberName, updateText, structuredUpdate, metadata);
+            
             // Emit events for real-time updates
             this.emit('updateProcessed', {
                 memberName,
+                updateText,
+                source: metadata.source || 'update',
                 updateLength: updateText.length,
                 extractedItems: structuredUpdate.extracted.totalItems,
+                extracted: structuredUpdate.extracted,
                 masterResponse
             });
             
@@ -460,6 +503,8 @@ export class TeamOrchestrator extends EventEmitter {
                 status: 'success',
                 memberName,
                 extracted: structuredUpdate.extracted,
+                aiExtractions: structuredUpdate.aiExtractions,
+                prompt: structuredUpdate.prompt,
                 masterResponse,
                 aiResponse: structuredUpdate.aiResponse,
                 timestamp: new Date().toISOString()
@@ -472,6 +517,81 @@ export class TeamOrchestrator extends EventEmitter {
         }
     }
     
+    /**
+     * Emit escalations for an update that trips the keyword filter or that
+     * the AI flagged as risky. Email escalations are handled separately.
+     */
+    escalateUpdate(memberName, updateText, structuredUpdate, metadata = {}) {
+        const extracted = structuredUpdate.extracted;
+        const sourceRef = structuredUpdate.id || structuredUpdate.analysis?.id || null;
+        
+        const keywordResult = this.keywordFilter.analyze(updateText, extracted);
+        if (keywordResult.requires_escalation) {
+            const terms = keywordResult.matches.map(match => match.term);
+            
+            this.emit('escalationCreated', {
+                type: 'keyword_escalation',
+                timestamp: new Date().toISOString(),
+                memberName,
+                sourceRef,
+                urgency: keywordResult.keyword_analysis.highest_priority_level || 'medium',
+                reason: `Matched keywords: ${terms.join(', ')}`,
+                summary: updateText,
+                context: {
+                    source: metadata.source || 'update',
+                    priorityBoost: keywordResult.priority_boost,
+                    matches: keywordResult.matches
+                }
+            });
+        }
+        
+        const riskFlags = this.getRiskFlags(extracted);
+        if (riskFlags.length > 0) {
+            const escalation = extracted.executiveEscalation || {};
+            const atRisk = (extracted.clients || []).filter(client => client.status === 'at_risk');
+            
+            this.emit('escalationCreated', {
+                type: 'ai_risk_flag',
+                timestamp: new Date().toISOString(),
+                memberName,
+                sourceRef,
+                urgency: escalation.urgency || (atRisk.length > 0 ? 'high' : 'medium'),
+                reason: escalation.reason || riskFlags.join(', '),
+                summary: updateText,
+                clientName: atRisk[0]?.name || null,
+                dealValue: atRisk.reduce((sum, client) => sum + (client.dealValue || 0), 0) || null,
+                context: {
+                    source: metadata.source || 'update',
+                    riskFlags,
+                    riskFactors: atRisk.flatMap(client => client.riskFactors || [])
+                }
+            });
+        }
+    }
+    
+    /**
+     * Risk signals from the AI extraction
+     */
+    getRiskFlags(extracted = {}) {
+        const flags = [];
+        
+        if (extracted.executiveEscalation?.required) {
+            flags.push('AI recommended executive escalation');
+        }
+        
+        for (const client of extracted.clients || []) {
+            if (client.status === 'at_risk') {
+                flags.push(`${client.name || 'Client'} at risk`);
+            }
+        }
+        
+        if (extracted.requires_attention) {
+            flags.push('AI flagged as requiring attention');
+        }
+        
+        return flags;
+    }
+    
     /**
      * Get personal assistant for a team member
      */
@@ -753,6 +873,33 @@ export class TeamOrchestrator extends EventEmitter {
         this.stats.activeMembers = this.personalAssistants.size;
         logger.info(`Reloaded ${this.personalAssistants.size} team members.`);
     }
+
+    /**
+     * Swap in a new (validated) team config. Assistants, model routing and
+     * keyword rules are all set up before the config is swapped, so a failure
+     * leaves the running config untouched.
+     */
+    async applyConfiguration(config) {
+        const assistants = await this.buildPersonalAssistants(config);
+        const previous = this.config;
+
+        // Routing and keyword rules both take the new config or neither does;
+        // nothing else changes until they have
+        this.llm.updateConfiguration(config);
+        try {
+            this.keywordFilter.updateConfiguration(config);
+        } catch (error) {
+            this.llm.updateConfiguration(previous);
+            throw error;
+        }
+
+        this.config = config;
+        this.personalAssistants = assistants;
+        this.stats.activeMembers = assistants.size;
+
+        logger.info(`Team configuration applied with ${assistants.size} team members.`);
+        this.emit('configurationUpdated', { activeMembers: assistants.size });
+    }
     
     /**
      * Setup processing intervals for scheduled operations
@@ -0,0 +1,291 @@
+/**
+ * Extraction Plugin Registry
+ * Loads custom extraction types from the plugins directory (PLUGINS_DIR,
+ * default ./plugins) when the pluginSystem flag is on. Each plugin is a
+ * directory with an index.js, or a single .js file, whose default export is:
+ *
+ *   {
+ *     type: 'service_issue',                  // extraction type the model returns
+ *     description: 'Service department problems at a dealership',
+ *     prompt: 'dealershipName, issue, severity (low|medium|high|critical)',
+ *     schema: {                               // checked before anything is saved
+ *       dealershipName: { type: 'string', required: true },
+ *       severity: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] }
+ *     },
+ *     async handle({ extraction, extractionId, updateId, memberId, db }) {},
+ *     widgets: [{ id: 'open', title: 'Open issues', type: 'list', async load({ db, days }) {} }]
+ *   }
+ *
+ * Files and directories starting with '_' or '.' are skipped.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { db } from '../database/connection.js';
+import { featureFlagService } from '../flags/feature-flag-service.js';
+import { logger } from '../../utils/logger.js';
+
+export const PLUGIN_FLAG = 'pluginSystem';
+
+// Types AIIntelligenceEngine.processExtraction handles itself
+export const BUILT_IN_EXTRACTION_TYPES = [
+    'deal_update',
+    'dealer_feedback',
+    'pilot_update',
+    'risk',
+    'opportunity',
+    'competitor_intel',
+    'action_item'
+];
+
+export const WIDGET_TYPES = ['metric', 'list', 'table'];
+
+const SCHEMA_TYPES = ['string', 'number', 'boolean', 'array', 'object'];
+
+const TYPE_PATTERN = /^[a-z][a-z0-9_]{1,49}$/;
+
+export class ExtractionPluginRegistry {
+    constructor(options = {}) {
+        this.logger = logger.child({ component: 'ExtractionPluginRegistry' });
+        this.db = options.db || db;
+        this.flags = options.flags || featureFlagService;
+        this.pluginsDir = options.pluginsDir || process.env.PLUGINS_DIR ||
+            fileURLToPath(new URL('../../../plugins', import.meta.url));
+
+        this.enabled = false;
+        this.loaded = false;
+        this.plugins = new Map();
+        this.failed = [];
+    }
+
+    /**
+     * Whether the backing database is available
+     */
+    isAvailable() {
+        return Boolean(this.db?.initialized);
+    }
+
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * Load plugins once, if the pluginSystem flag is on for this environment
+     */
+    async initialize() {
+        if (this.loaded) return;
+        this.loaded = true;
+
+        this.enabled = this.flags.isEnabled(PLUGIN_FLAG, this.flags.contextFor());
+        if (!this.enabled) {
+            this.logger.info('Plugin system disabled by feature flag');
+            return;
+        }
+
+        await this.load();
+    }
+
+    async load() {
+        let entries;
+        try {
+            entries = await fs.promises.readdir(this.pluginsDir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.error('Could not read plugins directory', { path: this.pluginsDir, error: error.message });
+            }
+            return;
+        }
+
+        for (const entry of entries) {
+            if (entry.name.startsWith('_') || entry.name.startsWith('.')) continue;
+
+            let file;
+            if (entry.isDirectory()) {
+                file = path.join(this.pluginsDir, entry.name, 'index.js');
+            } else if (entry.name.endsWith('.js')) {
+                file = path.join(this.pluginsDir, entry.name);
+            } else {
+                continue;
+            }
+
+            await this.loadPlugin(entry.name, file);
+        }
+
+        this.logger.info('Extraction plugins loaded', {
+            plugins: [...this.plugins.keys()],
+            failed: this.failed.length
+        });
+    }
+
+    async loadPlugin(name, file) {
+        try {
+            const module = await import(pathToFileURL(file).href);
+            const plugin = module.default;
+
+            const errors = this.validatePlugin(plugin);
+            if (errors.length > 0) {
+                throw new Error(errors.join('; '));
+            }
+
+            this.plugins.set(plugin.type, { ...plugin, source: name, widgets: plugin.widgets || [] });
+        } catch (error) {
+            this.failed.push({ source: name, error: error.message });
+            this.logger.error('Extraction plugin rejected', { source: name, error: error.message });
+        }
+    }
+
+    /**
+     * Problems with a plugin's default export, empty when it meets the contract
+     */
+    validatePlugin(plugin) {
+        if (!plugin || typeof plugin !== 'object') {
+            return ['default export must be a plugin object'];
+        }
+
+        const errors = [];
+
+        if (!TYPE_PATTERN.test(plugin.type || '')) {
+            errors.push('type must be snake_case, e.g. "service_issue"');
+        } else if (BUILT_IN_EXTRACTION_TYPES.includes(plugin.type)) {
+            errors.push(`type "${plugin.type}" is a built-in extraction type`);
+        } else if (this.plugins.has(plugin.type)) {
+            errors.push(`type "${plugin.type}" is already provided by ${this.plugins.get(plugin.type).source}`);
+        }
+
+        if (typeof plugin.prompt !== 'string' || !plugin.prompt.trim()) {
+            errors.push('prompt must describe the fields the model should return');
+        }
+
+        if (!plugin.schema || typeof plugin.schema !== 'object') {
+            errors.push('schema must map field names to { type, required, enum }');
+        } else {
+            for (const [field, rule] of Object.entries(plugin.schema)) {
+                if (!SCHEMA_TYPES.includes(rule?.type)) {
+                    errors.push(`schema.${field}.type must be one of ${SCHEMA_TYPES.join(', ')}`);
+                }
+            }
+        }
+
+        if (plugin.handle !== undefined && typeof plugin.handle !== 'function') {
+            errors.push('handle must be a function');
+        }
+
+        for (const widget of plugin.widgets || []) {
+            if (!widget?.id || !widget.title) errors.push('every widget needs an id and a title');
+            if (!WIDGET_TYPES.includes(widget?.type)) errors.push(`widget type must be one of ${WIDGET_TYPES.join(', ')}`);
+            if (typeof widget?.load !== 'function') errors.push(`widget ${widget?.id} needs a load function`);
+        }
+
+        return errors;
+    }
+
+    getPlugin(type) {
+        return this.plugins.get(type) || null;
+    }
+
+    listPlugins() {
+        return [...this.plugins.values()].map(plugin => ({
+            type: plugin.type,
+            description: plugin.description || null,
+            source: plugin.source,
+            fields: Object.keys(plugin.schema),
+            widgets: plugin.widgets.map(widget => this.describeWidget(plugin, widget))
+        }));
+    }
+
+    listWidgets() {
+        return [...this.plugins.values()].flatMap(plugin =>
+            plugin.widgets.map(widget => this.describeWidget(plugin, widget)));
+    }
+
+    describeWidget(plugin, widget) {
+        return {
+            plugin: plugin.type,
+            id: widget.id,
+            title: widget.title,
+            type: widget.type,
+            description: widget.description || null
+        };
+    }
+
+    /**
+     * Prompt lines describing each plugin type, for the extraction prompt
+     */
+    getPromptFragments() {
+        return [...this.plugins.values()].map(plugin => ({
+            type: plugin.type,
+            prompt: plugin.prompt.trim()
+        }));
+    }
+
+    /**
+     * Problems with an extraction's data against its plugin schema
+     */
+    validateExtraction(type, data) {
+        const plugin = this.plugins.get(type);
+        if (!plugin) return [];
+
+        return validateAgainstSchema(plugin.schema, data);
+    }
+
+    /**
+     * Run a plugin's DB handler for a saved extraction
+     */
+    async handle(type, { extraction, extractionId, updateId, memberId }) {
+        const plugin = this.plugins.get(type);
+        if (!plugin?.handle) return;
+
+        await plugin.handle({ extraction, extractionId, updateId, memberId, db: this.db, logger: this.logger });
+    }
+
+    /**
+     * Data for one dashboard widget
+     */
+    async loadWidget(type, widgetId, { days = 7 } = {}) {
+        const plugin = this.plugins.get(type);
+        const widget = plugin?.widgets.find(candidate => candidate.id === widgetId);
+        if (!widget) return null;
+
+        return {
+            ...this.describeWidget(plugin, widget),
+            data: await widget.load({ db: this.db, days })
+        };
+    }
+
+    getStatus() {
+        return {
+            enabled: this.enabled,
+            plugins: this.listPlugins(),
+            failed: this.failed
+        };
+    }
+}
+
+function validateAgainstSchema(schema, data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['data must be an object'];
+    }
+
+    const errors = [];
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const value = data[field];
+        if (value === undefined || value === null || value === '') {
+            if (rule.required) errors.push(`${field} is required`);
+            continue;
+        }
+
+        const actual = Array.isArray(value) ? 'array' : typeof value;
+        if (actual !== rule.type) {
+            errors.push(`${field} must be a ${rule.type}`);
+        } else if (rule.enum && !rule.enum.includes(value)) {
+            errors.push(`${field} must be one of ${rule.enum.join(', ')}`);
+        }
+    }
+
+    return errors;
+}
+
+// Export singleton instance
+export const extractionPlugins = new ExtractionPluginRegistry();
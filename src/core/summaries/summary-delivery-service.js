@@ -0,0 +1,679 @@
+/**
+ * Summary Delivery Service
+ * Scheduled, per-executive summaries. Each executive in team.executives can
+ * have a summary_delivery block: schedules (daily, or weekly on a given day,
+ * at a local time), a timezone and a channel (email, slack or in_app). When a
+ * schedule comes due the summary is written for that executive's
+ * summary_style and priority_areas, recorded in executive_summaries and
+ * delivered; the row keeps how the delivery went. Each summary also keeps
+ * a snapshot of what it was written from, so the next one leads with what
+ * changed since.
+ *
+ *   "summary_delivery": {
+ *     "timezone": "America/Chicago",
+ *     "channel": "email",
+ *     "schedules": [
+ *       { "frequency": "daily", "time": "07:00" },
+ *       { "frequency": "weekly", "day": "monday", "time": "07:00" }
+ *     ]
+ *   }
+ */
+
+import { db } from '../database/connection.js';
+import { logger } from '../../utils/logger.js';
+import { mailgunClient } from '../email/mailgun-client.js';
+import { MasterExecutiveAgent } from '../agents/master-executive-agent.js';
+import { executiveIntelligenceService } from '../intelligence/executive-intelligence-service.js';
+import { dealService as defaultDealService } from '../deals/deal-service.js';
+import { buildSnapshot, closedItemIds, diffSnapshots, describeChanges } from './summary-diff.js';
+
+export const DELIVERY_CHANNELS = ['email', 'slack', 'in_app'];
+
+export const SCHEDULE_FREQUENCIES = ['daily', 'weekly'];
+
+export const DELIVERY_STATUSES = ['pending', 'delivered', 'simulated', 'failed'];
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// How far back each schedule's summary looks
+const PERIOD_DAYS = { daily: 1, weekly: 7, manual: 1 };
+
+const SCHEDULE_TITLES = { daily: 'Daily', weekly: 'Weekly', manual: 'Executive' };
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// A failed scheduled slot is tried again after 15 minutes, then 30, then given up
+export const MAX_DELIVERY_ATTEMPTS = 3;
+const RETRY_BACKOFF_MS = 15 * 60 * 1000;
+const MAX_ACTIVITY = 200;
+const MAX_DEALS = 500;
+// Interventions the summary itself covers; the snapshot keeps every open one
+const MAX_PROMPT_INTERVENTIONS = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// In-memory summaries are capped so a long-running process doesn't grow forever
+const MEMORY_LIMIT = 200;
+
+/**
+ * Problems with an executive's summary_delivery block; empty when it's usable
+ */
+export function deliveryProblems(delivery) {
+    if (!delivery) return [];
+
+    const problems = [];
+
+    if (!DELIVERY_CHANNELS.includes(delivery.channel)) {
+        problems.push(`channel must be one of ${DELIVERY_CHANNELS.join(', ')}`);
+    }
+    if (delivery.channel === 'slack' && !delivery.slack_channel) {
+        problems.push('slack delivery needs a slack_channel');
+    }
+
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: delivery.timezone || 'UTC' });
+    } catch {
+        problems.push(`unknown timezone ${delivery.timezone}`);
+    }
+
+    if (!Array.isArray(delivery.schedules) || delivery.schedules.length === 0) {
+        problems.push('schedules must list at least one schedule');
+        return problems;
+    }
+
+    for (const schedule of delivery.schedules) {
+        if (!SCHEDULE_FREQUENCIES.includes(schedule.frequency)) {
+            problems.push(`schedule frequency must be one of ${SCHEDULE_FREQUENCIES.join(', ')}`);
+        }
+        if (parseTime(schedule.time) === null) {
+            problems.push(`schedule time must be HH:MM, got ${schedule.time}`);
+        }
+        if (schedule.frequency === 'weekly' && !WEEKDAYS.includes(String(schedule.day).toLowerCase())) {
+            problems.push(`weekly schedules need a day (${WEEKDAYS.join(', ')})`);
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Calendar date, weekday and minutes past midnight in a timezone
+ */
+export function localTime(date, timezone = 'UTC') {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'long',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        weekday: parts.weekday.toLowerCase(),
+        minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+    };
+}
+
+/**
+ * Schedules that have come due today in the executive's timezone. Each has a
+ * slot ("daily:2026-03-02") so it is delivered once however often we check.
+ */
+export function dueSlots(delivery, now = new Date()) {
+    const local = localTime(now, delivery.timezone || 'UTC');
+
+    return delivery.schedules
+        .filter(schedule => schedule.frequency === 'daily' ||
+            String(schedule.day).toLowerCase() === local.weekday)
+        .filter(schedule => local.minutes >= parseTime(schedule.time))
+        .map(schedule => ({ frequency: schedule.frequency, slot: `${schedule.frequency}:${local.date}` }));
+}
+
+export class SummaryDeliveryService {
+    constructor(options = {}) {
+        this.logger = logger.child({ component: 'SummaryDeliveryService' });
+        this.db = options.db || db;
+        this.mailer = options.mailer || mailgunClient;
+        this.intelligenceService = options.intelligenceService || executiveIntelligenceService;
+        this.dealService = options.dealService || defaultDealService;
+        this.createAgent = options.createAgent ||
+            ((executive, llm, memory) => new MasterExecutiveAgent(executive, llm, memory));
+        this.checkIntervalMs = options.checkIntervalMs || CHECK_INTERVAL_MS;
+
+        this.config = null;
+        this.llm = null;
+        this.memory = null;
+        this.slack = null;
+        this.timer = null;
+        this.running = false;
+
+        // Summaries without a database, newest first
+        this.summaries = [];
+    }
+
+    /**
+     * Whether summaries are persisted
+     */
+    isAvailable() {
+        return Boolean(this.db?.initialized);
+    }
+
+    /**
+     * Take the team config and the services summaries are written and sent
+     * with; safe to call again on config reload
+     */
+    configure(config, { llm = this.llm, memory = this.memory, slack = this.slack } = {}) {
+        this.config = config;
+        this.llm = llm;
+        this.memory = memory;
+        this.slack = slack;
+
+        for (const executive of config?.team?.executives || []) {
+            const problems = deliveryProblems(executive.summary_delivery);
+            if (problems.length > 0) {
+                this.logger.warn('Summary delivery skipped for executive', { executive: executive.id, problems });
+            }
+        }
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.checkSchedules(), this.checkIntervalMs);
+        this.timer.unref?.();
+
+        this.logger.info('Summary delivery scheduled', {
+            executives: this.getScheduledExecutives().map(executive => executive.id)
+        });
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Executives with a usable summary_delivery block
+     */
+    getScheduledExecutives() {
+        return (this.config?.team?.executives || []).filter(executive =>
+            executive.summary_delivery && deliveryProblems(executive.summary_delivery).length === 0);
+    }
+
+    /**
+     * Deliver every summary that has come due; returns what was delivered
+     */
+    async checkSchedules(now = new Date()) {
+        if (this.running) return [];
+        this.running = true;
+
+        const delivered = [];
+        try {
+            for (const executive of this.getScheduledExecutives()) {
+                for (const { frequency, slot } of dueSlots(executive.summary_delivery, now)) {
+                    const summary = await this.deliverSummary(executive.id, { frequency, slot, now });
+                    if (summary) delivered.push(summary);
+                }
+            }
+        } catch (error) {
+            this.logger.error('Scheduled summary delivery failed', { error: error.message });
+        } finally {
+            this.running = false;
+        }
+
+        return delivered;
+    }
+
+    /**
+     * Write, record and send one executive's summary. A scheduled slot is
+     * claimed first; null when it was already delivered, or failed and isn't
+     * due a retry.
+     *
+     * @param {string} executiveId - id from team.executives
+     * @param {Object} [options] - frequency ('daily', 'weekly' or 'manual'), slot, channel override
+     */
+    async deliverSummary(executiveId, { frequency = 'manual', slot = null, channel = null, now = new Date() } = {}) {
+        const executive = (this.config?.team?.executives || []).find(candidate => candidate.id === executiveId);
+        if (!executive) {
+            throw new Error(`Invalid executive: ${executiveId} is not in team.executives`);
+        }
+
+        const delivery = executive.summary_delivery || {};
+        const deliveryChannel = channel || delivery.channel || 'in_app';
+        if (!DELIVERY_CHANNELS.includes(deliveryChannel)) {
+            throw new Error(`Invalid channel: choose from ${DELIVERY_CHANNELS.join(', ')}`);
+        }
+
+        const periodEnd = now;
+        const periodStart = new Date(now.getTime() - (PERIOD_DAYS[frequency] || 1) * DAY_MS);
+
+        const record = await this.claim({
+            executiveKey: executive.id,
+            schedule: frequency,
+            slot,
+            channel: deliveryChannel,
+            periodStart,
+            periodEnd,
+            now
+        });
+        if (!record) return null;
+
+        try {
+            const written = await this.writeSummary(executive, { frequency, periodStart, summaryId: record.id });
+            Object.assign(record, written);
+            await this.saveContent(record);
+
+            const result = await this.send(executive, deliveryChannel, record);
+            Object.assign(record, result);
+        } catch (error) {
+            this.logger.error('Summary delivery failed', { executive: executive.id, slot, error: error.message });
+            Object.assign(record, { status: 'failed', error: error.message });
+        }
+
+        record.deliveredAt = record.status === 'failed' ? null : new Date().toISOString();
+        record.nextAttemptAt = record.status === 'failed' && slot && record.attempts < MAX_DELIVERY_ATTEMPTS
+            ? new Date(now.getTime() + RETRY_BACKOFF_MS * 2 ** (record.attempts - 1)).toISOString()
+            : null;
+        await this.saveStatus(record);
+
+        this.logger.info('Executive summary delivered', {
+            executive: executive.id,
+            schedule: frequency,
+            channel: deliveryChannel,
+            status: record.status
+        });
+
+        return record;
+    }
+
+    /**
+     * Summarize the period's team activity and open interventions with the
+     * executive's own style and priorities, leading with what changed since
+     * their previous summary
+     */
+    async writeSummary(executive, { frequency, periodStart, summaryId = null }) {
+        if (!this.llm) {
+            throw new Error('No AI provider configured for summaries');
+        }
+
+        const [activity, open, deals, previous] = await Promise.all([
+            this.intelligenceService.listActivity(MAX_ACTIVITY),
+            this.intelligenceService.listInterventions({ limit: null }),
+            this.dealService.isAvailable()
+                ? this.dealService.listDeals({ limit: MAX_DEALS }).then(result => result.deals)
+                : [],
+            this.findPreviousSummary(executive.id, { excludeId: summaryId })
+        ]);
+        const recent = activity.filter(item => new Date(item.timestamp) >= periodStart);
+        const interventions = open.slice(0, MAX_PROMPT_INTERVENTIONS);
+
+        // Items gone from the open list may be resolved or just snoozed
+        const openSnapshot = buildSnapshot({ interventions: open, deals });
+        const closedIds = previous ? closedItemIds(previous.snapshot, openSnapshot) : [];
+        const statuses = closedIds.length > 0
+            ? await this.intelligenceService.getInterventionStatuses(closedIds)
+            : new Map();
+        const snapshot = {
+            ...openSnapshot,
+            closed: closedIds.map(id => ({ id, status: statuses.get(id) || null }))
+        };
+        const changes = previous ? describeChanges(diffSnapshots(previous.snapshot, snapshot)) : '';
+
+        const updates = [
+            ...recent.map(item => ({
+                id: item.id,
+                source: item.memberName || item.source,
+                timestamp: item.timestamp,
+                extracted_data: { key_insights: [item.summary] }
+            })),
+            ...interventions.map(intervention => ({
+                id: intervention.id,
+                source: intervention.memberName || 'executive-intelligence',
+                timestamp: intervention.timestamp,
+                extracted_data: {
+                    priorities: [{ item: intervention.title, urgency: intervention.urgency === 'critical' ? 'high' : intervention.urgency }],
+                    client_info: intervention.clientName ? [{ client: intervention.clientName }] : [],
+                    revenue_info: intervention.dealValue ? [{ amount: intervention.dealValue }] : []
+                }
+            }))
+        ];
+
+        const agent = this.createAgent(executive, this.llm, this.memory);
+        const result = await agent.generateExecutiveSummary(updates, frequency === 'weekly' ? '7 days' : '24h', {
+            changes: changes || null
+        });
+        if (result.error) {
+            throw new Error(result.error_message || 'Summary generation failed');
+        }
+
+        const summary = result.summary;
+        return {
+            content: summary.executive_summary,
+            highlights: summary.critical_attention_areas || [],
+            attentionRequired: interventions.map(intervention => ({
+                id: intervention.id,
+                title: intervention.title,
+                urgency: intervention.urgency,
+                memberName: intervention.memberName || null
+            })),
+            revenueImpact: {
+                opportunities: summary.revenue_opportunities || [],
+                risks: summary.risk_factors || []
+            },
+            teamPerformance: {
+                updates: recent.length,
+                members: new Set(recent.map(item => item.memberName).filter(Boolean)).size
+            },
+            snapshot
+        };
+    }
+
+    /**
+     * Send a recorded summary; returns its delivery status
+     */
+    async send(executive, channel, record) {
+        const title = `${SCHEDULE_TITLES[record.schedule] || 'Executive'} briefing for ${executive.name}`;
+
+        if (channel === 'in_app') {
+            return { status: 'delivered', error: null };
+        }
+
+        if (channel === 'slack') {
+            const target = executive.summary_delivery?.slack_channel;
+            if (!this.slack || !target) {
+                return { status: 'failed', error: 'Slack is not configured for this executive' };
+            }
+
+            const sent = await this.slack.sendSlackMessage(target, `*${title}*\n${record.content}`);
+            return sent
+                ? { status: 'delivered', error: null }
+                : { status: 'failed', error: 'Slack rejected the message' };
+        }
+
+        const to = executive.summary_delivery?.email || await this.lookupEmail(executive.id);
+        if (!to) {
+            return { status: 'failed', error: `No email address for ${executive.id}` };
+        }
+
+        const result = await this.mailer.sendEmail({
+            from: `${process.env.MAILGUN_FROM_NAME || 'Team CRM'} <${process.env.MAILGUN_FROM_EMAIL || `briefings@${this.mailer.config.domain}`}>`,
+            to,
+            subject: `${title}: ${localTime(new Date(record.periodEnd), executive.summary_delivery?.timezone || 'UTC').date}`,
+            text: record.content,
+            html: `<h2>${escapeHtml(title)}</h2>${record.content.split(/\n{2,}/).map(paragraph =>
+                `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`).join('')}`,
+            tags: ['executive-summary', record.schedule]
+        });
+
+        // The client reports success even when it fell back to simulating
+        if (!this.mailer.enabled) return { status: 'simulated', error: null };
+        if (String(result.messageId).startsWith('fallback-')) {
+            return { status: 'failed', error: result.message };
+        }
+        return { status: 'delivered', error: null };
+    }
+
+    /**
+     * Recorded summaries, newest first
+     */
+    async listSummaries({ executive = null, limit = 20 } = {}) {
+        if (!this.isAvailable()) {
+            return this.summaries
+                .filter(summary => !executive || summary.executiveKey === executive)
+                .slice(0, limit);
+        }
+
+        const result = await this.db.query(`
+            SELECT * FROM executive_summaries
+            WHERE executive_key IS NOT NULL AND ($1::text IS NULL OR executive_key = $1)
+            ORDER BY created_at DESC
+            LIMIT $2
+        `, [executive, limit]);
+
+        return result.rows.map(row => this.toSummary(row));
+    }
+
+    async getSummary(id) {
+        if (!this.isAvailable()) {
+            return this.summaries.find(summary => summary.id === id) || null;
+        }
+
+        const result = await this.db.query(
+            'SELECT * FROM executive_summaries WHERE id::text = $1 AND executive_key IS NOT NULL',
+            [id]
+        );
+        return result.rows[0] ? this.toSummary(result.rows[0]) : null;
+    }
+
+    /**
+     * What changed between a summary and the executive's summary before it
+     */
+    async getSummaryDiff(id) {
+        const summary = await this.getSummary(id);
+        if (!summary) return null;
+
+        const previous = await this.findPreviousSummary(summary.executiveKey, {
+            before: summary.createdAt,
+            excludeId: summary.id
+        });
+
+        return {
+            summaryId: summary.id,
+            executiveKey: summary.executiveKey,
+            createdAt: summary.createdAt,
+            previousSummaryId: previous?.id || null,
+            previousCreatedAt: previous?.createdAt || null,
+            ...diffSnapshots(previous?.snapshot || null, summary.snapshot)
+        };
+    }
+
+    /**
+     * The executive's most recent summary that was written and sent, or null
+     */
+    async findPreviousSummary(executiveKey, { before = null, excludeId = null } = {}) {
+        if (!this.isAvailable()) {
+            // Newest first, so anything after the excluded summary is older
+            const start = this.summaries.findIndex(summary => summary.id === excludeId) + 1;
+            return this.summaries.slice(start).find(summary =>
+                summary.executiveKey === executiveKey &&
+                summary.id !== excludeId &&
+                summary.snapshot &&
+                ['delivered', 'simulated'].includes(summary.status) &&
+                (!before || new Date(summary.createdAt) <= new Date(before))) || null;
+        }
+
+        const result = await this.db.query(`
+            SELECT * FROM executive_summaries
+            WHERE executive_key = $1
+              AND snapshot IS NOT NULL
+              AND delivery_status IN ('delivered', 'simulated')
+              AND ($2::timestamptz IS NULL OR created_at < $2)
+              AND ($3::text IS NULL OR id::text <> $3)
+            ORDER BY created_at DESC
+            LIMIT 1
+        `, [executiveKey, before, excludeId]);
+
+        return result.rows[0] ? this.toSummary(result.rows[0]) : null;
+    }
+
+    /**
+     * Each executive's delivery settings and what is due next
+     */
+    getSchedules(now = new Date()) {
+        return (this.config?.team?.executives || []).map(executive => {
+            const delivery = executive.summary_delivery || null;
+            const problems = deliveryProblems(delivery);
+
+            return {
+                executive: executive.id,
+                name: executive.name,
+                summaryStyle: executive.summary_style || null,
+                priorityAreas: executive.priority_areas || [],
+                delivery,
+                enabled: Boolean(delivery) && problems.length === 0,
+                problems,
+                dueToday: delivery && problems.length === 0 ? dueSlots(delivery, now).map(due => due.slot) : []
+            };
+        });
+    }
+
+    /**
+     * Record a pending summary, claiming its slot; null when the slot was
+     * taken. A failed slot whose retry has come due is claimed again.
+     */
+    async claim({ executiveKey, schedule, slot, channel, periodStart, periodEnd, now = new Date() }) {
+        const record = {
+            id: null,
+            executiveKey,
+            schedule,
+            slot,
+            channel,
+            status: 'pending',
+            error: null,
+            content: '',
+            highlights: [],
+            attentionRequired: [],
+            revenueImpact: {},
+            teamPerformance: {},
+            snapshot: null,
+            periodStart: periodStart.toISOString(),
+            periodEnd: periodEnd.toISOString(),
+            createdAt: new Date().toISOString(),
+            deliveredAt: null,
+            attempts: 1,
+            nextAttemptAt: null
+        };
+
+        if (!this.isAvailable()) {
+            const existing = slot &&
+                this.summaries.find(summary => summary.executiveKey === executiveKey && summary.slot === slot);
+            if (existing) {
+                if (existing.status !== 'failed' || !existing.nextAttemptAt || new Date(existing.nextAttemptAt) > now) {
+                    return null;
+                }
+                return Object.assign(existing, {
+                    channel,
+                    status: 'pending',
+                    error: null,
+                    periodStart: record.periodStart,
+                    periodEnd: record.periodEnd,
+                    attempts: existing.attempts + 1,
+                    nextAttemptAt: null
+                });
+            }
+
+            record.id = `summary-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+            this.summaries.unshift(record);
+            if (this.summaries.length > MEMORY_LIMIT) this.summaries.length = MEMORY_LIMIT;
+            return record;
+        }
+
+        const result = await this.db.query(`
+            INSERT INTO executive_summaries (
+                executive_id, executive_key, summary_date, content, schedule, delivery_slot,
+                delivery_channel, delivery_status, period_start, period_end
+            )
+            VALUES ((SELECT id FROM team_members WHERE external_id = $1 LIMIT 1), $1, CURRENT_DATE, '', $2, $3, $4, 'pending', $5, $6)
+            ON CONFLICT (executive_key, delivery_slot) WHERE delivery_slot IS NOT NULL DO UPDATE
+            SET delivery_status = 'pending', delivery_error = NULL, delivery_channel = EXCLUDED.delivery_channel,
+                period_start = EXCLUDED.period_start, period_end = EXCLUDED.period_end,
+                delivery_attempts = executive_summaries.delivery_attempts + 1, next_attempt_at = NULL
+            WHERE executive_summaries.delivery_status = 'failed' AND executive_summaries.next_attempt_at <= $7
+            RETURNING id, created_at, delivery_attempts
+        `, [executiveKey, schedule, slot, channel, periodStart, periodEnd, now]);
+
+        if (result.rows.length === 0) return null;
+
+        record.id = result.rows[0].id;
+        record.createdAt = result.rows[0].created_at;
+        record.attempts = result.rows[0].delivery_attempts;
+        return record;
+    }
+
+    async saveContent(record) {
+        if (!this.isAvailable()) return;
+
+        await this.db.query(`
+            UPDATE executive_summaries
+            SET content = $2, key_highlights = $3, attention_required = $4,
+                revenue_impact = $5, team_performance = $6, snapshot = $7
+            WHERE id = $1
+        `, [
+            record.id,
+            record.content,
+            JSON.stringify(record.highlights),
+            JSON.stringify(record.attentionRequired),
+            JSON.stringify(record.revenueImpact),
+            JSON.stringify(record.teamPerformance),
+            JSON.stringify(record.snapshot)
+        ]);
+    }
+
+    async saveStatus(record) {
+        if (!this.isAvailable()) return;
+
+        await this.db.query(`
+            UPDATE executive_summaries
+            SET delivery_status = $2, delivery_error = $3, delivered_at = $4, next_attempt_at = $5
+            WHERE id = $1
+        `, [record.id, record.status, record.error, record.deliveredAt, record.nextAttemptAt]);
+    }
+
+    async lookupEmail(executiveKey) {
+        if (!this.isAvailable()) return null;
+
+        const result = await this.db.query(
+            'SELECT email FROM team_members WHERE external_id = $1',
+            [executiveKey]
+        );
+        return result.rows[0]?.email || null;
+    }
+
+    toSummary(row) {
+        return {
+            id: row.id,
+            executiveKey: row.executive_key,
+            schedule: row.schedule,
+            slot: row.delivery_slot,
+            channel: row.delivery_channel,
+            status: row.delivery_status,
+            error: row.delivery_error,
+            content: row.content,
+            highlights: row.key_highlights || [],
+            attentionRequired: row.attention_required || [],
+            revenueImpact: row.revenue_impact || {},
+            teamPerformance: row.team_performance || {},
+            snapshot: row.snapshot || null,
+            periodStart: row.period_start,
+            periodEnd: row.period_end,
+            createdAt: row.created_at,
+            deliveredAt: row.delivered_at,
+            attempts: row.delivery_attempts ?? 1,
+            nextAttemptAt: row.next_attempt_at || null
+        };
+    }
+}
+
+/**
+ * "07:00" -> minutes past midnight, or null
+ */
+function parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || ''));
+    if (!match) return null;
+
+    const [hours, minutes] = [parseInt(match[1]), parseInt(match[2])];
+    return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Export singleton instance
+export const summaryDeliveryService = new SummaryDeliveryService();
@@ -0,0 +1,143 @@
+/**
+ * Summary Diff
+ * What changed between two executive summaries. Each summary keeps a
+ * snapshot of the open interventions and the deal pipeline it was written
+ * from, plus the status of earlier items that are no longer open; comparing
+ * two snapshots gives new and resolved items, deals that moved stage, risk
+ * levels that changed and anything newly escalated.
+ */
+
+import { URGENCY_LEVELS } from '../intelligence/executive-intelligence-service.js';
+
+// Urgencies that put an item in front of an executive
+const ESCALATED_LEVELS = ['high', 'critical'];
+
+/**
+ * Snapshot of what a summary was written from. `closed` holds the current
+ * status of items from the previous snapshot that are no longer open, as
+ * `{ id, status }`; a snoozed item has left the list without being resolved.
+ */
+export function buildSnapshot({ interventions = [], deals = [], closed = null }) {
+    return {
+        items: interventions.map(intervention => ({
+            id: String(intervention.id),
+            title: intervention.title,
+            urgency: intervention.urgency,
+            memberName: intervention.memberName || null
+        })),
+        deals: deals.map(deal => ({
+            id: String(deal.id),
+            name: deal.name,
+            stage: deal.stage,
+            priority: deal.priority || null,
+            value: deal.total_contract_value !== null && deal.total_contract_value !== undefined
+                ? Number(deal.total_contract_value)
+                : null
+        })),
+        ...(closed && { closed: closed.map(item => ({ id: String(item.id), status: item.status || null })) })
+    };
+}
+
+/**
+ * Ids in the previous snapshot that the current one no longer lists as open
+ */
+export function closedItemIds(previous, current) {
+    const open = new Set((current?.items || []).map(item => item.id));
+    return (previous?.items || []).map(item => item.id).filter(id => !open.has(id));
+}
+
+/**
+ * Changes from the previous snapshot to the current one. Without a previous
+ * snapshot every open item counts as new. Only items whose status is
+ * resolved count as resolved; snapshots from before statuses were kept
+ * count every item that left the list.
+ */
+export function diffSnapshots(previous, current) {
+    const before = { items: previous?.items || [], deals: previous?.deals || [] };
+    const after = { items: current?.items || [], deals: current?.deals || [] };
+
+    const previousItems = new Map(before.items.map(item => [item.id, item]));
+    const currentItems = new Map(after.items.map(item => [item.id, item]));
+    const previousDeals = new Map(before.deals.map(deal => [deal.id, deal]));
+    const closedStatuses = current?.closed ? new Map(current.closed.map(item => [item.id, item.status])) : null;
+
+    const riskChanges = [];
+    for (const item of after.items) {
+        const earlier = previousItems.get(item.id);
+        if (earlier && earlier.urgency !== item.urgency) {
+            riskChanges.push(riskChange('item', item, earlier.urgency, item.urgency));
+        }
+    }
+
+    const dealStageChanges = [];
+    const newDeals = [];
+    for (const deal of after.deals) {
+        const earlier = previousDeals.get(deal.id);
+        if (!earlier) {
+            if (previous) newDeals.push(deal);
+            continue;
+        }
+        if (earlier.stage !== deal.stage) {
+            dealStageChanges.push({ id: deal.id, name: deal.name, from: earlier.stage, to: deal.stage, value: deal.value });
+        }
+        if (earlier.priority && deal.priority && earlier.priority !== deal.priority) {
+            riskChanges.push(riskChange('deal', { id: deal.id, title: deal.name }, earlier.priority, deal.priority));
+        }
+    }
+
+    const newItems = after.items.filter(item => !previousItems.has(item.id));
+
+    return {
+        firstSummary: !previous,
+        newItems,
+        resolvedItems: before.items.filter(item => !currentItems.has(item.id) &&
+            (!closedStatuses || closedStatuses.get(item.id) === 'resolved')),
+        dealStageChanges,
+        newDeals,
+        riskChanges,
+        newlyEscalated: after.items.filter(item => {
+            if (!ESCALATED_LEVELS.includes(item.urgency)) return false;
+            const earlier = previousItems.get(item.id);
+            return !earlier || !ESCALATED_LEVELS.includes(earlier.urgency);
+        })
+    };
+}
+
+/**
+ * Whether a diff has anything to report
+ */
+export function hasChanges(diff) {
+    return ['newItems', 'resolvedItems', 'dealStageChanges', 'newDeals', 'riskChanges']
+        .some(key => diff[key].length > 0);
+}
+
+/**
+ * Plain-text list of changes for the summary prompt; empty when nothing changed
+ */
+export function describeChanges(diff) {
+    if (diff.firstSummary || !hasChanges(diff)) return '';
+
+    const escalated = new Set(diff.newlyEscalated.map(item => item.id));
+    const added = new Set(diff.newItems.map(item => item.id));
+    return [
+        ...diff.newItems.map(item => `- New${escalated.has(item.id) ? ' escalation' : ''}: ${item.title} (${item.urgency})`),
+        ...diff.resolvedItems.map(item => `- Resolved: ${item.title}`),
+        ...diff.dealStageChanges.map(change => `- Deal ${change.name} moved from ${change.from} to ${change.to}`),
+        ...diff.newDeals.map(deal => `- New deal: ${deal.name} (${deal.stage})`),
+        ...diff.riskChanges.map(change => `- Risk ${change.direction}: ${change.title} from ${change.from} to ${change.to}`),
+        ...diff.newlyEscalated
+            .filter(item => !added.has(item.id))
+            .map(item => `- Newly escalated: ${item.title} (${item.urgency})`)
+    ].join('\n');
+}
+
+function riskChange(kind, subject, from, to) {
+    return {
+        kind,
+        id: subject.id,
+        title: subject.title,
+        from,
+        to,
+        direction: URGENCY_LEVELS.indexOf(to) > URGENCY_LEVELS.indexOf(from) ? 'up' : 'down'
+    };
+}
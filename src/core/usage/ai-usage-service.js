@@ -0,0 +1,314 @@
+/**
+ * AI Usage Service
+ * Records every model call with tokens, cost, feature and member, and enforces
+ * daily per-member budgets from ai_configuration.budgets in team-config.json
+ */
+
+import { db } from '../database/connection.js';
+import { logger } from '../../utils/logger.js';
+
+export const AI_FEATURES = ['extraction', 'summary', 'chat', 'insight'];
+
+export const USAGE_STATUSES = ['success', 'error', 'over_budget'];
+
+export const BUDGET_EXCEEDED = 'AI_BUDGET_EXCEEDED';
+
+// USD per million tokens; dated and vendor-prefixed ids match by prefix
+const DEFAULT_PRICING = {
+    'claude-3-opus': { input: 15, output: 75 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-sonnet': { input: 3, output: 15 },
+    'claude-3-haiku': { input: 0.25, output: 1.25 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-4': { input: 30, output: 60 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 }
+};
+
+// Local servers and offline fixtures cost nothing
+const FREE_PROVIDERS = ['local', 'fixture'];
+
+export class AIUsageService {
+    constructor(options = {}) {
+        this.logger = logger.child({ component: 'AIUsageService' });
+        this.db = options.db || db;
+        this.pricing = { ...DEFAULT_PRICING };
+        this.budgets = { dailyUsdPerMember: null, members: {} };
+
+        // Today's spend per member, so budget checks don't query on every call
+        this.dailySpend = new Map();
+    }
+
+    /**
+     * Whether the backing database is available
+     */
+    isAvailable() {
+        return Boolean(this.db?.initialized);
+    }
+
+    /**
+     * Read pricing overrides and budgets from the team config
+     */
+    configure(config = {}) {
+        const aiConfig = config.ai_configuration || {};
+
+        this.pricing = { ...DEFAULT_PRICING };
+        for (const [model, price] of Object.entries(aiConfig.pricing || {})) {
+            this.pricing[model] = {
+                input: Number(price.input_per_million) || 0,
+                output: Number(price.output_per_million) || 0
+            };
+        }
+
+        const budgets = aiConfig.budgets || {};
+        this.budgets = {
+            dailyUsdPerMember: budgets.daily_usd_per_member ?? null,
+            members: budgets.members || {}
+        };
+    }
+
+    /**
+     * Daily budget in USD for a member, or null when unlimited
+     */
+    getBudget(memberName) {
+        const budget = this.budgets.members[memberName] ?? this.budgets.dailyUsdPerMember;
+        return budget === null || budget === undefined ? null : Number(budget);
+    }
+
+    /**
+     * Cost in USD of a call; unknown models are recorded at zero cost with a warning
+     */
+    calculateCost({ provider, model, inputTokens = 0, outputTokens = 0 }) {
+        if (FREE_PROVIDERS.includes(provider)) return 0;
+
+        const price = this.findPrice(model);
+        if (!price) {
+            this.logger.warn('No pricing for model, recording zero cost', { model });
+            return 0;
+        }
+
+        return (inputTokens * price.input + outputTokens * price.output) / 1000000;
+    }
+
+    findPrice(model = '') {
+        if (this.pricing[model]) return this.pricing[model];
+
+        const name = model.includes('/') ? model.slice(model.lastIndexOf('/') + 1) : model;
+        const match = Object.keys(this.pricing)
+            .filter(key => name.startsWith(key))
+            .sort((a, b) => b.length - a.length)[0];
+
+        return match ? this.pricing[match] : null;
+    }
+
+    /**
+     * USD a member has spent on AI today (server time)
+     */
+    async getSpendToday(memberName) {
+        const today = this.today();
+        const cached = this.dailySpend.get(memberName);
+        if (cached?.day === today) return cached.costUsd;
+
+        let costUsd = 0;
+        if (this.isAvailable()) {
+            try {
+                const result = await this.db.query(`
+                    SELECT COALESCE(SUM(cost_usd), 0) AS cost_usd
+                    FROM ai_usage
+                    WHERE member_name = $1 AND created_at >= CURRENT_DATE
+                `, [memberName]);
+                costUsd = Number(result.rows[0].cost_usd);
+            } catch (error) {
+                this.logger.error('Failed to load AI spend', { memberName, error: error.message });
+            }
+        }
+
+        this.dailySpend.set(memberName, { day: today, costUsd });
+        return costUsd;
+    }
+
+    /**
+     * Throws (code AI_BUDGET_EXCEEDED) when the member has used today's budget
+     */
+    async assertWithinBudget({ memberName, feature, task, provider, model }) {
+        if (!memberName) return;
+
+        const budget = this.getBudget(memberName);
+        if (budget === null) return;
+
+        const spent = await this.getSpendToday(memberName);
+        if (spent < budget) return;
+
+        await this.record({ memberName, feature, task, provider, model, status: 'over_budget' });
+
+        const error = new Error(`Daily AI budget of $${budget.toFixed(2)} used for ${memberName}`);
+        error.code = BUDGET_EXCEEDED;
+        throw error;
+    }
+
+    /**
+     * Record one model call. Never throws: accounting must not break AI calls.
+     */
+    async record({
+        memberName = null,
+        feature,
+        task = null,
+        provider,
+        model,
+        inputTokens = 0,
+        outputTokens = 0,
+        latencyMs = null,
+        status = 'success',
+        error = null
+    }) {
+        const costUsd = this.calculateCost({ provider, model, inputTokens, outputTokens });
+
+        if (memberName && costUsd > 0) {
+            const spent = await this.getSpendToday(memberName);
+            this.dailySpend.set(memberName, { day: this.today(), costUsd: spent + costUsd });
+        }
+
+        if (!this.isAvailable()) return null;
+
+        try {
+            const result = await this.db.query(`
+                INSERT INTO ai_usage (member_name, feature, task, provider, model, input_tokens,
+                    output_tokens, cost_usd, latency_ms, status, error)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+                RETURNING *
+            `, [memberName, feature, task, provider, model, inputTokens, outputTokens,
+                costUsd, latencyMs, status, error]);
+
+            return result.rows[0];
+        } catch (dbError) {
+            this.logger.error('Failed to record AI usage', { feature, model, error: dbError.message });
+            return null;
+        }
+    }
+
+    /**
+     * Totals by member, feature, model and day over the last `days` days,
+     * with each member's budget for today
+     */
+    async getUsageReport({ days = 7, memberName = null } = {}) {
+        const params = [days];
+        let memberFilter = '';
+        if (memberName) {
+            params.push(memberName);
+            memberFilter = `AND member_name = $${params.length}`;
+        }
+
+        const where = `WHERE created_at >= CURRENT_DATE - ($1::int - 1) ${memberFilter}`;
+        const totals = `
+            COUNT(*) FILTER (WHERE status = 'success') AS calls,
+            COUNT(*) FILTER (WHERE status = 'error') AS errors,
+            COUNT(*) FILTER (WHERE status = 'over_budget') AS over_budget,
+            COALESCE(SUM(input_tokens), 0) AS input_tokens,
+            COALESCE(SUM(output_tokens), 0) AS output_tokens,
+            COALESCE(SUM(cost_usd), 0) AS cost_usd
+        `;
+
+        const [overall, byMember, byFeature, byModel, byDay, today] = await Promise.all([
+            this.db.query(`SELECT ${totals} FROM ai_usage ${where}`, params),
+            this.db.query(`SELECT member_name, ${totals} FROM ai_usage ${where} GROUP BY member_name ORDER BY cost_usd DESC`, params),
+            this.db.query(`SELECT feature, ${totals} FROM ai_usage ${where} GROUP BY feature ORDER BY cost_usd DESC`, params),
+            this.db.query(`SELECT provider, model, ${totals} FROM ai_usage ${where} GROUP BY provider, model ORDER BY cost_usd DESC`, params),
+            this.db.query(`SELECT created_at::date AS day, ${totals} FROM ai_usage ${where} GROUP BY day ORDER BY day`, params),
+            this.db.query(`
+                SELECT member_name, COALESCE(SUM(cost_usd), 0) AS cost_usd
+                FROM ai_usage
+                WHERE created_at >= CURRENT_DATE AND member_name IS NOT NULL
+                GROUP BY member_name
+            `)
+        ]);
+
+        const spentToday = Object.fromEntries(today.rows.map(row => [row.member_name, Number(row.cost_usd)]));
+        const members = memberName ? [memberName] : [...new Set([
+            ...Object.keys(this.budgets.members),
+            ...Object.keys(spentToday),
+            ...byMember.rows.map(row => row.member_name).filter(Boolean)
+        ])];
+
+        return {
+            days,
+            totals: this.toTotals(overall.rows[0]),
+            byMember: byMember.rows.map(row => ({ memberName: row.member_name, ...this.toTotals(row) })),
+            byFeature: byFeature.rows.map(row => ({ feature: row.feature, ...this.toTotals(row) })),
+            byModel: byModel.rows.map(row => ({ provider: row.provider, model: row.model, ...this.toTotals(row) })),
+            byDay: byDay.rows.map(row => ({ day: row.day, ...this.toTotals(row) })),
+            budgets: members.map(name => this.toBudgetStatus(name, spentToday[name] || 0))
+        };
+    }
+
+    /**
+     * Most recent calls, newest first
+     */
+    async listCalls({ memberName = null, feature = null, status = null, limit = 50 } = {}) {
+        if (feature && !AI_FEATURES.includes(feature)) {
+            throw new Error(`Invalid feature: choose from ${AI_FEATURES.join(', ')}`);
+        }
+        if (status && !USAGE_STATUSES.includes(status)) {
+            throw new Error(`Invalid status: choose from ${USAGE_STATUSES.join(', ')}`);
+        }
+
+        const conditions = [];
+        const params = [];
+
+        if (memberName) {
+            params.push(memberName);
+            conditions.push(`member_name = $${params.length}`);
+        }
+
+        if (feature) {
+            params.push(feature);
+            conditions.push(`feature = $${params.length}`);
+        }
+
+        if (status) {
+            params.push(status);
+            conditions.push(`status = $${params.length}`);
+        }
+
+        params.push(limit);
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const result = await this.db.query(`
+            SELECT * FROM ai_usage
+            ${where}
+            ORDER BY created_at DESC
+            LIMIT $${params.length}
+        `, params);
+
+        return result.rows.map(row => ({ ...row, cost_usd: Number(row.cost_usd) }));
+    }
+
+    toTotals(row) {
+        return {
+            calls: Number(row.calls),
+            errors: Number(row.errors),
+            overBudget: Number(row.over_budget),
+            inputTokens: Number(row.input_tokens),
+            outputTokens: Number(row.output_tokens),
+            costUsd: Number(row.cost_usd)
+        };
+    }
+
+    toBudgetStatus(memberName, spentUsd) {
+        const budgetUsd = this.getBudget(memberName);
+
+        return {
+            memberName,
+            budgetUsd,
+            spentTodayUsd: spentUsd,
+            remainingUsd: budgetUsd === null ? null : Math.max(budgetUsd - spentUsd, 0),
+            exhausted: budgetUsd !== null && spentUsd >= budgetUsd
+        };
+    }
+
+    today() {
+        return new Date().toDateString();
+    }
+}
+
+// Export singleton instance
+export const aiUsageService = new AIUsageService();
@@ -0,0 +1,439 @@
+/**
+ * Outbound Webhook Service
+ * Delivers CRM events to subscriber URLs with HMAC signatures, retries
+ * failures with exponential backoff and keeps a delivery log for replay
+ */
+
+import crypto from 'crypto';
+import { db } from '../database/connection.js';
+import { logger } from '../../utils/logger.js';
+
+export const WEBHOOK_QUEUE = 'webhook-delivery';
+
+export const WEBHOOK_EVENTS = [
+    'update.processed',
+    'deal.stage_changed',
+    'escalation.created',
+    'summary.generated'
+];
+
+export const DELIVERY_STATUSES = ['pending', 'retrying', 'delivered', 'failed'];
+
+// Matches the webhook-delivery queue: 6 attempts, 30s doubling each time
+export const MAX_ATTEMPTS = 6;
+export const RETRY_BASE_DELAY_MS = 30000;
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+export class OutboundWebhookService {
+    constructor(options = {}) {
+        this.logger = logger.child({ component: 'OutboundWebhookService' });
+        this.db = options.db || db;
+        this.queueManager = options.queueManager || null;
+        this.attachedTo = null;
+    }
+
+    /**
+     * Whether the backing database is available
+     */
+    isAvailable() {
+        return Boolean(this.db?.initialized);
+    }
+
+    /**
+     * Use a queue for deliveries. Without one, deliveries and retries run in-process.
+     */
+    setQueueManager(queueManager) {
+        this.queueManager = queueManager;
+    }
+
+    /**
+     * Publish orchestrator and notification system events to subscribers
+     */
+    attach(orchestrator) {
+        if (!orchestrator || this.attachedTo === orchestrator) return;
+        this.attachedTo = orchestrator;
+
+        orchestrator.on('updateProcessed', data => this.publish('update.processed', {
+            memberName: data.memberName,
+            source: data.source,
+            updateText: data.updateText,
+            extractedItems: data.extractedItems,
+            extracted: data.extracted
+        }));
+
+        orchestrator.on('escalationCreated', escalation => this.publish('escalation.created', escalation));
+
+        orchestrator.on('summaryGenerated', data => this.publish('summary.generated', {
+            summary: data.summary,
+            processedUpdates: data.processedUpdates,
+            forced: Boolean(data.forced)
+        }));
+
+        orchestrator.notificationSystem?.on('dealStatusChange', change => this.publish('deal.stage_changed', change));
+    }
+
+    /**
+     * Queue a delivery of the event for every active subscriber. Never throws:
+     * event listeners must not break the code that emitted the event.
+     */
+    async publish(event, data) {
+        if (!this.isAvailable()) return [];
+
+        try {
+            const subscriptions = await this.db.query(`
+                SELECT id FROM webhook_subscriptions
+                WHERE active = true AND $1 = ANY(events)
+            `, [event]);
+
+            if (subscriptions.rows.length === 0) return [];
+
+            const eventId = crypto.randomUUID();
+            const payload = {
+                id: eventId,
+                event,
+                createdAt: new Date().toISOString(),
+                data
+            };
+
+            const deliveries = [];
+            for (const subscription of subscriptions.rows) {
+                const delivery = await this.createDelivery(subscription.id, event, eventId, payload);
+                await this.schedule(delivery.id);
+                deliveries.push(delivery);
+            }
+
+            return deliveries;
+        } catch (error) {
+            this.logger.error('Failed to publish webhook event', { event, error: error.message });
+            return [];
+        }
+    }
+
+    async createDelivery(subscriptionId, event, eventId, payload, replayOf = null) {
+        const result = await this.db.query(`
+            INSERT INTO webhook_deliveries (subscription_id, event, event_id, payload, replay_of)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING *
+        `, [subscriptionId, event, eventId, JSON.stringify(payload), replayOf]);
+
+        return result.rows[0];
+    }
+
+    /**
+     * Queue a delivery, or attempt it in-process when no queue is running
+     */
+    async schedule(deliveryId, delayMs = 0) {
+        if (this.queueManager?.isInitialized) {
+            try {
+                await this.queueManager.addJob(WEBHOOK_QUEUE, 'deliver-webhook', {
+                    jobType: 'deliver-webhook',
+                    data: { deliveryId }
+                }, { delay: delayMs });
+                return;
+            } catch (error) {
+                this.logger.warn('Could not queue webhook delivery, delivering in-process', { deliveryId, error: error.message });
+            }
+        }
+
+        const timer = setTimeout(() => this.deliverInProcess(deliveryId), delayMs);
+        timer.unref?.();
+    }
+
+    async deliverInProcess(deliveryId) {
+        try {
+            const delivery = await this.deliver(deliveryId, { maxAttempts: MAX_ATTEMPTS });
+            if (delivery?.status === 'retrying') {
+                await this.schedule(deliveryId, this.retryDelay(delivery.attempts));
+            }
+        } catch (error) {
+            this.logger.error('Webhook delivery failed', { deliveryId, error: error.message });
+        }
+    }
+
+    /**
+     * Make one delivery attempt and record the outcome. A failed attempt is
+     * left as 'retrying' until maxAttempts is reached, then marked 'failed'.
+     */
+    async deliver(deliveryId, { maxAttempts = MAX_ATTEMPTS } = {}) {
+        const result = await this.db.query(`
+            SELECT d.*, s.url, s.secret, s.active
+            FROM webhook_deliveries d
+            LEFT JOIN webhook_subscriptions s ON d.subscription_id = s.id
+            WHERE d.id = $1
+        `, [deliveryId]);
+
+        const delivery = result.rows[0];
+        if (!delivery) {
+            throw new Error(`Webhook delivery not found: ${deliveryId}`);
+        }
+
+        if (!['pending', 'retrying'].includes(delivery.status)) {
+            return this.toDelivery(delivery);
+        }
+
+        if (!delivery.url || !delivery.active) {
+            return this.recordAttempt(delivery, { failed: true, error: 'Subscription is disabled or deleted' });
+        }
+
+        const attempt = delivery.attempts + 1;
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+
+        try {
+            const response = await fetch(delivery.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'TeamCRM-Webhooks/1.0',
+                    'X-TeamCRM-Event': delivery.event,
+                    'X-TeamCRM-Delivery': delivery.id,
+                    'X-TeamCRM-Timestamp': String(timestamp),
+                    'X-TeamCRM-Signature': this.sign(delivery.secret, timestamp, body)
+                },
+                body,
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+            });
+
+            if (response.ok) {
+                return this.recordAttempt(delivery, { delivered: true, responseStatus: response.status });
+            }
+
+            return this.recordAttempt(delivery, {
+                failed: attempt >= maxAttempts,
+                responseStatus: response.status,
+                error: `Subscriber responded with HTTP ${response.status}`
+            });
+        } catch (error) {
+            return this.recordAttempt(delivery, {
+                failed: attempt >= maxAttempts,
+                error: error.name === 'TimeoutError' ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s` : error.message
+            });
+        }
+    }
+
+    async recordAttempt(delivery, { delivered = false, failed = false, responseStatus = null, error = null }) {
+        const attempts = delivery.attempts + 1;
+        const status = delivered ? 'delivered' : failed ? 'failed' : 'retrying';
+        const nextAttemptAt = status === 'retrying'
+            ? new Date(Date.now() + this.retryDelay(attempts))
+            : null;
+
+        const result = await this.db.query(`
+            UPDATE webhook_deliveries
+            SET status = $2, attempts = $3, response_status = $4, last_error = $5,
+                next_attempt_at = $6, delivered_at = CASE WHEN $2 = 'delivered' THEN CURRENT_TIMESTAMP ELSE NULL END
+            WHERE id = $1
+            RETURNING *
+        `, [delivery.id, status, attempts, responseStatus, error, nextAttemptAt]);
+
+        if (status !== 'delivered') {
+            this.logger.warn('Webhook delivery attempt failed', {
+                deliveryId: delivery.id,
+                event: delivery.event,
+                attempts,
+                status,
+                error
+            });
+        }
+
+        return this.toDelivery(result.rows[0]);
+    }
+
+    /**
+     * Backoff before the next attempt, doubling after each failure
+     */
+    retryDelay(attempts) {
+        return RETRY_BASE_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0));
+    }
+
+    /**
+     * sha256=HMAC(secret, "<timestamp>.<body>")
+     */
+    sign(secret, timestamp, body) {
+        const digest = crypto
+            .createHmac('sha256', secret)
+            .update(`${timestamp}.${body}`)
+            .digest('hex');
+
+        return `sha256=${digest}`;
+    }
+
+    /**
+     * Send a past delivery's payload again as a new delivery
+     */
+    async replayDelivery(deliveryId) {
+        const original = await this.getDelivery(deliveryId);
+        if (!original) return null;
+
+        const subscription = await this.getSubscription(original.subscription_id);
+        if (!subscription) {
+            throw new Error('Invalid replay: the subscription for this delivery no longer exists');
+        }
+
+        const delivery = await this.createDelivery(
+            original.subscription_id,
+            original.event,
+            original.event_id,
+            original.payload,
+            original.id
+        );
+        await this.schedule(delivery.id);
+
+        this.logger.info('Webhook delivery replayed', { deliveryId, replayId: delivery.id });
+
+        return delivery;
+    }
+
+    async getDelivery(deliveryId) {
+        const result = await this.db.query(
+            'SELECT * FROM webhook_deliveries WHERE id::text = $1',
+            [String(deliveryId)]
+        );
+
+        return result.rows[0] ? this.toDelivery(result.rows[0]) : null;
+    }
+
+    async listDeliveries({ subscriptionId = null, status = null, event = null, limit = 50 } = {}) {
+        if (status && !DELIVERY_STATUSES.includes(status)) {
+            throw new Error(`Invalid status: choose from ${DELIVERY_STATUSES.join(', ')}`);
+        }
+
+        const conditions = [];
+        const params = [];
+
+        if (subscriptionId) {
+            params.push(String(subscriptionId));
+            conditions.push(`d.subscription_id::text = $${params.length}`);
+        }
+
+        if (status) {
+            params.push(status);
+            conditions.push(`d.status = $${params.length}`);
+        }
+
+        if (event) {
+            params.push(event);
+            conditions.push(`d.event = $${params.length}`);
+        }
+
+        params.push(limit);
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const result = await this.db.query(`
+            SELECT d.*, s.name AS subscription_name
+            FROM webhook_deliveries d
+            LEFT JOIN webhook_subscriptions s ON d.subscription_id = s.id
+            ${where}
+            ORDER BY d.created_at DESC
+            LIMIT $${params.length}
+        `, params);
+
+        return result.rows.map(row => this.toDelivery(row));
+    }
+
+    async createSubscription({ name, url, events, createdBy = null }) {
+        this.validateSubscription({ name, url, events });
+
+        const result = await this.db.query(`
+            INSERT INTO webhook_subscriptions (name, url, secret, events, created_by)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING *
+        `, [name.trim(), url, `whsec_${crypto.randomBytes(24).toString('hex')}`, events, createdBy]);
+
+        this.logger.info('Webhook subscription created', { subscriptionId: result.rows[0].id, events });
+
+        return result.rows[0];
+    }
+
+    async updateSubscription(subscriptionId, updates) {
+        const existing = await this.getSubscription(subscriptionId);
+        if (!existing) return null;
+
+        const merged = {
+            name: updates.name ?? existing.name,
+            url: updates.url ?? existing.url,
+            events: updates.events ?? existing.events,
+            active: updates.active ?? existing.active
+        };
+        this.validateSubscription(merged);
+
+        const result = await this.db.query(`
+            UPDATE webhook_subscriptions
+            SET name = $2, url = $3, events = $4, active = $5
+            WHERE id = $1
+            RETURNING *
+        `, [existing.id, merged.name.trim(), merged.url, merged.events, Boolean(merged.active)]);
+
+        return result.rows[0];
+    }
+
+    async deleteSubscription(subscriptionId) {
+        const result = await this.db.query(
+            'DELETE FROM webhook_subscriptions WHERE id::text = $1 RETURNING id',
+            [String(subscriptionId)]
+        );
+
+        return result.rowCount > 0;
+    }
+
+    async getSubscription(subscriptionId) {
+        const result = await this.db.query(
+            'SELECT * FROM webhook_subscriptions WHERE id::text = $1',
+            [String(subscriptionId)]
+        );
+
+        return result.rows[0] || null;
+    }
+
+    async listSubscriptions() {
+        const result = await this.db.query(`
+            SELECT s.*,
+                   (SELECT MAX(created_at) FROM webhook_deliveries WHERE subscription_id = s.id) AS last_delivery_at,
+                   (SELECT COUNT(*) FROM webhook_deliveries WHERE subscription_id = s.id AND status = 'failed') AS failed_deliveries
+            FROM webhook_subscriptions s
+            ORDER BY s.created_at DESC
+        `);
+
+        return result.rows.map(row => ({ ...row, failed_deliveries: parseInt(row.failed_deliveries) }));
+    }
+
+    validateSubscription({ name, url, events }) {
+        if (!name || !String(name).trim()) {
+            throw new Error('Invalid subscription: name is required');
+        }
+
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            throw new Error('Invalid subscription: url must be an absolute http(s) URL');
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw new Error('Invalid subscription: url must be an absolute http(s) URL');
+        }
+
+        if (!Array.isArray(events) || events.length === 0) {
+            throw new Error(`Invalid subscription: events must list one or more of ${WEBHOOK_EVENTS.join(', ')}`);
+        }
+
+        const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+        if (unknown.length > 0) {
+            throw new Error(`Invalid event: ${unknown.join(', ')}. Choose from ${WEBHOOK_EVENTS.join(', ')}`);
+        }
+    }
+
+    /**
+     * Delivery row without the subscription secret joined in for sending
+     */
+    toDelivery(row) {
+        const delivery = { ...row };
+        delete delivery.secret;
+        delete delivery.url;
+        delete delivery.active;
+        return delivery;
+    }
+}
+
+// Export singleton instance
+export const outboundWebhookService = new OutboundWebhookService();
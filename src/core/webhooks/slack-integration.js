@@ -1,41 +1,135 @@
+/**
+ * Slack Integration
+ * Two-way bot: channel messages and /crm slash commands come in through the
+ * slack webhook, executive summaries and urgent alerts go back out
+ */
+
+import crypto from 'crypto';
+import { logger } from '../../utils/logger.js';
+import { accountService as defaultAccountService, hasRole } from '../auth/account-service.js';
+import { dealService as defaultDealService } from '../deals/deal-service.js';
+import { executiveIntelligenceService, URGENCY_LEVELS } from '../intelligence/executive-intelligence-service.js';
+
+// Slack rejects replays older than five minutes; so do we
+const MAX_REQUEST_AGE_SECONDS = 60 * 5;
+
+const COMMAND_HELP = [
+    '`/crm update <text>` log a team update',
+    '`/crm summary` what needs executive attention',
+    '`/crm deal <name>` look up a deal'
+].join('\n');
+
 export class SlackIntegration {
-    constructor(webhookManager, orchestrator) {
+    constructor(webhookManager, orchestrator, options = {}) {
+        this.logger = logger.child({ component: 'SlackIntegration' });
         this.webhookManager = webhookManager;
         this.orchestrator = orchestrator;
+        this.accountService = options.accountService || defaultAccountService;
+        this.dealService = options.dealService || defaultDealService;
+        this.intelligenceService = options.intelligenceService || executiveIntelligenceService;
+        this.config = {
+            signingSecret: options.signingSecret || process.env.SLACK_SIGNING_SECRET || process.env.SLACK_WEBHOOK_SECRET,
+            botToken: options.botToken || process.env.SLACK_BOT_TOKEN,
+            summaryChannel: options.summaryChannel || process.env.SLACK_SUMMARY_CHANNEL,
+            alertChannel: options.alertChannel || process.env.SLACK_ALERT_CHANNEL,
+            alertUrgencies: options.alertUrgencies || ['high', 'critical']
+        };
         this.setupWebhooks();
+        this.setupNotifications();
     }
 
     setupWebhooks() {
         this.webhookManager.register('slack', {
             handler: this.handleSlackWebhook.bind(this),
-            secret: process.env.SLACK_WEBHOOK_SECRET
+            secret: this.config.signingSecret,
+            verify: this.verifySignature.bind(this)
+        });
+    }
+
+    /**
+     * Post executive summaries and urgent interventions to their channels
+     */
+    setupNotifications() {
+        this.orchestrator.on('summaryGenerated', data => {
+            if (!this.config.summaryChannel) return;
+
+            const text = this.formatSummary(data.summary);
+            if (text) {
+                this.sendSlackMessage(this.config.summaryChannel, text);
+            }
+        });
+
+        this.orchestrator.on('interventionCreated', intervention => {
+            if (!this.config.alertChannel || !this.config.alertUrgencies.includes(intervention.urgency)) return;
+
+            this.sendSlackMessage(this.config.alertChannel, this.formatAlert(intervention));
         });
     }
 
-    async handleSlackWebhook(payload) {
+    /**
+     * Check Slack's v0 signature: HMAC-SHA256 over "v0:<timestamp>:<raw body>"
+     */
+    verifySignature({ headers = {}, rawBody } = {}) {
+        if (!this.config.signingSecret) {
+            throw new Error('Slack signing secret is not configured');
+        }
+
+        const timestamp = headers['x-slack-request-timestamp'];
+        const signature = headers['x-slack-signature'];
+        if (!timestamp || !signature || rawBody === undefined) {
+            throw new Error('Invalid webhook signature');
+        }
+
+        if (Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp)) > MAX_REQUEST_AGE_SECONDS) {
+            throw new Error('Slack request timestamp is too old');
+        }
+
+        const expected = 'v0=' + crypto
+            .createHmac('sha256', this.config.signingSecret)
+            .update(`v0:${timestamp}:${rawBody}`)
+            .digest('hex');
+
+        if (signature.length !== expected.length ||
+            !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+            throw new Error('Invalid webhook signature');
+        }
+    }
+
+    async handleSlackWebhook(payload, request = {}) {
         if (payload.type === 'url_verification') {
-            return { challenge: payload.challenge };
+            return { response: { challenge: payload.challenge } };
         }
 
-        if (payload.event?.type === 'message' && !payload.event.bot_id) {
-            const message = payload.event.text;
-            const user = payload.event.user;
-            const channel = payload.event.channel;
+        if (payload.command) {
+            return { response: await this.handleSlashCommand(payload) };
+        }
+
+        // Slack retries events it thinks timed out; the first delivery is already being processed
+        if (request.headers?.['x-slack-retry-num']) {
+            return { processed: true };
+        }
+
+        const event = payload.event;
+        if (event?.type === 'message' && !event.bot_id && !event.subtype) {
+            const message = event.text || '';
+            const user = event.user;
+            const channel = event.channel;
 
             // Process as team update if it contains relevant keywords
             if (this.isTeamUpdate(message)) {
-                await this.orchestrator.processUpdate({
-                    memberName: `slack-${user}`,
-                    updateText: message,
-                    source: 'slack',
-                    metadata: { channel, user }
-                });
+                const member = this.resolveMember(user);
+                if (!member) {
+                    this.logger.info('Ignoring message from unmapped Slack user', { user, channel });
+                    return { processed: true };
+                }
+
+                this.processSlackUpdate(member, message, { channel, user });
 
                 return {
                     notify: true,
                     type: 'team_update',
                     source: 'slack',
-                    data: { message, user, channel }
+                    data: { message, user, channel, memberName: member.key }
                 };
             }
         }
@@ -43,30 +137,213 @@ export class SlackIntegration {
         return { processed: true };
     }
 
+    /**
+     * /crm update|summary|deal; the reply is shown only to the caller
+     */
+    async handleSlashCommand(payload) {
+        const [subcommand = '', ...rest] = (payload.text || '').trim().split(/\s+/);
+        const argument = rest.join(' ');
+
+        const member = this.resolveMember(payload.user_id);
+        if (!member) {
+            return this.reply(`I don't know who you are yet. Ask an admin to add your Slack ID (${payload.user_id}) as slack_user_id on your team member in team-config.json.`);
+        }
+
+        try {
+            switch (subcommand.toLowerCase()) {
+            case 'update':
+                if (!argument) return this.reply('What\'s the update? Try `/crm update Met with Acme Motors...`');
+
+                // Updates run through the AI pipeline, which can outlast Slack's 3 second window
+                this.processSlackUpdate(member, argument, {
+                    channel: payload.channel_id,
+                    user: payload.user_id,
+                    responseUrl: payload.response_url
+                });
+                return this.reply('Got it, processing your update...');
+
+            case 'summary':
+                if (!hasRole(await this.accountService.getRole(member.key), 'executive')) {
+                    return this.reply('Hold up! Summaries need executive access.');
+                }
+                return this.reply(await this.buildSituationSummary());
+
+            case 'deal':
+                if (!argument) return this.reply('Which deal? Try `/crm deal Acme Motors`');
+                return this.reply(await this.lookupDeal(argument));
+
+            default:
+                return this.reply(COMMAND_HELP);
+            }
+        } catch (error) {
+            this.logger.error('Slack command failed', { subcommand, error: error.message });
+            return this.reply('Something went wrong handling that command. Try again in a moment.');
+        }
+    }
+
+    /**
+     * Run a Slack message through the orchestrator as the mapped member
+     */
+    async processSlackUpdate(member, text, { channel, user, responseUrl = null }) {
+        try {
+            const result = await this.orchestrator.processTeamUpdate(member.key, text, {
+                source: 'slack',
+                slack: { channel, user }
+            });
+
+            if (responseUrl) {
+                const items = result.extracted?.totalItems || 0;
+                await this.respond(responseUrl, `Update logged for ${member.name}: ${items} item${items === 1 ? '' : 's'} extracted.`);
+            }
+        } catch (error) {
+            this.logger.error('Failed to process Slack update', { member: member.key, error: error.message });
+
+            if (responseUrl) {
+                await this.respond(responseUrl, 'Sorry, that update could not be processed. Please try again.');
+            }
+        }
+    }
+
+    /**
+     * Team member whose config has this Slack user ID
+     */
+    resolveMember(slackUserId) {
+        if (!slackUserId) return null;
+
+        const members = this.orchestrator.config?.team?.members || {};
+        for (const [key, member] of Object.entries(members)) {
+            if (member.slack_user_id === slackUserId) {
+                return { key, name: member.name || key };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Updates in the last day plus open interventions, most urgent first
+     */
+    async buildSituationSummary() {
+        const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+        const [updates, interventions] = await Promise.all([
+            this.intelligenceService.countActivitySince(since),
+            this.intelligenceService.listInterventions({ limit: 50 })
+        ]);
+
+        const ranked = interventions.sort((a, b) =>
+            URGENCY_LEVELS.indexOf(b.urgency) - URGENCY_LEVELS.indexOf(a.urgency));
+
+        const lines = [`*Team summary:* ${updates} update${updates === 1 ? '' : 's'} in the last 24 hours, ${ranked.length} item${ranked.length === 1 ? '' : 's'} need attention.`];
+        for (const intervention of ranked.slice(0, 5)) {
+            lines.push(`• [${intervention.urgency.toUpperCase()}] ${intervention.title}${intervention.memberName ? ` (${intervention.memberName})` : ''}`);
+        }
+
+        return lines.join('\n');
+    }
+
+    async lookupDeal(name) {
+        if (!this.dealService.isAvailable()) {
+            return 'Deal lookups need the database, which isn\'t connected right now.';
+        }
+
+        const { deals } = await this.dealService.listDeals({ search: name, limit: 3 });
+        if (deals.length === 0) {
+            return `Hmm, can't find a deal matching "${name}".`;
+        }
+
+        return deals.map(deal => {
+            const details = [
+                deal.stage,
+                deal.total_contract_value ? this.formatCurrency(deal.total_contract_value) : null,
+                deal.probability !== null && deal.probability !== undefined ? `${deal.probability}%` : null,
+                deal.expected_close_date ? `closes ${new Date(deal.expected_close_date).toISOString().slice(0, 10)}` : null,
+                deal.owner_name ? `owner ${deal.owner_name}` : null
+            ].filter(Boolean);
+
+            return `*${deal.name}*${deal.client_name ? ` (${deal.client_name})` : ''}: ${details.join(', ')}`;
+        }).join('\n');
+    }
+
+    formatSummary(summary) {
+        if (!summary) return null;
+        if (typeof summary === 'string') return `*Executive summary*\n${summary}`;
+
+        const text = summary.executive_summary || summary.summary?.executive_summary;
+        return text ? `*Executive summary*\n${text}` : null;
+    }
+
+    formatAlert(intervention) {
+        const lines = [`:rotating_light: *${intervention.urgency.toUpperCase()}:* ${intervention.title}`];
+
+        if (intervention.description) lines.push(intervention.description);
+
+        const details = [
+            intervention.memberDisplayName || intervention.memberName,
+            intervention.clientName,
+            intervention.dealValue ? this.formatCurrency(intervention.dealValue) : null
+        ].filter(Boolean);
+        if (details.length > 0) lines.push(details.join(' · '));
+
+        return lines.join('\n');
+    }
+
+    formatCurrency(amount) {
+        return new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: 'USD',
+            maximumFractionDigits: 0
+        }).format(amount);
+    }
+
+    reply(text) {
+        return { response_type: 'ephemeral', text };
+    }
+
+    /**
+     * Follow up on a slash command after the initial reply
+     */
+    async respond(responseUrl, text) {
+        try {
+            await fetch(responseUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(this.reply(text))
+            });
+        } catch (error) {
+            this.logger.error('Slack response failed', { error: error.message });
+        }
+    }
+
     isTeamUpdate(message) {
         const keywords = ['update', 'client', 'deal', 'meeting', 'project', 'issue', 'completed'];
-        return keywords.some(keyword => 
+        return keywords.some(keyword =>
             message.toLowerCase().includes(keyword)
         );
     }
 
     async sendSlackMessage(channel, text) {
-        if (!process.env.SLACK_BOT_TOKEN) return false;
+        if (!this.config.botToken) return false;
 
         try {
             const response = await fetch('https://slack.com/api/chat.postMessage', {
                 method: 'POST',
                 headers: {
-                    'Authorization': `Bearer ${process.env.SLACK_BOT_TOKEN}`,
+                    'Authorization': `Bearer ${this.config.botToken}`,
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({ channel, text })
             });
 
-            return response.ok;
+            // Slack answers 200 even for failures; the body says whether it worked
+            const result = await response.json();
+            if (!result.ok) {
+                this.logger.warn('Slack message rejected', { channel, error: result.error });
+            }
+
+            return Boolean(result.ok);
         } catch (error) {
-            console.error('Slack message send failed:', error);
+            this.logger.error('Slack message send failed', { channel, error: error.message });
             return false;
         }
     }
-}
\ No newline at end of file
+}
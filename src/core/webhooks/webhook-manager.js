@@ -13,11 +13,14 @@ export class WebhookManager {
         });
     }
 
-    async process(name, payload, signature = null) {
+    async process(name, payload, signature = null, request = {}) {
         const webhook = this.webhooks.get(name);
         if (!webhook) throw new Error(`Webhook ${name} not found`);
 
-        if (webhook.secret && signature) {
+        // Providers with their own signing scheme verify the raw request themselves
+        if (webhook.verify) {
+            webhook.verify(request);
+        } else if (webhook.secret && signature) {
             const expectedSignature = crypto
                 .createHmac('sha256', webhook.secret)
                 .update(JSON.stringify(payload))
@@ -31,7 +34,7 @@ export class WebhookManager {
             }
         }
 
-        const result = await webhook.handler(payload);
+        const result = await webhook.handler(payload, request);
         
         if (this.notificationSystem && result?.notify) {
             await this.notificationSystem.processWebhookNotification(result);
@@ -5,6 +5,7 @@
 
 import { activityTracker } from '../core/analytics/user-activity-tracker.js';
 import { logger } from '../utils/logger.js';
+import { requireRole } from './auth.js';
 
 export class ActivityLoggerMiddleware {
     constructor(options = {}) {
@@ -231,9 +232,10 @@ export class ActivityLoggerMiddleware {
             }
             
             // Ensure session exists
-            if (req.auth?.user && !req.session?.activitySessionId) {
+            const username = req.user?.username || req.auth?.user;
+            if (username && !req.session?.activitySessionId) {
                 const sessionId = this.tracker.getOrCreateSession(
-                    req.auth.user,
+                    username,
                     this.getClientIp(req)
                 );
                 
@@ -287,7 +289,8 @@ export class ActivityLoggerMiddleware {
      */
     getUserId(req) {
         // Check various possible locations for user ID
-        return req.auth?.user || 
+        return req.user?.username ||
+               req.auth?.user || 
                req.user?.id || 
                req.session?.userId || 
                req.headers['x-user-id'] ||
@@ -433,6 +436,9 @@ export class ActivityLoggerMiddleware {
      * Create admin endpoints for activity monitoring
      */
     createAdminEndpoints(app) {
+        // Activity data is admin-only
+        app.use('/api/admin/activities', requireRole('admin'));
+        
         // Get activity feed
         app.get('/api/admin/activities/feed', async (req, res) => {
             try {
@@ -1,36 +1,155 @@
-import express from 'express';
 import basicAuth from 'express-basic-auth';
+import { accountService as defaultAccountService, ROLES, hasRole } from '../core/auth/account-service.js';
+import { sessionService as defaultSessionService } from '../core/auth/session-service.js';
+import { apiTokenService as defaultApiTokenService } from '../core/auth/api-token-service.js';
 
-// Add this after creating the express app
-export function setupAuth(app) {
-    // Basic authentication for the team
-    const users = {
-        'joe': process.env.JOE_PASSWORD || 'changemeuuxv47',
-        'charlie': process.env.CHARLIE_PASSWORD || 'changemeq3v8uq',
-        'tre': process.env.TRE_PASSWORD || 'changemew3hewp',
-        'josh': process.env.JOSH_PASSWORD || 'changemer2bb3t'
-    };
+export { ROLES, hasRole };
+
+// Minimum role for each protected area of the app
+export const ROUTE_ROLES = [
+    { path: '/executive-dashboard', role: 'executive' },
+    { path: '/api/executive', role: 'executive' },
+    { path: '/api/summaries', role: 'executive' },
+    { path: '/api/forecast', role: 'executive' },
+    { path: '/admin', role: 'admin' },
+    { path: '/api/admin', role: 'admin' },
+    { path: '/rate-limits', role: 'admin' }
+];
+
+// Reachable without signing in, even when authentication is required
+// (Slack requests carry their own signature instead of a login)
+export const PUBLIC_PATHS = ['/login', '/api/auth/login', '/api/webhooks/slack'];
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Answer an unauthenticated request: page loads go to the login form,
+ * everything else gets a 401
+ */
+function rejectUnauthenticated(req, res) {
+    if (req.method === 'GET' && req.accepts(['json', 'html']) === 'html') {
+        return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+
+    return res.status(401).json({
+        success: false,
+        error: 'Please sign in to continue.'
+    });
+}
 
-    // Apply auth to all routes
-    app.use(basicAuth({
-        users: users,
-        challenge: true,
-        unauthorizedResponse: 'Access denied. Please check your credentials.'
-    }));
-
-    // Executive dashboard requires executive credentials
-    app.use('/executive-dashboard', (req, res, next) => {
-        if (req.auth?.user !== 'tre' && req.auth?.user !== 'josh') {
-            return res.status(403).send('Executive access only');
+/**
+ * Require the signed-in account to hold at least the given role
+ */
+export function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return rejectUnauthenticated(req, res);
         }
+
+        if (!hasRole(req.user.role, role)) {
+            return res.status(403).json({
+                success: false,
+                error: `Hold up! This needs ${role} access and you're signed in as ${req.user.role}.`
+            });
+        }
+
         next();
+    };
+}
+
+// Add this after creating the express app
+export function setupAuth(app, options = {}) {
+    const accountService = options.accountService || defaultAccountService;
+    const sessionService = options.sessionService || defaultSessionService;
+    const apiTokenService = options.apiTokenService || defaultApiTokenService;
+    const required = options.required !== false;
+
+    const checkBasicCredentials = basicAuth({
+        authorizer: (username, password, callback) => {
+            accountService.authenticate(username, password)
+                .then(account => callback(null, Boolean(account)))
+                .catch(() => callback(null, false));
+        },
+        authorizeAsync: true,
+        unauthorizedResponse: { success: false, error: 'Access denied. Please check your credentials.' }
+    });
+
+    // API tokens (Authorization: Bearer) and browser session cookies
+    app.use(async (req, res, next) => {
+        try {
+            const bearer = req.headers.authorization?.match(/^Bearer\s+(.+)$/i)?.[1];
+            if (bearer) {
+                const verified = await apiTokenService.verifyToken(bearer.trim());
+                if (!verified) {
+                    return res.status(401).json({
+                        success: false,
+                        error: 'That API token is invalid, expired or revoked.'
+                    });
+                }
+
+                req.user = verified.account;
+                req.authMethod = 'token';
+                req.tokenId = verified.tokenId;
+                req.tokenScopes = verified.scopes;
+                return next();
+            }
+
+            const cookie = sessionService.readCookie(req);
+            if (cookie) {
+                const account = await sessionService.getSessionAccount(cookie);
+                if (account) {
+                    req.user = account;
+                    req.authMethod = 'session';
+                }
+            }
+
+            next();
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // HTTP basic auth is still accepted for existing scripts
+    app.use((req, res, next) => {
+        if (req.user) return next();
+
+        if (req.headers.authorization?.startsWith('Basic ')) {
+            return checkBasicCredentials(req, res, async () => {
+                try {
+                    req.user = await accountService.authenticate(req.auth.user, req.auth.password);
+                    req.authMethod = 'basic';
+                    next();
+                } catch (error) {
+                    next(error);
+                }
+            });
+        }
+
+        // Outside production anonymous requests are let through; role-gated
+        // routes still answer 401 until the caller signs in
+        if (!required || PUBLIC_PATHS.includes(req.path)) {
+            return next();
+        }
+
+        rejectUnauthenticated(req, res);
     });
-    
-    // Admin interface requires executive credentials
-    app.use('/admin', (req, res, next) => {
-        if (req.auth?.user !== 'tre' && req.auth?.user !== 'josh') {
-            return res.status(403).send('Admin access only');
+
+    // Tokens can only do what their scopes allow
+    app.use((req, res, next) => {
+        if (req.authMethod !== 'token') return next();
+
+        const scope = SAFE_METHODS.includes(req.method) ? 'read' : 'write';
+        if (!req.tokenScopes.includes(scope)) {
+            return res.status(403).json({
+                success: false,
+                error: `This API token needs the "${scope}" scope for that request.`
+            });
         }
+
         next();
     });
-}
\ No newline at end of file
+
+    for (const { path, role } of ROUTE_ROLES) {
+        app.use(path, requireRole(role));
+    }
+}
@@ -5,6 +5,7 @@
 
 import { RedisRateLimiter } from './redis-rate-limiter.js';
 import { logger } from '../utils/logger.js';
+import { requireRole } from './auth.js';
 
 export class EnhancedRateLimitingMiddleware {
     constructor(options = {}) {
@@ -572,6 +573,9 @@ export class EnhancedRateLimitingMiddleware {
      * Admin endpoints for rate limit management
      */
     createAdminEndpoints(app) {
+        // Rate limit management is admin-only
+        app.use('/admin/rate-limits', requireRole('admin'));
+        
         // Get rate limiting stats
         app.get('/admin/rate-limits/stats', async (req, res) => {
             try {
@@ -3,6 +3,8 @@
  * Hardens the API against malformed or malicious inputs
  */
 
+import { DEAL_STAGES, PRIORITY_LEVELS } from '../core/deals/deal-service.js';
+
 export class ValidationMiddleware {
     
     /**
@@ -88,6 +90,88 @@ export class ValidationMiddleware {
         }
     }
     
+    /**
+     * Validate deal create/update requests
+     * Use createDealValidator(true) for creates, where a name is required
+     */
+    static createDealValidator(requireName = false) {
+        const moneyFields = ['monthly_value', 'implementation_fee', 'total_contract_value'];
+        const dateFields = ['expected_close_date', 'pilot_start_date', 'pilot_end_date'];
+
+        return (req, res, next) => {
+            const deal = req.body || {};
+
+            if (requireName && (!deal.name || typeof deal.name !== 'string' || !deal.name.trim())) {
+                return res.status(400).json({
+                    error: 'Every deal needs a name. What should we call this one?',
+                    code: 'INVALID_DEAL_NAME'
+                });
+            }
+
+            if (deal.name !== undefined && (typeof deal.name !== 'string' || deal.name.length > 255)) {
+                return res.status(400).json({
+                    error: 'Deal names need to be text and under 255 characters.',
+                    code: 'INVALID_DEAL_NAME'
+                });
+            }
+
+            if (deal.stage !== undefined && !DEAL_STAGES.includes(deal.stage)) {
+                return res.status(400).json({
+                    error: `That stage doesn't exist. Try one of: ${DEAL_STAGES.join(', ')}`,
+                    code: 'INVALID_DEAL_STAGE'
+                });
+            }
+
+            if (deal.priority !== undefined && !PRIORITY_LEVELS.includes(deal.priority)) {
+                return res.status(400).json({
+                    error: `Priority should be one of: ${PRIORITY_LEVELS.join(', ')}`,
+                    code: 'INVALID_PRIORITY'
+                });
+            }
+
+            if (deal.probability !== undefined) {
+                const probability = Number(deal.probability);
+                if (Number.isNaN(probability) || probability < 0 || probability > 100) {
+                    return res.status(400).json({
+                        error: 'Probability is a percentage, so keep it between 0 and 100.',
+                        code: 'INVALID_PROBABILITY'
+                    });
+                }
+            }
+
+            for (const field of moneyFields) {
+                if (deal[field] !== undefined && deal[field] !== null && Number.isNaN(Number(deal[field]))) {
+                    return res.status(400).json({
+                        error: `${field} should be a number.`,
+                        code: 'INVALID_AMOUNT'
+                    });
+                }
+            }
+
+            for (const field of dateFields) {
+                if (deal[field] && Number.isNaN(Date.parse(deal[field]))) {
+                    return res.status(400).json({
+                        error: `${field} doesn't look like a valid date. Try YYYY-MM-DD.`,
+                        code: 'INVALID_DATE'
+                    });
+                }
+            }
+
+            if (deal.competitors !== undefined && !Array.isArray(deal.competitors)) {
+                return res.status(400).json({
+                    error: 'Competitors should be a list of names.',
+                    code: 'INVALID_COMPETITORS'
+                });
+            }
+
+            if (typeof deal.name === 'string') {
+                req.body.name = deal.name.trim();
+            }
+
+            next();
+        };
+    }
+
     /**
      * Rate limiting middleware - DEPRECATED
      * Use RedisRateLimiter from redis-rate-limiter.js instead
@@ -115,10 +199,14 @@ export class ValidationMiddleware {
     }
     
     /**
-     * Request size limiting middleware
+     * Request size limiting middleware. Paths in `except` enforce their own limits.
      */
-    static createSizeLimiter(maxSize = '1mb') {
+    static createSizeLimiter(maxSize = '1mb', { except = [] } = {}) {
         return (req, res, next) => {
+            if (except.some(prefix => req.path === prefix || req.path.startsWith(prefix + '/'))) {
+                return next();
+            }
+
             const contentLength = req.get('content-length');
             
             if (contentLength) {
@@ -21,6 +21,30 @@ import { TeamOrchestrator } from './core/orchestration/team-orchestrator.js';
 import { ExecutiveIntelligenceAPI } from './api/executive-intelligence-api.js';
 import { AdminAPI } from './api/admin-api.js';
 import { CalendarAPI } from './api/calendar-api.js';
+import { DealsAPI } from './api/deals-api.js';
+import { ForecastAPI } from './api/forecast-api.js';
+import { AnalyticsExportAPI } from './api/analytics-export-api.js';
+import { ClientsAPI } from './api/clients-api.js';
+import { IngestAPI } from './api/ingest-api.js';
+import { OutboundWebhookAPI } from './api/outbound-webhook-api.js';
+import { AIUsageAPI } from './api/ai-usage-api.js';
+import { FeatureFlagAPI } from './api/feature-flag-api.js';
+import { PromptAPI } from './api/prompt-api.js';
+import { PluginAPI } from './api/plugin-api.js';
+import { MemoryAPI } from './api/memory-api.js';
+import { SummaryAPI } from './api/summary-api.js';
+import { featureFlagService } from './core/flags/feature-flag-service.js';
+import { promptRegistry } from './ai/prompts/prompt-registry.js';
+import { extractionPlugins } from './core/plugins/extraction-plugin-registry.js';
+import { memoryRetentionJob } from './core/memory/memory-retention-job.js';
+import { summaryDeliveryService } from './core/summaries/summary-delivery-service.js';
+import { dealRiskService } from './core/deals/deal-risk-service.js';
+import { forecastAccuracyService } from './core/analytics/forecast-accuracy.js';
+import { analyticsExportService } from './core/analytics/analytics-export.js';
+import { snapshotRollupJob } from './core/analytics/snapshot-rollup.js';
+import { teamConfigWatcher } from './core/config/team-config-watcher.js';
+import { emailRouter } from './core/email/email-router.js';
+import { AuthAPI } from './api/auth-api.js';
 import { ProactiveConversationAPI } from './api/proactive-conversation-api.js';
 import { EnhancedAPIResponse } from './api/enhanced-api-response.js';
 import { ValidationMiddleware } from './middleware/validation.js';
@@ -35,6 +59,9 @@ import { calendarService } from './core/calendar/calendar-service.js';
 import { meetingProcessor } from './core/calendar/meeting-processor.js';
 import { WebhookManager } from './core/webhooks/webhook-manager.js';
 import { SlackIntegration } from './core/webhooks/slack-integration.js';
+import { outboundWebhookService } from './core/webhooks/outbound-webhook-service.js';
+import { QueueManager } from './core/jobs/queue-manager.js';
+import { documentIngestionService } from './core/ingestion/document-ingestion-service.js';
 import { WebhookAPI } from './api/webhook-api.js';
 import { logger } from './utils/logger.js';
 
@@ -50,6 +77,11 @@ export class TeamCRMServer {
         this.executiveAPI = null;
         this.adminAPI = null;
         this.calendarAPI = null;
+        this.dealsAPI = null;
+        this.clientsAPI = null;
+        this.ingestAPI = null;
+        this.authAPI = null;
+        this.queueManager = null;
         this.proactiveConversationAPI = null;
         this.rateLimiter = null;
         this.activityLogger = null;
@@ -58,6 +90,12 @@ export class TeamCRMServer {
         this.webhookManager = null;
         this.slackIntegration = null;
         this.webhookAPI = null;
+        this.outboundWebhookAPI = null;
+        this.analyticsExportAPI = null;
+        this.aiUsageAPI = null;
+        this.featureFlagAPI = null;
+        this.promptAPI = null;
+        this.pluginAPI = null;
         this.actualPort = null;
         this.actualHost = null;
         
@@ -91,6 +129,65 @@ export class TeamCRMServer {
         }
     }
     
+    /**
+     * Watch team-config.json when the hotReload flag is on. Accepted and
+     * rejected configs are reported on the system-health channel.
+     */
+    async initializeConfigReload() {
+        teamConfigWatcher.broadcastTo(() => this.realtimeManager);
+
+        if (!featureFlagService.isEnabled('hotReload', featureFlagService.contextFor())) {
+            logger.info('Hot reload disabled - team config changes need a restart');
+            return;
+        }
+
+        try {
+            await teamConfigWatcher.start(config => this.applyTeamConfig(config));
+        } catch (error) {
+            logger.error('Failed to watch team configuration', { error: error.message });
+        }
+    }
+
+    /**
+     * Swap a validated team config into the running server
+     */
+    async applyTeamConfig(config) {
+        await this.orchestrator.applyConfiguration(config);
+        this.config = config;
+        memoryRetentionJob.configure(config);
+        summaryDeliveryService.configure(config);
+
+        // Assistant email addresses follow the team member list
+        if (this.database) {
+            try {
+                await emailRouter.loadTeamMembers();
+            } catch (error) {
+                logger.warn('Failed to refresh email routing after config reload', { error: error.message });
+            }
+        }
+    }
+    
+    /**
+     * Start the Redis-backed job queues when Redis is configured
+     */
+    async initializeQueues() {
+        this.queueManager = new QueueManager();
+        if (!this.queueManager.enabled) return;
+
+        try {
+            await this.queueManager.initialize();
+            if (!this.queueManager.isInitialized) return;
+
+            await this.queueManager.startWorkers();
+            documentIngestionService.setQueueManager(this.queueManager);
+            outboundWebhookService.setQueueManager(this.queueManager);
+            logger.info('✅ Job queues started');
+        } catch (error) {
+            logger.error('❌ Job queue startup failed:', error.message);
+            logger.warn('⚠️  Continuing with in-process ingestion and webhook delivery');
+        }
+    }
+    
     /**
      * Initialize and start the server
      */
@@ -136,6 +233,34 @@ export class TeamCRMServer {
             // Initialize database first
             await this.initializeDatabase();
             
+            // Feature flags and their persisted overrides
+            await featureFlagService.initialize();
+            
+            // Admin-added prompt versions and experiment arm assignments
+            await promptRegistry.initialize();
+            
+            // Custom extraction types, when the pluginSystem flag is on
+            await extractionPlugins.initialize();
+            
+            // Purge memories older than memory_retention_days
+            memoryRetentionJob.configure(this.config);
+            memoryRetentionJob.start();
+            
+            // Daily risk score for every open deal
+            dealRiskService.start();
+            
+            // Snapshot each month's forecast and score it once the month closes
+            forecastAccuracyService.start();
+            
+            // Email scheduled XLSX workbooks and PDF board packs
+            analyticsExportService.start();
+            
+            // Weekly and monthly analytics snapshots from the daily ones
+            snapshotRollupJob.start();
+            
+            // Background job queues (Redis); ingestion and webhooks run in-process without them
+            await this.initializeQueues();
+            
         // Initialize the orchestrator
         this.orchestrator = new TeamOrchestrator(this.config);
         await this.orchestrator.initialize();
@@ -152,6 +277,10 @@ export class TeamCRMServer {
                 }
             );
             
+            // Initialize auth API (login/logout, API tokens)
+            this.authAPI = new AuthAPI();
+            this.authAPI.registerEndpoints(this.app);
+            
             // Initialize executive intelligence API
             this.executiveAPI = new ExecutiveIntelligenceAPI(this.orchestrator, null);
             this.executiveAPI.registerEndpoints(this.app);
@@ -164,6 +293,22 @@ export class TeamCRMServer {
             this.calendarAPI = new CalendarAPI(this.orchestrator);
             this.calendarAPI.registerEndpoints(this.app);
             
+            // Initialize deals API
+            this.dealsAPI = new DealsAPI(this.orchestrator);
+            this.dealsAPI.registerEndpoints(this.app);
+            
+            // Initialize bottom-up pipeline forecasting
+            this.forecastAPI = new ForecastAPI();
+            this.forecastAPI.registerEndpoints(this.app);
+            
+            // Initialize clients API
+            this.clientsAPI = new ClientsAPI();
+            this.clientsAPI.registerEndpoints(this.app);
+            
+            // Initialize document ingest API
+            this.ingestAPI = new IngestAPI();
+            this.ingestAPI.registerEndpoints(this.app);
+            
             // Initialize proactive conversation API
             this.proactiveConversationAPI = new ProactiveConversationAPI({
                 openRouterApiKey: this.config.openrouter?.apiKey || process.env.OPENROUTER_API_KEY,
@@ -183,6 +328,44 @@ export class TeamCRMServer {
             this.webhookAPI = new WebhookAPI(this.webhookManager);
             this.webhookAPI.registerEndpoints(this.app);
             
+            // Initialize outbound webhook subscriptions
+            this.outboundWebhookAPI = new OutboundWebhookAPI(this.orchestrator);
+            this.outboundWebhookAPI.registerEndpoints(this.app);
+            
+            // Initialize analytics exports and their schedules
+            this.analyticsExportAPI = new AnalyticsExportAPI();
+            this.analyticsExportAPI.registerEndpoints(this.app);
+            
+            // Initialize AI usage and budget reporting
+            this.aiUsageAPI = new AIUsageAPI();
+            this.aiUsageAPI.registerEndpoints(this.app);
+            
+            // Initialize feature flag evaluation and admin overrides
+            this.featureFlagAPI = new FeatureFlagAPI();
+            this.featureFlagAPI.registerEndpoints(this.app);
+            
+            // Initialize prompt versions, experiments and feedback
+            this.promptAPI = new PromptAPI();
+            this.promptAPI.registerEndpoints(this.app);
+            
+            // Initialize extraction plugins and their dashboard widgets
+            this.pluginAPI = new PluginAPI();
+            this.pluginAPI.registerEndpoints(this.app);
+            
+            // Initialize memory search
+            this.memoryAPI = new MemoryAPI();
+            this.memoryAPI.registerEndpoints(this.app);
+            
+            // Initialize scheduled, per-executive summary delivery
+            summaryDeliveryService.configure(this.config, {
+                llm: this.orchestrator.llm,
+                memory: this.orchestrator.memorySystem,
+                slack: this.slackIntegration
+            });
+            summaryDeliveryService.start();
+            this.summaryAPI = new SummaryAPI();
+            this.summaryAPI.registerEndpoints(this.app);
+            
             // Register activity logger admin endpoints
             this.activityLogger.createAdminEndpoints(this.app);
             
@@ -194,6 +377,9 @@ export class TeamCRMServer {
             // Setup orchestrator event handlers
             this.setupOrchestratorEvents();
             
+            // Apply team-config.json edits without a restart
+            await this.initializeConfigReload();
+            
             const port = this.config.interface?.webInterface?.port || process.env.PORT || 8080;
             // In production, bind to 0.0.0.0 for Render
             const host = process.env.NODE_ENV === 'production' ? '0.0.0.0' : (this.config.interface?.webInterface?.host || 'localhost');
@@ -228,19 +414,24 @@ export class TeamCRMServer {
         // Security headers first
         this.app.use(ValidationMiddleware.securityHeaders);
         
-        // Request size limiting
-        this.app.use(ValidationMiddleware.createSizeLimiter('10mb'));
+        // Request size limiting; document uploads are capped per file by the ingest API
+        this.app.use(ValidationMiddleware.createSizeLimiter('10mb', { except: ['/api/ingest'] }));
         
-        // Setup authentication if in production
-        if (process.env.NODE_ENV === 'production') {
-            setupAuth(this.app);
-        }
+        // Authentication: required in production, optional elsewhere so
+        // role-gated routes can still be exercised locally with credentials
+        setupAuth(this.app, { required: process.env.NODE_ENV === 'production' });
         
         // Rate limiting will be added after initialization
         
         this.app.use(cors());
-        this.app.use(express.json({ limit: '1mb' }));
-        this.app.use(express.urlencoded({ extended: true, limit: '1mb' }));
+        // Webhook signatures are computed over the exact bytes received
+        const keepRawBody = (req, res, buffer) => {
+            if (req.originalUrl.startsWith('/api/webhooks/')) {
+                req.rawBody = buffer.toString('utf8');
+            }
+        };
+        this.app.use(express.json({ limit: '1mb', verify: keepRawBody }));
+        this.app.use(express.urlencoded({ extended: true, limit: '1mb', verify: keepRawBody }));
         
         // Input sanitization
         this.app.use(ValidationMiddleware.sanitizeInputs);
@@ -813,6 +1004,16 @@ export class TeamCRMServer {
             res.redirect('/chat');
         });
         
+        this.app.get('/login', async (req, res) => {
+            try {
+                const html = await fs.readFile(path.join(__dirname, '../web-interface/login.html'), 'utf8');
+                res.send(html);
+            } catch (error) {
+                console.error('Error loading login page:', error);
+                res.status(500).send('Error loading login page');
+            }
+        });
+        
         this.app.get('/chat', async (req, res) => {
             try {
                 const html = await fs.readFile(path.join(__dirname, '../web-interface/chat.html'), 'utf8');
@@ -823,6 +1024,17 @@ export class TeamCRMServer {
             }
         });
         
+        // Memory inspector
+        this.app.get('/memory', async (req, res) => {
+            try {
+                const html = await fs.readFile(path.join(__dirname, '../web-interface/memory.html'), 'utf8');
+                res.send(html);
+            } catch (error) {
+                console.error('Error loading memory inspector:', error);
+                res.status(500).send('Error loading memory inspector');
+            }
+        });
+        
         // Team collaboration interface
         this.app.get('/collaboration', async (req, res) => {
             try {
@@ -896,13 +1108,99 @@ export class TeamCRMServer {
                     'GET /health': 'System health check',
                     'GET /api/status': 'Get system status and statistics',
                     'GET /api/team': 'Get list of team members',
+                    'POST /api/auth/login': 'Sign in and start a browser session (body: username, password)',
+                    'POST /api/auth/logout': 'End the current browser session',
+                    'GET /api/auth/me': 'Current user, role and authentication method',
+                    'GET /api/auth/tokens': 'List your API tokens',
+                    'POST /api/auth/tokens': 'Create an API token (body: name, scopes, expiresInDays)',
+                    'DELETE /api/auth/tokens/:tokenId': 'Revoke one of your API tokens',
                     'POST /api/update': 'Submit team update (requires: memberName, updateText)',
                     'POST /api/summary/generate': 'Force generate executive summary',
                     'GET /api/summaries': 'Get recent executive summaries',
                     'GET /api/config': 'Get system configuration',
                     'GET /api/dashboard/executive': 'Get executive dashboard summary data',
                     'GET /api/intelligence/follow-ups': 'Get follow-ups and action items',
+                    'GET /api/executive/attention': 'Get open interventions needing executive attention',
+                    'GET /api/executive/interventions': 'List interventions (query: status open|acknowledged|snoozed|resolved, limit)',
+                    'POST /api/executive/interventions/:id/acknowledge': 'Acknowledge an intervention',
+                    'POST /api/executive/interventions/:id/snooze': 'Snooze an intervention (body: until or minutes, default one day)',
+                    'POST /api/executive/interventions/:id/resolve': 'Resolve an intervention (body: note)',
+                    'GET /api/comments': 'Get executive comments with team responses',
+                    'POST /api/comments': 'Post an executive comment (body: message, assignee, priority)',
+                    'POST /api/comments/:id/responses': 'Reply to an executive comment (body: message)',
                     'GET /api/analytics/forecast/monthly_value': 'Get revenue forecast data',
+                    'GET /api/forecast': 'Stage-weighted forecast by month with commit/best case/pipeline, per-owner roll-ups and the trend forecast for comparison (query: months, owner)',
+                    'GET /api/forecast/accuracy': 'Monthly forecasts against actual closed revenue, by method (weighted, commit, best_case, trend) and owner (query: periods, owner)',
+                    'POST /api/forecast/what-if': 'Forecast with deals slipped, moved, re-weighted or dropped (body: changes [{ deal, slipMonths, closeDate, probability, stage, value, lost }], months, owner)',
+                    'GET /api/deals': 'List deals (query: owner, stage, priority, clientId, closeFrom, closeTo, open, search, limit, offset)',
+                    'GET /api/deals/pipeline': 'Get pipeline totals by stage (query: owner)',
+                    'GET /api/deals/:dealId': 'Get a deal',
+                    'GET /api/deals/:dealId/activities': 'Get deal activity history',
+                    'GET /api/deals/risk': 'Open deals by latest risk score, riskiest first (query: limit)',
+                    'GET /api/deals/:dealId/risk': 'Deal risk score (0-100) with its factor breakdown and daily history (query: days)',
+                    'POST /api/deals': 'Create a deal (requires: name)',
+                    'PUT /api/deals/:dealId': 'Update deal fields',
+                    'POST /api/deals/:dealId/stage': 'Move deal to a new stage (body: stage, note, probability)',
+                    'POST /api/deals/:dealId/close': 'Close a deal (body: outcome won|lost, reason, actualCloseDate)',
+                    'DELETE /api/deals/:dealId': 'Delete a deal',
+                    'POST /api/ingest': 'Upload documents for extraction (multipart: file or files, clientId, dealId)',
+                    'GET /api/ingest': 'List ingested documents (query: member, status, limit)',
+                    'GET /api/ingest/:documentId': 'Get document status and stored extractions',
+                    'GET /api/clients': 'List clients (query: search, clientType, parentCompany, limit, offset)',
+                    'GET /api/clients/:clientId': 'Get a client with contacts, deals, hierarchy and AI context',
+                    'POST /api/clients': 'Create a client (requires: name)',
+                    'PUT /api/clients/:clientId': 'Update a client',
+                    'DELETE /api/clients/:clientId': 'Delete a client',
+                    'GET /api/clients/:clientId/hierarchy': 'Get dealer group parent and child dealerships',
+                    'GET /api/clients/:clientId/timeline': 'Get account timeline (query: sources, since, limit)',
+                    'GET /api/clients/:clientId/contacts': 'List client contacts',
+                    'POST /api/clients/:clientId/contacts': 'Add a contact (requires: name)',
+                    'PUT /api/clients/:clientId/contacts/:contactId': 'Update a contact (is_primary, is_decision_maker, ...)',
+                    'DELETE /api/clients/:clientId/contacts/:contactId': 'Remove a contact',
+                    'GET /api/admin/exports': 'Download analytics for a date range as xlsx (pipeline, deals, activities and forecasts sheets), a pdf board pack, csv or json (query: startDate, endDate, format)',
+                    'GET /api/admin/exports/schedules': 'List scheduled exports with how their last send went',
+                    'POST /api/admin/exports/schedules': 'Email an export daily, weekly or monthly (body: name, format xlsx or pdf, frequency, recipients)',
+                    'PUT /api/admin/exports/schedules/:scheduleId': 'Update a schedule (name, format, frequency, recipients, active)',
+                    'DELETE /api/admin/exports/schedules/:scheduleId': 'Delete a schedule',
+                    'POST /api/admin/exports/schedules/:scheduleId/send': 'Send a schedule\'s export now',
+                    'GET /api/admin/webhooks/events': 'List events outbound webhooks can subscribe to',
+                    'GET /api/admin/webhooks/subscriptions': 'List outbound webhook subscriptions',
+                    'POST /api/admin/webhooks/subscriptions': 'Subscribe a URL to events (body: name, url, events); returns the signing secret once',
+                    'PUT /api/admin/webhooks/subscriptions/:subscriptionId': 'Update a subscription (name, url, events, active)',
+                    'DELETE /api/admin/webhooks/subscriptions/:subscriptionId': 'Delete a subscription and its delivery log',
+                    'GET /api/admin/webhooks/deliveries': 'Delivery log (query: subscriptionId, status, event, limit)',
+                    'GET /api/admin/webhooks/deliveries/:deliveryId': 'Get a delivery with its payload',
+                    'POST /api/admin/webhooks/deliveries/:deliveryId/replay': 'Send a delivery again',
+                    'GET /api/admin/ai-usage': 'AI tokens and cost by member, feature, model and day, with today\'s budgets (query: days, member)',
+                    'GET /api/admin/ai-usage/calls': 'Recent model calls (query: member, feature, status, limit)',
+                    'GET /api/flags': 'Feature flag values and experiment variants for the signed-in user',
+                    'GET /api/admin/flags': 'List feature flags with current rollout stage and overrides',
+                    'GET /api/admin/flags/:flagName': 'Get a feature flag',
+                    'GET /api/admin/flags/:flagName/evaluate': 'Preview a flag for a user (query: username, role, environment)',
+                    'PUT /api/admin/flags/:flagName/override': 'Override a flag for everyone or one user (body: value or variant, username)',
+                    'DELETE /api/admin/flags/:flagName/override': 'Clear an override (query: username)',
+                    'POST /api/admin/flags/reload': 'Reload config/feature-flags.json',
+                    'POST /api/prompts/runs/:runId/feedback': 'Thumbs up/down on an AI result (body: rating up|down, comment)',
+                    'GET /api/admin/prompts': 'List prompts with versions and the version each experiment arm uses',
+                    'GET /api/admin/prompts/report': 'Compare prompt versions and arms on quality, tokens and response time (query: days, key)',
+                    'GET /api/admin/prompts/:key': 'Get a prompt with its versions',
+                    'POST /api/admin/prompts/:key/versions': 'Add a prompt version (body: template, description)',
+                    'PUT /api/admin/prompts/:key/assignments': 'Assign a version to an experiment arm or default (body: arm, version)',
+                    'GET /api/plugins': 'Loaded extraction plugins and any the loader rejected',
+                    'GET /api/plugins/widgets': 'Dashboard widgets provided by extraction plugins',
+                    'GET /api/plugins/:type/widgets/:widgetId': 'Data for a plugin widget (query: days)',
+                    'POST /api/memory/query': 'Search member, team and executive memories (body: query, memberId, scopes, types, from, to, client, limit)',
+                    'GET /api/memory/sources/:type/:id': 'The update or email a memory search result links to',
+                    'GET /api/members/:memberId/memories': 'List a member\'s memories (query: type, limit, offset)',
+                    'GET /api/members/:memberId/memories/export': 'Download all of a member\'s memories as JSON',
+                    'PATCH /api/members/:memberId/memories/:memoryId': 'Correct a memory (body: content)',
+                    'DELETE /api/members/:memberId/memories/:memoryId': 'Delete one memory',
+                    'DELETE /api/members/:memberId/memories': 'Delete all of a member\'s memories',
+                    'GET /api/summaries': 'Delivered executive summaries with delivery status (query: executive, limit)',
+                    'GET /api/summaries/schedules': 'Each executive\'s summary schedule, timezone and channel',
+                    'GET /api/summaries/:id': 'One executive summary',
+                    'GET /api/summaries/:id/diff': 'What changed since the executive\'s previous summary',
+                    'POST /api/summaries/deliver': 'Write and deliver a summary now (body: executive, channel)',
                     'GET /api/jobs/stats': 'Get job processing statistics',
                     'GET /api/jobs/queues': 'Get queue status and metrics',
                     'GET /api/jobs/recent': 'Get recent job history',
@@ -924,6 +1222,7 @@ export class TeamCRMServer {
                     'POST /api/calendar/optimal-time/:userId': 'Find optimal meeting time (body: duration, preferences)',
                     'POST /api/calendar/process-meeting': 'Process meeting invite from email (body: emailData, userId)',
                     'POST /api/calendar/process-followup': 'Process meeting follow-up from email (body: emailData)',
+                    'GET /login': 'Sign-in page',
                     'GET /chat': 'Team chat interface',
                     'GET /dashboard': 'Redirects to executive dashboard',
                     'GET /executive-dashboard': 'Executive situational awareness system',
@@ -1050,6 +1349,22 @@ export class TeamCRMServer {
             });
         });
 
+        this.orchestrator.on('interventionCreated', (data) => {
+            this.realtimeManager.broadcastToChannel('executive', {
+                type: 'interventionCreated',
+                data,
+                timestamp: new Date().toISOString()
+            });
+        });
+
+        this.orchestrator.on('interventionUpdated', (data) => {
+            this.realtimeManager.broadcastToChannel('executive', {
+                type: 'interventionUpdated',
+                data,
+                timestamp: new Date().toISOString()
+            });
+        });
+
         this.orchestrator.on('executiveComment', (data) => {
             this.realtimeManager.broadcastToChannel('collaboration', {
                 type: 'executiveComment',
@@ -1257,12 +1572,22 @@ export class TeamCRMServer {
      */
     async shutdown() {
         console.log('Shutting down Team CRM Server...');
+        teamConfigWatcher.stop();
+        memoryRetentionJob.stop();
+        summaryDeliveryService.stop();
+        dealRiskService.stop();
+        forecastAccuracyService.stop();
+        analyticsExportService.stop();
+        snapshotRollupJob.stop();
         if (this.teamCollaboration) {
             await this.teamCollaboration.shutdown();
         }
         if (this.orchestrator) {
             await this.orchestrator.shutdown();
         }
+        if (this.queueManager?.isInitialized) {
+            await this.queueManager.shutdown();
+        }
         // Close database connection
         if (this.database) {
             await this.database.close();
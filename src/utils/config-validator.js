@@ -6,12 +6,14 @@
 import { logger } from './logger.js';
 import { readFileSync } from 'fs';
 import { join } from 'path';
+import { LLM_PROVIDERS, NO_PROVIDER_ERROR } from '../ai/llm/llm-router.js';
+import { FeatureFlagService } from '../core/flags/feature-flag-service.js';
+import { deliveryProblems } from '../core/summaries/summary-delivery-service.js';
 
 /**
  * Configuration schema definitions
  */
 const REQUIRED_ENV_VARS = [
-    'OPENROUTER_API_KEY',
     'DATABASE_URL',
     'NODE_ENV',
     'PORT'
@@ -126,6 +128,7 @@ export class ConfigValidator {
         this.validatePort();
         this.validateNodeEnv();
         this.validateApiKeys();
+        this.validateLLMProvider();
 
         // Check optional environment variables
         for (const envVar of OPTIONAL_ENV_VARS) {
@@ -187,6 +190,7 @@ export class ConfigValidator {
     validateApiKeys() {
         const apiKeys = [
             { name: 'OPENROUTER_API_KEY', prefix: 'sk-or-' },
+            { name: 'ANTHROPIC_API_KEY', prefix: 'sk-ant-' },
             { name: 'SUPERMEMORY_API_KEY', prefix: null }
         ];
 
@@ -206,6 +210,27 @@ export class ConfigValidator {
         }
     }
 
+    /**
+     * A model provider needs credentials unless it's a local server or the offline fixtures
+     */
+    validateLLMProvider() {
+        const provider = process.env.LLM_PROVIDER?.trim().toLowerCase();
+
+        if (provider && !LLM_PROVIDERS.includes(provider)) {
+            this.errors.push(`Invalid LLM_PROVIDER: ${process.env.LLM_PROVIDER}. Expected one of: ${LLM_PROVIDERS.join(', ')}`);
+        } else if (provider === 'openrouter' && !process.env.OPENROUTER_API_KEY) {
+            this.errors.push('LLM_PROVIDER is openrouter but OPENROUTER_API_KEY is not set');
+        } else if (provider === 'anthropic' && !process.env.ANTHROPIC_API_KEY) {
+            this.errors.push('LLM_PROVIDER is anthropic but ANTHROPIC_API_KEY is not set');
+        } else if (!provider && !process.env.OPENROUTER_API_KEY && !process.env.ANTHROPIC_API_KEY && !process.env.LOCAL_LLM_BASE_URL) {
+            if (process.env.NODE_ENV === 'test') {
+                this.warnings.push('No LLM provider configured: AI responses will come from offline fixtures');
+            } else {
+                this.errors.push(NO_PROVIDER_ERROR);
+            }
+        }
+    }
+
     /**
      * Load and validate team configuration
      */
@@ -330,6 +355,10 @@ export class ConfigValidator {
             if (executive.ai_model && !SUPPORTED_AI_MODELS.includes(executive.ai_model)) {
                 this.warnings.push(`Unsupported AI model for executive ${executive.id}: ${executive.ai_model}`);
             }
+
+            for (const problem of deliveryProblems(executive.summary_delivery)) {
+                this.errors.push(`Summary delivery for executive ${executive.id}: ${problem}`);
+            }
         }
     }
 
@@ -339,14 +368,42 @@ export class ConfigValidator {
     validateAIConfiguration(aiConfig) {
         this.validateRequiredFields(aiConfig, ['models', 'processing'], 'AI configuration');
 
+        if (aiConfig.provider && !LLM_PROVIDERS.includes(aiConfig.provider)) {
+            this.errors.push(`Invalid AI provider: ${aiConfig.provider}. Expected one of: ${LLM_PROVIDERS.join(', ')}`);
+        }
+
         if (aiConfig.models) {
-            for (const [purpose, model] of Object.entries(aiConfig.models)) {
-                if (!SUPPORTED_AI_MODELS.includes(model)) {
+            for (const [purpose, spec] of Object.entries(aiConfig.models)) {
+                // "provider:model" or { provider, model }; local and fixture providers take any model name
+                let provider = aiConfig.provider;
+                let model = spec;
+                if (spec && typeof spec === 'object') {
+                    ({ provider = provider, model } = spec);
+                } else if (typeof spec === 'string' && LLM_PROVIDERS.includes(spec.split(':')[0])) {
+                    [provider, model] = [spec.split(':')[0], spec.slice(spec.indexOf(':') + 1)];
+                }
+
+                if (typeof model !== 'string' || model === '') {
+                    this.errors.push(`AI model for ${purpose} must be a model name`);
+                } else if (provider && !LLM_PROVIDERS.includes(provider)) {
+                    this.errors.push(`Invalid AI provider for ${purpose}: ${provider}`);
+                } else if (!['local', 'fixture'].includes(provider) && !model.includes('/') && !SUPPORTED_AI_MODELS.includes(model)) {
                     this.warnings.push(`Unsupported AI model for ${purpose}: ${model}`);
                 }
             }
         }
 
+        if (aiConfig.budgets) {
+            const { daily_usd_per_member: perMember, members = {} } = aiConfig.budgets;
+            const budgets = { daily_usd_per_member: perMember, ...members };
+
+            for (const [name, budget] of Object.entries(budgets)) {
+                if (budget !== undefined && budget !== null && (typeof budget !== 'number' || budget < 0)) {
+                    this.errors.push(`AI budget for ${name} must be a non-negative number of USD`);
+                }
+            }
+        }
+
         if (aiConfig.processing) {
             const processing = aiConfig.processing;
             
@@ -419,15 +476,13 @@ export class ConfigValidator {
             const flagsData = readFileSync(flagsPath, 'utf8');
             const flags = JSON.parse(flagsData);
 
-            // Validate flag structure
+            // Validate flag structure with the same rules the flag service loads with
+            const flagService = new FeatureFlagService({ flags });
             for (const [flagName, config] of Object.entries(flags)) {
-                if (typeof config !== 'object' || config === null) {
-                    this.warnings.push(`Feature flag ${flagName} should be an object`);
-                    continue;
-                }
-
-                if (typeof config.enabled !== 'boolean') {
-                    this.warnings.push(`Feature flag ${flagName} should have boolean 'enabled' property`);
+                try {
+                    flagService.validateFlag(flagName, config);
+                } catch (error) {
+                    this.warnings.push(error.message);
                 }
             }
 
@@ -334,66 +334,4 @@ export class DatabasePool {
     sleep(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
-    
-    /**
-     * Create tables if they don't exist
-     */
-    async initializeTables() {
-        const createTablesSQL = `
-            -- Create team_members table if not exists
-            CREATE TABLE IF NOT EXISTS team_members (
-                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-                external_id VARCHAR(100) UNIQUE NOT NULL,
-                name VARCHAR(255) NOT NULL,
-                role VARCHAR(100),
-                email VARCHAR(255),
-                active BOOLEAN DEFAULT true,
-                ai_model VARCHAR(100),
-                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
-            );
-            
-            -- Create team_updates table if not exists
-            CREATE TABLE IF NOT EXISTS team_updates (
-                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-                member_id UUID REFERENCES team_members(id),
-                update_text TEXT NOT NULL,
-                source VARCHAR(50) DEFAULT 'api',
-                priority VARCHAR(20) DEFAULT 'medium',
-                is_urgent BOOLEAN DEFAULT false,
-                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
-            );
-            
-            -- Create update_extractions table if not exists
-            CREATE TABLE IF NOT EXISTS update_extractions (
-                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-                update_id UUID REFERENCES team_updates(id),
-                extraction_type VARCHAR(100),
-                content JSONB,
-                confidence_score DECIMAL(3,2),
-                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
-            );
-            
-            -- Create indexes for performance
-            CREATE INDEX IF NOT EXISTS idx_team_updates_member_created ON team_updates(member_id, created_at DESC);
-            CREATE INDEX IF NOT EXISTS idx_update_extractions_update_id ON update_extractions(update_id);
-            CREATE INDEX IF NOT EXISTS idx_team_members_external_id ON team_members(external_id);
-        `;
-        
-        try {
-            await this.query(createTablesSQL);
-            console.log('Database tables initialized successfully');
-        } catch (error) {
-            console.error('Failed to initialize database tables:', error);
-            throw error;
-        }
-    }
 }
-
-// Legacy compatibility function for admin-api.js
-export function createConnection() {
-    return new pg.Client({
-        connectionString: process.env.DATABASE_URL,
-        ssl: { rejectUnauthorized: false }
-    });
-}
\ No newline at end of file
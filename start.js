@@ -15,6 +15,7 @@ import fs from 'fs/promises';
 import dotenv from 'dotenv';
 
 import { TeamCRMServer } from './src/team-crm-server.js';
+import { applyEnvironmentOverrides } from './src/core/config/team-config-watcher.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -37,7 +38,7 @@ async function loadConfig() {
         const env = process.env.NODE_ENV || 'development';
         if (config.environments && config.environments[env]) {
             console.log(`Applying ${env} environment overrides...`);
-            applyOverrides(config, config.environments[env]);
+            applyEnvironmentOverrides(config, env);
         }
         
         return config;
@@ -49,26 +50,6 @@ async function loadConfig() {
     }
 }
 
-/**
- * Apply environment-specific configuration overrides
- */
-function applyOverrides(config, overrides) {
-    for (const [key, value] of Object.entries(overrides)) {
-        if (key.includes('.')) {
-            // Handle nested keys like "processing.summaryGeneration.schedule"
-            const keys = key.split('.');
-            let current = config;
-            for (let i = 0; i < keys.length - 1; i++) {
-                if (!current[keys[i]]) current[keys[i]] = {};
-                current = current[keys[i]];
-            }
-            current[keys[keys.length - 1]] = value;
-        } else {
-            config[key] = value;
-        }
-    }
-}
-
 /**
  * Get default configuration if config file is missing
  */
@@ -0,0 +1,314 @@
+/**
+ * Analytics Export Test
+ * Date ranges are honored, the XLSX workbook and PDF board pack are valid
+ * files with the expected sheets and pages, and scheduled exports are
+ * emailed with the file attached for the period before they run
+ */
+
+import assert from 'assert';
+import express from 'express';
+import zlib from 'zlib';
+import { AnalyticsEngine, resolveDateRange } from '../src/core/analytics/analytics-engine.js';
+import {
+    AnalyticsExportService,
+    nextRunAt,
+    scheduleRange
+} from '../src/core/analytics/analytics-export.js';
+import { buildWorkbook, columnName } from '../src/core/analytics/xlsx-writer.js';
+import { PdfDocument } from '../src/core/analytics/pdf-writer.js';
+import { dbHelpers } from '../src/core/database/connection.js';
+import { AnalyticsExportAPI } from '../src/api/analytics-export-api.js';
+
+const now = new Date(2026, 3, 1, 6, 30);
+
+const deals = [
+    { id: 'd1', name: 'Acme Motors', stage: 'negotiation', total_contract_value: '100000', expected_close_date: '2026-04-20', created_at: new Date(2026, 2, 5), updated_at: new Date(2026, 2, 28), client_name: 'Acme', owner_name: 'Joe' },
+    { id: 'd2', name: 'Globex Auto', stage: 'closed_won', total_contract_value: '40000', actual_close_date: '2026-03-12', created_at: new Date(2026, 0, 10), updated_at: new Date(2026, 2, 12), client_name: 'Globex', owner_name: 'Charlie' },
+    { id: 'd3', name: 'Initech Ford', stage: 'closed_lost', total_contract_value: '20000', closed_at: new Date(2026, 2, 20, 15), created_at: new Date(2026, 1, 1), updated_at: new Date(2026, 2, 20), owner_name: 'Charlie' },
+    { id: 'd4', name: 'Umbrella (Group)', stage: 'closed_won', total_contract_value: '15000', actual_close_date: '2026-02-25', created_at: new Date(2026, 0, 2), updated_at: new Date(2026, 1, 25), owner_name: 'Joe' }
+];
+
+/**
+ * Answers the export queries and keeps export schedules in memory
+ */
+function fakeDb() {
+    const queries = [];
+    const schedules = [];
+    return {
+        initialized: true,
+        queries,
+        schedules,
+        query: async (text, params = []) => {
+            queries.push({ text, params });
+            if (text.includes('FROM pipeline_summary')) {
+                return { rows: [{ stage: 'negotiation', deal_count: '1', total_value: '100000', weighted_value: '75000', avg_probability: '75' }] };
+            }
+            if (text.includes('FROM analytics_snapshots')) {
+                return { rows: [{ snapshot_date: '2026-03-01', metric_value: '60000.0000' }, { snapshot_date: '2026-03-31', metric_value: '75000.0000' }] };
+            }
+            if (text.includes('FROM deals d') && text.includes('clients c')) {
+                return { rows: deals };
+            }
+            if (text.includes('FROM deal_activities')) {
+                return {
+                    rows: [
+                        { created_at: new Date(2026, 2, 3, 10), activity_type: 'meeting', description: 'Demo', deal_name: 'Acme Motors', member_name: 'Joe' },
+                        { created_at: new Date(2026, 2, 4, 11), activity_type: 'email', description: 'Pricing', deal_name: 'Acme Motors', member_name: 'Joe' },
+                        { created_at: new Date(2026, 2, 9, 9), activity_type: 'meeting', description: 'Legal', deal_name: 'Globex Auto', member_name: 'Charlie' }
+                    ]
+                };
+            }
+            if (text.includes('FROM forecast_snapshots')) {
+                return { rows: [{ period_start: '2026-03-01', method: 'weighted', forecast_value: '50000', actual_value: '40000' }] };
+            }
+            if (text.includes('INSERT INTO analytics_export_schedules')) {
+                const [name, format, frequency, recipients, next, createdBy] = params;
+                const schedule = { id: `s${schedules.length + 1}`, name, format, frequency, recipients, next_run_at: next, active: true, created_by: createdBy };
+                schedules.push(schedule);
+                return { rows: [schedule] };
+            }
+            if (text.includes('WHERE active = true AND next_run_at <= $1')) {
+                return { rows: schedules.filter(schedule => schedule.active && schedule.next_run_at <= new Date(params[0])) };
+            }
+            if (text.includes('SET next_run_at = $3')) {
+                const schedule = schedules.find(row => row.id === params[0] && row.next_run_at === params[1]);
+                if (schedule) schedule.next_run_at = params[2];
+                return { rows: schedule ? [{ id: schedule.id }] : [] };
+            }
+            if (text.includes('SET last_run_at')) {
+                Object.assign(schedules.find(row => row.id === params[0]), { last_run_at: params[1], last_status: params[2], last_error: params[3] });
+                return { rows: [] };
+            }
+            if (text.includes('SELECT * FROM analytics_export_schedules WHERE id::text')) {
+                return { rows: schedules.filter(row => row.id === params[0]) };
+            }
+            return { rows: [] };
+        }
+    };
+}
+
+/**
+ * The files in a zip, inflated, read from its central directory
+ */
+function unzip(buffer) {
+    const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+
+    const files = {};
+    for (let i = 0; i < count; i++) {
+        const size = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const local = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        const dataStart = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+        files[name] = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + size)).toString('utf8');
+        offset += 46 + nameLength;
+    }
+    return files;
+}
+
+async function request(app, method, path, body) {
+    const server = app.listen(0);
+    try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const contentType = response.headers.get('content-type') || '';
+        return {
+            status: response.status,
+            contentType,
+            disposition: response.headers.get('content-disposition'),
+            body: contentType.includes('json') ? await response.json() : Buffer.from(await response.arrayBuffer())
+        };
+    } finally {
+        server.close();
+    }
+}
+
+async function testAnalyticsExport() {
+    console.log('🧪 Testing analytics exports...\n');
+
+    // Test 1: date ranges
+    console.log('1. Resolving date ranges...');
+    assert.deepStrictEqual(resolveDateRange('2026-03-01', '2026-03-31'), { start: '2026-03-01', end: '2026-03-31', days: 31 });
+    assert.deepStrictEqual(resolveDateRange(null, null, now), { start: '2026-03-03', end: '2026-04-01', days: 30 });
+    assert.throws(() => resolveDateRange('2026-03-31', '2026-03-01'), /^Error: Invalid range/);
+    assert.throws(() => resolveDateRange('March', '2026-03-01'), /Invalid startDate/);
+    assert.throws(() => resolveDateRange('2024-01-01', '2026-03-01'), /at most 366 days/);
+
+    const originals = { ...dbHelpers };
+    dbHelpers.getPipelineSummary = async () => [];
+    dbHelpers.getTeamPerformance = async () => [];
+    const requested = [];
+    dbHelpers.getHistoricalAnalytics = async (metric, start, end) => {
+        requested.push([metric, start, end]);
+        return [
+            { snapshot_date: '2026-03-02', metric_type: metric, dimension: 'overall', dimension_value: null, metric_value: '20.0000' },
+            { snapshot_date: '2026-03-01', metric_type: metric, dimension: 'overall', dimension_value: null, metric_value: '10.0000' }
+        ];
+    };
+    try {
+        const csv = await new AnalyticsEngine().exportAnalytics('2026-03-01', '2026-03-02', 'csv');
+        assert.deepStrictEqual(requested[0], ['pipeline_value', '2026-03-01', '2026-03-02'], 'trends cover the requested range');
+        const lines = csv.split('\n');
+        assert.strictEqual(lines[0], 'Date,Metric,Dimension,Dimension Value,Value,Period Trend');
+        assert.strictEqual(lines[1], '2026-03-01,pipeline_value,overall,,10,increasing', 'one line per snapshot, oldest first');
+        assert.strictEqual(lines.length, 1 + 4 * 2);
+    } finally {
+        Object.assign(dbHelpers, originals);
+    }
+    console.log('   ✅ Defaults to the last 30 days, rejects bad ranges, CSV has a line per snapshot\n');
+
+    // Test 2: file writers
+    console.log('2. Writing XLSX and PDF...');
+    assert.strictEqual(columnName(0), 'A');
+    assert.strictEqual(columnName(27), 'AB');
+    const workbook = unzip(buildWorkbook([
+        { name: 'Deals', rows: [['Name', 'Value', 'Closed'], ['Acme & <Co>', 1200.5, new Date(Date.UTC(2026, 2, 1))]] },
+        { name: 'Deals', rows: [] }
+    ]));
+    assert.match(workbook['xl/workbook.xml'], /<sheet name="Deals" sheetId="1"[^>]*\/><sheet name="Deals 2"/);
+    assert.match(workbook['xl/worksheets/sheet1.xml'], /<t xml:space="preserve">Acme &amp; &lt;Co&gt;<\/t>/);
+    assert.match(workbook['xl/worksheets/sheet1.xml'], /<c r="B2" s="3"><v>1200.5<\/v><\/c><c r="C2" s="2"><v>46082<\/v>/);
+
+    const doc = new PdfDocument({ title: 'Test' });
+    doc.text('Revenue (Q1) – €', 40, 60, { bold: true });
+    doc.addPage().rect(40, 40, 100, 20, { color: '#2F6FED' });
+    const pdf = doc.toBuffer().toString('latin1');
+    assert.ok(pdf.startsWith('%PDF-1.4'));
+    assert.match(pdf, /\/Count 2/);
+    assert.match(pdf, /\(Revenue \\\(Q1\\\) - \?\) Tj/, 'delimiters escaped, non Latin-1 replaced');
+    const xref = parseInt(/startxref\n(\d+)/.exec(pdf)[1]);
+    assert.ok(pdf.startsWith('xref', xref));
+    [...pdf.matchAll(/(\d{10}) 00000 n/g)].forEach((match, i) => {
+        assert.ok(pdf.startsWith(`${i + 1} 0 obj`, parseInt(match[1])), `object ${i + 1} offset`);
+    });
+    console.log('   ✅ Valid zip parts with escaped strings and dates, PDF objects where the xref says\n');
+
+    // Test 3: gathered data, workbook and board pack
+    console.log('3. Building exports...');
+    const db = fakeDb();
+    const sent = [];
+    const mailer = {
+        enabled: false,
+        config: { domain: 'example.com' },
+        sendEmail: async email => {
+            sent.push(email);
+            return { success: true, messageId: 'simulated-1' };
+        }
+    };
+    const service = new AnalyticsExportService({
+        db,
+        mailer,
+        forecastService: { loadDeals: async () => ({ open: [deals[0]], closedWon: [] }) }
+    });
+
+    const data = await service.gatherExport(resolveDateRange('2026-03-01', '2026-03-31'), now);
+    assert.deepStrictEqual(db.queries.find(query => query.text.includes('FROM deal_activities')).params, ['2026-03-01', '2026-03-31']);
+    assert.deepStrictEqual(data.summary, {
+        newDeals: 1,
+        newDealValue: 100000,
+        wonDeals: 1,
+        wonValue: 40000,
+        lostDeals: 1,
+        lostValue: 20000,
+        openPipeline: 100000,
+        weightedPipeline: 75000,
+        activities: 3
+    });
+    assert.deepStrictEqual(data.deals.filter(deal => deal.wonInRange).map(deal => deal.id), ['d2'], 'won before the range is left out');
+    assert.deepStrictEqual(data.activitiesByType, [{ type: 'meeting', count: 2 }, { type: 'email', count: 1 }]);
+    assert.deepStrictEqual(data.pipeline.history, [{ date: '2026-03-01', value: 60000 }, { date: '2026-03-31', value: 75000 }]);
+    assert.ok(db.queries.find(query => query.text.includes('FROM analytics_snapshots')).text.includes('period_type = \'daily\''),
+        'weekly and monthly rollups stay out of the daily history');
+    assert.deepStrictEqual(data.forecasts.accuracy, [{ period: '2026-03', method: 'weighted', forecast: 50000, actual: 40000, accuracy: 75 }]);
+    assert.deepStrictEqual(data.forecasts.byMonth.map(month => month.month), ['2026-04', '2026-05', '2026-06']);
+
+    const xlsx = await service.createExport({ startDate: '2026-03-01', endDate: '2026-03-31', format: 'xlsx', now });
+    assert.strictEqual(xlsx.filename, 'analytics-2026-03-01-to-2026-03-31.xlsx');
+    const sheets = unzip(xlsx.body);
+    assert.deepStrictEqual(
+        [...sheets['xl/workbook.xml'].matchAll(/<sheet name="([^"]+)"/g)].map(match => match[1]),
+        ['Pipeline', 'Deals', 'Activities', 'Forecasts']
+    );
+    assert.match(sheets['xl/worksheets/sheet2.xml'], /Umbrella \(Group\)/);
+    assert.match(sheets['xl/worksheets/sheet3.xml'], /<row r="4">/, 'a header and three activities');
+
+    const pack = await service.createExport({ startDate: '2026-03-01', endDate: '2026-03-31', format: 'pdf', now });
+    assert.strictEqual(pack.contentType, 'application/pdf');
+    const packText = pack.body.toString('latin1');
+    assert.match(packText, /\/Count 3/);
+    assert.match(packText, /\(Board Pack\) Tj/);
+    assert.match(packText, /\(Globex Auto\) Tj/);
+    assert.match(packText, /\(75%\) Tj/, 'forecast accuracy in the pack');
+
+    await assert.rejects(service.createExport({ format: 'docx' }), /Invalid format/);
+    console.log('   ✅ Range totals, four sheets and a three-page board pack\n');
+
+    // Test 4: schedules
+    console.log('4. Scheduling exports...');
+    assert.deepStrictEqual(nextRunAt('daily', new Date(2026, 2, 4, 5)), new Date(2026, 2, 4, 6));
+    assert.deepStrictEqual(nextRunAt('daily', new Date(2026, 2, 4, 7)), new Date(2026, 2, 5, 6));
+    assert.deepStrictEqual(nextRunAt('weekly', new Date(2026, 2, 4, 7)), new Date(2026, 2, 9, 6), 'the next Monday');
+    assert.deepStrictEqual(nextRunAt('monthly', new Date(2026, 2, 4, 7)), new Date(2026, 3, 1, 6));
+    assert.deepStrictEqual(scheduleRange('monthly', now), { start: '2026-03-01', end: '2026-03-31' });
+    assert.deepStrictEqual(scheduleRange('weekly', new Date(2026, 2, 9, 6)), { start: '2026-03-02', end: '2026-03-08' });
+    assert.deepStrictEqual(scheduleRange('daily', now), { start: '2026-03-31', end: '2026-03-31' });
+
+    assert.throws(() => service.validateSchedule({ name: 'Pack', format: 'csv', frequency: 'monthly', recipients: ['a@b.co'] }), /format must be one of xlsx, pdf/);
+    assert.throws(() => service.validateSchedule({ name: 'Pack', format: 'pdf', frequency: 'monthly', recipients: 'ceo' }), /Invalid recipient: ceo/);
+
+    const schedule = await service.createSchedule({
+        name: 'Monthly board pack',
+        format: 'pdf',
+        frequency: 'monthly',
+        recipients: 'ceo@example.com, cfo@example.com',
+        now: new Date(2026, 2, 15)
+    });
+    assert.deepStrictEqual(schedule.recipients, ['ceo@example.com', 'cfo@example.com']);
+    assert.deepStrictEqual(schedule.next_run_at, new Date(2026, 3, 1, 6));
+
+    assert.deepStrictEqual(await service.run(new Date(2026, 2, 31, 23)), [], 'not due yet');
+    const [delivery] = await service.run(now);
+    assert.strictEqual(delivery.status, 'simulated');
+    assert.deepStrictEqual(delivery.range, { start: '2026-03-01', end: '2026-03-31' });
+    assert.strictEqual(sent[0].to, 'ceo@example.com, cfo@example.com');
+    assert.strictEqual(sent[0].attachments[0].filename, 'board-pack-2026-03-01-to-2026-03-31.pdf');
+    assert.ok(sent[0].attachments[0].data.toString('latin1').startsWith('%PDF'));
+    assert.deepStrictEqual(db.schedules[0].next_run_at, new Date(2026, 4, 1, 6));
+    assert.strictEqual(db.schedules[0].last_status, 'simulated');
+    assert.deepStrictEqual(await service.run(now), [], 'sent once per period');
+    console.log('   ✅ Due schedules emailed with the file for the period before they run\n');
+
+    // Test 5: API
+    console.log('5. Serving exports...');
+    const app = express();
+    app.use(express.json());
+    new AnalyticsExportAPI(service).registerEndpoints(app);
+
+    const download = await request(app, 'GET', '/api/admin/exports?startDate=2026-03-01&endDate=2026-03-31&format=xlsx');
+    assert.strictEqual(download.status, 200);
+    assert.strictEqual(download.contentType, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    assert.strictEqual(download.disposition, 'attachment; filename="analytics-2026-03-01-to-2026-03-31.xlsx"');
+    assert.strictEqual(download.body.readUInt32LE(0), 0x04034b50);
+
+    assert.strictEqual((await request(app, 'GET', '/api/admin/exports?startDate=2026-04-01&endDate=2026-03-01')).status, 400);
+    assert.strictEqual((await request(app, 'POST', '/api/admin/exports/schedules', { name: 'x', format: 'pdf', frequency: 'hourly', recipients: ['a@b.co'] })).status, 400);
+    assert.strictEqual((await request(app, 'POST', '/api/admin/exports/schedules/missing/send')).status, 404);
+
+    const offline = express();
+    new AnalyticsExportAPI(new AnalyticsExportService({ db: { initialized: false } })).registerEndpoints(offline);
+    assert.strictEqual((await request(offline, 'GET', '/api/admin/exports')).status, 503);
+    console.log('   ✅ Downloads, validation and 503 without a database\n');
+
+    console.log('🎉 Analytics export tests passed');
+}
+
+testAnalyticsExport().catch(error => {
+    console.error('❌ Analytics export tests failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,181 @@
+/**
+ * Auth Test
+ * Signs in with passwords, session cookies, basic auth and API tokens, and
+ * checks that role-gated routes and token scopes answer 401 or 403 for
+ * callers who shouldn't get through
+ */
+
+import assert from 'assert';
+import express from 'express';
+import { AccountService, hasRole } from '../src/core/auth/account-service.js';
+import { SessionService, SESSION_COOKIE } from '../src/core/auth/session-service.js';
+import { ApiTokenService } from '../src/core/auth/api-token-service.js';
+import { setupAuth } from '../src/middleware/auth.js';
+import { AuthAPI } from '../src/api/auth-api.js';
+
+/**
+ * Keeps team_members and api_tokens rows in memory for the auth services
+ */
+function fakeDb(members) {
+    const tokens = [];
+    return {
+        initialized: true,
+        tokens,
+        query: async (text, params = []) => {
+            if (text.includes('FROM team_members') && text.includes('password_hash')) {
+                return { rows: members.filter(member => member.external_id === params[0]) };
+            }
+            if (text.includes('INSERT INTO api_tokens')) {
+                const [memberId, name, prefix, hash, scopes, expiresAt] = params;
+                const token = { id: `token-${tokens.length + 1}`, member_id: memberId, name, token_prefix: prefix, token_hash: hash, scopes, expires_at: expiresAt, revoked_at: null };
+                tokens.push(token);
+                return { rows: [token] };
+            }
+            if (text.includes('FROM api_tokens t') && text.includes('t.token_hash = $1')) {
+                const token = tokens.find(row => row.token_hash === params[0] && !row.revoked_at);
+                const member = token && members.find(row => row.id === token.member_id && row.active);
+                return { rows: member ? [{ token_id: token.id, scopes: token.scopes, ...member }] : [] };
+            }
+            if (text.includes('UPDATE api_tokens SET revoked_at')) {
+                const token = tokens.find(row => row.id === params[0] && !row.revoked_at);
+                if (token) token.revoked_at = new Date();
+                return { rows: token ? [{ id: token.id }] : [], rowCount: token ? 1 : 0 };
+            }
+            return { rows: [], rowCount: 0 };
+        }
+    };
+}
+
+async function request(app, method, path, { headers = {}, body } = {}) {
+    const server = app.listen(0);
+    try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...headers },
+            body: body ? JSON.stringify(body) : undefined,
+            redirect: 'manual'
+        });
+        const text = await response.text();
+        return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+    } finally {
+        server.close();
+    }
+}
+
+const basic = (username, password) => ({ Authorization: `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}` });
+const bearer = token => ({ Authorization: `Bearer ${token}` });
+
+/**
+ * An app with auth in front of a route for each access level
+ */
+function appWith(services, { required = true } = {}) {
+    const app = express();
+    app.use(express.json());
+    setupAuth(app, { ...services, required });
+    new AuthAPI(services).registerEndpoints(app);
+
+    const ok = (req, res) => res.json({ success: true, user: req.user?.username || null });
+    app.get('/api/deals', ok);
+    app.post('/api/deals', ok);
+    app.get('/api/executive/dashboard', ok);
+    app.get('/api/admin/users', ok);
+    return app;
+}
+
+async function testAuth() {
+    console.log('🧪 Testing authentication and roles...\n');
+
+    const accountService = new AccountService({ db: { initialized: true } });
+    const members = [
+        { id: 1, external_id: 'joe', name: 'Joe', email: null, active: true, access_role: 'member', password_hash: await accountService.hashPassword('joe-pass') },
+        { id: 2, external_id: 'tre', name: 'Tre', email: null, active: true, access_role: 'executive', password_hash: await accountService.hashPassword('tre-pass') },
+        { id: 3, external_id: 'ana', name: 'Ana', email: null, active: true, access_role: 'admin', password_hash: await accountService.hashPassword('ana-pass') },
+        { id: 4, external_id: 'old', name: 'Old', email: null, active: false, access_role: 'admin', password_hash: await accountService.hashPassword('old-pass') }
+    ];
+    const db = fakeDb(members);
+    accountService.db = db;
+    const services = {
+        accountService,
+        sessionService: new SessionService({ db: { initialized: false }, secret: 'test-secret' }),
+        apiTokenService: new ApiTokenService({ db })
+    };
+
+    // Test 1: roles and passwords
+    console.log('1. Checking roles and passwords...');
+    assert.ok(hasRole('admin', 'executive'));
+    assert.ok(hasRole('executive', 'member'));
+    assert.ok(!hasRole('member', 'executive'));
+    assert.ok(!hasRole('superuser', 'member'), 'unknown roles get nothing');
+    assert.ok(members[0].password_hash.startsWith('scrypt$'));
+    assert.ok(await accountService.verifyPassword('joe-pass', members[0].password_hash));
+    assert.ok(!await accountService.verifyPassword('Joe-pass', members[0].password_hash));
+    assert.strictEqual((await accountService.authenticate('tre', 'tre-pass')).role, 'executive');
+    assert.strictEqual(await accountService.authenticate('tre', 'wrong'), null);
+    assert.strictEqual(await accountService.authenticate('old', 'old-pass'), null, 'deactivated accounts cannot sign in');
+    console.log('   ✅ Roles inherit upward; passwords are hashed and checked\n');
+
+    // Test 2: role gating with basic auth
+    console.log('2. Gating routes by role...');
+    const app = appWith(services);
+    assert.strictEqual((await request(app, 'GET', '/api/deals')).status, 401);
+    assert.strictEqual((await request(app, 'GET', '/api/deals', { headers: basic('joe', 'nope') })).status, 401);
+    assert.strictEqual((await request(app, 'GET', '/api/deals', { headers: basic('joe', 'joe-pass') })).status, 200);
+    assert.strictEqual((await request(app, 'GET', '/api/executive/dashboard', { headers: basic('joe', 'joe-pass') })).status, 403);
+    assert.strictEqual((await request(app, 'GET', '/api/executive/dashboard', { headers: basic('tre', 'tre-pass') })).status, 200);
+    assert.strictEqual((await request(app, 'GET', '/api/admin/users', { headers: basic('tre', 'tre-pass') })).status, 403);
+    assert.strictEqual((await request(app, 'GET', '/api/admin/users', { headers: basic('ana', 'ana-pass') })).status, 200);
+
+    const open = appWith(services, { required: false });
+    assert.strictEqual((await request(open, 'GET', '/api/deals')).status, 200, 'anonymous allowed when not required');
+    assert.strictEqual((await request(open, 'GET', '/api/executive/dashboard')).status, 401, 'gated routes still need a login');
+    console.log('   ✅ 401 without a login, 403 below the route\'s role\n');
+
+    // Test 3: session login
+    console.log('3. Signing in with a session...');
+    assert.strictEqual((await request(app, 'POST', '/api/auth/login', { body: { username: 'tre', password: 'wrong' } })).status, 401);
+    const login = await request(app, 'POST', '/api/auth/login', { body: { username: 'tre', password: 'tre-pass' } });
+    assert.strictEqual(login.status, 200);
+    const setCookie = login.headers.get('set-cookie');
+    assert.ok(setCookie.includes('HttpOnly'));
+    const cookie = setCookie.split(';')[0];
+    assert.ok(cookie.startsWith(`${SESSION_COOKIE}=`));
+
+    const me = await request(app, 'GET', '/api/auth/me', { headers: { Cookie: cookie } });
+    assert.strictEqual(me.body.data.authMethod, 'session');
+    assert.strictEqual((await request(app, 'GET', '/api/executive/dashboard', { headers: { Cookie: cookie } })).status, 200);
+    assert.strictEqual((await request(app, 'GET', '/api/admin/users', { headers: { Cookie: cookie } })).status, 403);
+
+    const tampered = cookie.replace(/.$/, char => (char === 'A' ? 'B' : 'A'));
+    assert.strictEqual((await request(app, 'GET', '/api/deals', { headers: { Cookie: tampered } })).status, 401);
+
+    await request(app, 'POST', '/api/auth/logout', { headers: { Cookie: cookie } });
+    assert.strictEqual((await request(app, 'GET', '/api/deals', { headers: { Cookie: cookie } })).status, 401, 'logged out');
+    console.log('   ✅ Signed cookies sign in; tampered and logged-out ones don\'t\n');
+
+    // Test 4: API tokens and their scopes
+    console.log('4. Using API tokens...');
+    const readOnly = await services.apiTokenService.createToken(3, { name: 'reporting', scopes: ['read'] });
+    const adminToken = await services.apiTokenService.createToken(3, { name: 'ops', scopes: ['read', 'write', 'admin'] });
+    const joeAdmin = await services.apiTokenService.createToken(1, { name: 'overreach', scopes: ['read', 'admin'] });
+    assert.ok(!db.tokens.some(row => row.token_hash === readOnly.token), 'only the hash is stored');
+
+    assert.strictEqual((await request(app, 'GET', '/api/deals', { headers: bearer(readOnly.token) })).status, 200);
+    assert.strictEqual((await request(app, 'POST', '/api/deals', { headers: bearer(readOnly.token), body: {} })).status, 403, 'read scope cannot write');
+    assert.strictEqual((await request(app, 'GET', '/api/admin/users', { headers: bearer(readOnly.token) })).status, 403, 'an admin\'s read token acts as a member');
+    assert.strictEqual((await request(app, 'GET', '/api/admin/users', { headers: bearer(adminToken.token) })).status, 200);
+    assert.strictEqual((await request(app, 'POST', '/api/deals', { headers: bearer(adminToken.token), body: {} })).status, 200);
+    assert.strictEqual((await request(app, 'GET', '/api/admin/users', { headers: bearer(joeAdmin.token) })).status, 403, 'scopes never raise the owner\'s role');
+    assert.strictEqual((await request(app, 'GET', '/api/deals', { headers: bearer('tcrm_nope_nope') })).status, 401);
+    assert.strictEqual((await request(app, 'POST', '/api/auth/tokens', { headers: bearer(adminToken.token), body: { name: 'more' } })).status, 403, 'tokens cannot mint tokens');
+
+    await services.apiTokenService.revokeToken(adminToken.id);
+    assert.strictEqual((await request(app, 'GET', '/api/deals', { headers: bearer(adminToken.token) })).status, 401, 'revoked');
+    console.log('   ✅ Tokens act within their scopes and their owner\'s role\n');
+
+    console.log('🎉 Auth tests passed');
+}
+
+testAuth().catch(error => {
+    console.error('❌ Auth tests failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,251 @@
+/**
+ * Clients Test
+ * Creates, updates and deletes dealerships and their contacts through the
+ * clients API, keeps dealer groups linked, and merges an account timeline
+ */
+
+import assert from 'assert';
+import crypto from 'crypto';
+import express from 'express';
+import { ClientService } from '../src/core/clients/client-service.js';
+import { ClientsAPI } from '../src/api/clients-api.js';
+
+/**
+ * Keeps clients and client_contacts in memory for the statements ClientService
+ * runs; timeline sources answer with the given rows
+ */
+function fakeDb(timelineRows = {}) {
+    const clients = [];
+    const contacts = [];
+    const deals = [];
+    const queries = [];
+
+    const assign = (text, params, row) => {
+        const columns = text.match(/SET([\s\S]+?)(?:,\s*updated_at|\s+WHERE)/)[1].split(',').map(part => part.trim().split(/\s*=\s*/)[0]);
+        columns.forEach((column, i) => {
+            row[column] = params[i];
+        });
+        return row;
+    };
+    const insert = (text, params) => {
+        const columns = text.match(/\(([^)]+)\)\s*VALUES/)[1].split(',').map(column => column.trim());
+        return Object.fromEntries(columns.map((column, i) => [column, params[i]]));
+    };
+
+    return {
+        initialized: true,
+        clients,
+        contacts,
+        deals,
+        queries,
+        query: async (text, params = []) => {
+            queries.push({ text, params });
+
+            if (text.includes('INSERT INTO clients')) {
+                const client = { id: crypto.randomUUID(), client_type: 'dealership', parent_company: null, ...insert(text, params) };
+                clients.push(client);
+                return { rows: [{ ...client }] };
+            }
+            if (text.includes('SELECT * FROM clients WHERE id::text = $1')) {
+                return { rows: clients.filter(client => client.id === params[0]).map(client => ({ ...client })) };
+            }
+            if (text.includes('UPDATE clients SET parent_company = $1 WHERE parent_company = $2')) {
+                clients.filter(client => client.parent_company === params[1]).forEach(client => {
+                    client.parent_company = params[0];
+                });
+                return { rows: [] };
+            }
+            if (text.includes('UPDATE clients')) {
+                const client = assign(text, params, clients.find(row => row.id === params[params.length - 1]));
+                return { rows: [{ ...client }] };
+            }
+            if (text.includes('DELETE FROM clients')) {
+                clients.splice(clients.findIndex(client => client.id === params[0]), 1);
+                return { rows: [] };
+            }
+            if (text.includes('UPDATE deals SET client_id = NULL')) {
+                deals.filter(deal => deal.client_id === params[0]).forEach(deal => {
+                    deal.client_id = null;
+                });
+                return { rows: [] };
+            }
+            if (text.includes('FROM clients c') && text.includes('total_count')) {
+                const rows = clients
+                    .filter(client => !text.includes('c.client_type =') || client.client_type === params[0])
+                    .sort((a, b) => a.name.localeCompare(b.name))
+                    .map(client => ({
+                        ...client,
+                        contact_count: String(contacts.filter(contact => contact.client_id === client.id).length),
+                        open_deal_count: '0'
+                    }));
+                return { rows: rows.map(row => ({ ...row, total_count: String(rows.length) })) };
+            }
+            if (text.includes('WHERE name = $1 LIMIT 1')) {
+                return { rows: clients.filter(client => client.name === params[0]) };
+            }
+            if (text.includes('WHERE parent_company = $1')) {
+                return { rows: clients.filter(client => client.parent_company === params[0]) };
+            }
+            if (text.includes('FROM deals d') && text.includes('WHERE d.client_id = $1') && !text.includes('deal_activities')) {
+                return { rows: deals.filter(deal => deal.client_id === params[0]) };
+            }
+            if (text.includes('FROM ai_context_memory')) {
+                return { rows: [] };
+            }
+
+            if (text.includes('INSERT INTO client_contacts')) {
+                const contact = { id: crypto.randomUUID(), is_primary: false, is_decision_maker: false, ...insert(text, params) };
+                contacts.push(contact);
+                return { rows: [{ ...contact }] };
+            }
+            if (text.includes('SET is_primary = false')) {
+                contacts.filter(contact => contact.client_id === params[0] && contact.id !== params[1]).forEach(contact => {
+                    contact.is_primary = false;
+                });
+                return { rows: [] };
+            }
+            if (text.includes('UPDATE client_contacts')) {
+                const [contactId, clientId] = params.slice(-2);
+                const contact = contacts.find(row => row.id === contactId && row.client_id === clientId);
+                return { rows: contact ? [{ ...assign(text, params, contact) }] : [] };
+            }
+            if (text.includes('DELETE FROM client_contacts')) {
+                const index = contacts.findIndex(row => row.id === params[0] && row.client_id === params[1]);
+                return { rows: index >= 0 ? contacts.splice(index, 1) : [] };
+            }
+            if (text.includes('SELECT * FROM client_contacts')) {
+                return {
+                    rows: contacts
+                        .filter(contact => contact.client_id === params[0])
+                        .sort((a, b) => Number(b.is_primary) - Number(a.is_primary) || a.name.localeCompare(b.name))
+                };
+            }
+
+            for (const [table, rows] of Object.entries(timelineRows)) {
+                if (text.includes(`FROM ${table}`)) return { rows };
+            }
+            return { rows: [] };
+        }
+    };
+}
+
+async function request(app, method, path, body) {
+    const server = app.listen(0);
+    try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, body: await response.json() };
+    } finally {
+        server.close();
+    }
+}
+
+function clientsApp(clientService) {
+    const app = express();
+    app.use(express.json());
+    new ClientsAPI(clientService).registerEndpoints(app);
+    return app;
+}
+
+async function testClients() {
+    console.log('🧪 Testing the clients API...\n');
+
+    const timelineRows = {
+        team_updates: [{ source: 'team_update', id: 'u1', occurred_at: '2026-03-02T10:00:00Z', summary: 'Met Acme Motors GM' }],
+        update_extractions: [{ source: 'extraction', id: 'e1', occurred_at: '2026-03-02T10:00:05Z', summary: 'dealer_mention' }],
+        deal_activities: [{ source: 'deal_activity', id: 'a1', occurred_at: '2026-03-01T09:00:00Z', summary: 'Deal created in prospect' }],
+        assistant_emails: [{ source: 'email', id: 'm1', occurred_at: '2026-03-03T08:00:00Z', summary: 'Re: pilot pricing' }]
+    };
+    const db = fakeDb(timelineRows);
+    const app = clientsApp(new ClientService({ db }));
+
+    // Test 1: clients
+    console.log('1. Creating and updating clients...');
+    const group = (await request(app, 'POST', '/api/clients', { name: 'Summit Auto Group', client_type: 'dealer_group' })).body.data;
+    const created = await request(app, 'POST', '/api/clients', {
+        name: 'Acme Motors',
+        parent_company: 'Summit Auto Group',
+        employee_count: 40,
+        location: 'Denver, CO',
+        unknown_column: 'ignored'
+    });
+    assert.strictEqual(created.status, 201);
+    const acme = created.body.data;
+    assert.strictEqual(acme.unknown_column, undefined, 'only known columns are written');
+
+    assert.strictEqual((await request(app, 'POST', '/api/clients', { name: ' ' })).status, 400);
+    assert.strictEqual((await request(app, 'POST', '/api/clients', { name: 'Loop', parent_company: 'Loop' })).status, 400);
+    assert.strictEqual((await request(app, 'POST', '/api/clients', { name: 'X', annual_revenue: 'lots' })).body.error, 'annual_revenue must be a number');
+
+    const list = await request(app, 'GET', '/api/clients');
+    assert.deepStrictEqual(list.body.data.map(client => client.name), ['Acme Motors', 'Summit Auto Group']);
+    assert.strictEqual(list.body.pagination.total, 2);
+
+    const renamed = await request(app, 'PUT', `/api/clients/${group.id}`, { name: 'Summit Automotive' });
+    assert.strictEqual(renamed.body.data.name, 'Summit Automotive');
+    assert.strictEqual(db.clients.find(client => client.id === acme.id).parent_company, 'Summit Automotive', 'children follow a renamed group');
+
+    const hierarchy = await request(app, 'GET', `/api/clients/${group.id}/hierarchy`);
+    assert.deepStrictEqual(hierarchy.body.data.children.map(client => client.name), ['Acme Motors']);
+    assert.strictEqual(hierarchy.body.data.parent, null);
+    assert.strictEqual((await request(app, 'PUT', `/api/clients/${crypto.randomUUID()}`, { name: 'Gone' })).status, 404);
+    console.log('   ✅ Clients validated, listed and kept in their dealer group\n');
+
+    // Test 2: contacts
+    console.log('2. Managing contacts...');
+    const base = `/api/clients/${acme.id}/contacts`;
+    assert.strictEqual((await request(app, 'POST', base, { title: 'GM' })).status, 400, 'a contact needs a name');
+    const dana = (await request(app, 'POST', base, { name: 'Dana Ortiz', title: 'GM', email: 'Dana@AcmeMotors.com', is_primary: true })).body.data;
+    const lee = (await request(app, 'POST', base, { name: 'Lee Park', title: 'Sales Manager', is_primary: true })).body.data;
+    assert.strictEqual(db.contacts.find(contact => contact.id === dana.id).is_primary, false, 'only one primary contact');
+
+    const promoted = await request(app, 'PUT', `${base}/${dana.id}`, { is_primary: true, is_decision_maker: true });
+    assert.strictEqual(promoted.body.data.is_decision_maker, true);
+    const contacts = await request(app, 'GET', base);
+    assert.deepStrictEqual(contacts.body.data.map(contact => [contact.name, contact.is_primary]), [['Dana Ortiz', true], ['Lee Park', false]]);
+
+    assert.strictEqual((await request(app, 'PUT', `/api/clients/${group.id}/contacts/${lee.id}`, { title: 'x' })).status, 404, 'contacts belong to one client');
+    assert.strictEqual((await request(app, 'DELETE', `${base}/${lee.id}`)).status, 200);
+    assert.strictEqual((await request(app, 'DELETE', `${base}/${lee.id}`)).status, 404);
+
+    const detail = await request(app, 'GET', `/api/clients/${acme.id}`);
+    assert.deepStrictEqual(detail.body.data.contacts.map(contact => contact.name), ['Dana Ortiz']);
+    assert.strictEqual(detail.body.data.hierarchy.parent.name, 'Summit Automotive');
+    console.log('   ✅ Contacts added, promoted and removed\n');
+
+    // Test 3: timeline
+    console.log('3. Building the account timeline...');
+    const timeline = await request(app, 'GET', `/api/clients/${acme.id}/timeline`);
+    assert.deepStrictEqual(timeline.body.data.events.map(event => event.id), ['m1', 'e1', 'u1', 'a1'], 'newest first across sources');
+    assert.deepStrictEqual(timeline.body.data.counts, { team_update: 1, extraction: 1, deal_activity: 1, email: 1 });
+
+    const emailQuery = db.queries.filter(query => query.text.includes('FROM assistant_emails')).at(-1);
+    assert.deepStrictEqual(emailQuery.params[1], ['dana@acmemotors.com'], 'emails from contacts count, case-insensitively');
+    assert.strictEqual(emailQuery.params[0], '%Acme Motors%');
+
+    const dealsOnly = await request(app, 'GET', `/api/clients/${acme.id}/timeline?sources=deal_activity,bogus&limit=5`);
+    assert.deepStrictEqual(dealsOnly.body.data.events.map(event => event.source), ['deal_activity']);
+    assert.strictEqual((await request(app, 'GET', `/api/clients/${crypto.randomUUID()}/timeline`)).status, 404);
+    console.log('   ✅ Updates, extractions, deal activity and emails merged by time\n');
+
+    // Test 4: deleting
+    console.log('4. Deleting a client...');
+    db.deals.push({ id: crypto.randomUUID(), name: 'Acme pilot', client_id: acme.id });
+    assert.strictEqual((await request(app, 'DELETE', `/api/clients/${acme.id}`)).status, 200);
+    assert.strictEqual(db.deals[0].client_id, null, 'deals keep their history without the link');
+    assert.strictEqual((await request(app, 'GET', `/api/clients/${acme.id}`)).status, 404);
+
+    const offline = clientsApp(new ClientService({ db: { initialized: false } }));
+    assert.strictEqual((await request(offline, 'GET', '/api/clients')).status, 503);
+    console.log('   ✅ Deleted with deals unlinked; 503 without a database\n');
+
+    console.log('🎉 Clients tests passed');
+}
+
+testClients().catch(error => {
+    console.error('❌ Clients tests failed:', error);
+    process.exit(1);
+});
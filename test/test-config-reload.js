@@ -0,0 +1,128 @@
+/**
+ * Config Reload Test
+ * Reloads team-config.json into a running orchestrator: a valid config is
+ * swapped in, an invalid one is rejected with the running config kept, and
+ * both outcomes are broadcast on the system-health channel
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TeamConfigWatcher } from '../src/core/config/team-config-watcher.js';
+import { TeamOrchestrator } from '../src/core/orchestration/team-orchestrator.js';
+
+const baseConfig = JSON.parse(fs.readFileSync(new URL('../config/team-config.json', import.meta.url), 'utf8'));
+
+function copy(config) {
+    return JSON.parse(JSON.stringify(config));
+}
+
+function member(id, name) {
+    return { id, name, role: 'Sales', focus_areas: ['fleet_sales'], extraction_priorities: ['action_items'], ai_model: 'claude-3-sonnet' };
+}
+
+async function testConfigReload() {
+    console.log('🧪 Testing team config hot reload...\n');
+
+    const previousEnv = { DATABASE_URL: process.env.DATABASE_URL, LLM_PROVIDER: process.env.LLM_PROVIDER };
+    delete process.env.DATABASE_URL;
+    process.env.LLM_PROVIDER = 'fixture';
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'team-crm-config-test-'));
+    const configPath = path.join(dir, 'team-config.json');
+    fs.writeFileSync(configPath, JSON.stringify(baseConfig));
+
+    try {
+        const orchestrator = new TeamOrchestrator(copy(baseConfig));
+        orchestrator.personalAssistants = await orchestrator.buildPersonalAssistants(orchestrator.config);
+
+        const broadcasts = [];
+        const watcher = new TeamConfigWatcher({ configPath, environment: 'test' });
+        watcher.applyConfig = config => orchestrator.applyConfiguration(config);
+        watcher.broadcastTo(() => ({
+            broadcastToChannel: (channel, message) => broadcasts.push({ channel, ...message })
+        }));
+
+        // Test 1: a valid config
+        console.log('1. Reloading a valid config...');
+        const updated = copy(baseConfig);
+        updated.team.members.dana = member('dana', 'Dana');
+        updated.ai_configuration.models.summary = 'claude-3-sonnet';
+        updated.business_rules.keyword_filtering.keywords.critical.terms.push('recall');
+        fs.writeFileSync(configPath, JSON.stringify(updated));
+
+        const reloaded = await watcher.reload();
+        assert.strictEqual(reloaded.applied, true, reloaded.errors.join('; '));
+        assert.ok(orchestrator.personalAssistants.has('dana'));
+        assert.strictEqual(orchestrator.config.team.members.dana.name, 'Dana');
+        assert.strictEqual(orchestrator.llm.models.summary, 'claude-3-sonnet');
+        assert.ok(orchestrator.keywordFilter.compiledKeywords.critical.terms.includes('recall'));
+        assert.strictEqual(orchestrator.stats.activeMembers, orchestrator.personalAssistants.size);
+        assert.deepStrictEqual(broadcasts.map(message => [message.channel, message.type]), [['system-health', 'configReloaded']]);
+        assert.strictEqual(broadcasts[0].data.source, 'manual');
+        console.log('   ✅ New members, routing and keywords all live\n');
+
+        // Test 2: invalid configs
+        console.log('2. Rejecting invalid configs...');
+        const running = orchestrator.config;
+        const assistants = orchestrator.personalAssistants;
+
+        fs.writeFileSync(configPath, '{ "team": ');
+        const unparsable = await watcher.reload();
+        assert.strictEqual(unparsable.applied, false);
+        assert.match(unparsable.errors[0], /Could not read team configuration/);
+
+        const invalid = copy(updated);
+        invalid.ai_configuration.provider = 'nope';
+        delete invalid.team.members.dana;
+        fs.writeFileSync(configPath, JSON.stringify(invalid));
+        const rejected = await watcher.reload();
+        assert.strictEqual(rejected.applied, false);
+        assert.ok(rejected.errors.some(error => error.includes('Invalid AI provider: nope')));
+
+        assert.strictEqual(orchestrator.config, running, 'the running config stays');
+        assert.strictEqual(orchestrator.personalAssistants, assistants);
+        assert.ok(orchestrator.personalAssistants.has('dana'));
+        assert.deepStrictEqual(broadcasts.slice(1).map(message => message.type), ['configRejected', 'configRejected']);
+        assert.deepStrictEqual(broadcasts[2].data.errors, rejected.errors);
+        assert.strictEqual(watcher.getStatus().rejections, 2);
+        console.log('   ✅ Rejected with the reasons broadcast, running config untouched\n');
+
+        // Test 3: all parts or none
+        console.log('3. Applying every part or none...');
+        const halfValid = copy(updated);
+        halfValid.ai_configuration.models.summary = 'claude-3-haiku';
+        halfValid.team.members.erin = member('erin', 'Erin');
+        halfValid.business_rules.keyword_filtering.keywords.critical.terms = [];
+
+        await assert.rejects(orchestrator.applyConfiguration(halfValid), /empty terms array/);
+        assert.strictEqual(orchestrator.config, running);
+        assert.ok(!orchestrator.personalAssistants.has('erin'));
+        assert.strictEqual(orchestrator.llm.models.summary, 'claude-3-sonnet', 'model routing rolled back');
+        assert.ok(orchestrator.keywordFilter.compiledKeywords.critical.terms.includes('recall'), 'keywords kept');
+        assert.strictEqual(orchestrator.keywordFilter.enabled, true);
+
+        const noKeywords = copy(updated);
+        delete noKeywords.business_rules.keyword_filtering;
+        await orchestrator.applyConfiguration(noKeywords);
+        assert.strictEqual(orchestrator.keywordFilter.enabled, false, 'no keyword section turns filtering off, as at startup');
+        console.log('   ✅ A part that fails to apply leaves the others on the old config\n');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+        for (const [key, value] of Object.entries(previousEnv)) {
+            if (value === undefined) {
+                delete process.env[key];
+            } else {
+                process.env[key] = value;
+            }
+        }
+    }
+
+    console.log('🎉 Config reload tests passed');
+}
+
+testConfigReload().catch(error => {
+    console.error('❌ Config reload tests failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,162 @@
+/**
+ * Deal Risk Test
+ * Scores deals from inactivity, sentiment, competitors, slipped close dates
+ * and pilot health, records one score per day and serves it through the API
+ */
+
+import assert from 'assert';
+import express from 'express';
+import {
+    DealRiskService,
+    RISK_FACTORS,
+    explainRisk,
+    riskLevel,
+    scoreDealRisk
+} from '../src/core/deals/deal-risk-service.js';
+import { DealsAPI } from '../src/api/deals-api.js';
+
+const now = new Date('2026-03-20T12:00:00Z');
+const daysAgo = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+
+const deal = {
+    id: '7d0c4a52-0000-4000-8000-000000000001',
+    client_id: '7d0c4a52-0000-4000-8000-0000000000c1',
+    name: 'Acme Motors',
+    stage: 'negotiation',
+    competitors: ['CDK'],
+    expected_close_date: new Date('2026-03-15'),
+    pilot_start_date: new Date('2026-02-01'),
+    pilot_end_date: new Date('2026-03-01'),
+    updated_at: daysAgo(40)
+};
+
+/**
+ * Answers the risk service's queries from fixed rows and records the SQL
+ */
+function fakeDb() {
+    const queries = [];
+    const scores = new Map();
+    return {
+        initialized: true,
+        queries,
+        scores,
+        query: async (text, params) => {
+            queries.push({ text, params });
+            if (text.includes('MAX(created_at)')) return { rows: [{ last_activity_at: daysAgo(18) }] };
+            if (text.includes('FROM update_extractions')) {
+                return {
+                    rows: [
+                        { extraction_type: 'dealer_feedback', content: { sentiment: 'positive' }, created_at: daysAgo(60) },
+                        { extraction_type: 'competitor_intel', content: { competitor: 'Reynolds' }, created_at: daysAgo(30) },
+                        { extraction_type: 'dealer_feedback', content: JSON.stringify({ sentiment: 'negative' }), created_at: daysAgo(25) },
+                        { extraction_type: 'pilot_update', content: { status: 'Struggling' }, created_at: daysAgo(21) }
+                    ]
+                };
+            }
+            if (text.includes('close_date_change')) {
+                return {
+                    rows: [
+                        { old_value: { expected_close_date: '2026-02-28' }, new_value: { expected_close_date: '2026-03-15' }, created_at: daysAgo(30) },
+                        { old_value: { expected_close_date: '2026-03-15T05:00:00.000Z' }, new_value: { expected_close_date: '2026-03-15' }, created_at: daysAgo(29) }
+                    ]
+                };
+            }
+            if (text.includes('FROM deals WHERE id::text')) {
+                return { rows: params[0] === deal.id ? [deal] : [] };
+            }
+            if (text.includes('INSERT INTO deal_risk_scores')) {
+                scores.set(`${params[0]}:${params[1]}`, { scored_on: params[1], score: params[2], risk_level: params[3], factors: JSON.parse(params[4]) });
+                return { rows: [] };
+            }
+            if (text.includes('FROM deal_risk_scores')) {
+                return { rows: [{ scored_on: new Date('2026-03-19T00:00:00Z'), score: 40, risk_level: 'medium', factors: [] }, ...scores.values()] };
+            }
+            return { rows: [] };
+        }
+    };
+}
+
+async function request(app, path) {
+    const server = app.listen(0);
+    try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`);
+        return { status: response.status, body: await response.json() };
+    } finally {
+        server.close();
+    }
+}
+
+async function testDealRisk() {
+    console.log('🧪 Testing deal risk scoring...\n');
+
+    // Test 1: factors and levels
+    console.log('1. Scoring from signals...');
+    assert.strictEqual(Object.values(RISK_FACTORS).reduce((sum, points) => sum + points, 0), 100);
+    assert.deepStrictEqual([0, 24, 25, 50, 69, 70, 100].map(riskLevel), ['low', 'low', 'medium', 'high', 'high', 'critical', 'critical']);
+
+    const quiet = scoreDealRisk({ ...deal, competitors: [], expected_close_date: null, pilot_start_date: null }, { lastActivityAt: daysAgo(2) }, now);
+    assert.strictEqual(quiet.score, 0);
+    assert.strictEqual(quiet.level, 'low');
+    assert.strictEqual(explainRisk(quiet), 'Risk 0 (low)');
+
+    const stale = scoreDealRisk({ ...deal, competitors: [], expected_close_date: null, pilot_start_date: null }, { lastActivityAt: daysAgo(30) }, now);
+    assert.strictEqual(stale.factors[0].detail, '30 days since last activity');
+    assert.strictEqual(stale.score, 30);
+
+    const closed = scoreDealRisk({ ...deal, stage: 'closed_won' }, { lastActivityAt: daysAgo(60) }, now);
+    assert.strictEqual(closed.score, 0);
+    console.log('   ✅ Factors add up to 100 and map to low, medium, high and critical\n');
+
+    // Test 2: signals loaded from the database and recorded per day
+    console.log('2. Scoring and recording a deal...');
+    const db = fakeDb();
+    const service = new DealRiskService({ db });
+    const risk = await service.scoreDeal(deal.id, now);
+    const byKey = Object.fromEntries(risk.factors.map(factor => [factor.key, factor]));
+
+    assert.strictEqual(byKey.inactivity.value, 18, 'extractions and deal activity both count as activity');
+    assert.strictEqual(byKey.inactivity.points, 14);
+    assert.strictEqual(byKey.sentiment.detail, 'Mixed recent feedback');
+    assert.strictEqual(byKey.competitors.value, 2);
+    assert.strictEqual(byKey.competitors.detail, '2 competitor mentions (CDK, Reynolds)');
+    assert.strictEqual(byKey.slippedCloseDates.value, 1, 'the same date at a different time is not a slip');
+    assert.strictEqual(byKey.slippedCloseDates.detail, 'Close date pushed back 1 time, close date passed 5 days ago');
+    assert.strictEqual(byKey.pilotHealth.detail, 'Pilot struggling');
+    assert.strictEqual(byKey.pilotHealth.points, 15);
+    assert.strictEqual(risk.score, risk.factors.reduce((sum, factor) => sum + factor.points, 0));
+    assert.strictEqual(risk.level, riskLevel(risk.score));
+    assert.ok(risk.explanation.startsWith(`Risk ${risk.score} (${risk.level}): `));
+    assert.ok(risk.explanation.includes('Pilot struggling'));
+
+    const signalsQuery = db.queries.find(query => query.text.includes('FROM update_extractions'));
+    assert.deepStrictEqual(signalsQuery.params.slice(0, 2), [deal.id, deal.client_id]);
+
+    await service.scoreDeal(deal.id, new Date(now.getTime() + 60 * 60 * 1000));
+    assert.strictEqual(db.scores.size, 1, 'one score per deal per day');
+    assert.strictEqual(await service.scoreDeal('missing', now), null);
+    assert.strictEqual(await new DealRiskService({ db: { initialized: false } }).run(now), null);
+    console.log('   ✅ Signals from activity, extractions and close date changes\n');
+
+    // Test 3: the API
+    console.log('3. Serving risk through the API...');
+    const app = express();
+    new DealsAPI(null, { isAvailable: () => true }, service).registerEndpoints(app);
+
+    const response = await request(app, `/api/deals/${deal.id}/risk?days=30`);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.dealName, 'Acme Motors');
+    assert.strictEqual(response.body.data.factors.length, 5);
+    const history = response.body.data.history.map(entry => entry.scoredOn);
+    assert.deepStrictEqual(history, ['2026-03-19', '2026-03-20', response.body.data.scoredOn]);
+    const historyQuery = db.queries[db.queries.length - 1];
+    assert.deepStrictEqual(historyQuery.params, [deal.id, 30]);
+    assert.strictEqual((await request(app, '/api/deals/missing/risk')).status, 404);
+    console.log('   ✅ Score, factor breakdown and daily history per deal\n');
+
+    console.log('🎉 Deal risk tests passed');
+}
+
+testDealRisk().catch(error => {
+    console.error('❌ Deal risk tests failed:', error);
+    process.exit(1);
+});
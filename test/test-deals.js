@@ -0,0 +1,232 @@
+/**
+ * Deals Test
+ * Creates, updates, moves, closes and deletes deals through the deals API,
+ * recording an activity only for values that actually changed
+ */
+
+import assert from 'assert';
+import crypto from 'crypto';
+import express from 'express';
+import { DealService } from '../src/core/deals/deal-service.js';
+import { DealsAPI } from '../src/api/deals-api.js';
+
+const MEMBERS = [
+    { id: crypto.randomUUID(), external_id: 'joe', name: 'Joe', role: 'Sales' },
+    { id: crypto.randomUUID(), external_id: 'charlie', name: 'Charlie', role: 'Sales' }
+];
+
+const NUMERIC_COLUMNS = ['monthly_value', 'implementation_fee', 'total_contract_value', 'probability'];
+const DATE_COLUMNS = ['expected_close_date', 'actual_close_date', 'pilot_start_date', 'pilot_end_date'];
+
+/**
+ * Stores a value the way pg hands it back: DECIMAL as a string, DATE as a
+ * Date at local midnight
+ */
+function asStored(column, value) {
+    if (value === null || value === undefined) return null;
+    if (NUMERIC_COLUMNS.includes(column)) return Number(value).toFixed(2);
+    if (DATE_COLUMNS.includes(column)) {
+        const [year, month, day] = String(value).slice(0, 10).split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+    return value;
+}
+
+/**
+ * Keeps deals and deal_activities in memory for the statements DealService runs
+ */
+function fakeDb() {
+    const deals = [];
+    const activities = [];
+    const withNames = deal => {
+        const owner = MEMBERS.find(member => member.id === deal.owner_id);
+        return { ...deal, owner_key: owner?.external_id || null, owner_name: owner?.name || null, client_name: null };
+    };
+
+    return {
+        initialized: true,
+        deals,
+        activities,
+        query: async (text, params = []) => {
+            if (text.includes('FROM team_members')) {
+                return { rows: MEMBERS.filter(member => member.external_id === params[0] || member.id === params[0]) };
+            }
+            if (text.includes('INSERT INTO deals')) {
+                const columns = text.match(/INSERT INTO deals \(([^)]+)\)/)[1].split(',').map(column => column.trim());
+                const deal = { id: crypto.randomUUID(), priority: 'medium', probability: '0.00', competitors: null };
+                columns.forEach((column, i) => {
+                    deal[column] = asStored(column, params[i]);
+                });
+                deals.push(deal);
+                return { rows: [deal] };
+            }
+            if (text.includes('UPDATE deals')) {
+                const deal = deals.find(row => row.id === params[params.length - 1]);
+                const assignments = text.match(/SET([\s\S]+)WHERE/)[1].split(',').map(part => part.trim());
+                for (const assignment of assignments) {
+                    const [column, value] = assignment.split(/\s*=\s*/);
+                    if (value.startsWith('$')) {
+                        deal[column] = asStored(column, params[Number(value.slice(1)) - 1]);
+                    } else if (value === 'NULL') {
+                        deal[column] = null;
+                    } else if (/^\d+$/.test(value)) {
+                        deal[column] = asStored(column, value);
+                    }
+                }
+                return { rows: [], rowCount: 1 };
+            }
+            if (text.includes('FROM deals d') && text.includes('WHERE d.id::text = $1')) {
+                return { rows: deals.filter(deal => deal.id === params[0]).map(withNames) };
+            }
+            if (text.includes('FROM deals d') && text.includes('total_count')) {
+                return { rows: deals.map(deal => ({ ...withNames(deal), total_count: String(deals.length) })) };
+            }
+            if (text.includes('INSERT INTO deal_activities')) {
+                const [dealId, memberId, type, oldValue, newValue, description] = params;
+                const activity = {
+                    deal_id: dealId,
+                    member_id: memberId,
+                    activity_type: type,
+                    old_value: oldValue ? JSON.parse(oldValue) : null,
+                    new_value: newValue ? JSON.parse(newValue) : null,
+                    description
+                };
+                activities.push(activity);
+                return { rows: [activity] };
+            }
+            if (text.includes('FROM deal_activities da')) {
+                return { rows: activities.filter(activity => activity.deal_id === params[0]).reverse() };
+            }
+            if (text.includes('DELETE FROM deal_activities')) {
+                activities.splice(0, activities.length, ...activities.filter(activity => activity.deal_id !== params[0]));
+            }
+            if (text.includes('DELETE FROM deals')) {
+                deals.splice(deals.findIndex(deal => deal.id === params[0]), 1);
+            }
+            return { rows: [], rowCount: 1 };
+        }
+    };
+}
+
+async function request(app, method, path, { body, user } = {}) {
+    const server = app.listen(0);
+    try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', ...(user ? { 'X-Test-User': user } : {}) },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const text = await response.text();
+        return { status: response.status, body: text ? JSON.parse(text) : null };
+    } finally {
+        server.close();
+    }
+}
+
+/**
+ * The deals API behind a stand-in for the auth middleware
+ */
+function dealsApp(dealService) {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        const username = req.get('X-Test-User');
+        req.user = username ? { username, role: 'member' } : null;
+        next();
+    });
+    new DealsAPI(null, dealService, { isAvailable: () => false }).registerEndpoints(app);
+    return app;
+}
+
+async function testDeals() {
+    console.log('🧪 Testing the deals API...\n');
+
+    const db = fakeDb();
+    const dealService = new DealService({ db });
+    const app = dealsApp(dealService);
+
+    // Test 1: creating and reading
+    console.log('1. Creating and reading deals...');
+    const created = await request(app, 'POST', '/api/deals', {
+        user: 'joe',
+        body: { name: 'Acme Motors pilot', owner: 'joe', total_contract_value: 50000, probability: 40, expected_close_date: '2026-11-30', competitors: ['Globex'] }
+    });
+    assert.strictEqual(created.status, 201);
+    const deal = created.body.data;
+    assert.strictEqual(deal.stage, 'prospect');
+    assert.strictEqual(deal.owner_key, 'joe');
+    assert.strictEqual(deal.total_contract_value, '50000.00');
+
+    assert.strictEqual((await request(app, 'POST', '/api/deals', { user: 'joe', body: { owner: 'joe' } })).status, 400, 'a name is required');
+    assert.strictEqual((await request(app, 'POST', '/api/deals', { user: 'joe', body: { name: 'X', probability: 140 } })).status, 400);
+    assert.strictEqual((await request(app, 'POST', '/api/deals', { user: 'joe', body: { name: 'X', owner: 'nobody' } })).status, 400, 'unknown owners are refused');
+
+    assert.strictEqual((await request(app, 'GET', `/api/deals/${deal.id}`)).body.data.name, 'Acme Motors pilot');
+    assert.strictEqual((await request(app, 'GET', `/api/deals/${crypto.randomUUID()}`)).status, 404);
+    assert.strictEqual((await request(app, 'GET', '/api/deals')).body.pagination.total, 1);
+    console.log('   ✅ Deals created with an owner and validated\n');
+
+    // Test 2: only real changes are recorded
+    console.log('2. Recording changes...');
+    const activitiesBefore = db.activities.length;
+    const unchanged = await request(app, 'PUT', `/api/deals/${deal.id}`, {
+        user: 'joe',
+        body: { name: 'Acme Motors pilot', owner: 'joe', total_contract_value: 50000, probability: '40', expected_close_date: '2026-11-30', competitors: ['Globex'] }
+    });
+    assert.strictEqual(unchanged.status, 200);
+    assert.strictEqual(db.activities.length, activitiesBefore, 'resending the same values records nothing');
+
+    await request(app, 'PUT', `/api/deals/${deal.id}`, {
+        user: 'joe',
+        body: { total_contract_value: '50000.00', expected_close_date: '2026-12-15', monthly_value: 4000 }
+    });
+    const changes = db.activities.slice(activitiesBefore);
+    assert.deepStrictEqual(changes.map(activity => activity.activity_type), ['amount_change', 'close_date_change']);
+    assert.deepStrictEqual(changes[0].old_value, { monthly_value: null });
+    assert.deepStrictEqual(changes[0].new_value, { monthly_value: 4000 });
+    assert.deepStrictEqual(changes[1].old_value, { expected_close_date: '2026-11-30' }, 'dates recorded as calendar days');
+    assert.deepStrictEqual(changes[1].new_value, { expected_close_date: '2026-12-15' });
+    assert.strictEqual(changes[0].member_id, MEMBERS[0].id);
+
+    await request(app, 'PUT', `/api/deals/${deal.id}`, { user: 'joe', body: { notes: 'Call back Friday', memberName: 'charlie' } });
+    assert.strictEqual(db.activities.at(-1).member_id, MEMBERS[0].id, 'changes are credited to the signed-in user, not memberName');
+    await request(app, 'PUT', `/api/deals/${deal.id}`, { body: { notes: 'Anonymous', memberName: 'charlie' } });
+    assert.strictEqual(db.activities.at(-1).member_id, null, 'memberName alone names nobody');
+
+    await request(app, 'PUT', `/api/deals/${deal.id}`, { user: 'joe', body: { owner: 'charlie', competitors: ['Globex', 'Initech'] } });
+    assert.deepStrictEqual(db.activities.slice(-2).map(activity => activity.activity_type), ['field_change', 'owner_change']);
+    assert.strictEqual((await request(app, 'PUT', `/api/deals/${crypto.randomUUID()}`, { user: 'joe', body: { notes: 'x' } })).status, 404);
+    console.log('   ✅ Unchanged amounts and dates leave no activity\n');
+
+    // Test 3: stages
+    console.log('3. Moving and closing deals...');
+    assert.strictEqual((await request(app, 'POST', `/api/deals/${deal.id}/stage`, { user: 'joe', body: { stage: 'signed' } })).status, 400);
+    const moved = await request(app, 'POST', `/api/deals/${deal.id}/stage`, { user: 'joe', body: { stage: 'negotiation' } });
+    assert.strictEqual(moved.body.data.stage, 'negotiation');
+
+    const closed = await request(app, 'POST', `/api/deals/${deal.id}/close`, { user: 'joe', body: { outcome: 'won', actualCloseDate: '2026-12-01' } });
+    assert.strictEqual(closed.body.data.stage, 'closed_won');
+    assert.strictEqual(closed.body.data.probability, '100.00');
+    assert.strictEqual((await request(app, 'POST', `/api/deals/${deal.id}/close`, { user: 'joe', body: { outcome: 'maybe' } })).status, 400);
+
+    const history = await request(app, 'GET', `/api/deals/${deal.id}/activities`);
+    assert.deepStrictEqual(history.body.data.slice(0, 2).map(activity => activity.activity_type), ['stage_change', 'stage_change']);
+    console.log('   ✅ Stage changes and closes recorded\n');
+
+    // Test 4: deleting
+    console.log('4. Deleting a deal...');
+    assert.strictEqual((await request(app, 'DELETE', `/api/deals/${deal.id}`, { user: 'joe' })).status, 200);
+    assert.strictEqual((await request(app, 'DELETE', `/api/deals/${deal.id}`, { user: 'joe' })).status, 404);
+    assert.strictEqual(db.activities.filter(activity => activity.deal_id === deal.id).length, 0);
+
+    const offline = dealsApp(new DealService({ db: { initialized: false } }));
+    assert.strictEqual((await request(offline, 'GET', '/api/deals')).status, 503);
+    console.log('   ✅ Deleted with its history; 503 without a database\n');
+
+    console.log('🎉 Deals tests passed');
+}
+
+testDeals().catch(error => {
+    console.error('❌ Deals tests failed:', error);
+    process.exit(1);
+});
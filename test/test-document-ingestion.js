@@ -0,0 +1,174 @@
+/**
+ * Document Ingestion Test
+ * Accepts uploads up to INGESTION_MAX_UPLOAD_MB past the server-wide 10MB
+ * request limit, and removes the stored file once processing has made its
+ * last attempt
+ */
+
+import assert from 'assert';
+import crypto from 'crypto';
+import express from 'express';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ValidationMiddleware } from '../src/middleware/validation.js';
+import { DocumentIngestionService, documentIngestionService } from '../src/core/ingestion/document-ingestion-service.js';
+import { QueueManager } from '../src/core/jobs/queue-manager.js';
+
+const MB = 1024 * 1024;
+
+/**
+ * Keeps ingested_documents in memory for the statements the service runs
+ */
+function fakeDb() {
+    const documents = [];
+    return {
+        initialized: true,
+        documents,
+        query: async (text, params = []) => {
+            if (text.includes('INSERT INTO ingested_documents')) {
+                const document = {
+                    id: crypto.randomUUID(),
+                    member_name: params[0],
+                    source: params[1],
+                    original_name: params[3],
+                    stored_path: params[4],
+                    file_size: params[6],
+                    status: 'queued'
+                };
+                documents.push(document);
+                return { rows: [{ ...document }] };
+            }
+            if (text.includes('SET status = \'processing\'')) {
+                const document = documents.find(row => row.id === params[0]);
+                if (document) document.status = 'processing';
+                return { rows: document ? [{ ...document }] : [] };
+            }
+            if (text.includes('SET status = \'failed\'')) {
+                Object.assign(documents.find(row => row.id === params[0]), { status: 'failed', error: params[1] });
+            }
+            return { rows: [], rowCount: 1 };
+        }
+    };
+}
+
+/**
+ * Knows CSV files and fails to read any of them
+ */
+const unreadableFiles = {
+    detectFileType: fileName => (path.extname(fileName) === '.csv' ? 'csv' : 'unknown'),
+    processFile: async () => ({ success: false, error: 'Unreadable spreadsheet' })
+};
+
+async function upload(app, route, bytes) {
+    const server = app.listen(0);
+    try {
+        const form = new FormData();
+        form.append('file', new Blob([Buffer.alloc(bytes, 'a')], { type: 'text/csv' }), 'dealers.csv');
+        const response = await fetch(`http://127.0.0.1:${server.address().port}${route}`, { method: 'POST', body: form });
+        return { status: response.status, body: await response.json() };
+    } finally {
+        server.close();
+    }
+}
+
+async function waitFor(check) {
+    for (let i = 0; i < 100 && !check(); i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+async function testDocumentIngestion() {
+    console.log('🧪 Testing document ingestion...\n');
+
+    const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'team-crm-ingest-test-'));
+    const previousLimit = process.env.INGESTION_MAX_UPLOAD_MB;
+    process.env.INGESTION_MAX_UPLOAD_MB = '15';
+    const { IngestAPI } = await import('../src/api/ingest-api.js');
+
+    try {
+        const db = fakeDb();
+        const ingestionService = new DocumentIngestionService({ db, fileProcessor: unreadableFiles, storageDir });
+
+        const app = express();
+        app.use(ValidationMiddleware.createSizeLimiter('10mb', { except: ['/api/ingest'] }));
+        app.post('/api/other', (req, res) => res.json({ success: true }));
+        new IngestAPI(ingestionService).registerEndpoints(app);
+
+        // Test 1: upload limits
+        console.log('1. Uploading past the server-wide limit...');
+        const other = await upload(app, '/api/other', 12 * MB);
+        assert.strictEqual(other.status, 413, 'other routes keep the 10MB limit');
+        assert.strictEqual(other.body.code, 'REQUEST_TOO_LARGE');
+
+        const accepted = await upload(app, '/api/ingest', 12 * MB);
+        assert.strictEqual(accepted.status, 202, 'a 12MB document reaches the ingest API');
+        assert.strictEqual(accepted.body.data[0].file_size, 12 * MB);
+        assert.strictEqual(accepted.body.data[0].stored_path, undefined);
+
+        const tooBig = await upload(app, '/api/ingest', 16 * MB);
+        assert.strictEqual(tooBig.status, 400);
+        assert.strictEqual(tooBig.body.error, 'That file is too big. The limit is 15MB.');
+        console.log('   ✅ Uploads capped by INGESTION_MAX_UPLOAD_MB, not the 10MB request limit\n');
+
+        // Test 2: cleaning up after failures
+        console.log('2. Removing files after the last failed attempt...');
+        const [uploaded] = db.documents;
+        await waitFor(() => uploaded.status === 'failed');
+        assert.strictEqual(uploaded.error, 'Unreadable spreadsheet');
+        assert.ok(!fs.existsSync(uploaded.stored_path), 'in-process processing has one attempt, so the file goes');
+
+        const filePath = await ingestionService.storeBuffer(Buffer.from('dealer,amount\n'), 'dealers.csv');
+        db.documents.push({ id: crypto.randomUUID(), stored_path: filePath, status: 'queued' });
+        const queuedId = db.documents.at(-1).id;
+        await assert.rejects(ingestionService.processDocument(queuedId, { finalAttempt: false }), /Unreadable/);
+        assert.ok(fs.existsSync(filePath), 'kept for the next attempt');
+        await assert.rejects(ingestionService.processDocument(queuedId), /Unreadable/);
+        assert.ok(!fs.existsSync(filePath), 'removed after the last attempt');
+        console.log('   ✅ Stored files kept for retries and removed once processing gives up\n');
+
+        // Test 3: queued attempts
+        console.log('3. Counting queued attempts...');
+        const previousRedis = process.env.REDIS_HOST;
+        process.env.REDIS_HOST = 'localhost';
+        const queueManager = new QueueManager();
+        if (previousRedis === undefined) delete process.env.REDIS_HOST;
+        else process.env.REDIS_HOST = previousRedis;
+
+        const calls = [];
+        const processDocument = documentIngestionService.processDocument;
+        documentIngestionService.processDocument = async (documentId, options) => {
+            calls.push(options.finalAttempt);
+            return { id: documentId, status: 'completed', extraction_count: 0 };
+        };
+        try {
+            const job = attemptsMade => ({
+                id: '1',
+                name: 'process-document',
+                attemptsMade,
+                opts: { attempts: 2 },
+                data: { jobType: 'process-document', data: { documentId: queuedId } }
+            });
+            await queueManager.processIngestionJob(job(0));
+            await queueManager.processIngestionJob(job(1));
+            assert.deepStrictEqual(calls, [false, true], 'only the queue\'s last attempt removes the file');
+        } finally {
+            documentIngestionService.processDocument = processDocument;
+        }
+        console.log('   ✅ The last queued attempt is the final one\n');
+    } finally {
+        fs.rmSync(storageDir, { recursive: true, force: true });
+        if (previousLimit === undefined) {
+            delete process.env.INGESTION_MAX_UPLOAD_MB;
+        } else {
+            process.env.INGESTION_MAX_UPLOAD_MB = previousLimit;
+        }
+    }
+
+    console.log('🎉 Document ingestion tests passed');
+}
+
+testDocumentIngestion().catch(error => {
+    console.error('❌ Document ingestion tests failed:', error);
+    process.exit(1);
+});
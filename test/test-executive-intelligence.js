@@ -0,0 +1,142 @@
+/**
+ * Executive Intelligence Test
+ * Takes an intervention through acknowledge, snooze and resolve, and keeps
+ * executive comments to executives while team members reply to them
+ */
+
+import assert from 'assert';
+import express from 'express';
+import { EventEmitter } from 'events';
+import { ExecutiveIntelligenceService } from '../src/core/intelligence/executive-intelligence-service.js';
+import { ExecutiveIntelligenceAPI } from '../src/api/executive-intelligence-api.js';
+import { ROUTE_ROLES, requireRole } from '../src/middleware/auth.js';
+
+async function request(app, method, path, { body, user } = {}) {
+    const server = app.listen(0);
+    try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...(user ? { 'X-Test-User': user } : {}) },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const text = await response.text();
+        return { status: response.status, body: text ? JSON.parse(text) : null };
+    } finally {
+        server.close();
+    }
+}
+
+/**
+ * The API with the app's role gates, behind a stand-in for sign-in that
+ * reads "<username>:<role>"
+ */
+function executiveApp(api) {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        const [username, role] = (req.get('X-Test-User') || '').split(':');
+        req.user = username ? { username, name: username, role } : null;
+        next();
+    });
+    for (const { path, role } of ROUTE_ROLES) {
+        app.use(path, requireRole(role));
+    }
+    api.registerEndpoints(app);
+    return app;
+}
+
+async function testExecutiveIntelligence() {
+    console.log('🧪 Testing executive interventions and comments...\n');
+
+    const orchestrator = new EventEmitter();
+    orchestrator.config = { team: { members: { joe: { name: 'Joe' } } } };
+    const events = [];
+    for (const event of ['interventionCreated', 'interventionUpdated', 'executiveComment']) {
+        orchestrator.on(event, payload => events.push({ event, payload }));
+    }
+
+    const service = new ExecutiveIntelligenceService({ db: { initialized: false } });
+    const api = new ExecutiveIntelligenceAPI(orchestrator, null, service);
+    const app = executiveApp(api);
+    const tre = 'tre:executive';
+
+    // Test 1: acknowledge, snooze, resolve
+    console.log('1. Working an intervention...');
+    const intervention = await api.createIntervention({
+        sourceType: 'keyword_escalation',
+        sourceRef: 'update-1',
+        memberName: 'joe',
+        urgency: 'high',
+        title: 'Dealer threatening to cancel'
+    });
+    assert.strictEqual(intervention.memberDisplayName, 'Joe');
+    assert.strictEqual(intervention.recommendedActions[0].action, 'call_member');
+    assert.strictEqual((await api.createIntervention({ sourceType: 'keyword_escalation', sourceRef: 'update-1', title: 'Again' })).id, intervention.id, 'the same source is not raised twice');
+    assert.deepStrictEqual(events.map(entry => entry.event), ['interventionCreated']);
+
+    const base = `/api/executive/interventions/${intervention.id}`;
+    assert.strictEqual((await request(app, 'POST', `${base}/acknowledge`)).status, 401);
+    assert.strictEqual((await request(app, 'POST', `${base}/acknowledge`, { user: 'joe:member' })).status, 403);
+
+    const acknowledged = await request(app, 'POST', `${base}/acknowledge`, { user: tre });
+    assert.strictEqual(acknowledged.body.data.status, 'acknowledged');
+    assert.strictEqual(acknowledged.body.data.acknowledgedBy, 'tre');
+
+    assert.strictEqual((await request(app, 'POST', `${base}/snooze`, { user: tre, body: { until: '2020-01-01T00:00:00Z' } })).status, 400, 'snoozes end in the future');
+    const snoozed = await request(app, 'POST', `${base}/snooze`, { user: tre, body: { minutes: 30 } });
+    assert.strictEqual(snoozed.body.data.status, 'snoozed');
+    assert.ok(Math.abs(new Date(snoozed.body.data.snoozedUntil) - Date.now() - 30 * 60 * 1000) < 5000);
+
+    const waiting = await request(app, 'GET', '/api/executive/interventions', { user: tre });
+    assert.strictEqual(waiting.body.data.length, 0, 'snoozed interventions drop out until the snooze ends');
+    const bySnooze = await request(app, 'GET', '/api/executive/interventions?status=snoozed', { user: tre });
+    assert.strictEqual(bySnooze.body.data[0].id, intervention.id);
+
+    const resolved = await request(app, 'POST', `${base}/resolve`, { user: tre, body: { note: 'Called the dealer' } });
+    assert.strictEqual(resolved.body.data.status, 'resolved');
+    assert.strictEqual(resolved.body.data.resolvedBy, 'tre');
+    assert.strictEqual(resolved.body.data.resolutionNote, 'Called the dealer');
+    assert.strictEqual((await request(app, 'POST', `${base}/acknowledge`, { user: tre })).status, 404, 'resolved is final');
+    assert.strictEqual((await request(app, 'GET', '/api/executive/interventions/missing', { user: tre })).status, 404);
+
+    const updates = events.filter(entry => entry.event === 'interventionUpdated').map(entry => entry.payload.status);
+    assert.deepStrictEqual(updates, ['acknowledged', 'snoozed', 'resolved']);
+    console.log('   ✅ Each step recorded with who took it and announced\n');
+
+    // Test 2: comments
+    console.log('2. Posting comments...');
+    assert.strictEqual((await request(app, 'POST', '/api/comments', { body: { message: 'Status?' } })).status, 401);
+    const refused = await request(app, 'POST', '/api/comments', { user: 'joe:member', body: { message: 'Status?' } });
+    assert.strictEqual(refused.status, 403, 'team members can\'t post as an executive');
+    assert.strictEqual((await request(app, 'POST', '/api/comments', { user: tre, body: {} })).status, 400);
+
+    const posted = await request(app, 'POST', '/api/comments', {
+        user: tre,
+        body: { message: 'Where are we with the dealer?', assignee: 'joe', priority: 'urgent' }
+    });
+    assert.strictEqual(posted.status, 200);
+    const comment = posted.body.comment;
+    assert.strictEqual(comment.author, 'tre');
+    assert.ok(comment.interventionId, 'urgent questions to a member are tracked as interventions');
+    assert.strictEqual((await service.getIntervention(comment.interventionId)).type, 'executive_question');
+
+    const reply = await request(app, 'POST', `/api/comments/${comment.id}/responses`, {
+        user: 'joe:member',
+        body: { message: 'Meeting them Friday' }
+    });
+    assert.strictEqual(reply.body.response.author, 'joe');
+    assert.strictEqual(reply.body.response.assignee, 'tre');
+    assert.strictEqual((await request(app, 'POST', '/api/comments/missing/responses', { user: 'joe:member', body: { message: 'Hi' } })).status, 404);
+
+    const listed = await request(app, 'GET', '/api/comments');
+    assert.strictEqual(listed.body.comments[0].id, comment.id);
+    assert.strictEqual(listed.body.comments[0].responses[0].message, 'Meeting them Friday');
+    console.log('   ✅ Executives post, members reply\n');
+
+    console.log('🎉 Executive intelligence tests passed');
+}
+
+testExecutiveIntelligence().catch(error => {
+    console.error('❌ Executive intelligence tests failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,124 @@
+/**
+ * Extraction Plugin Test
+ * Loads the example plugin, rejects broken ones, checks schemas and widgets,
+ * and confirms plugin types reach the extraction prompt
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ExtractionPluginRegistry } from '../src/core/plugins/extraction-plugin-registry.js';
+import { AIIntelligenceEngine } from '../src/core/intelligence/ai-intelligence-engine.js';
+
+const flagsOn = { isEnabled: () => true, contextFor: () => ({}) };
+const flagsOff = { isEnabled: () => false, contextFor: () => ({}) };
+
+function recordingDb(rows = []) {
+    const queries = [];
+    return {
+        initialized: true,
+        queries,
+        query: async (text, params) => {
+            queries.push({ text, params });
+            return { rows };
+        }
+    };
+}
+
+async function testExtractionPlugins() {
+    console.log('🧪 Testing extraction plugins...\n');
+
+    const brokenDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crm-plugins-'));
+
+    try {
+        // Test 1: the pluginSystem flag gates loading
+        console.log('1. Respecting the pluginSystem flag...');
+        const disabled = new ExtractionPluginRegistry({ flags: flagsOff, db: recordingDb() });
+        await disabled.initialize();
+        assert.strictEqual(disabled.isEnabled(), false);
+        assert.strictEqual(disabled.listPlugins().length, 0);
+        console.log('   ✅ Nothing loaded with the flag off\n');
+
+        // Test 2: the bundled example meets the contract
+        console.log('2. Loading plugins/service-department-issues...');
+        const db = recordingDb();
+        const registry = new ExtractionPluginRegistry({ flags: flagsOn, db });
+        await registry.initialize();
+        assert.deepStrictEqual(registry.failed, []);
+        assert.ok(registry.getPlugin('service_issue'));
+        assert.deepStrictEqual(registry.listWidgets().map(widget => widget.id), ['open-issues', 'issue-count']);
+        console.log('   ✅ Example plugin loaded with two widgets\n');
+
+        // Test 3: extractions are checked against the plugin schema
+        console.log('3. Validating extraction data...');
+        assert.deepStrictEqual(registry.validateExtraction('service_issue', {
+            dealershipName: 'Acme Motors', issue: 'Loaner cars double-booked', severity: 'high'
+        }), []);
+        assert.deepStrictEqual(registry.validateExtraction('service_issue', { issue: 'x', severity: 'severe' }), [
+            'dealershipName is required',
+            'severity must be one of low, medium, high, critical'
+        ]);
+        assert.deepStrictEqual(registry.validateExtraction('risk', {}), []);
+        console.log('   ✅ Schema errors reported, built-in types untouched\n');
+
+        // Test 4: the DB handler only follows up serious issues
+        console.log('4. Running the DB handler...');
+        const extraction = { type: 'service_issue', data: { dealershipName: 'Acme Motors', issue: 'Bay flooded', severity: 'critical' } };
+        await registry.handle('service_issue', { extraction, extractionId: 'e1', updateId: 'u1', memberId: 'm1' });
+        await registry.handle('service_issue', { extraction: { ...extraction, data: { ...extraction.data, severity: 'low' } }, memberId: 'm1' });
+        assert.strictEqual(db.queries.length, 1);
+        assert.ok(db.queries[0].text.includes('ai_follow_ups'));
+        assert.strictEqual(db.queries[0].params[3], 'critical');
+        console.log('   ✅ One follow-up created\n');
+
+        // Test 5: widgets load their data
+        console.log('5. Loading widget data...');
+        const widgetRegistry = new ExtractionPluginRegistry({ flags: flagsOn, db: recordingDb([{ total: '3', serious: '1' }]) });
+        await widgetRegistry.initialize();
+        const metric = await widgetRegistry.loadWidget('service_issue', 'issue-count', { days: 7 });
+        assert.deepStrictEqual(metric.data, { value: 3, detail: '1 high or critical' });
+        assert.strictEqual(await widgetRegistry.loadWidget('service_issue', 'missing'), null);
+        console.log('   ✅ Metric widget loaded\n');
+
+        // Test 6: broken plugins are skipped and reported
+        console.log('6. Rejecting plugins that break the contract...');
+        fs.writeFileSync(path.join(brokenDir, 'builtin.js'), 'export default { type: \'risk\', prompt: \'x\', schema: {} };');
+        fs.writeFileSync(path.join(brokenDir, 'noschema.js'), 'export default { type: \'integration_ticket\', prompt: \'x\' };');
+        fs.writeFileSync(path.join(brokenDir, 'syntax.js'), 'export default {');
+        fs.writeFileSync(path.join(brokenDir, '_draft.js'), 'export default {');
+        fs.writeFileSync(path.join(brokenDir, 'ticket.js'),
+            'export default { type: \'integration_ticket\', prompt: \'system, ticketId\', schema: { ticketId: { type: \'string\', required: true } } };');
+        const strict = new ExtractionPluginRegistry({ flags: flagsOn, db: recordingDb(), pluginsDir: brokenDir });
+        await strict.initialize();
+        assert.deepStrictEqual(strict.listPlugins().map(plugin => plugin.type), ['integration_ticket']);
+        assert.deepStrictEqual(strict.failed.map(failure => failure.source).sort(), ['builtin.js', 'noschema.js', 'syntax.js']);
+        console.log('   ✅ Three rejected, draft ignored, valid plugin loaded\n');
+
+        // Test 7: plugin types reach the extraction prompt
+        console.log('7. Building the extraction prompt...');
+        let request = null;
+        const llm = {
+            chat: async (options) => {
+                request = options;
+                return { content: '[]' };
+            }
+        };
+        const engine = new AIIntelligenceEngine(llm, { plugins: registry });
+        await engine.extractUpdateIntelligence('Service bay at Acme is a mess', { name: 'Joe', role: 'Team Lead' }, []);
+        assert.strictEqual(request.task, 'extraction');
+        const prompt = request.messages[1].content;
+        assert.ok(prompt.includes('"pilot_update" | "service_issue"'));
+        assert.ok(prompt.includes('// For service_issue: dealershipName, issue, severity'));
+        console.log('   ✅ Prompt lists the plugin type and its fields\n');
+
+        console.log('🎉 Extraction plugin tests passed');
+    } finally {
+        fs.rmSync(brokenDir, { recursive: true, force: true });
+    }
+}
+
+testExtractionPlugins().catch(error => {
+    console.error('❌ Extraction plugin tests failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,227 @@
+/**
+ * Feature Flags Test
+ * Evaluates conditions, dated rollouts and experiments with sticky per-user
+ * bucketing, and lets admins override a flag for everyone or one user
+ */
+
+import assert from 'assert';
+import express from 'express';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FeatureFlagService } from '../src/core/flags/feature-flag-service.js';
+import { FeatureFlagAPI } from '../src/api/feature-flag-api.js';
+
+const FLAGS = {
+    newDashboard: { enabled: true },
+    retired: { enabled: false, defaultValue: 'legacy' },
+    adminTools: {
+        enabled: true,
+        conditions: [
+            { attribute: 'user.role', operator: 'in', value: ['admin', 'executive'] },
+            { attribute: 'environment', operator: 'not_equals', value: 'production' }
+        ]
+    },
+    staged: {
+        enabled: true,
+        rollout: {
+            type: 'percentage',
+            stages: [
+                { percentage: 25, startDate: '2026-01-01' },
+                { percentage: 50, startDate: '2026-02-01' },
+                { percentage: 100, startDate: '2099-01-01' }
+            ]
+        }
+    },
+    summaryStyle: {
+        enabled: true,
+        experiment: {
+            name: 'summary_style_test',
+            variants: [
+                { name: 'control', weight: 75, value: 'bullets' },
+                { name: 'narrative', weight: 25, value: 'prose' }
+            ]
+        }
+    }
+};
+
+/**
+ * Keeps feature_flag_overrides in memory
+ */
+function fakeDb() {
+    const overrides = [];
+    return {
+        initialized: true,
+        overrides,
+        query: async (text, params = []) => {
+            if (text.includes('INSERT INTO feature_flag_overrides')) {
+                const [flagName, username, value, variant, createdBy] = params;
+                const row = { flag_name: flagName, username, value: JSON.parse(value), variant, created_by: createdBy, updated_at: new Date() };
+                const index = overrides.findIndex(existing => existing.flag_name === flagName && existing.username === username);
+                overrides.splice(index >= 0 ? index : overrides.length, index >= 0 ? 1 : 0, row);
+                return { rows: [row] };
+            }
+            if (text.includes('DELETE FROM feature_flag_overrides')) {
+                const index = overrides.findIndex(row => row.flag_name === params[0] && (row.username || '') === (params[1] || ''));
+                if (index >= 0) overrides.splice(index, 1);
+                return { rows: [] };
+            }
+            if (text.includes('SELECT * FROM feature_flag_overrides')) {
+                return { rows: overrides };
+            }
+            return { rows: [] };
+        }
+    };
+}
+
+function users(count) {
+    return Array.from({ length: count }, (_, i) => ({ id: `id-${i}`, username: `member${i}`, role: 'member' }));
+}
+
+async function request(app, method, path, { body, user } = {}) {
+    const server = app.listen(0);
+    try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', ...(user ? { 'X-Test-User': user } : {}) },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, body: await response.json() };
+    } finally {
+        server.close();
+    }
+}
+
+async function testFeatureFlags() {
+    console.log('🧪 Testing feature flags...\n');
+
+    const db = fakeDb();
+    const flags = new FeatureFlagService({ db, flags: FLAGS, environment: 'development' });
+    const member = flags.contextFor({ id: 'id-joe', username: 'joe', role: 'member' });
+    const admin = flags.contextFor({ id: 'id-tre', username: 'tre', role: 'admin' });
+
+    // Test 1: evaluation
+    console.log('1. Evaluating flags...');
+    assert.deepStrictEqual(flags.evaluate('missing', member), { flag: 'missing', value: false, variant: null, reason: 'unknown_flag' });
+    assert.deepStrictEqual(flags.evaluate('newDashboard', member), { flag: 'newDashboard', value: true, variant: null, reason: 'enabled' });
+    assert.strictEqual(flags.evaluate('retired', admin).value, 'legacy', 'disabled flags give their default');
+
+    assert.strictEqual(flags.evaluate('adminTools', member).reason, 'conditions_not_met');
+    assert.strictEqual(flags.isEnabled('adminTools', admin), true);
+    const productionAdmin = flags.contextFor({ username: 'tre', role: 'admin' }, { environment: 'production' });
+    assert.strictEqual(flags.isEnabled('adminTools', productionAdmin), false, 'every condition must match');
+
+    assert.strictEqual(flags.matchesCondition({ attribute: 'tags', operator: 'contains', value: 'fleet' }, { tags: ['fleet', 'pilot'] }), true);
+    assert.strictEqual(flags.matchesCondition({ attribute: 'user.role', operator: 'not_in', value: ['admin'] }, member), true);
+    assert.strictEqual(flags.matchesCondition({ attribute: 'user.team.name', operator: 'equals', value: 'x' }, member), false, 'missing attributes never match');
+    console.log('   ✅ Enabled, disabled and conditional flags\n');
+
+    // Test 2: rollouts
+    console.log('2. Rolling out by stage...');
+    const rollout = FLAGS.staged.rollout;
+    assert.strictEqual(flags.currentRolloutPercentage(rollout, new Date('2025-12-31')), 0);
+    assert.strictEqual(flags.currentRolloutPercentage(rollout, new Date('2026-01-20')), 25);
+    assert.strictEqual(flags.currentRolloutPercentage(rollout, new Date('2026-06-01')), 50);
+    assert.strictEqual(flags.currentRolloutPercentage({ percentage: 5 }), 5);
+
+    const crowd = users(1000).map(user => flags.contextFor(user));
+    const enrolled = crowd.filter(context => flags.isEnabled('staged', context));
+    assert.ok(Math.abs(enrolled.length - 500) < 60, `about half are in a 50% rollout (got ${enrolled.length})`);
+
+    const again = new FeatureFlagService({ flags: FLAGS });
+    assert.ok(crowd.every(context => again.isEnabled('staged', context) === flags.isEnabled('staged', context)), 'sticky across evaluations and processes');
+
+    const earlier = crowd.filter(context => flags.bucket('staged', context.user.username) < 25);
+    assert.ok(earlier.every(context => flags.isEnabled('staged', context)), 'users in an earlier stage stay in as it grows');
+
+    const renamedId = flags.contextFor({ id: 'a-database-uuid', username: 'member1', role: 'member' });
+    assert.strictEqual(flags.isEnabled('staged', renamedId), flags.isEnabled('staged', crowd[1]), 'bucketed on the username, not the account id');
+    assert.strictEqual(flags.evaluate('staged', flags.contextFor()).reason, 'not_in_rollout', 'anonymous users wait for 100%');
+    console.log('   ✅ Stages follow their dates and users keep their bucket\n');
+
+    // Test 3: experiments
+    console.log('3. Assigning experiment variants...');
+    const variants = crowd.map(context => flags.evaluate('summaryStyle', context));
+    const narrative = variants.filter(result => result.variant === 'narrative');
+    assert.ok(Math.abs(narrative.length - 250) < 50, `variants follow their weights (got ${narrative.length} of 1000)`);
+    assert.ok(narrative.every(result => result.value === 'prose' && result.reason === 'experiment'));
+    assert.ok(crowd.every((context, i) => flags.getVariant('summaryStyle', context) === variants[i].variant), 'sticky per user');
+    assert.strictEqual(flags.getVariant('summaryStyle', flags.contextFor()), 'control', 'anonymous users get the first variant');
+    console.log('   ✅ Weighted, sticky variants\n');
+
+    // Test 4: overrides
+    console.log('4. Overriding flags...');
+    const [outOfRollout, alsoOut] = crowd.filter(context => !flags.isEnabled('staged', context));
+    const username = outOfRollout.user.username;
+
+    await flags.setOverride('staged', { value: true, username, createdBy: 'tre' });
+    assert.deepStrictEqual(flags.evaluate('staged', outOfRollout), { flag: 'staged', value: true, variant: null, reason: 'override' });
+    assert.strictEqual(flags.isEnabled('staged', alsoOut), false, 'only for that user');
+
+    await flags.setOverride('retired', { value: 'modern' });
+    assert.strictEqual(flags.evaluate('retired', member).value, 'modern', 'a global override beats the disabled flag');
+
+    await flags.setOverride('summaryStyle', { variant: 'narrative', username: 'joe' });
+    assert.deepStrictEqual(flags.evaluate('summaryStyle', member), { flag: 'summaryStyle', value: 'prose', variant: 'narrative', reason: 'override' });
+    await assert.rejects(flags.setOverride('summaryStyle', { variant: 'poetry' }), /Invalid variant/);
+    await assert.rejects(flags.setOverride('staged', {}), /Invalid override/);
+    assert.strictEqual(await flags.setOverride('missing', { value: true }), null);
+
+    const restarted = new FeatureFlagService({ db, flags: FLAGS });
+    await restarted.loadOverrides();
+    assert.strictEqual(restarted.evaluate('staged', outOfRollout).reason, 'override', 'overrides survive a restart');
+    assert.strictEqual(restarted.getVariant('summaryStyle', member), 'narrative');
+
+    assert.strictEqual(await flags.clearOverride('staged', username), true);
+    assert.strictEqual(flags.isEnabled('staged', outOfRollout), false);
+    assert.strictEqual(await flags.clearOverride('staged', username), false);
+    assert.strictEqual(db.overrides.length, 2);
+    console.log('   ✅ Per-user and global overrides, persisted\n');
+
+    // Test 5: the API and reloading
+    console.log('5. Serving and reloading flags...');
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        const [name, role] = (req.get('X-Test-User') || '').split(':');
+        req.user = name ? { id: `id-${name}`, username: name, role } : null;
+        next();
+    });
+    new FeatureFlagAPI(flags, { getRole: async () => 'member' }).registerEndpoints(app);
+
+    const mine = await request(app, 'GET', '/api/flags', { user: 'joe:member' });
+    assert.deepStrictEqual(mine.body.data.summaryStyle, { value: 'prose', variant: 'narrative', reason: 'override' });
+    assert.strictEqual(mine.body.data.adminTools.value, false);
+
+    const preview = await request(app, 'GET', '/api/admin/flags/adminTools/evaluate?username=tre&role=admin', { user: 'tre:admin' });
+    assert.strictEqual(preview.body.data.value, true);
+    assert.strictEqual((await request(app, 'GET', '/api/admin/flags/missing/evaluate', { user: 'tre:admin' })).status, 404);
+
+    const put = await request(app, 'PUT', '/api/admin/flags/newDashboard/override', { user: 'tre:admin', body: { value: false, username: 'joe' } });
+    assert.strictEqual(put.body.data.createdBy, 'tre');
+    assert.strictEqual((await request(app, 'PUT', '/api/admin/flags/summaryStyle/override', { user: 'tre:admin', body: { variant: 'poetry' } })).status, 400);
+    assert.strictEqual((await request(app, 'DELETE', '/api/admin/flags/newDashboard/override?username=joe', { user: 'tre:admin' })).status, 200);
+    assert.strictEqual((await request(app, 'DELETE', '/api/admin/flags/newDashboard/override?username=joe', { user: 'tre:admin' })).status, 404);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'team-crm-flags-test-'));
+    try {
+        const flagsPath = path.join(dir, 'feature-flags.json');
+        const fromFile = new FeatureFlagService({ flagsPath, flags: FLAGS });
+        fs.writeFileSync(flagsPath, JSON.stringify({ broken: { enabled: 'yes' } }));
+        await assert.rejects(fromFile.load(), /needs a boolean "enabled"/);
+        assert.strictEqual(fromFile.listFlags().length, Object.keys(FLAGS).length, 'a bad file keeps the current flags');
+
+        fs.writeFileSync(flagsPath, JSON.stringify({ only: { enabled: true } }));
+        assert.deepStrictEqual((await fromFile.load()).map(flag => flag.name), ['only']);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+    console.log('   ✅ Flags served per user, previewed, overridden and reloaded\n');
+
+    console.log('🎉 Feature flag tests passed');
+}
+
+testFeatureFlags().catch(error => {
+    console.error('❌ Feature flag tests failed:', error);
+    process.exit(1);
+});
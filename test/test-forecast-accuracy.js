@@ -0,0 +1,206 @@
+/**
+ * Forecast Accuracy Test
+ * Snapshots a month's forecasts by method and owner, fills in actual closes
+ * once the month is over and reports accuracy; also checks the trend
+ * forecast now follows the direction of its snapshots
+ */
+
+import assert from 'assert';
+import express from 'express';
+import {
+    ForecastAccuracyService,
+    forecastAccuracy,
+    monthPeriod,
+    summarizeAccuracy
+} from '../src/core/analytics/forecast-accuracy.js';
+import { AnalyticsEngine } from '../src/core/analytics/analytics-engine.js';
+import { dbHelpers } from '../src/core/database/connection.js';
+import { ForecastAPI } from '../src/api/forecast-api.js';
+
+const open = [
+    { id: 'd1', name: 'Acme Motors', stage: 'negotiation', total_contract_value: '100000', expected_close_date: '2026-03-20', owner_key: 'joe' },
+    { id: 'd2', name: 'Globex Auto', stage: 'proposal', total_contract_value: '40000', expected_close_date: '2026-03-25', owner_key: 'charlie' },
+    { id: 'd3', name: 'Initech Ford', stage: 'qualified', total_contract_value: '20000', expected_close_date: '2026-06-01', owner_key: 'charlie' }
+];
+const closedWon = [{ id: 'w1', name: 'Soylent Cars', stage: 'closed_won', total_contract_value: '10000', actual_close_date: '2026-03-02', owner_key: 'joe' }];
+
+/**
+ * Keeps forecast_snapshots in memory and answers the actuals query
+ */
+function fakeDb(actuals) {
+    const snapshots = [];
+    return {
+        initialized: true,
+        snapshots,
+        query: async (text, params = []) => {
+            if (text.includes('COUNT(*) as count FROM forecast_snapshots')) {
+                return { rows: [{ count: String(snapshots.filter(row => row.period_start === params[0]).length) }] };
+            }
+            if (text.includes('INSERT INTO forecast_snapshots')) {
+                const [periodStart, periodEnd, method, owner, value, details] = params;
+                if (snapshots.some(row => row.period_start === periodStart && row.method === method && row.owner_key === owner)) {
+                    return { rows: [] };
+                }
+                snapshots.push({
+                    period_start: periodStart,
+                    period_end: periodEnd,
+                    method,
+                    owner_key: owner,
+                    forecast_value: String(value),
+                    actual_value: null,
+                    details: JSON.parse(details)
+                });
+                return { rows: [{ id: snapshots.length }] };
+            }
+            if (text.includes('SELECT DISTINCT period_start, period_end')) {
+                const due = snapshots.filter(row => row.actual_value === null && row.period_end < params[0]);
+                const periods = [...new Map(due.map(row => [row.period_start, row])).values()];
+                return { rows: periods.map(row => ({ period_start: row.period_start, period_end: row.period_end })) };
+            }
+            if (text.includes('BETWEEN $1 AND $2')) {
+                return { rows: actuals };
+            }
+            if (text.includes('UPDATE forecast_snapshots')) {
+                const byOwner = JSON.parse(params[3]);
+                const updated = snapshots.filter(row => row.period_start === params[0] && row.actual_value === null);
+                for (const row of updated) {
+                    row.actual_value = String(row.owner_key === '' ? params[2] : byOwner[row.owner_key] || 0);
+                }
+                return { rows: [], rowCount: updated.length };
+            }
+            if (text.includes('SUM(total_contract_value)')) {
+                return { rows: [{ total: '510000' }] };
+            }
+            if (text.includes('FROM forecast_snapshots')) {
+                return { rows: snapshots.filter(row => row.actual_value !== null && (params[1] === null || row.owner_key === params[1])) };
+            }
+            return { rows: [] };
+        }
+    };
+}
+
+async function request(app, path) {
+    const server = app.listen(0);
+    try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`);
+        return { status: response.status, body: await response.json() };
+    } finally {
+        server.close();
+    }
+}
+
+async function testForecastAccuracy() {
+    console.log('🧪 Testing forecast accuracy...\n');
+
+    // Test 1: scoring helpers
+    console.log('1. Scoring forecasts...');
+    assert.deepStrictEqual(monthPeriod(new Date(2026, 1, 10)), { start: '2026-02-01', end: '2026-02-28', days: 28 });
+    assert.strictEqual(forecastAccuracy(90, 100), 90);
+    assert.strictEqual(forecastAccuracy(250, 100), 0);
+    assert.strictEqual(forecastAccuracy(0, 0), 100);
+    assert.strictEqual(forecastAccuracy(10, 0), 0);
+    assert.deepStrictEqual(summarizeAccuracy([
+        { forecast: 90, actual: 100, accuracy: 90 },
+        { forecast: 120, actual: 100, accuracy: 80 }
+    ]), { periods: 2, forecast: 210, actual: 200, accuracy: 85, bias: 10 });
+    console.log('   ✅ Accuracy from percentage error, bias from forecast minus actual\n');
+
+    // Test 2: snapshot at period start
+    console.log('2. Snapshotting the month...');
+    const db = fakeDb([
+        { owner_key: 'joe', actual: '110000' },
+        { owner_key: 'charlie', actual: '0' }
+    ]);
+    const trendDays = [];
+    const service = new ForecastAccuracyService({
+        db,
+        forecastService: { loadDeals: async () => ({ open, closedWon }) },
+        analytics: {
+            generateForecast: async (metric, days) => {
+                assert.strictEqual(metric, 'total_revenue_closed');
+                trendDays.push(days);
+                return { trend: 'increasing', confidence: 0.7, forecast: [{ value: 0 }, { value: 580000 }] };
+            }
+        }
+    });
+
+    const march = new Date(2026, 2, 1, 0, 30);
+    const first = await service.run(march);
+    assert.deepStrictEqual(first, { at: march.toISOString(), closed: 0, snapshotted: 10 });
+    assert.deepStrictEqual(trendDays, [31], 'the trend runs to the end of the month');
+    const find = (method, owner) => db.snapshots.find(row => row.method === method && row.owner_key === owner);
+    assert.strictEqual(find('weighted', '').forecast_value, '105000', '10k closed + 75k + 20k weighted');
+    assert.strictEqual(find('commit', '').forecast_value, '110000');
+    assert.strictEqual(find('best_case', '').forecast_value, '150000');
+    assert.strictEqual(find('trend', '').forecast_value, '80000', 'projected 580k less 500k closed before the month');
+    assert.strictEqual(find('commit', 'joe').forecast_value, '110000');
+    assert.strictEqual(find('best_case', 'charlie').forecast_value, '40000');
+    assert.strictEqual(find('weighted', '').details.closedSoFar, 10000);
+    assert.strictEqual(find('trend', 'joe'), undefined, 'the trend forecast is team-wide');
+    assert.strictEqual(find('weighted', '').period_end, '2026-03-31');
+
+    assert.strictEqual((await service.run(new Date(2026, 2, 2, 23))).snapshotted, 0, 'the first snapshot of the month is kept');
+
+    // Started mid-month: no snapshot, so the report never scores a late forecast
+    const late = new ForecastAccuracyService({
+        db: fakeDb([]),
+        forecastService: { loadDeals: async () => assert.fail('late snapshots load no deals') },
+        analytics: null
+    });
+    assert.strictEqual((await late.run(new Date(2026, 2, 3))).snapshotted, 0);
+    assert.strictEqual((await late.run(new Date(2026, 2, 15))).snapshotted, 0);
+    assert.strictEqual(late.db.snapshots.length, 0);
+    console.log('   ✅ Weighted, commit, best case and trend saved for the team and each owner, only at month start\n');
+
+    // Test 3: close the period and report
+    console.log('3. Closing the month and reporting...');
+    const april = await service.run(new Date(2026, 3, 1, 0, 30));
+    assert.strictEqual(april.closed, 10);
+    assert.strictEqual(find('weighted', '').actual_value, '110000');
+    assert.strictEqual(find('commit', 'joe').actual_value, '110000');
+    assert.strictEqual(find('commit', 'charlie').actual_value, '0');
+
+    const report = await service.getAccuracyReport({ periods: 3 });
+    assert.deepStrictEqual(report.periods, ['2026-03']);
+    const byMethod = Object.fromEntries(report.byMethod.map(summary => [summary.method, summary]));
+    assert.strictEqual(byMethod.commit.accuracy, 100);
+    assert.strictEqual(byMethod.weighted.accuracy, 95.5);
+    assert.strictEqual(byMethod.best_case.bias, 40000);
+    assert.strictEqual(byMethod.trend.accuracy, 72.7);
+    const charlie = report.byOwner.find(owner => owner.owner === 'charlie');
+    assert.strictEqual(charlie.byMethod.find(summary => summary.method === 'weighted').accuracy, 0);
+    assert.strictEqual(charlie.byMethod.some(summary => summary.method === 'trend'), false);
+    await assert.rejects(service.getAccuracyReport({ periods: 99 }), /Invalid periods/);
+
+    const app = express();
+    new ForecastAPI({ isAvailable: () => true }, service).registerEndpoints(app);
+    const response = await request(app, '/api/forecast/accuracy?owner=joe');
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body.data.byOwner.map(owner => owner.owner), ['joe']);
+    assert.deepStrictEqual(response.body.data.byMethod, []);
+    console.log('   ✅ Actual closes filled in and accuracy reported by method and owner\n');
+
+    // Test 4: trend direction
+    console.log('4. Projecting the trend...');
+    const original = dbHelpers.getHistoricalAnalytics;
+    dbHelpers.getHistoricalAnalytics = async () => [30, 20, 10].map((value, i) => ({
+        snapshot_date: `2026-03-0${3 - i}`,
+        metric_value: value
+    }));
+    try {
+        const trend = await new AnalyticsEngine().getTrendAnalysis('total_revenue_closed', 30);
+        assert.strictEqual(trend.trend, 'increasing');
+        assert.strictEqual(trend.slope, 10);
+        assert.strictEqual(trend.percentageChange, 200);
+    } finally {
+        dbHelpers.getHistoricalAnalytics = original;
+    }
+    console.log('   ✅ Rising snapshots give a rising trend\n');
+
+    console.log('🎉 Forecast accuracy tests passed');
+}
+
+testForecastAccuracy().catch(error => {
+    console.error('❌ Forecast accuracy tests failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,141 @@
+/**
+ * Local Memory Store Test
+ * Embeds, stores and searches memories without Supermemory or Redis, and
+ * checks EnhancedMemoryIntegration falls back to the local store
+ */
+
+import assert from 'assert';
+import {
+    LocalMemoryStore,
+    embedText,
+    cosineSimilarity,
+    EMBEDDING_DIMENSIONS
+} from '../src/core/memory/local-memory-store.js';
+import { EnhancedMemoryIntegration } from '../src/core/memory/enhanced-memory-integration.js';
+
+/**
+ * Keeps inserted memories and hands them back newest first; only the
+ * member and type filters are honoured
+ */
+function memoryDb() {
+    const rows = [];
+    return {
+        initialized: true,
+        rows,
+        query: async (text, params) => {
+            if (text.includes('INSERT INTO memories')) {
+                const [id, collection, member, type, content, metadata, embedding, model] = params;
+                rows.unshift({
+                    id,
+                    collection,
+                    member_name: member,
+                    memory_type: type,
+                    content,
+                    metadata: JSON.parse(metadata),
+                    embedding,
+                    embedding_model: model,
+                    created_at: new Date()
+                });
+                return { rows: [] };
+            }
+
+            let matches = rows;
+            if (text.includes('member_name = $')) {
+                matches = matches.filter(row => params.includes(row.member_name));
+            }
+            if (text.includes('memory_type = $')) {
+                matches = matches.filter(row => params.includes(row.memory_type));
+            }
+            return { rows: matches.slice(0, params[params.length - 1]) };
+        }
+    };
+}
+
+async function testLocalMemory() {
+    console.log('🧪 Testing local memory store...\n');
+
+    // Test 1: hashed n-gram embeddings
+    console.log('1. Embedding text...');
+    const dealer = embedText('Acme Motors dealership wants a pilot for service scheduling');
+    assert.strictEqual(dealer.length, EMBEDDING_DIMENSIONS);
+    assert.ok(Math.abs(cosineSimilarity(dealer, dealer) - 1) < 1e-9);
+    assert.deepStrictEqual(embedText('Acme Motors'), embedText('acme   motors!'));
+    const related = cosineSimilarity(dealer, embedText('pilot at the Acme dealerships'));
+    const unrelated = cosineSimilarity(dealer, embedText('quarterly payroll tax filing'));
+    assert.ok(related > unrelated, `expected ${related} > ${unrelated}`);
+    assert.ok(embedText('').every(value => value === 0));
+    console.log('   ✅ Deterministic, normalized, related text scores higher\n');
+
+    // Test 2: store and search by similarity
+    console.log('2. Storing and searching...');
+    const db = memoryDb();
+    const store = new LocalMemoryStore({ db, collection: 'team-crm-test' });
+    assert.strictEqual(await store.storeMemory('m1', 'Acme Motors pilot slipped to March', { member: 'joe', type: 'update' }), true);
+    await store.storeMemory('m2', { text: 'Globex wants pricing for 40 rooftops' }, { member: 'tre', type: 'update' });
+    await store.storeMemory('m3', 'Team offsite booked for Friday', { member: 'joe', type: 'note' });
+    assert.strictEqual(db.rows[0].collection, 'team-crm-test');
+
+    const results = await store.searchRelevantMemories('When does the Acme pilot start?');
+    assert.strictEqual(results[0].id, 'm1');
+    assert.ok(results[0].relevanceScore > 0);
+    assert.ok(!results.some(memory => memory.id === 'm3'));
+
+    const globex = await store.searchRelevantMemories('Globex rooftops pricing', { maxResults: 1 });
+    assert.deepStrictEqual(globex[0].content, { text: 'Globex wants pricing for 40 rooftops' });
+    console.log('   ✅ Best match first, weak matches dropped, structured content round-trips\n');
+
+    // Test 3: member memories and filters
+    console.log('3. Filtering by member and type...');
+    const joe = await store.getMemberMemories('joe');
+    assert.deepStrictEqual(joe.map(memory => memory.id), ['m3', 'm1']);
+    assert.strictEqual(joe[0].relevanceScore, null);
+    const joeUpdates = await store.searchRelevantMemories('pilot', { filter: { member: 'joe', type: 'update' } });
+    assert.deepStrictEqual(joeUpdates.map(memory => memory.id), ['m1']);
+    console.log('   ✅ Newest first for a member, filters applied\n');
+
+    // Test 4: no database, no memory, no errors
+    console.log('4. Running without a database...');
+    const offline = new LocalMemoryStore({ db: { initialized: false } });
+    assert.strictEqual(await offline.storeMemory('x', 'text'), false);
+    assert.deepStrictEqual(await offline.searchRelevantMemories('text'), []);
+    console.log('   ✅ Stores skipped, searches empty\n');
+
+    // Test 5: EnhancedMemoryIntegration uses the local store without an API key
+    console.log('5. Falling back from Supermemory...');
+    const savedKey = process.env.SUPERMEMORY_API_KEY;
+    delete process.env.SUPERMEMORY_API_KEY;
+    try {
+        const integration = new EnhancedMemoryIntegration({
+            collection: 'joe',
+            localStore: new LocalMemoryStore({ db: memoryDb(), collection: 'joe' })
+        });
+        assert.strictEqual(integration.backend, 'local');
+        assert.strictEqual(integration.enabled, true);
+        await integration.storeTeamPattern('urgency_indicator', { pattern: 'needs an answer by EOD' }, 'joe');
+        await integration.storeClientContext('Acme Motors', { currentStage: 'pilot' }, 'joe');
+        const context = await integration.getClientContext('Acme Motors');
+        assert.strictEqual(context.length, 1);
+        assert.strictEqual(context[0].content.context.currentStage, 'pilot');
+        const patterns = await integration.getMemberMemories('joe');
+        assert.strictEqual(patterns[0].metadata.type, 'pattern');
+
+        // With Supermemory, writes are kept locally too for the memory inspector
+        const mirror = new LocalMemoryStore({ db: memoryDb(), collection: 'joe' });
+        const remote = new EnhancedMemoryIntegration({ collection: 'joe', apiKey: 'test', localStore: mirror });
+        remote.makeRequest = async () => ({ success: true });
+        assert.strictEqual(remote.backend, 'supermemory');
+        await remote.storeClientContext('Acme Motors', { currentStage: 'pilot' }, 'joe');
+        const kept = await mirror.searchRelevantMemories('', { filter: { type: 'client-context' } });
+        assert.strictEqual(kept.length, 1);
+    } finally {
+        if (savedKey !== undefined) process.env.SUPERMEMORY_API_KEY = savedKey;
+    }
+    console.log('   ✅ Patterns and client context stored and found locally, and Supermemory writes mirrored\n');
+
+    console.log('🎉 Local memory tests passed');
+}
+
+testLocalMemory().catch(error => {
+    console.error('❌ Local memory tests failed:', error);
+    process.exit(1);
+});
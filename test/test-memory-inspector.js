@@ -0,0 +1,215 @@
+/**
+ * Memory Inspector Test
+ * Lists, corrects, exports and deletes a member's memories, purges expired
+ * ones, and checks who may see or change whose memories through the API;
+ * with Supermemory, changes reach it first and failures are reported
+ */
+
+import assert from 'assert';
+import express from 'express';
+import { LocalMemoryStore, EMBEDDING_MODEL } from '../src/core/memory/local-memory-store.js';
+import { MemoryRetentionJob } from '../src/core/memory/memory-retention-job.js';
+import { MemoryAPI } from '../src/api/memory-api.js';
+
+function memoryRow(id, content, metadata = {}) {
+    return {
+        id,
+        collection: 'joe',
+        member_name: 'joe',
+        memory_type: 'update',
+        content: typeof content === 'string' ? content : JSON.stringify(content),
+        metadata,
+        created_at: new Date('2026-10-01T12:00:00Z'),
+        updated_at: new Date('2026-10-01T12:00:00Z')
+    };
+}
+
+/**
+ * Answers each memories statement the inspector runs and records the SQL
+ */
+function fakeDb(rows) {
+    const queries = [];
+    return {
+        initialized: true,
+        queries,
+        query: async (text, params) => {
+            queries.push({ text, params });
+            if (text.includes('COUNT(*)')) return { rows: [{ count: String(rows.length) }] };
+            if (text.startsWith('DELETE')) {
+                const matched = text.includes('id = $2') ? rows.filter(row => row.id === params[1]) : rows;
+                return { rows: [], rowCount: matched.length };
+            }
+            if (text.includes('UPDATE memories')) {
+                const row = rows.find(r => r.id === params[1]);
+                return { rows: row ? [{ ...row, content: params[2], metadata: { ...row.metadata, ...JSON.parse(params[5]) } }] : [] };
+            }
+            return { rows };
+        }
+    };
+}
+
+/**
+ * Stands in for Supermemory; ids in `failing` refuse to be deleted
+ */
+function fakeRemote(remoteIds = []) {
+    const remote = {
+        deleted: [],
+        stored: [],
+        failing: new Set(),
+        isConfigured: () => true,
+        storeMemory: async (id, content, metadata) => remote.stored.push({ id, content, metadata }),
+        deleteMemory: async id => {
+            if (remote.failing.has(id)) throw new Error('HTTP 503: Service Unavailable');
+            remote.deleted.push(id);
+        },
+        findMemberMemoryIds: async () => remoteIds
+    };
+    return remote;
+}
+
+async function request(app, method, path, body) {
+    const server = app.listen(0);
+    try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, headers: response.headers, body: await response.json() };
+    } finally {
+        server.close();
+    }
+}
+
+async function testMemoryInspector() {
+    console.log('🧪 Testing memory inspector...\n');
+
+    const rows = [
+        memoryRow('m1', { text: 'Acme renewal is worth $50k' }, { type: 'update', updateId: 'u-1' }),
+        memoryRow('m2', 'Prefers calls before 10am')
+    ];
+    const db = fakeDb(rows);
+    const store = new LocalMemoryStore({ db });
+
+    // Test 1: listing and export
+    console.log('1. Listing and exporting...');
+    const page = await store.listMemberMemories('joe', { type: 'update', limit: 10, offset: 20 });
+    assert.strictEqual(page.total, 2);
+    assert.deepStrictEqual(page.memories[0].content, { text: 'Acme renewal is worth $50k' });
+    assert.strictEqual(page.memories[0].memberId, 'joe');
+    assert.ok(!('embedding' in page.memories[0]));
+    const listQuery = db.queries[db.queries.length - 1];
+    assert.ok(listQuery.text.includes('member_name = $1 OR collection = $1'));
+    assert.deepStrictEqual(listQuery.params, ['joe', 'update', 10, 20]);
+    assert.strictEqual((await store.exportMemberMemories('joe')).length, 2);
+    console.log('   ✅ Own memories listed without embeddings\n');
+
+    // Test 2: correction and deletion
+    console.log('2. Correcting and deleting...');
+    const corrected = await store.correctMemberMemory('joe', 'm1', { text: 'Acme renewal is worth $80k' }, { correctedBy: 'joe' });
+    const update = db.queries[db.queries.length - 1];
+    assert.strictEqual(update.params[4], EMBEDDING_MODEL);
+    assert.strictEqual(update.params[3].length, 512);
+    assert.deepStrictEqual(corrected.content, { text: 'Acme renewal is worth $80k' });
+    assert.strictEqual(corrected.metadata.correctedBy, 'joe');
+    assert.strictEqual(corrected.metadata.updateId, 'u-1');
+    assert.strictEqual(await store.correctMemberMemory('joe', 'missing', 'x'), null);
+    await assert.rejects(store.correctMemberMemory('joe', 'm1', '  '), /Invalid content/);
+    assert.strictEqual(await store.deleteMemberMemory('joe', 'm2'), true);
+    assert.strictEqual(await store.deleteMemberMemory('joe', 'missing'), false);
+    assert.strictEqual(await store.deleteMemberMemories('joe'), 2);
+    console.log('   ✅ Corrections re-embedded and marked; deletes report what went\n');
+
+    // Test 3: retention purge
+    console.log('3. Purging expired memories...');
+    const job = new MemoryRetentionJob({ store });
+    job.configure({ ai_configuration: { processing: { memory_retention_days: 7 } } });
+    assert.strictEqual(await job.run(), 2);
+    const purge = db.queries[db.queries.length - 1];
+    assert.ok(purge.text.includes('created_at < NOW() - make_interval(days => $1)'));
+    assert.deepStrictEqual(purge.params, [7]);
+    assert.strictEqual(job.getStatus().lastRun.purged, 2);
+    job.configure({});
+    assert.strictEqual(job.retentionDays, 30);
+    const offlineJob = new MemoryRetentionJob({ store: new LocalMemoryStore({ db: { initialized: false } }) });
+    assert.strictEqual(await offlineJob.run(), null);
+    console.log('   ✅ Memories past memory_retention_days purged\n');
+
+    // Test 4: access rules
+    console.log('4. Checking access through the API...');
+    const appFor = user => {
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.user = user;
+            next();
+        });
+        new MemoryAPI({ isAvailable: () => true }, new LocalMemoryStore({ db: fakeDb(rows) }), job).registerEndpoints(app);
+        return app;
+    };
+
+    const member = appFor({ username: 'joe', role: 'member' });
+    const list = await request(member, 'GET', '/api/members/joe/memories?limit=5000');
+    assert.strictEqual(list.status, 200);
+    assert.strictEqual(list.body.data.total, 2);
+    assert.strictEqual(list.body.data.retentionDays, 30);
+    const exported = await request(member, 'GET', '/api/members/joe/memories/export');
+    assert.ok(exported.headers.get('content-disposition').startsWith('attachment; filename="memories-joe-'));
+    assert.strictEqual(exported.body.count, 2);
+    assert.strictEqual((await request(member, 'PATCH', '/api/members/joe/memories/m2', { content: 'Prefers calls after 2pm' })).status, 200);
+    assert.strictEqual((await request(member, 'PATCH', '/api/members/joe/memories/m2', { content: '' })).status, 400);
+    assert.strictEqual((await request(member, 'DELETE', '/api/members/joe/memories/missing')).status, 404);
+    assert.strictEqual((await request(member, 'DELETE', '/api/members/joe/memories')).body.data.deleted, 2);
+    assert.strictEqual((await request(member, 'GET', '/api/members/tre/memories')).status, 403);
+
+    const executive = appFor({ username: 'tre', role: 'executive' });
+    assert.strictEqual((await request(executive, 'GET', '/api/members/joe/memories')).status, 200);
+    assert.strictEqual((await request(executive, 'DELETE', '/api/members/joe/memories/m1')).status, 403);
+
+    const admin = appFor({ username: 'ops', role: 'admin' });
+    assert.strictEqual((await request(admin, 'DELETE', '/api/members/joe/memories/m1')).status, 200);
+    console.log('   ✅ Members manage their own, executives review, admins change anyone\'s\n');
+
+    // Test 5: Supermemory as the backend
+    console.log('5. Changing memories held in Supermemory...');
+    const remote = fakeRemote(['m1', 'old-1']);
+    const remoteDb = fakeDb(rows);
+    const mirrored = new LocalMemoryStore({ db: remoteDb, remote });
+
+    await mirrored.correctMemberMemory('joe', 'm1', 'Acme renewal is worth $90k', { correctedBy: 'joe' });
+    assert.strictEqual(remote.stored[0].id, 'm1');
+    assert.strictEqual(remote.stored[0].content, 'Acme renewal is worth $90k');
+    assert.strictEqual(remote.stored[0].metadata.correctedBy, 'joe');
+
+    remote.failing.add('m2');
+    const before = remoteDb.queries.length;
+    await assert.rejects(mirrored.deleteMemberMemory('joe', 'm2'), /HTTP 503/);
+    assert.ok(!remoteDb.queries.slice(before).some(query => query.text.startsWith('DELETE')));
+
+    // Memories only Supermemory knows about go too; a failure isn't reported as a wipe
+    await assert.rejects(mirrored.deleteMemberMemories('joe'), /Could not delete 1 of 3 memories from Supermemory/);
+    assert.deepStrictEqual(remote.deleted, ['m1', 'old-1']);
+    assert.deepStrictEqual(remoteDb.queries[remoteDb.queries.length - 1].params, ['joe', ['m1', 'old-1']]);
+
+    remote.failing.clear();
+    assert.strictEqual(await mirrored.deleteMemberMemories('joe'), 3);
+    assert.strictEqual(await mirrored.purgeOlderThan(7), 2);
+    assert.deepStrictEqual(remoteDb.queries[remoteDb.queries.length - 1].params, [7, ['m1', 'm2']]);
+
+    const failingRemote = fakeRemote();
+    failingRemote.failing.add('m1');
+    const app = express();
+    app.use(express.json());
+    new MemoryAPI({ isAvailable: () => true }, new LocalMemoryStore({ db: fakeDb(rows), remote: failingRemote }), job).registerEndpoints(app);
+    const wipe = await request(app, 'DELETE', '/api/members/joe/memories');
+    assert.strictEqual(wipe.status, 500);
+    assert.strictEqual(wipe.body.success, false);
+    console.log('   ✅ Corrections and deletes reach Supermemory, and failures are errors\n');
+
+    console.log('🎉 Memory inspector tests passed');
+}
+
+testMemoryInspector().catch(error => {
+    console.error('❌ Memory inspector tests failed:', error);
+    process.exit(1);
+});
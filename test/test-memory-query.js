@@ -0,0 +1,193 @@
+/**
+ * Memory Query Test
+ * Ranks memories with explanations and source links, applies filters,
+ * checks who may search whose memories through /api/memory/query, and
+ * searches Supermemory when it's the backend
+ */
+
+import assert from 'assert';
+import express from 'express';
+import { LocalMemoryStore, embedText, EMBEDDING_MODEL } from '../src/core/memory/local-memory-store.js';
+import { MemoryQueryService } from '../src/core/memory/memory-query-service.js';
+import { MemoryAPI } from '../src/api/memory-api.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function memoryRow(id, content, { member = null, type = 'update', collection = member || 'team-crm-default', daysAgo = 1, metadata = {} } = {}) {
+    const text = typeof content === 'string' ? content : content.text;
+    return {
+        id,
+        collection,
+        member_name: member,
+        memory_type: type,
+        content: typeof content === 'string' ? content : JSON.stringify(content),
+        metadata,
+        embedding: embedText(text),
+        embedding_model: EMBEDDING_MODEL,
+        created_at: new Date(Date.now() - daysAgo * DAY_MS)
+    };
+}
+
+/**
+ * Returns every row for a memories query and records the SQL
+ */
+function recordingDb(rows) {
+    const queries = [];
+    return {
+        initialized: true,
+        queries,
+        query: async (text, params) => {
+            queries.push({ text, params });
+            return { rows: text.includes('FROM memories') ? rows : [] };
+        }
+    };
+}
+
+async function request(app, method, path, body) {
+    const server = app.listen(0);
+    try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, body: await response.json() };
+    } finally {
+        server.close();
+    }
+}
+
+async function testMemoryQuery() {
+    console.log('🧪 Testing memory query...\n');
+
+    const rows = [
+        memoryRow('m1', { text: 'Acme Motors pilot slipped to March', metadata: {} }, {
+            member: 'joe', metadata: { type: 'update', member: 'joe', updateId: 'u-1' }
+        }),
+        memoryRow('m2', { text: 'Acme Motors pilot kickoff call went well' }, {
+            member: 'joe', daysAgo: 90, metadata: { type: 'update', member: 'joe', emailId: 'e-9' }
+        }),
+        memoryRow('m3', 'Team offsite booked for Friday', { member: 'joe', type: 'note' }),
+        memoryRow('m4', 'Acme pricing objections keep coming up across the team', { type: 'client-context' }),
+        memoryRow('m5', { summary: { executive_summary: 'Acme pilot at risk, consider exec sponsor' } }, { type: 'executive-summary' })
+    ];
+
+    const db = recordingDb(rows);
+    const service = new MemoryQueryService({ db, store: new LocalMemoryStore({ db, remote: null }) });
+
+    // Test 1: ranking, explanations and sources
+    console.log('1. Ranking with explanations...');
+    const result = await service.query({ query: 'What happened with the Acme pilot?', memberId: 'joe' });
+    const ids = result.results.map(memory => memory.id);
+    assert.strictEqual(result.backend, 'local');
+    assert.strictEqual(ids[0], 'm1');
+    assert.ok(ids.indexOf('m1') < ids.indexOf('m2'), 'newer memory ranks above an equally similar older one');
+    assert.ok(!ids.includes('m3'));
+    const top = result.results[0];
+    assert.strictEqual(top.scope, 'member');
+    assert.deepStrictEqual(top.explanation.matchedTerms, ['acme', 'pilot']);
+    assert.ok(top.explanation.summary.startsWith('Mentions "acme", "pilot"'));
+    assert.ok(top.explanation.summary.includes('your update from 1 day ago'));
+    assert.deepStrictEqual(top.source, { type: 'update', id: 'u-1', link: '/api/memory/sources/update/u-1' });
+    assert.strictEqual(result.results.find(memory => memory.id === 'm2').source.link, '/api/memory/sources/email/e-9');
+    assert.strictEqual(result.results.find(memory => memory.id === 'm4').scope, 'team');
+    assert.strictEqual(result.results.find(memory => memory.id === 'm5').content, 'Acme pilot at risk, consider exec sponsor');
+    console.log('   ✅ Best match first, explained and linked\n');
+
+    // Test 2: scopes and filters reach the SQL
+    console.log('2. Applying scopes and filters...');
+    await service.query({
+        query: 'acme', memberId: 'joe', scopes: ['member'], types: ['update'], from: '2026-01-01', to: '2026-01-31', client: 'Acme'
+    });
+    const { text, params } = db.queries[db.queries.length - 1];
+    assert.ok(text.includes('member_name = $2 OR collection = $2'));
+    assert.ok(!text.includes('member_name IS NULL'));
+    assert.ok(text.includes('memory_type = ANY($3)'));
+    assert.ok(text.includes('metadata->>\'client\' ILIKE $6'));
+    assert.strictEqual(params[5], 'Acme');
+    assert.strictEqual(params[4].toISOString(), '2026-02-01T00:00:00.000Z');
+    await assert.rejects(service.query({ query: '' }), /Invalid query/);
+    await assert.rejects(service.query({ query: 'x', scopes: ['private'] }), /Invalid scope private/);
+    await assert.rejects(service.query({ query: 'x', from: 'last week' }), /Invalid from date/);
+    console.log('   ✅ Member scope, type, dates and client filtered; bad input rejected\n');
+
+    // Test 3: access rules
+    console.log('3. Checking access through the API...');
+    const calls = [];
+    const fakeService = {
+        isAvailable: () => true,
+        query: async params => {
+            calls.push(params);
+            return { results: [] };
+        }
+    };
+    const appFor = user => {
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.user = user;
+            next();
+        });
+        new MemoryAPI(fakeService).registerEndpoints(app);
+        return app;
+    };
+
+    const member = appFor({ username: 'joe', role: 'member' });
+    assert.strictEqual((await request(member, 'POST', '/api/memory/query', { query: 'acme' })).status, 200);
+    assert.strictEqual(calls[0].memberId, 'joe');
+    assert.deepStrictEqual(calls[0].scopes, ['member', 'team']);
+    assert.strictEqual((await request(member, 'POST', '/api/memory/query', { query: 'acme', memberId: 'tre' })).status, 403);
+    assert.strictEqual((await request(member, 'POST', '/api/memory/query', { query: 'acme', scopes: 'executive' })).status, 403);
+
+    const executive = appFor({ username: 'tre', role: 'executive' });
+    assert.strictEqual((await request(executive, 'POST', '/api/memory/query', { query: 'acme', memberId: 'joe' })).status, 200);
+    assert.deepStrictEqual(calls[1].scopes, ['member', 'team', 'executive']);
+
+    const offline = express();
+    offline.use(express.json());
+    new MemoryAPI({ isAvailable: () => false }).registerEndpoints(offline);
+    assert.strictEqual((await request(offline, 'POST', '/api/memory/query', { query: 'acme' })).status, 503);
+    console.log('   ✅ Own memories only for members, executives see all\n');
+
+    // Test 4: searching Supermemory when it's the backend
+    console.log('4. Searching through Supermemory...');
+    const searches = [];
+    const remote = {
+        failing: false,
+        isConfigured: () => true,
+        search: async (query, options) => {
+            if (remote.failing) throw new Error('HTTP 503: Service Unavailable');
+            searches.push({ query, options });
+            return [
+                { id: 'r1', content: 'Acme pilot slipped again', score: 0.82, metadata: { member: 'joe', type: 'update', timestamp: new Date(Date.now() - DAY_MS).toISOString(), updateId: 'u-7' } },
+                { id: 'r2', content: 'Acme pilot notes from Charlie', score: 0.9, metadata: { member: 'charlie', type: 'update' } },
+                { id: 'r3', content: 'Acme board wants a pilot review', score: 0.75, metadata: { type: 'executive-summary' } },
+                { id: 'r4', content: 'Acme pilot from before mirroring', score: 0.6, metadata: { member: 'joe', type: 'update' } }
+            ];
+        }
+    };
+    const remoteDb = recordingDb(rows);
+    const remoteService = new MemoryQueryService({ db: remoteDb, store: new LocalMemoryStore({ db: remoteDb, remote: null }), remote });
+    const remoteResult = await remoteService.query({ query: 'Acme pilot', memberId: 'joe', scopes: ['member', 'team'] });
+    assert.strictEqual(remoteResult.backend, 'supermemory');
+    assert.strictEqual(searches[0].query, 'Acme pilot');
+    assert.ok(!remoteDb.queries.some(query => query.text.includes('FROM memories')), 'the local mirror is not searched');
+    assert.deepStrictEqual(remoteResult.results.map(memory => memory.id), ['r1', 'r4']);
+    assert.strictEqual(remoteResult.results[0].explanation.similarity, 0.82);
+    assert.strictEqual(remoteResult.results[0].source.link, '/api/memory/sources/update/u-7');
+    assert.ok(remoteResult.results[1].explanation.summary.endsWith('your update'), 'no age without a timestamp');
+
+    const dated = await remoteService.query({ query: 'Acme pilot', memberId: 'joe', from: '2020-01-01' });
+    assert.deepStrictEqual(dated.results.map(memory => memory.id), ['r1'], 'undated memories drop out of date filters');
+
+    remote.failing = true;
+    await assert.rejects(remoteService.query({ query: 'Acme pilot', memberId: 'joe' }), /HTTP 503/);
+    console.log('   ✅ Supermemory searched and filtered; a failed search is an error\n');
+
+    console.log('🎉 Memory query tests passed');
+}
+
+testMemoryQuery().catch(error => {
+    console.error('❌ Memory query tests failed:', error);
+    process.exit(1);
+});
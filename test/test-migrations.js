@@ -0,0 +1,136 @@
+/**
+ * Migration Runner Test
+ * Runs numbered migrations against an in-memory client: ordering, status,
+ * partial migrate and rollback, failed migrations and scaffolding
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MigrationRunner } from '../src/core/database/migration-runner.js';
+
+/**
+ * Just enough of a pg client to keep schema_migrations in memory
+ */
+function memoryClient() {
+    const applied = new Map();
+    const executed = [];
+
+    return {
+        applied,
+        executed,
+        query: async (text, params = []) => {
+            const sql = text.trim();
+
+            if (sql.startsWith('SELECT filename, checksum')) {
+                const rows = [...applied.values()].sort((a, b) => a.filename.localeCompare(b.filename));
+                return { rows };
+            }
+            if (sql.startsWith('INSERT INTO schema_migrations')) {
+                applied.set(params[0], { filename: params[0], checksum: params[1], executed_at: new Date() });
+            } else if (sql.startsWith('DELETE FROM schema_migrations')) {
+                applied.delete(params[0]);
+            } else if (sql.startsWith('UPDATE schema_migrations')) {
+                applied.get(params[1]).checksum = params[0];
+            } else if (sql.startsWith('--')) {
+                if (sql.includes('FAIL')) throw new Error('syntax error');
+                executed.push(sql.split('\n')[0]);
+            }
+
+            return { rows: [] };
+        }
+    };
+}
+
+function writeMigrations(dir, files) {
+    for (const [name, sql] of Object.entries(files)) {
+        fs.writeFileSync(path.join(dir, name), sql);
+    }
+}
+
+async function testMigrations() {
+    console.log('🧪 Testing migration runner...\n');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crm-migrations-'));
+    const log = () => {};
+
+    try {
+        writeMigrations(dir, {
+            '000_baseline.sql': '-- up 000',
+            '002_deals.sql': '-- up 002',
+            '002_deals.down.sql': '-- down 002',
+            '001_members.sql': '-- up 001',
+            '001_members.down.sql': '-- down 001',
+            'README.md': 'not a migration'
+        });
+
+        // Test 1: files load in version order
+        console.log('1. Loading migrations...');
+        const client = memoryClient();
+        const runner = new MigrationRunner(client, { migrationsDir: dir, log });
+        const migrations = await runner.loadMigrations();
+        assert.deepStrictEqual(migrations.map(migration => migration.filename), ['000_baseline.sql', '001_members.sql', '002_deals.sql']);
+        assert.strictEqual(migrations[0].down, null);
+        console.log('   ✅ Three migrations in order, down files paired\n');
+
+        // Test 2: migrate --to stops at the target
+        console.log('2. Migrating up to 001...');
+        assert.deepStrictEqual(await runner.migrate({ to: '001' }), ['000_baseline.sql', '001_members.sql']);
+        let status = await runner.status();
+        assert.deepStrictEqual(status.pending, ['002_deals.sql']);
+        console.log('   ✅ 002 left pending\n');
+
+        // Test 3: a plain migrate finishes the job and is then a no-op
+        console.log('3. Migrating to latest...');
+        assert.deepStrictEqual(await runner.migrate(), ['002_deals.sql']);
+        assert.deepStrictEqual(await runner.migrate(), []);
+        assert.deepStrictEqual(client.executed, ['-- up 000', '-- up 001', '-- up 002']);
+        console.log('   ✅ Each migration ran once\n');
+
+        // Test 4: edited and unknown migrations are reported
+        console.log('4. Reporting drift...');
+        fs.writeFileSync(path.join(dir, '001_members.sql'), '-- up 001, edited');
+        client.applied.set('009_future.sql', { filename: '009_future.sql', checksum: 'x', executed_at: new Date() });
+        status = await runner.status();
+        assert.deepStrictEqual(status.changed, ['001_members.sql']);
+        assert.deepStrictEqual(status.unknown, ['009_future.sql']);
+        await assert.rejects(runner.rollback(), /009_future\.sql ran but the file is missing/);
+        client.applied.delete('009_future.sql');
+        console.log('   ✅ Edited and unknown files found, rollback refused\n');
+
+        // Test 5: rollback by steps and to a version
+        console.log('5. Rolling back...');
+        assert.deepStrictEqual(await runner.rollback(), ['002_deals.sql']);
+        await runner.migrate();
+        assert.deepStrictEqual(await runner.rollback({ to: '000' }), ['002_deals.sql', '001_members.sql']);
+        assert.deepStrictEqual([...client.applied.keys()], ['000_baseline.sql']);
+        await assert.rejects(runner.rollback(), /000_baseline\.sql: it has no 000_baseline\.down\.sql/);
+        console.log('   ✅ Down files ran newest first; the baseline is irreversible\n');
+
+        // Test 6: a failing migration is not recorded
+        console.log('6. Failing a migration...');
+        writeMigrations(dir, { '003_broken.sql': '-- FAIL' });
+        await runner.migrate({ to: '002' });
+        await assert.rejects(runner.migrate(), /Migration 003_broken\.sql failed: syntax error/);
+        assert.ok(!client.applied.has('003_broken.sql'));
+        fs.unlinkSync(path.join(dir, '003_broken.sql'));
+        console.log('   ✅ Error surfaced and nothing recorded\n');
+
+        // Test 7: create scaffolds the next version
+        console.log('7. Creating a migration...');
+        assert.deepStrictEqual(await runner.create('Add Risk Scores'), ['003_add_risk_scores.sql', '003_add_risk_scores.down.sql']);
+        assert.ok(fs.existsSync(path.join(dir, '003_add_risk_scores.down.sql')));
+        await assert.rejects(runner.create('!!!'), /Invalid migration name/);
+        console.log('   ✅ 003 up/down files written\n');
+
+        console.log('🎉 Migration runner tests passed');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+testMigrations().catch(error => {
+    console.error('❌ Migration runner tests failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,233 @@
+/**
+ * Outbound Webhooks Test
+ * Publishes events to matching subscriptions, signs each delivery so a
+ * subscriber can verify it, retries failures with doubling backoff until
+ * the attempt limit, and replays past deliveries
+ */
+
+import assert from 'assert';
+import crypto from 'crypto';
+import http from 'http';
+import {
+    OutboundWebhookService,
+    MAX_ATTEMPTS,
+    RETRY_BASE_DELAY_MS,
+    WEBHOOK_QUEUE
+} from '../src/core/webhooks/outbound-webhook-service.js';
+
+/**
+ * Keeps subscriptions and deliveries in memory for the statements the service runs
+ */
+function fakeDb(subscriptions) {
+    const deliveries = [];
+    return {
+        initialized: true,
+        deliveries,
+        query: async (text, params = []) => {
+            if (text.includes('FROM webhook_subscriptions') && text.includes('ANY(events)')) {
+                return { rows: subscriptions.filter(row => row.active && row.events.includes(params[0])) };
+            }
+            if (text.includes('INSERT INTO webhook_deliveries')) {
+                const [subscriptionId, event, eventId, payload, replayOf] = params;
+                const row = {
+                    id: crypto.randomUUID(),
+                    subscription_id: subscriptionId,
+                    event,
+                    event_id: eventId,
+                    payload: JSON.parse(payload),
+                    status: 'pending',
+                    attempts: 0,
+                    replay_of: replayOf
+                };
+                deliveries.push(row);
+                return { rows: [{ ...row }] };
+            }
+            if (text.includes('FROM webhook_deliveries d') && text.includes('WHERE d.id = $1')) {
+                const delivery = deliveries.find(row => row.id === params[0]);
+                const subscription = delivery && subscriptions.find(row => row.id === delivery.subscription_id);
+                return {
+                    rows: delivery
+                        ? [{ ...delivery, url: subscription?.url || null, secret: subscription?.secret || null, active: subscription?.active ?? null }]
+                        : []
+                };
+            }
+            if (text.includes('UPDATE webhook_deliveries')) {
+                const row = deliveries.find(delivery => delivery.id === params[0]);
+                Object.assign(row, {
+                    status: params[1],
+                    attempts: params[2],
+                    response_status: params[3],
+                    last_error: params[4],
+                    next_attempt_at: params[5]
+                });
+                return { rows: [{ ...row }] };
+            }
+            if (text.includes('FROM webhook_deliveries WHERE id::text = $1')) {
+                return { rows: deliveries.filter(row => row.id === params[0]).map(row => ({ ...row })) };
+            }
+            if (text.includes('FROM webhook_subscriptions WHERE id::text = $1')) {
+                return { rows: subscriptions.filter(row => row.id === params[0]) };
+            }
+            return { rows: [] };
+        }
+    };
+}
+
+/**
+ * A subscriber that records each request and answers with the next queued status
+ */
+async function startReceiver() {
+    const received = [];
+    const statuses = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.writeHead(statuses.shift() || 200, { 'Content-Type': 'application/json' });
+            res.end('{}');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, received, statuses, url: `http://127.0.0.1:${server.address().port}/hooks` };
+}
+
+/**
+ * What a subscriber does to check a delivery came from us
+ */
+function verify(secret, headers, body) {
+    const expected = 'sha256=' + crypto
+        .createHmac('sha256', secret)
+        .update(`${headers['x-teamcrm-timestamp']}.${body}`)
+        .digest('hex');
+    const signature = headers['x-teamcrm-signature'] || '';
+    return signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+async function testOutboundWebhooks() {
+    console.log('🧪 Testing outbound webhooks...\n');
+
+    const receiver = await startReceiver();
+    const secret = `whsec_${crypto.randomBytes(8).toString('hex')}`;
+    const subscriptions = [
+        { id: crypto.randomUUID(), url: receiver.url, secret, events: ['deal.stage_changed', 'summary.generated'], active: true },
+        { id: crypto.randomUUID(), url: receiver.url, secret: 'other', events: ['update.processed'], active: true },
+        { id: crypto.randomUUID(), url: receiver.url, secret: 'paused', events: ['deal.stage_changed'], active: false }
+    ];
+    const db = fakeDb(subscriptions);
+    const jobs = [];
+    const service = new OutboundWebhookService({
+        db,
+        queueManager: {
+            isInitialized: true,
+            addJob: async (queue, name, job, options) => jobs.push({ queue, name, job, options })
+        }
+    });
+
+    try {
+        // Test 1: publishing
+        console.log('1. Publishing to matching subscriptions...');
+        const [delivery, ...others] = await service.publish('deal.stage_changed', { dealId: 'd1', from: 'proposal', to: 'closed_won' });
+        assert.strictEqual(others.length, 0, 'only active subscriptions to the event get a delivery');
+        assert.strictEqual(delivery.subscription_id, subscriptions[0].id);
+        assert.strictEqual(delivery.payload.event, 'deal.stage_changed');
+        assert.deepStrictEqual(delivery.payload.data, { dealId: 'd1', from: 'proposal', to: 'closed_won' });
+        assert.deepStrictEqual(jobs.map(job => [job.queue, job.job.data.deliveryId, job.options.delay]), [[WEBHOOK_QUEUE, delivery.id, 0]]);
+        assert.deepStrictEqual(await new OutboundWebhookService({ db: { initialized: false } }).publish('deal.stage_changed', {}), []);
+        console.log('   ✅ One queued delivery per active subscriber\n');
+
+        // Test 2: signing
+        console.log('2. Signing deliveries...');
+        const sent = await service.deliver(delivery.id);
+        assert.strictEqual(sent.status, 'delivered');
+        assert.strictEqual(sent.attempts, 1);
+        assert.strictEqual(sent.secret, undefined, 'the secret never leaves in a delivery record');
+
+        const [request] = receiver.received;
+        assert.ok(verify(secret, request.headers, request.body), 'the subscriber can verify the signature');
+        assert.ok(!verify('whsec_wrong', request.headers, request.body));
+        assert.ok(!verify(secret, request.headers, request.body.replace('closed_won', 'closed_lost')), 'a changed body fails verification');
+        assert.ok(Math.abs(Number(request.headers['x-teamcrm-timestamp']) - Date.now() / 1000) < 5);
+        assert.strictEqual(request.headers['x-teamcrm-event'], 'deal.stage_changed');
+        assert.strictEqual(request.headers['x-teamcrm-delivery'], delivery.id);
+        assert.deepStrictEqual(JSON.parse(request.body), delivery.payload);
+        assert.strictEqual(service.sign('s', 1700000000, '{}'), 'sha256=' + crypto.createHmac('sha256', 's').update('1700000000.{}').digest('hex'));
+
+        await service.deliver(delivery.id);
+        assert.strictEqual(receiver.received.length, 1, 'a delivered delivery is not sent again');
+        console.log('   ✅ sha256 HMAC over "<timestamp>.<body>" that subscribers can check\n');
+
+        // Test 3: retrying
+        console.log('3. Retrying failed deliveries...');
+        assert.deepStrictEqual([1, 2, 3, 4].map(attempts => service.retryDelay(attempts)),
+            [RETRY_BASE_DELAY_MS, RETRY_BASE_DELAY_MS * 2, RETRY_BASE_DELAY_MS * 4, RETRY_BASE_DELAY_MS * 8]);
+
+        const [flaky] = await service.publish('summary.generated', { summary: 'Quiet day' });
+        receiver.statuses.push(500, 503);
+        const first = await service.deliver(flaky.id, { maxAttempts: 3 });
+        assert.strictEqual(first.status, 'retrying');
+        assert.strictEqual(first.response_status, 500);
+        assert.strictEqual(first.last_error, 'Subscriber responded with HTTP 500');
+        assert.ok(Math.abs(first.next_attempt_at - Date.now() - RETRY_BASE_DELAY_MS) < 1000);
+
+        const second = await service.deliver(flaky.id, { maxAttempts: 3 });
+        assert.strictEqual(second.status, 'retrying');
+        assert.ok(Math.abs(second.next_attempt_at - Date.now() - RETRY_BASE_DELAY_MS * 2) < 1000, 'backoff doubles');
+
+        const third = await service.deliver(flaky.id, { maxAttempts: 3 });
+        assert.strictEqual(third.status, 'delivered', 'a later attempt can still succeed');
+        assert.strictEqual(third.attempts, 3);
+
+        const [doomed] = await service.publish('summary.generated', { summary: 'Busy day' });
+        receiver.statuses.push(500, 500);
+        await service.deliver(doomed.id, { maxAttempts: 2 });
+        const failed = await service.deliver(doomed.id, { maxAttempts: 2 });
+        assert.strictEqual(failed.status, 'failed', 'given up at the attempt limit');
+        assert.strictEqual(failed.next_attempt_at, null);
+        const sentBefore = receiver.received.length;
+        await service.deliver(doomed.id, { maxAttempts: 2 });
+        assert.strictEqual(receiver.received.length, sentBefore, 'failed deliveries are not retried');
+
+        // Without a queue, retries are scheduled in-process with the same backoff
+        const [inProcess] = await service.publish('summary.generated', { summary: 'Offline' });
+        const scheduled = [];
+        const local = new OutboundWebhookService({ db });
+        local.schedule = async (deliveryId, delayMs) => scheduled.push({ deliveryId, delayMs });
+        receiver.statuses.push(502);
+        await local.deliverInProcess(inProcess.id);
+        assert.deepStrictEqual(scheduled, [{ deliveryId: inProcess.id, delayMs: RETRY_BASE_DELAY_MS }]);
+        assert.strictEqual(MAX_ATTEMPTS, 6);
+
+        subscriptions[0].active = false;
+        const [orphan] = await service.publish('summary.generated', {});
+        assert.strictEqual(orphan, undefined, 'paused subscriptions get nothing new');
+        const paused = await service.deliver(inProcess.id);
+        assert.strictEqual(paused.status, 'failed');
+        assert.strictEqual(paused.last_error, 'Subscription is disabled or deleted');
+        subscriptions[0].active = true;
+        console.log('   ✅ Failures retried with doubling backoff, then given up\n');
+
+        // Test 4: replaying
+        console.log('4. Replaying a delivery...');
+        jobs.length = 0;
+        const replay = await service.replayDelivery(doomed.id);
+        assert.notStrictEqual(replay.id, doomed.id);
+        assert.strictEqual(replay.replay_of, doomed.id);
+        assert.strictEqual(replay.event_id, doomed.event_id, 'the same event, so subscribers can dedupe');
+        assert.strictEqual(jobs[0].job.data.deliveryId, replay.id);
+        assert.strictEqual((await service.deliver(replay.id)).status, 'delivered');
+        assert.strictEqual(await service.replayDelivery(crypto.randomUUID()), null);
+        console.log('   ✅ Replays are new deliveries of the original event\n');
+    } finally {
+        receiver.server.close();
+    }
+
+    console.log('🎉 Outbound webhook tests passed');
+}
+
+testOutboundWebhooks().catch(error => {
+    console.error('❌ Outbound webhook tests failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,167 @@
+/**
+ * Pipeline Forecast Test
+ * Weights open deals by probability or stage, buckets them by close month
+ * into commit, best case and pipeline, rolls them up per owner and runs
+ * what-if scenarios against the baseline
+ */
+
+import assert from 'assert';
+import express from 'express';
+import {
+    PipelineForecastService,
+    applyScenario,
+    buildForecast,
+    dealProbability,
+    forecastCategory
+} from '../src/core/analytics/pipeline-forecast.js';
+import { ForecastAPI } from '../src/api/forecast-api.js';
+
+const now = new Date(2026, 2, 10, 12);
+
+const deals = [
+    { id: 'd1', name: 'Acme Motors', stage: 'negotiation', probability: '0', total_contract_value: '100000', expected_close_date: '2026-03-28', owner_key: 'joe', owner_name: 'Joe' },
+    { id: 'd2', name: 'Globex Auto', stage: 'proposal', probability: '45', total_contract_value: '40000', expected_close_date: new Date(2026, 3, 15), owner_key: 'joe', owner_name: 'Joe' },
+    { id: 'd3', name: 'Initech Ford', stage: 'qualified', probability: null, monthly_value: '1000', implementation_fee: '3000', expected_close_date: '2026-02-20', owner_key: 'charlie', owner_name: 'Charlie' },
+    { id: 'd4', name: 'Umbrella Group', stage: 'prospect', total_contract_value: '80000', expected_close_date: null, owner_key: 'charlie', owner_name: 'Charlie' },
+    { id: 'd5', name: 'Acme Motors East', stage: 'on_hold', probability: '90', total_contract_value: '20000', expected_close_date: '2026-12-01', owner_key: 'joe', owner_name: 'Joe' }
+];
+
+const won = [{ id: 'w1', name: 'Soylent Cars', stage: 'closed_won', total_contract_value: '25000', actual_close_date: '2026-03-02', owner_key: 'charlie' }];
+
+async function request(app, method, path, body) {
+    const server = app.listen(0);
+    try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, body: await response.json() };
+    } finally {
+        server.close();
+    }
+}
+
+async function testPipelineForecast() {
+    console.log('🧪 Testing pipeline forecast...\n');
+
+    // Test 1: probabilities and categories
+    console.log('1. Weighting deals...');
+    assert.strictEqual(dealProbability(deals[0]), 75, 'a zero probability falls back to the stage default');
+    assert.strictEqual(dealProbability(deals[1]), 45);
+    assert.strictEqual(forecastCategory(deals[0]), 'commit');
+    assert.strictEqual(forecastCategory(deals[1]), 'best_case');
+    assert.strictEqual(forecastCategory(deals[2]), 'pipeline');
+    assert.strictEqual(forecastCategory(deals[4]), 'pipeline', 'on hold is never commit');
+    console.log('   ✅ Own probability first, stage default otherwise\n');
+
+    // Test 2: months, categories and owners
+    console.log('2. Building the forecast...');
+    const forecast = buildForecast(deals, { months: 3, now, closedWon: won });
+    assert.deepStrictEqual(forecast.months, ['2026-03', '2026-04', '2026-05']);
+
+    const [march, april, may] = forecast.byMonth;
+    assert.strictEqual(march.dealCount, 2, 'the overdue deal counts this month');
+    assert.strictEqual(march.overdue, 1);
+    assert.strictEqual(march.weighted, 75000 + 15000 * 0.25);
+    assert.strictEqual(march.commit, 100000);
+    assert.strictEqual(march.bestCase, 100000);
+    assert.strictEqual(march.pipeline, 115000);
+    assert.strictEqual(march.closedWon, 25000);
+    assert.strictEqual(april.weighted, 18000);
+    assert.strictEqual(april.bestCase, 40000);
+    assert.strictEqual(may.dealCount, 0);
+
+    assert.strictEqual(forecast.totals.weighted, 96750);
+    assert.strictEqual(forecast.totals.dealCount, 3);
+    assert.strictEqual(forecast.unscheduled.dealCount, 1);
+    assert.strictEqual(forecast.later.pipeline, 20000);
+
+    const [joe, charlie] = forecast.byOwner;
+    assert.strictEqual(joe.owner, 'joe');
+    assert.strictEqual(joe.weighted, 93000);
+    assert.strictEqual(charlie.weighted, 3750);
+    assert.strictEqual(charlie.closedWon, 25000);
+    console.log('   ✅ Weighted pipeline by month, category and owner\n');
+
+    // Test 3: what-if scenarios
+    console.log('3. Running what-ifs...');
+    const { deals: slipped, applied } = applyScenario(deals, [{ deal: 'Acme Motors', slipMonths: 1 }, { deal: 'globex', lost: true }]);
+    assert.deepStrictEqual(applied[0], { dealId: 'd1', dealName: 'Acme Motors', expectedCloseDate: '2026-04-28' });
+    assert.strictEqual(deals[0].expected_close_date, '2026-03-28', 'the baseline deals are untouched');
+    const scenario = buildForecast(slipped, { months: 3, now });
+    assert.strictEqual(scenario.byMonth[0].weighted, 3750);
+    assert.strictEqual(scenario.byMonth[1].weighted, 75000);
+
+    assert.deepStrictEqual(applyScenario(deals, [{ deal: 'd3', slipMonths: -1 }]).applied[0].expectedCloseDate, '2026-01-20');
+    assert.strictEqual(applyScenario([{ ...deals[0], expected_close_date: '2026-01-31' }], [{ deal: 'd1', slipMonths: 1 }]).applied[0].expectedCloseDate, '2026-02-28');
+    const restaged = applyScenario(deals, [{ deal: 'd2', stage: 'negotiation' }]).deals[1];
+    assert.strictEqual(dealProbability(restaged), 75);
+
+    assert.throws(() => applyScenario(deals, [{ deal: 'Acme', slipMonths: 1 }]), /matches 2 deals/);
+    assert.throws(() => applyScenario(deals, [{ deal: 'Nobody', lost: true }]), /no open deal matches/);
+    assert.throws(() => applyScenario(deals, [{ deal: 'd4', slipMonths: 1 }]), /no close date/);
+    assert.throws(() => applyScenario(deals, [{ deal: 'd1' }]), /nothing to change/);
+    assert.throws(() => applyScenario(deals, []), /^Error: Invalid what-if/);
+    console.log('   ✅ Slips, stage moves and lost deals compared with the baseline\n');
+
+    // Test 4: the service and API
+    console.log('4. Serving forecasts...');
+    const queries = [];
+    const db = {
+        initialized: true,
+        query: async (text, params) => {
+            queries.push({ text, params });
+            return { rows: text.includes('stage = \'closed_won\'') ? won : deals };
+        }
+    };
+    const analytics = {
+        generateForecast: async (metric, days) => ({
+            trend: 'increasing',
+            confidence: 0.6,
+            forecast: [{ value: 1 }, { value: 90000 + days }]
+        })
+    };
+    const service = new PipelineForecastService({ db, analytics });
+    const app = express();
+    app.use(express.json());
+    new ForecastAPI(service).registerEndpoints(app);
+
+    const response = await request(app, 'GET', '/api/forecast?months=3&owner=joe');
+    const expected = buildForecast(deals, { months: 3, now: new Date(), closedWon: won }).totals.weighted;
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.owner, 'joe');
+    assert.strictEqual(response.body.data.totals.weighted, expected);
+    assert.deepStrictEqual(response.body.data.trend, {
+        available: true,
+        metric: 'total_pipeline_value',
+        direction: 'increasing',
+        confidence: 0.6,
+        projectedPipelineValue: 90090,
+        bottomUpWeighted: expected,
+        difference: expected - 90090
+    });
+    assert.strictEqual(queries[0].params[1], 'joe');
+    assert.match(queries[1].params[0], /^\d{4}-\d{2}-01$/);
+
+    const whatIf = await request(app, 'POST', '/api/forecast/what-if', { months: 3, changes: [{ deal: 'Globex Auto', probability: 90 }] });
+    assert.strictEqual(whatIf.status, 200);
+    assert.strictEqual(whatIf.body.data.applied[0].probability, 90);
+    assert.ok(!('deals' in whatIf.body.data.scenario));
+    assert.strictEqual(whatIf.body.data.difference.totals.commit, 40000);
+
+    assert.strictEqual((await request(app, 'POST', '/api/forecast/what-if', { changes: [] })).status, 400);
+    assert.strictEqual((await request(app, 'GET', '/api/forecast?months=99')).status, 400);
+
+    const offline = express();
+    new ForecastAPI(new PipelineForecastService({ db: { initialized: false }, analytics: null })).registerEndpoints(offline);
+    assert.strictEqual((await request(offline, 'GET', '/api/forecast')).status, 503);
+    console.log('   ✅ Forecast with trend comparison, what-ifs and validation\n');
+
+    console.log('🎉 Pipeline forecast tests passed');
+}
+
+testPipelineForecast().catch(error => {
+    console.error('❌ Pipeline forecast tests failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,171 @@
+/**
+ * Prompt Feedback Test
+ * Records thumbs up/down on prompt runs, rejects ratings that aren't up or
+ * down, answers 404 for runs that don't exist or aren't UUIDs, gives a
+ * member the same experiment arm in prompts as in the browser, and records
+ * each update extraction as a run feedback can attach to
+ */
+
+import assert from 'assert';
+import crypto from 'crypto';
+import express from 'express';
+import { PromptRegistry } from '../src/ai/prompts/prompt-registry.js';
+import { FeatureFlagService } from '../src/core/flags/feature-flag-service.js';
+import { AIIntelligenceEngine } from '../src/core/intelligence/ai-intelligence-engine.js';
+import { PromptAPI } from '../src/api/prompt-api.js';
+
+const RUN_ID = '6f1c2a9e-3b4d-4e5f-8a7b-1c2d3e4f5a6b';
+
+/**
+ * Knows one prompt run and records the SQL it is sent
+ */
+function fakeDb() {
+    const queries = [];
+    return {
+        initialized: true,
+        queries,
+        query: async (text, params = []) => {
+            queries.push({ text, params });
+            if (text.includes('FROM prompt_runs')) {
+                return { rows: params[0] === RUN_ID ? [{ id: RUN_ID }] : [] };
+            }
+            if (text.includes('INSERT INTO prompt_feedback')) {
+                return { rows: [{ run_id: params[0], rating: params[1], comment: params[2], username: params[3] }] };
+            }
+            return { rows: [] };
+        }
+    };
+}
+
+async function request(app, path, body) {
+    const server = app.listen(0);
+    try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    } finally {
+        server.close();
+    }
+}
+
+async function testPromptFeedback() {
+    console.log('🧪 Testing prompt feedback...\n');
+
+    // Test 1: recording and validating
+    console.log('1. Recording feedback on a run...');
+    const db = fakeDb();
+    const registry = new PromptRegistry({ db, flagService: { isEnabled: () => false } });
+
+    const feedback = await registry.recordFeedback(RUN_ID, { rating: 'down', comment: 'Missed the deal value', username: 'joe' });
+    assert.deepStrictEqual(feedback, { run_id: RUN_ID, rating: -1, comment: 'Missed the deal value', username: 'joe' });
+
+    for (const rating of ['sideways', 'toString', 'constructor', '__proto__', undefined]) {
+        await assert.rejects(registry.recordFeedback(RUN_ID, { rating }), /Invalid rating/, `rating ${rating}`);
+    }
+
+    const before = db.queries.length;
+    assert.strictEqual(await registry.recordFeedback('not-a-uuid', { rating: 'up' }), null);
+    assert.strictEqual(db.queries.length, before, 'a malformed run id never reaches the database');
+    assert.strictEqual(await registry.recordFeedback('00000000-0000-4000-8000-000000000000', { rating: 'up' }), null);
+    console.log('   ✅ Up and down recorded; inherited names and malformed ids rejected\n');
+
+    // Test 2: through the API
+    console.log('2. Sending feedback through the API...');
+    const app = express();
+    app.use(express.json());
+    new PromptAPI(registry).registerEndpoints(app);
+
+    const recorded = await request(app, `/api/prompts/runs/${RUN_ID}/feedback`, { rating: 'up' });
+    assert.strictEqual(recorded.status, 200);
+    assert.strictEqual(recorded.body.data.rating, 1);
+    assert.strictEqual((await request(app, '/api/prompts/runs/42/feedback', { rating: 'up' })).status, 404);
+    assert.strictEqual((await request(app, `/api/prompts/runs/${RUN_ID}/feedback`, { rating: 'hasOwnProperty' })).status, 400);
+    console.log('   ✅ 404 for unknown or malformed runs, 400 for bad ratings\n');
+
+    // Test 3: one arm per member
+    console.log('3. Matching prompt arms to the browser\'s variant...');
+    const flagService = new FeatureFlagService({
+        db: { initialized: false },
+        flags: {
+            promptOptimization: {
+                enabled: true,
+                experiment: {
+                    name: 'prompt_optimization_test',
+                    variants: [
+                        { name: 'control', weight: 50, value: false },
+                        { name: 'optimized', weight: 50, value: true, prompts: { extraction: 'v2' } }
+                    ]
+                }
+            }
+        }
+    });
+    const experimentRegistry = new PromptRegistry({ db, flagService });
+
+    const arms = new Set();
+    for (let i = 0; i < 20; i++) {
+        // With a database, req.user.id is the member's UUID
+        const user = { id: crypto.randomUUID(), username: `member${i}`, role: 'member' };
+        const browserVariant = flagService.getVariant('promptOptimization', flagService.contextFor(user));
+        const prompt = experimentRegistry.render('extraction', { memberName: user.username }, user.username);
+        assert.strictEqual(prompt.arm, browserVariant, `${user.username} sees one arm everywhere`);
+        assert.strictEqual(prompt.version, browserVariant === 'optimized' ? 'v2' : 'v1');
+        arms.add(prompt.arm);
+    }
+    assert.strictEqual(arms.size, 2, 'both arms in use');
+    console.log('   ✅ Prompts and /api/flags bucket on the username\n');
+
+    // Test 4: update extractions use the member's prompt version
+    console.log('4. Recording extraction runs...');
+    const runs = [];
+    const runDb = {
+        initialized: true,
+        query: async (text, params = []) => {
+            if (text.includes('INSERT INTO prompt_runs')) {
+                runs.push({ id: params[0], key: params[1], version: params[2], arm: params[4], member: params[5], success: params[10], confidence: params[11] });
+            }
+            return { rows: [] };
+        }
+    };
+    const calls = [];
+    let reply = JSON.stringify([
+        { type: 'action_item', confidence: 0.9, data: { task: 'Send Acme pricing' }, entities: {} },
+        { type: 'risk', confidence: 0.5, data: { description: 'Acme is talking to a competitor' }, entities: {} }
+    ]);
+    const engine = new AIIntelligenceEngine({
+        chat: async (request) => {
+            calls.push(request);
+            return { content: reply, model: 'test-model', usage: { inputTokens: 1200, outputTokens: 300 } };
+        }
+    }, {
+        plugins: { getPromptFragments: () => [] },
+        prompts: new PromptRegistry({ db: runDb, flagService })
+    });
+
+    const optimized = [...Array(20).keys()].map(i => `member${i}`)
+        .find(username => flagService.getVariant('promptOptimization', flagService.contextFor({ username })) === 'optimized');
+    const member = { external_id: optimized, name: 'Dana', role: 'Sales', focus_areas: ['fleet_sales'] };
+    const { extractions, prompt } = await engine.runExtraction('Acme wants pricing by Friday; they are also talking to Globex.', member);
+
+    assert.ok(calls[0].messages[0].content.startsWith('You extract structured CRM data'), 'the optimized arm gets v2');
+    assert.ok(calls[0].messages[0].content.includes('Dana, Sales (focus: fleet_sales)'));
+    assert.deepStrictEqual(prompt, { runId: runs[0].id, key: 'extraction', version: 'v2', arm: 'optimized', experiment: 'prompt_optimization_test' });
+    assert.deepStrictEqual(runs[0], { id: prompt.runId, key: 'extraction', version: 'v2', arm: 'optimized', member: optimized, success: true, confidence: 0.7 });
+    assert.ok(extractions.every(extraction => extraction.promptRunId === prompt.runId), 'every extraction carries its run id');
+
+    reply = 'Sorry, I can only answer in prose.';
+    const unparsed = await engine.runExtraction('Quiet day.', member);
+    assert.deepStrictEqual(unparsed.extractions, []);
+    assert.strictEqual(runs[1].success, false, 'unusable replies count against the version');
+    assert.strictEqual(unparsed.prompt.runId, runs[1].id, 'and can still be rated');
+    console.log('   ✅ Extractions run on the member\'s arm and are recorded for feedback\n');
+
+    console.log('🎉 Prompt feedback tests passed');
+}
+
+testPromptFeedback().catch(error => {
+    console.error('❌ Prompt feedback tests failed:', error);
+    process.exit(1);
+});
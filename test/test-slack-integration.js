@@ -0,0 +1,133 @@
+/**
+ * Slack Integration Test
+ * Verifies Slack's v0 request signatures over the raw body through the
+ * webhook endpoint, rejecting stale, altered and unsigned requests, and
+ * maps signed slash commands and messages to team members
+ */
+
+import assert from 'assert';
+import crypto from 'crypto';
+import express from 'express';
+import { EventEmitter } from 'events';
+import { WebhookManager } from '../src/core/webhooks/webhook-manager.js';
+import { SlackIntegration } from '../src/core/webhooks/slack-integration.js';
+import { WebhookAPI } from '../src/api/webhook-api.js';
+
+const SECRET = 'slack-signing-secret';
+
+function sign(body, { secret = SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}) {
+    const signature = 'v0=' + crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${body}`).digest('hex');
+    return { 'X-Slack-Request-Timestamp': String(timestamp), 'X-Slack-Signature': signature };
+}
+
+/**
+ * The webhook endpoint behind the same raw-body parsing the server uses
+ */
+function slackApp() {
+    const orchestrator = new EventEmitter();
+    orchestrator.config = { team: { members: { joe: { name: 'Joe', slack_user_id: 'U123' } } } };
+    orchestrator.updates = [];
+    orchestrator.processTeamUpdate = async (memberKey, text, metadata) => {
+        orchestrator.updates.push({ memberKey, text, metadata });
+        return { extracted: { totalItems: 1 } };
+    };
+
+    const manager = new WebhookManager();
+    const slack = new SlackIntegration(manager, orchestrator, { signingSecret: SECRET });
+
+    const app = express();
+    const keepRawBody = (req, res, buffer) => {
+        req.rawBody = buffer.toString('utf8');
+    };
+    app.use(express.json({ verify: keepRawBody }));
+    app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
+    new WebhookAPI(manager).registerEndpoints(app);
+
+    return { app, slack, orchestrator };
+}
+
+async function post(app, body, headers, contentType = 'application/json') {
+    const server = app.listen(0);
+    try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}/api/webhooks/slack`, {
+            method: 'POST',
+            headers: { 'Content-Type': contentType, ...headers },
+            body
+        });
+        return { status: response.status, body: await response.json() };
+    } finally {
+        server.close();
+    }
+}
+
+async function testSlackIntegration() {
+    console.log('🧪 Testing Slack request signatures...\n');
+
+    // Test 1: signed requests get through
+    console.log('1. Accepting signed requests...');
+    const { app, slack, orchestrator } = slackApp();
+    const challenge = JSON.stringify({ type: 'url_verification', challenge: 'abc123' });
+    const verified = await post(app, challenge, sign(challenge));
+    assert.strictEqual(verified.status, 200);
+    assert.deepStrictEqual(verified.body, { challenge: 'abc123' });
+
+    // Slash commands arrive form-encoded; the signature covers the form body as sent
+    const command = new URLSearchParams({ command: '/crm', text: 'update Acme pilot signed', user_id: 'U123', channel_id: 'C1' }).toString();
+    const replied = await post(app, command, sign(command), 'application/x-www-form-urlencoded');
+    assert.strictEqual(replied.status, 200);
+    assert.strictEqual(replied.body.text, 'Got it, processing your update...');
+    assert.strictEqual(replied.body.response_type, 'ephemeral');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(orchestrator.updates.map(update => [update.memberKey, update.text]), [['joe', 'Acme pilot signed']]);
+
+    const stranger = new URLSearchParams({ command: '/crm', text: 'summary', user_id: 'U999' }).toString();
+    assert.ok((await post(app, stranger, sign(stranger), 'application/x-www-form-urlencoded')).body.text.includes('U999'),
+        'unmapped Slack users are told how to get mapped');
+    console.log('   ✅ Signed JSON events and form-encoded commands accepted\n');
+
+    // Test 2: everything else is turned away
+    console.log('2. Rejecting unsigned, altered and stale requests...');
+    const event = JSON.stringify({ type: 'event_callback', event: { type: 'message', text: 'Closed the Acme deal', user: 'U123' } });
+
+    assert.strictEqual((await post(app, event, {})).status, 400, 'no signature');
+    assert.strictEqual((await post(app, event, sign(event, { secret: 'wrong-secret' }))).status, 400, 'wrong secret');
+
+    const altered = event.replace('Acme', 'Globex');
+    assert.strictEqual((await post(app, altered, sign(event))).status, 400, 'body changed after signing');
+
+    // Same JSON, different bytes: the signature is over the raw body, not a re-serialization
+    const spaced = JSON.stringify(JSON.parse(event), null, 2);
+    assert.strictEqual((await post(app, spaced, sign(event))).status, 400);
+
+    const stale = await post(app, event, sign(event, { timestamp: Math.floor(Date.now() / 1000) - 10 * 60 }));
+    assert.strictEqual(stale.status, 400);
+    assert.match(stale.body.error, /too old/);
+
+    const truncated = sign(event);
+    truncated['X-Slack-Signature'] = truncated['X-Slack-Signature'].slice(0, 20);
+    assert.strictEqual((await post(app, event, truncated)).status, 400, 'short signatures are rejected, not thrown on');
+    assert.strictEqual(orchestrator.updates.length, 1, 'no rejected request reached the orchestrator');
+
+    const unconfigured = slackApp();
+    unconfigured.slack.config.signingSecret = null;
+    const refused = await post(unconfigured.app, challenge, sign(challenge));
+    assert.strictEqual(refused.status, 400);
+    assert.match(refused.body.error, /not configured/);
+    assert.throws(() => slack.verifySignature({ headers: {}, rawBody: undefined }), /Invalid webhook signature/);
+    console.log('   ✅ Missing, forged, altered, stale and unconfigured all refused\n');
+
+    // Test 3: Slack's retries of events
+    console.log('3. Ignoring Slack retries...');
+    const retried = await post(app, event, { ...sign(event), 'X-Slack-Retry-Num': '1' });
+    assert.strictEqual(retried.status, 200);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(orchestrator.updates.length, 1, 'a retried event is not processed twice');
+    console.log('   ✅ Retries acknowledged without reprocessing\n');
+
+    console.log('🎉 Slack integration tests passed');
+}
+
+testSlackIntegration().catch(error => {
+    console.error('❌ Slack integration tests failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,249 @@
+/**
+ * Summary Delivery Test
+ * Works out which schedules are due in each executive's timezone, writes
+ * summaries with their style and priorities, records how each delivery
+ * went on every channel, and reports what changed since the last summary
+ */
+
+import assert from 'assert';
+import {
+    SummaryDeliveryService,
+    deliveryProblems,
+    dueSlots,
+    localTime
+} from '../src/core/summaries/summary-delivery-service.js';
+import { buildSnapshot, describeChanges, diffSnapshots } from '../src/core/summaries/summary-diff.js';
+import { MasterExecutiveAgent } from '../src/core/agents/master-executive-agent.js';
+import { ExecutiveIntelligenceService } from '../src/core/intelligence/executive-intelligence-service.js';
+
+const delivery = {
+    timezone: 'America/Chicago',
+    channel: 'email',
+    email: 'tre@example.com',
+    schedules: [
+        { frequency: 'daily', time: '07:00' },
+        { frequency: 'weekly', day: 'monday', time: '07:00' }
+    ]
+};
+
+const config = {
+    team: {
+        executives: [
+            { id: 'tre', name: 'Tre', summary_style: 'strategic_focus', priority_areas: ['dealer_growth'], summary_delivery: delivery },
+            { id: 'josh', name: 'Josh', summary_delivery: { ...delivery, channel: 'slack', slack_channel: 'C123' } },
+            { id: 'sam', name: 'Sam' }
+        ]
+    }
+};
+
+async function testSummaryDelivery() {
+    console.log('🧪 Testing summary delivery...\n');
+
+    // Test 1: schedules in the executive's timezone
+    console.log('1. Working out what is due...');
+    // Monday 2026-03-02 12:30 UTC is 06:30 in Chicago
+    const beforeSeven = new Date('2026-03-02T12:30:00Z');
+    const afterSeven = new Date('2026-03-02T13:05:00Z');
+    assert.deepStrictEqual(localTime(beforeSeven, 'America/Chicago'), { date: '2026-03-02', weekday: 'monday', minutes: 390 });
+    assert.deepStrictEqual(dueSlots(delivery, beforeSeven), []);
+    assert.deepStrictEqual(dueSlots(delivery, afterSeven).map(due => due.slot), ['daily:2026-03-02', 'weekly:2026-03-02']);
+    assert.deepStrictEqual(dueSlots(delivery, new Date('2026-03-03T13:05:00Z')).map(due => due.slot), ['daily:2026-03-03']);
+    assert.deepStrictEqual(deliveryProblems(delivery), []);
+    assert.strictEqual(deliveryProblems({ channel: 'fax', timezone: 'Mars/Base', schedules: [{ frequency: 'weekly', time: '7am' }] }).length, 4);
+    console.log('   ✅ Daily and Monday-weekly slots come due at 07:00 Chicago time\n');
+
+    // Test 2: the prompt carries style and priorities
+    console.log('2. Writing for the executive...');
+    const agent = new MasterExecutiveAgent(config.team.executives[0], null, null);
+    const prompt = agent.buildSummaryPrompt({ confidence: 0.8 }, '24h');
+    assert.ok(prompt.text.includes('Tre prefers a strategic focus'));
+    assert.ok(prompt.text.includes('priority areas: dealer growth'));
+    const plain = new MasterExecutiveAgent({ id: 'sam', name: 'Sam' }, null, null);
+    assert.ok(!plain.buildSummaryPrompt({}, '24h').text.includes('prefers'));
+    console.log('   ✅ summary_style and priority_areas reach the prompt\n');
+
+    // Test 3: deliveries recorded with their status
+    console.log('3. Delivering and recording...');
+    const sent = [];
+    const written = [];
+    const service = new SummaryDeliveryService({
+        db: { initialized: false },
+        mailer: {
+            enabled: true,
+            config: { domain: 'mail.example.com' },
+            sendEmail: async email => {
+                sent.push(email);
+                return { success: true, messageId: '<id@mailgun>' };
+            }
+        },
+        intelligenceService: {
+            listActivity: async () => [
+                { id: 'a1', memberName: 'joe', summary: 'Acme pilot signed', timestamp: new Date('2026-03-02T09:00:00Z') },
+                { id: 'a2', memberName: 'joe', summary: 'Last week', timestamp: new Date('2026-02-25T09:00:00Z') }
+            ],
+            listInterventions: async () => [{ id: 'i1', title: 'Acme renewal at risk', urgency: 'critical', memberName: 'joe' }]
+        },
+        createAgent: executive => ({
+            generateExecutiveSummary: async (updates, timeframe, options) => {
+                written.push({ executive: executive.id, updates, timeframe, options });
+                return {
+                    summary: {
+                        executive_summary: 'Acme pilot signed.\n\nRenewal needs you.',
+                        critical_attention_areas: [{ area: 'Acme renewal' }],
+                        revenue_opportunities: [],
+                        risk_factors: []
+                    }
+                };
+            }
+        })
+    });
+    service.configure(config, { llm: {}, slack: { sendSlackMessage: async () => false } });
+
+    const delivered = await service.checkSchedules(afterSeven);
+    assert.strictEqual(delivered.length, 4);
+    const [daily, weekly, slack] = delivered;
+    assert.strictEqual(daily.status, 'delivered');
+    assert.strictEqual(sent.length, 2);
+    assert.strictEqual(sent[0].to, 'tre@example.com');
+    assert.strictEqual(sent[0].subject, 'Daily briefing for Tre: 2026-03-02');
+    assert.ok(sent[0].html.includes('<p>Renewal needs you.</p>'));
+    assert.strictEqual(weekly.schedule, 'weekly');
+    assert.strictEqual(written[0].updates.length, 2, 'daily summary skips activity older than a day');
+    assert.strictEqual(written[1].updates.length, 3);
+    assert.strictEqual(written[1].timeframe, '7 days');
+    assert.deepStrictEqual(daily.teamPerformance, { updates: 1, members: 1 });
+    assert.strictEqual(daily.attentionRequired[0].title, 'Acme renewal at risk');
+    assert.strictEqual(slack.status, 'failed');
+    assert.strictEqual(slack.error, 'Slack rejected the message');
+
+    assert.deepStrictEqual(await service.checkSchedules(afterSeven), [], 'each slot is delivered once');
+    assert.strictEqual((await service.listSummaries({ executive: 'tre' })).length, 2);
+
+    const inApp = await service.deliverSummary('tre', { channel: 'in_app', now: afterSeven });
+    assert.strictEqual(inApp.status, 'delivered');
+    assert.strictEqual(inApp.schedule, 'manual');
+    assert.strictEqual((await service.getSummary(inApp.id)).id, inApp.id);
+    await assert.rejects(service.deliverSummary('nobody'), /Invalid executive/);
+
+    service.mailer.enabled = false;
+    assert.strictEqual((await service.deliverSummary('tre', { now: afterSeven })).status, 'simulated');
+
+    // Failed slots are retried after 15 and then 30 minutes, then given up
+    const minutes = count => new Date(afterSeven.getTime() + count * 60 * 1000);
+    assert.strictEqual(slack.nextAttemptAt, minutes(15).toISOString());
+    assert.deepStrictEqual(await service.checkSchedules(minutes(10)), [], 'not before the backoff');
+    const retried = await service.checkSchedules(minutes(16));
+    assert.deepStrictEqual(retried.map(summary => `${summary.executiveKey}:${summary.slot}`), ['josh:daily:2026-03-02', 'josh:weekly:2026-03-02']);
+    assert.strictEqual(retried[0].id, slack.id, 'the slot keeps its record');
+    assert.strictEqual(retried[0].attempts, 2);
+    assert.strictEqual(retried[0].nextAttemptAt, minutes(46).toISOString());
+    const lastTry = await service.checkSchedules(minutes(47));
+    assert.strictEqual(lastTry[0].attempts, 3);
+    assert.strictEqual(lastTry[0].nextAttemptAt, null);
+    assert.deepStrictEqual(await service.checkSchedules(minutes(180)), [], 'given up after three attempts');
+    assert.strictEqual(inApp.nextAttemptAt, null);
+    console.log('   ✅ Email, Slack and in-app deliveries recorded with their status; failed slots retried\n');
+
+    // Test 4: what changed since the last summary
+    console.log('4. Comparing with the previous summary...');
+    const before = buildSnapshot({
+        interventions: [
+            { id: 1, title: 'Acme renewal at risk', urgency: 'medium' },
+            { id: 2, title: 'Globex pricing question', urgency: 'low' }
+        ],
+        deals: [{ id: 'd1', name: 'Acme', stage: 'proposal', priority: 'medium', total_contract_value: '50000' }]
+    });
+    const after = buildSnapshot({
+        interventions: [
+            { id: 1, title: 'Acme renewal at risk', urgency: 'critical' },
+            { id: 3, title: 'Initech contract stalled', urgency: 'high' }
+        ],
+        deals: [
+            { id: 'd1', name: 'Acme', stage: 'negotiation', priority: 'high', total_contract_value: '50000' },
+            { id: 'd2', name: 'Initech', stage: 'prospect' }
+        ]
+    });
+    assert.strictEqual(before.deals[0].value, 50000);
+    const diff = diffSnapshots(before, after);
+    assert.deepStrictEqual(diff.newItems.map(item => item.id), ['3']);
+    assert.deepStrictEqual(diff.resolvedItems.map(item => item.id), ['2']);
+    assert.deepStrictEqual(diff.dealStageChanges, [{ id: 'd1', name: 'Acme', from: 'proposal', to: 'negotiation', value: 50000 }]);
+    assert.deepStrictEqual(diff.newDeals.map(deal => deal.id), ['d2']);
+    assert.deepStrictEqual(diff.riskChanges.map(change => `${change.kind}:${change.id}:${change.direction}`), ['item:1:up', 'deal:d1:up']);
+    assert.deepStrictEqual(diff.newlyEscalated.map(item => item.id), ['1', '3']);
+    const described = describeChanges(diff);
+    assert.ok(described.includes('- New escalation: Initech contract stalled (high)'));
+    assert.ok(described.includes('- Resolved: Globex pricing question'));
+    assert.ok(described.includes('- Deal Acme moved from proposal to negotiation'));
+    assert.ok(described.includes('- Newly escalated: Acme renewal at risk (critical)'));
+    assert.strictEqual(describeChanges(diffSnapshots(null, after)), '', 'a first summary has nothing to compare');
+    assert.strictEqual(describeChanges(diffSnapshots(after, after)), '');
+
+    const agentPrompt = agent.buildSummaryPrompt({}, '24h', '- Resolved: Globex pricing question');
+    assert.ok(agentPrompt.text.includes('Changes since Tre\'s last summary:\n- Resolved: Globex pricing question'));
+    assert.ok(!agent.buildSummaryPrompt({}, '24h').text.includes('Changes since'));
+
+    assert.strictEqual(written[0].options.changes, null, 'the first summary has no changes');
+    const latest = written[written.length - 1];
+    assert.strictEqual(latest.options.changes, null, 'nothing changed between deliveries');
+
+    let deals = [{ id: 'd1', name: 'Acme', stage: 'proposal' }];
+    service.dealService = { isAvailable: () => true, listDeals: async () => ({ deals }) };
+    const withDeals = await service.deliverSummary('tre', { channel: 'in_app', now: afterSeven });
+    deals = [{ id: 'd1', name: 'Acme', stage: 'closed_won' }];
+    const moved = await service.deliverSummary('tre', { channel: 'in_app', now: afterSeven });
+    assert.ok(written[written.length - 1].options.changes.includes('- Deal Acme moved from proposal to closed_won'));
+    const movedDiff = await service.getSummaryDiff(moved.id);
+    assert.strictEqual(movedDiff.previousSummaryId, withDeals.id);
+    assert.strictEqual(movedDiff.dealStageChanges[0].to, 'closed_won');
+    assert.strictEqual(await service.getSummaryDiff('missing'), null);
+
+    // Snoozed items drop off the open list without being resolved
+    const closedDiff = diffSnapshots(before, { ...after, closed: [{ id: '2', status: 'snoozed' }] });
+    assert.deepStrictEqual(closedDiff.resolvedItems, []);
+    assert.deepStrictEqual(
+        diffSnapshots(before, { ...after, closed: [{ id: '2', status: 'resolved' }] }).resolvedItems.map(item => item.id),
+        ['2']
+    );
+    console.log('   ✅ New, resolved, moved, re-rated and escalated items reported\n');
+
+    // Test 5: statuses behind the diff, past the prompt's 50 items
+    console.log('5. Telling resolved items from snoozed ones...');
+    const intelligence = new ExecutiveIntelligenceService({ db: { initialized: false } });
+    const created = [];
+    for (let i = 1; i <= 60; i++) {
+        const { intervention } = await intelligence.createIntervention({
+            sourceType: 'manual',
+            title: `Item ${i}`,
+            urgency: 'medium'
+        });
+        created.push(intervention);
+    }
+    service.intelligenceService = intelligence;
+    service.dealService = { isAvailable: () => false };
+    const first = await service.deliverSummary('tre', { channel: 'in_app', now: afterSeven });
+    assert.strictEqual(first.snapshot.items.length, 60, 'the snapshot keeps every open item');
+    assert.strictEqual(first.attentionRequired.length, 50);
+
+    // Newest first, so the oldest item is left out of the prompt
+    const [beyondPrompt, snoozed, resolved] = [created[0], created[58], created[59]];
+    assert.ok(!first.attentionRequired.some(item => item.id === beyondPrompt.id));
+    await intelligence.snoozeIntervention(snoozed.id, 'tre', new Date(Date.now() + 24 * 60 * 60 * 1000));
+    await intelligence.resolveIntervention(resolved.id, 'tre');
+    await intelligence.resolveIntervention(beyondPrompt.id, 'tre');
+
+    const second = await service.deliverSummary('tre', { channel: 'in_app', now: afterSeven });
+    const statusDiff = await service.getSummaryDiff(second.id);
+    assert.deepStrictEqual(statusDiff.resolvedItems.map(item => item.title).sort(), ['Item 1', 'Item 60']);
+    const changeLines = written[written.length - 1].options.changes.split('\n');
+    assert.ok(changeLines.includes('- Resolved: Item 1'));
+    assert.ok(!changeLines.includes('- Resolved: Item 59'), 'snoozed, not resolved');
+    console.log('   ✅ Only resolved items count as resolved, wherever they sat in the list\n');
+
+    console.log('🎉 Summary delivery tests passed');
+}
+
+testSummaryDelivery().catch(error => {
+    console.error('❌ Summary delivery tests failed:', error);
+    process.exit(1);
+});
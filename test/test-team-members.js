@@ -0,0 +1,109 @@
+/**
+ * Team Members Test
+ * Loads personal assistants from team_members when a database is configured,
+ * falls back to the config file when it can't be read, and writes members
+ * added through the admin API to the same database
+ */
+
+import assert from 'assert';
+import { TeamOrchestrator } from '../src/core/orchestration/team-orchestrator.js';
+import { AdminAPI } from '../src/api/admin-api.js';
+import { db } from '../src/core/database/connection.js';
+
+const config = {
+    team: {
+        name: 'Test Team',
+        executives: [{ id: 'tre', name: 'Tre', role: 'CEO' }],
+        members: {
+            joe: { name: 'Joe', role: 'Team Lead' }
+        }
+    },
+    memory: { enabled: false }
+};
+
+/**
+ * Answers the team_members read with the given rows and records every statement
+ */
+function fakeDb(rows) {
+    const queries = [];
+    return {
+        initialized: true,
+        queries,
+        query: async (text, params = []) => {
+            queries.push({ text, params });
+            if (text.includes('FROM team_members')) {
+                return { rows };
+            }
+            return { rows: [], rowCount: 1 };
+        }
+    };
+}
+
+async function testTeamMembers() {
+    console.log('🧪 Testing team member loading...\n');
+
+    const previousUrl = process.env.DATABASE_URL;
+    process.env.DATABASE_URL = 'postgres://localhost/team_crm_test';
+
+    try {
+        // Test 1: database mode
+        console.log('1. Loading members from the database...');
+        const orchestrator = new TeamOrchestrator(config);
+        orchestrator.db = fakeDb([
+            { external_id: 'charlie', name: 'Charlie', role: 'Sales', focus_areas: ['fleet_sales'], extraction_priorities: null, ai_model: null },
+            { external_id: 'joe', name: 'Joe', role: 'Team Lead', focus_areas: null, extraction_priorities: null, ai_model: 'claude-3-sonnet' }
+        ]);
+        const assistants = await orchestrator.buildPersonalAssistants(config);
+
+        assert.deepStrictEqual([...assistants.keys()], ['charlie', 'joe'], 'keyed by external_id, including members only in the database');
+        assert.strictEqual(assistants.get('charlie').memberName, 'Charlie');
+        assert.deepStrictEqual(assistants.get('charlie').memberConfig.focus_areas, ['fleet_sales']);
+        assert.deepStrictEqual(assistants.get('joe').memberConfig.focus_areas, ['dealer_relationships', 'sales_activities'], 'missing focus areas get the defaults');
+        assert.match(orchestrator.db.queries[0].text, /WHERE active = true/);
+        console.log('   ✅ Assistants built from active team_members rows\n');
+
+        // Test 2: falling back
+        console.log('2. Falling back to the config file...');
+        orchestrator.db = { initialized: false, query: async () => { throw new Error('Database not initialized'); } };
+        const fallback = await orchestrator.buildPersonalAssistants(config);
+        assert.deepStrictEqual([...fallback.keys()], ['joe']);
+        console.log('   ✅ Config members used when the database can\'t be read\n');
+
+        // Test 3: the admin API writes to the same connection
+        console.log('3. Saving members from the admin API...');
+        const shared = fakeDb([]);
+        db.initialized = true;
+        db.query = shared.query;
+        const admin = new AdminAPI(null, orchestrator);
+
+        await admin.addTeamMemberToDatabase('dana', {
+            name: 'Dana',
+            role: 'Sales',
+            focus_areas: ['fleet_sales'],
+            extraction_priorities: ['action_items'],
+            ai_model: 'claude-3-sonnet'
+        });
+        await admin.updateTeamMemberInDatabase('dana', { role: 'Senior Sales' });
+        await admin.updateTeamMemberInDatabase('dana', {});
+
+        assert.strictEqual(shared.queries.length, 2, 'an empty update writes nothing');
+        assert.match(shared.queries[0].text, /INSERT INTO team_members/);
+        assert.deepStrictEqual(shared.queries[0].params, ['dana', 'Dana', 'Sales', ['fleet_sales'], ['action_items'], 'claude-3-sonnet']);
+        assert.match(shared.queries[1].text, /UPDATE team_members/);
+        assert.deepStrictEqual(shared.queries[1].params, ['Senior Sales', 'dana']);
+        console.log('   ✅ Inserts and updates go through the shared connection\n');
+    } finally {
+        if (previousUrl === undefined) {
+            delete process.env.DATABASE_URL;
+        } else {
+            process.env.DATABASE_URL = previousUrl;
+        }
+    }
+
+    console.log('🎉 Team member tests passed');
+}
+
+testTeamMembers().catch(error => {
+    console.error('❌ Team member tests failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,41 @@
+/**
+ * Feature Flags (browser)
+ * Loads the signed-in user's flag values and experiment variants from /api/flags.
+ *
+ *   await featureFlags.ready;
+ *   if (featureFlags.isEnabled('pluginSystem')) { ... }
+ *   featureFlags.variant('promptOptimization'); // 'control' or 'optimized'
+ *
+ * Each flag is also set on <html> as data-flag-<name>="<variant or on/off>" for CSS.
+ */
+
+/* eslint-env browser */
+
+(function () {
+    const flags = {};
+
+    const ready = fetch('/api/flags', { credentials: 'same-origin' })
+        .then(response => (response.ok ? response.json() : { data: {} }))
+        .then(result => {
+            Object.assign(flags, result.data || {});
+
+            for (const [name, flag] of Object.entries(flags)) {
+                const attribute = 'flag' + name.charAt(0).toUpperCase() + name.slice(1);
+                document.documentElement.dataset[attribute] = flag.variant || (flag.value ? 'on' : 'off');
+            }
+
+            return flags;
+        })
+        .catch(error => {
+            console.warn('Feature flags unavailable:', error);
+            return flags;
+        });
+
+    window.featureFlags = {
+        ready,
+        isEnabled: name => Boolean(flags[name]?.value),
+        variant: name => flags[name]?.variant || null,
+        value: name => flags[name]?.value,
+        all: () => ({ ...flags })
+    };
+})();